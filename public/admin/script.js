@@ -2,16 +2,109 @@
 document.addEventListener('DOMContentLoaded', () => {
     // --- State Management ---
     // These variables will hold the master copies of our data.
-    let allIssues = [];
+    let allIssues = []; // The current page of issues shown in the table
+    let listQuery = { page: 1, sort: '-createdAt' }; // The table's current page and sort order
+    let listInfo = { page: 1, limit: 50, total: 0 }; // The paging details of the last issue list response
+    let mapPoints = []; // The issues shown on the map
     let allUsers = [];
+    let allWards = []; // Ward list (with boundaries) for the ward filter and the map outlines
+    let allCategories = []; // Issue categories (including inactive ones), for icons, colours and the settings
+    let allDepartments = []; // Departments (including inactive ones), for the department filter and the settings
+    let workflow = { statuses: [], transitions: {}, openStatuses: [], requiredFields: {} }; // The status workflow from the server
     let trendsChart = null; // This will hold our Chart.js instance
+    let openedResolvedChart = null; // The "Opened vs Resolved" line chart
+    let backlogAgeChart = null; // The "Open Backlog by Age" bar chart
+    let authToken = localStorage.getItem('civicsense_token'); // The staff member's session token
+    let currentUser = null; // The logged-in staff member's profile
+    let liveController = null; // Aborts the live update stream
+    let openIssueId = null; // The issue shown in the detail modal
+    let notificationTemplates = null; // The citizen notification templates, for the settings (admins only)
+    let assignmentStrategies = []; // How departments can assign issues automatically, for the settings
+
+    // --- Display Constants ---
+    const SLA_COLORS = {
+        'on-track': 'bg-green-50 text-green-700',
+        'met': 'bg-green-50 text-green-700',
+        'at-risk': 'bg-yellow-50 text-yellow-700',
+        'breached': 'bg-red-50 text-red-700'
+    };
+    const PRIORITY_COLORS = {
+        'Low': 'bg-gray-100 text-gray-600',
+        'High': 'bg-orange-100 text-orange-800',
+        'Critical': 'bg-red-200 text-red-900'
+    };
+    // Priority scores (0–100) are shown in these bands, highest first, in the table and on the map.
+    const PRIORITY_BANDS = [
+        { min: 75, label: 'Urgent', color: '#dc2626', classes: 'bg-red-100 text-red-800' },
+        { min: 50, label: 'High', color: '#f97316', classes: 'bg-orange-100 text-orange-800' },
+        { min: 25, label: 'Moderate', color: '#eab308', classes: 'bg-yellow-100 text-yellow-800' },
+        { min: 0, label: 'Low', color: '#22c55e', classes: 'bg-green-100 text-green-800' }
+    ];
+    // Shown next to reports from citizens who signed in with their number.
+    const VERIFIED_BADGE = '<span class="status-tag bg-teal-100 text-teal-800" title="Reported by a citizen who verified this number">✓ Verified</span>';
+    const LIVE_RETRY_MS = 5000; // How long to wait before reconnecting the live update stream
 
     // --- DOM Element References ---
     const issuesTbody = document.getElementById('issues-tbody');
     const refreshBtn = document.getElementById('refresh-btn');
     const filterStatusEl = document.getElementById('filter-status');
     const searchIdEl = document.getElementById('search-id');
+    const filterWardEl = document.getElementById('filter-ward');
+    const filterTypeEl = document.getElementById('filter-type');
+    const filterDepartmentEl = document.getElementById('filter-department');
+    const filterAssigneeEl = document.getElementById('filter-assignee');
+    const filterVerifiedEl = document.getElementById('filter-verified');
+    const filterFromEl = document.getElementById('filter-from');
+    const filterToEl = document.getElementById('filter-to');
+    const filterMapAreaEl = document.getElementById('filter-map-area');
+    const pageInfoEl = document.getElementById('page-info');
+    const prevPageBtn = document.getElementById('prev-page-btn');
+    const nextPageBtn = document.getElementById('next-page-btn');
+    const mapNoteEl = document.getElementById('map-note');
+    const mapColourEl = document.getElementById('map-colour');
+    const priorityLegendEl = document.getElementById('priority-legend');
+    const exportColumnsEl = document.getElementById('export-columns');
+    const exportFormatEl = document.getElementById('export-format');
+    const exportBtn = document.getElementById('export-btn');
+    const periodFromEl = document.getElementById('period-from');
+    const periodToEl = document.getElementById('period-to');
+    const periodIntervalEl = document.getElementById('period-interval');
+    const performanceErrorEl = document.getElementById('performance-error');
     const chartCanvas = document.getElementById('issue-trends-chart');
+    const loginScreen = document.getElementById('login-screen');
+    const loginForm = document.getElementById('login-form');
+    const loginBtn = document.getElementById('login-btn');
+    const loginError = document.getElementById('login-error');
+    const loginNotice = document.getElementById('login-notice');
+    const logoutBtn = document.getElementById('logout-btn');
+    const currentUserEl = document.getElementById('current-user');
+    const issueDetailBody = document.getElementById('issue-detail-body');
+    const settingsSection = document.getElementById('settings-section');
+    const resolveForm = document.getElementById('resolve-form');
+    const resolveNoteInput = document.getElementById('resolve-note');
+    const resolvePhotosInput = document.getElementById('resolve-photos');
+    const resolveErrorEl = document.getElementById('resolve-error');
+    const resolveSubmitBtn = document.getElementById('resolve-submit-btn');
+    const liveStatusEl = document.getElementById('live-status');
+    const liveToastsEl = document.getElementById('live-toasts');
+    const importForm = document.getElementById('import-form');
+    const importFileEl = document.getElementById('import-file');
+    const importDateOrderEl = document.getElementById('import-date-order');
+    const importMappingEl = document.getElementById('import-mapping');
+    const importCategoryMapEl = document.getElementById('import-category-map');
+    const importDryRunBtn = document.getElementById('import-dry-run-btn');
+    const importBtn = document.getElementById('import-btn');
+    const importErrorEl = document.getElementById('import-error');
+    const importResultEl = document.getElementById('import-result');
+    const categoriesTbody = document.getElementById('categories-tbody');
+    const categoryForm = document.getElementById('category-form');
+    const categoryError = document.getElementById('category-error');
+    const departmentsList = document.getElementById('departments-list');
+    const departmentForm = document.getElementById('department-form');
+    const departmentError = document.getElementById('department-error');
+    const templateLanguageEl = document.getElementById('template-language');
+    const templatesListEl = document.getElementById('templates-list');
+    const availabilityTbody = document.getElementById('availability-tbody');
 
     // --- Leaflet Map Initialization ---
     // Centered on a location in India. You can change these coordinates.
@@ -22,6 +115,76 @@ document.addEventListener('DOMContentLoaded', () => {
 
     let heatLayer = null; // To hold the heatmap layer
     let markers = L.layerGroup().addTo(map); // To hold all the issue markers
+    let wardLayer = null; // To hold the ward boundary outlines
+
+    // --- Authentication ---
+
+    /**
+     * A wrapper around fetch() that attaches the session token to every API request.
+     * If the server says the session is missing or expired, the login screen is shown.
+     * @param {string} url - The API URL.
+     * @param {object} [options] - Standard fetch options.
+     * @returns {Promise<Response>} The fetch response.
+     */
+    async function apiFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (authToken) headers['Authorization'] = `Bearer ${authToken}`;
+
+        const response = await fetch(url, { ...options, headers });
+        if (response.status === 401) {
+            const body = await response.clone().json().catch(() => ({}));
+            showLogin(body.code === 'SESSION_EXPIRED' ? 'Your session has expired. Please sign in again.' : '');
+            throw new Error(body.message || 'Please log in to continue.');
+        }
+        return response;
+    }
+
+    /**
+     * Clears the stored session and shows the login screen.
+     * @param {string} [notice] - An optional message to show above the form (e.g. "session expired").
+     */
+    function showLogin(notice = '') {
+        authToken = null;
+        currentUser = null;
+        stopLiveUpdates();
+        localStorage.removeItem('civicsense_token');
+        loginNotice.textContent = notice;
+        loginNotice.classList.toggle('hidden', !notice);
+        loginError.classList.add('hidden');
+        loginScreen.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the login screen and shows who is logged in.
+     */
+    function showDashboard() {
+        loginScreen.classList.add('hidden');
+        currentUserEl.textContent = `${currentUser.name} · ${currentUser.role === 'admin' ? 'Admin' : currentUser.department}`;
+        currentUserEl.classList.remove('hidden');
+        // Only admins can manage categories and departments.
+        settingsSection.classList.toggle('hidden', currentUser.role !== 'admin');
+        connectLiveUpdates();
+    }
+
+    /**
+     * Checks whether a stored token is still valid, and either loads the dashboard or shows the login screen.
+     */
+    async function initSession() {
+        if (!authToken) {
+            showLogin();
+            return;
+        }
+        try {
+            const response = await apiFetch('/api/auth/me');
+            if (!response.ok) throw new Error('Could not load your profile.');
+            currentUser = await response.json();
+            showDashboard();
+            fetchData();
+        } catch (error) {
+            // apiFetch has already shown the login screen for 401 responses.
+            if (loginScreen.classList.contains('hidden')) showLogin();
+        }
+    }
 
     // --- Core Data Fetching and Rendering ---
 
@@ -32,39 +195,67 @@ document.addEventListener('DOMContentLoaded', () => {
         showLoadingState();
         try {
             // Use Promise.all to fetch data concurrently for better performance.
-            const [issuesRes, usersRes, analyticsRes] = await Promise.all([
-                fetch('/api/issues'),
-                fetch('/api/users'),
-                fetch('/api/analytics')
+            const [usersRes, analyticsRes, workflowRes, wardsRes, categoriesRes, departmentsRes, exportColumnsRes, strategiesRes] = await Promise.all([
+                apiFetch('/api/users'),
+                apiFetch(analyticsUrl()),
+                apiFetch('/api/workflow'),
+                apiFetch('/api/wards?geometry=true'),
+                apiFetch('/api/categories?all=true'),
+                apiFetch('/api/departments?all=true'),
+                apiFetch('/api/issues/export/columns'),
+                apiFetch('/api/departments/assignment-strategies')
             ]);
 
-            if (!issuesRes.ok || !usersRes.ok || !analyticsRes.ok) {
+            if (!usersRes.ok || !analyticsRes.ok || !workflowRes.ok || !wardsRes.ok || !categoriesRes.ok || !departmentsRes.ok || !exportColumnsRes.ok || !strategiesRes.ok) {
                 throw new Error('Failed to fetch data from the server.');
             }
 
-            allIssues = await issuesRes.json();
             allUsers = await usersRes.json();
             const analytics = await analyticsRes.json();
+            workflow = await workflowRes.json();
+            allWards = await wardsRes.json();
+            allCategories = await categoriesRes.json();
+            allDepartments = await departmentsRes.json();
+            const exportColumns = await exportColumnsRes.json();
+            assignmentStrategies = await strategiesRes.json();
             
             // Once data is fetched, update all parts of the dashboard.
+            renderStatusFilter();
+            renderWardFilter();
+            renderListFilters();
+            renderExportColumns(exportColumns);
+            renderWardOutlines();
             updateAnalytics(analytics);
             renderTrendsChart(analytics.trendData);
-            renderTable(allIssues);
-            updateMap(allIssues);
+            if (currentUser.role === 'admin') {
+                renderSettings();
+                // Loaded once, so a template being edited isn't replaced when the dashboard refreshes.
+                if (!notificationTemplates) fetchTemplates();
+            }
+            fetchPerformance();
+            await fetchIssues();
 
         } catch (error) {
             console.error("Failed to fetch data:", error);
-            issuesTbody.innerHTML = `<tr><td colspan="5" class="text-center p-8 text-red-500">Error: Could not fetch data. Please refresh.</td></tr>`;
+            issuesTbody.innerHTML = `<tr><td colspan="6" class="text-center p-8 text-red-500">Error: Could not fetch data. Please refresh.</td></tr>`;
         }
     }
     
+    /**
+     * The analytics URL, limited to the ward selected in the ward filter (if any).
+     * @returns {string}
+     */
+    function analyticsUrl() {
+        return filterWardEl.value ? `/api/analytics?ward=${encodeURIComponent(filterWardEl.value)}` : '/api/analytics';
+    }
+
     /**
      * Fetches ONLY the analytics data to update the cards and chart. This is much
      * faster than a full refresh and is used after a single issue is updated.
      */
     async function fetchAndRefreshAnalytics() {
         try {
-            const analyticsRes = await fetch('/api/analytics');
+            const analyticsRes = await apiFetch(analyticsUrl());
             if (!analyticsRes.ok) return;
             const analytics = await analyticsRes.json();
             updateAnalytics(analytics);
@@ -74,13 +265,176 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // --- Performance Analytics ---
+
+    /**
+     * The query parameters for the performance panel: its period and the selected ward.
+     * Without dates, the server uses the last 30 days.
+     * @returns {URLSearchParams}
+     */
+    function periodParams() {
+        const params = new URLSearchParams();
+        if (periodFromEl.value) params.set('from', periodFromEl.value);
+        if (periodToEl.value) params.set('to', periodToEl.value);
+        if (filterWardEl.value) params.set('ward', filterWardEl.value);
+        return params;
+    }
+
+    /**
+     * Fetches and renders the time series and performance figures for the chosen period.
+     */
+    async function fetchPerformance() {
+        const params = periodParams();
+        const seriesParams = new URLSearchParams(params);
+        seriesParams.set('interval', periodIntervalEl.value);
+
+        try {
+            const [seriesRes, performanceRes] = await Promise.all([
+                apiFetch(`/api/analytics/timeseries?${seriesParams}`),
+                apiFetch(`/api/analytics/performance?${params}`)
+            ]);
+            const series = await seriesRes.json();
+            const performance = await performanceRes.json();
+            if (!seriesRes.ok) throw new Error(series.message);
+            if (!performanceRes.ok) throw new Error(performance.message);
+
+            performanceErrorEl.classList.add('hidden');
+            renderOpenedResolvedChart(series.series);
+            renderPerformance(performance);
+        } catch (error) {
+            console.error('Could not load performance analytics:', error);
+            performanceErrorEl.textContent = `Could not load performance analytics: ${error.message}`;
+            performanceErrorEl.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Formats hours for the tables ("5.2 h", or "—" when there is no data).
+     */
+    function formatHours(hours) {
+        return hours === null || hours === undefined ? '—' : `${hours} h`;
+    }
+
+    /**
+     * Describes a change against the previous period, e.g. "▲ 12% vs previous period".
+     * @param {number|null} change - The percentage change.
+     * @param {boolean} lowerIsBetter - Whether a fall is good news (shown in green).
+     * @returns {string} HTML.
+     */
+    function changeHtml(change, lowerIsBetter = false) {
+        if (change === null || change === undefined) return 'No previous period to compare';
+        const good = lowerIsBetter ? change < 0 : change > 0;
+        const color = change === 0 ? 'text-gray-500' : good ? 'text-green-600' : 'text-red-600';
+        return `<span class="${color}">${change > 0 ? '▲' : change < 0 ? '▼' : ''} ${Math.abs(change)}%</span> vs previous period`;
+    }
+
+    /**
+     * Renders the comparison cards, the backlog chart and the department, category and staff tables.
+     * @param {object} performance - The GET /api/analytics/performance response.
+     */
+    function renderPerformance(performance) {
+        const { current, change } = performance.comparison;
+        document.getElementById('period-opened').textContent = current.opened;
+        document.getElementById('period-resolved').textContent = current.resolved;
+        document.getElementById('period-median').textContent = formatHours(current.medianHours);
+        document.getElementById('period-opened-change').innerHTML = changeHtml(change.opened, true);
+        document.getElementById('period-resolved-change').innerHTML = changeHtml(change.resolved);
+        document.getElementById('period-median-change').innerHTML = changeHtml(change.medianHours, true);
+
+        const resolutionRow = row => `
+            <td class="py-1 text-right">${row.resolved}</td>
+            <td class="py-1 text-right">${formatHours(row.medianHours)}</td>
+            <td class="py-1 text-right">${formatHours(row.p90Hours)}</td>`;
+        const empty = columns => `<tr><td colspan="${columns}" class="py-2 text-gray-500">Nothing resolved in this period.</td></tr>`;
+
+        // The leaderboard ranks departments by median resolution time, fastest first.
+        document.getElementById('department-leaderboard-tbody').innerHTML = performance.byDepartment.map((dept, i) => `
+            <tr class="border-t"><td class="py-1 font-semibold">${i + 1}</td><td class="py-1">${dept.name}</td>${resolutionRow(dept)}</tr>
+        `).join('') || empty(5);
+        document.getElementById('category-resolution-tbody').innerHTML = performance.byCategory.map(category => `
+            <tr class="border-t"><td class="py-1">${issueTypeLabel(category.name)}</td>${resolutionRow(category)}</tr>
+        `).join('') || empty(4);
+        document.getElementById('staff-workload-tbody').innerHTML = performance.staff.map(member => `
+            <tr class="border-t">
+                <td class="py-1">${member.name}<div class="text-xs text-gray-400">${member.department || ''}</div></td>
+                <td class="py-1 text-right">${member.open}</td>
+                <td class="py-1 text-right">${member.resolved}</td>
+                <td class="py-1 text-right">${formatHours(member.medianHours)}</td>
+            </tr>
+        `).join('') || '<tr><td colspan="4" class="py-2 text-gray-500">No assigned issues.</td></tr>';
+
+        // Citizens' answers to "Is it fixed?", best rated first.
+        const satisfactionRow = row => `
+            <td class="py-1 text-right">${row.responses}</td>
+            <td class="py-1 text-right">${row.averageRating === null ? '—' : `${row.averageRating} ★`}</td>
+            <td class="py-1 text-right ${row.disputeRate > 20 ? 'text-red-600 font-semibold' : ''}">${row.disputeRate}%</td>`;
+        const noAnswers = '<tr><td colspan="4" class="py-2 text-gray-500">No citizen answers in this period.</td></tr>';
+        document.getElementById('department-satisfaction-tbody').innerHTML = performance.satisfaction.byDepartment.map(dept => `
+            <tr class="border-t"><td class="py-1">${dept.name}</td>${satisfactionRow(dept)}</tr>
+        `).join('') || noAnswers;
+        document.getElementById('staff-satisfaction-tbody').innerHTML = performance.satisfaction.byStaff.map(member => `
+            <tr class="border-t"><td class="py-1">${member.name}</td>${satisfactionRow(member)}</tr>
+        `).join('') || noAnswers;
+
+        renderBacklogAgeChart(performance.backlogAge);
+    }
+
+    /**
+     * Renders the line chart of reports opened and resolved per period.
+     * @param {Array} series - '[{ period, opened, resolved }]'.
+     */
+    function renderOpenedResolvedChart(series) {
+        if (openedResolvedChart) openedResolvedChart.destroy();
+        openedResolvedChart = new Chart(document.getElementById('opened-resolved-chart'), {
+            type: 'line',
+            data: {
+                labels: series.map(point => point.period),
+                datasets: [
+                    { label: 'Opened', data: series.map(point => point.opened), borderColor: 'rgba(239, 68, 68, 1)', backgroundColor: 'rgba(239, 68, 68, 0.1)', tension: 0.2 },
+                    { label: 'Resolved', data: series.map(point => point.resolved), borderColor: 'rgba(34, 197, 94, 1)', backgroundColor: 'rgba(34, 197, 94, 0.1)', tension: 0.2 }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+            }
+        });
+    }
+
+    /**
+     * Renders the bar chart of open issues by how long they've been waiting.
+     * @param {Array} buckets - '[{ label, count }]', youngest first.
+     */
+    function renderBacklogAgeChart(buckets) {
+        if (backlogAgeChart) backlogAgeChart.destroy();
+        backlogAgeChart = new Chart(document.getElementById('backlog-age-chart'), {
+            type: 'bar',
+            data: {
+                labels: buckets.map(bucket => bucket.label),
+                datasets: [{
+                    label: 'Open issues',
+                    data: buckets.map(bucket => bucket.count),
+                    backgroundColor: 'rgba(245, 158, 11, 0.5)',
+                    borderColor: 'rgba(245, 158, 11, 1)',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+                plugins: { legend: { display: false } }
+            }
+        });
+    }
+
     /**
      * Updates the analytics cards with fresh data.
      * @param {object} analytics - The analytics data object from the API.
      */
     function updateAnalytics(analytics) {
-        const pendingStatuses = ['Pending', 'Acknowledged', 'In Progress'];
-        const totalPending = analytics.statusCounts.filter(s => pendingStatuses.includes(s._id)).reduce((sum, s) => sum + s.count, 0);
+        const totalPending = analytics.statusCounts.filter(s => workflow.openStatuses.includes(s._id)).reduce((sum, s) => sum + s.count, 0);
         const totalResolved = analytics.statusCounts.find(s => s._id === 'Resolved')?.count || 0;
         const mostReported = analytics.trendData[0] ? `${analytics.trendData[0]._id}` : 'N/A';
 
@@ -88,8 +442,47 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('total-resolved').textContent = totalResolved;
         document.getElementById('avg-resolution-time').textContent = `${analytics.avgResolutionTimeHours} hrs`;
         document.getElementById('most-reported-type').textContent = mostReported;
+        renderSlaOverview(analytics);
+    }
+
+    /**
+     * Shows the SLA counts for open issues and the breach rate per department.
+     * @param {object} analytics - The analytics data object from the API.
+     */
+    function renderSlaOverview(analytics) {
+        const summary = analytics.slaSummary || {};
+        document.getElementById('sla-on-track').textContent = summary['on-track'] ?? 0;
+        document.getElementById('sla-at-risk').textContent = summary['at-risk'] ?? 0;
+        document.getElementById('sla-breached').textContent = summary['breached'] ?? 0;
+
+        const rows = (analytics.slaByDepartment || []).map(dept => `
+            <tr class="border-t">
+                <td class="py-1">${dept.department}</td>
+                <td class="py-1 text-right">${dept.total}</td>
+                <td class="py-1 text-right font-semibold ${dept.breachRate > 20 ? 'text-red-600' : 'text-gray-700'}">${dept.breachRate}%</td>
+            </tr>`).join('');
+        document.getElementById('sla-department-tbody').innerHTML = rows || '<tr><td colspan="3" class="py-2 text-gray-500">No SLA data yet.</td></tr>';
     }
     
+    /**
+     * Finds a category by name.
+     * @param {string} name - The issue type.
+     * @returns {object|undefined}
+     */
+    function categoryFor(name) {
+        return allCategories.find(category => category.name === name);
+    }
+
+    /**
+     * The issue type with its category's icon in front, e.g. "🕳️ Pothole".
+     * @param {string} name - The issue type.
+     * @returns {string}
+     */
+    function issueTypeLabel(name) {
+        const category = categoryFor(name);
+        return category && category.icon ? `${category.icon} ${name}` : name;
+    }
+
     /**
      * Renders the bar chart for issue type trends using Chart.js.
      * @param {Array} trendData - Data for the chart.
@@ -101,6 +494,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const labels = trendData.map(item => item._id);
         const data = trendData.map(item => item.count);
+        // Each bar is drawn in its category's colour.
+        const colors = trendData.map(item => (categoryFor(item._id) || {}).color || '#3b82f6');
 
         trendsChart = new Chart(chartCanvas, {
             type: 'bar',
@@ -109,8 +504,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 datasets: [{
                     label: 'Number of Reports',
                     data: data,
-                    backgroundColor: 'rgba(59, 130, 246, 0.5)',
-                    borderColor: 'rgba(59, 130, 246, 1)',
+                    backgroundColor: colors.map(color => `${color}80`), // 50% opacity
+                    borderColor: colors,
                     borderWidth: 1
                 }]
             },
@@ -123,6 +518,220 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /**
+     * Fills the status filter dropdown with every status in the workflow, keeping the current selection.
+     */
+    function renderStatusFilter() {
+        const selected = filterStatusEl.value;
+        filterStatusEl.innerHTML = '<option value="">All Statuses</option>' +
+            workflow.statuses.map(status => `<option value="${status}">${status}</option>`).join('');
+        filterStatusEl.value = selected;
+    }
+
+    /**
+     * Fills the ward filter dropdown, keeping the current selection.
+     */
+    function renderWardFilter() {
+        const selected = filterWardEl.value;
+        filterWardEl.innerHTML = '<option value="">All Wards</option>' +
+            allWards.map(ward => `<option value="${ward._id}">${ward.name}${ward.zone ? ` (${ward.zone})` : ''}</option>`).join('');
+        filterWardEl.value = selected;
+        // Hide the filter entirely until some ward boundaries have been imported.
+        filterWardEl.classList.toggle('hidden', allWards.length === 0);
+    }
+
+    /**
+     * Draws every ward's boundary on the map, highlighting the selected ward.
+     */
+    function renderWardOutlines() {
+        if (wardLayer) map.removeLayer(wardLayer);
+        if (allWards.length === 0) return;
+
+        const features = allWards.map(ward => ({
+            type: 'Feature',
+            properties: { _id: ward._id, name: ward.name, code: ward.code, zone: ward.zone },
+            geometry: ward.boundary
+        }));
+        wardLayer = L.geoJSON(features, {
+            style: feature => {
+                const selected = feature.properties._id === filterWardEl.value;
+                return { color: selected ? '#4f46e5' : '#6b7280', weight: selected ? 3 : 1, fillOpacity: selected ? 0.1 : 0.02 };
+            },
+            onEachFeature: (feature, layer) => {
+                layer.bindTooltip(`${feature.properties.name}${feature.properties.zone ? ` · ${feature.properties.zone}` : ''}`);
+            }
+        }).addTo(map);
+        wardLayer.bringToBack();
+    }
+
+    /**
+     * Fills the type, department and assignee filter dropdowns, keeping the current selections.
+     */
+    function renderListFilters() {
+        const fill = (select, firstOptions, options) => {
+            const selected = select.value;
+            select.innerHTML = firstOptions + options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+            select.value = selected;
+        };
+        fill(filterTypeEl, '<option value="">All Types</option>', allCategories.map(c => [c.name, issueTypeLabel(c.name)]));
+        fill(filterDepartmentEl, '<option value="">All Departments</option>', allDepartments.map(d => [d.name, d.name]));
+        fill(filterAssigneeEl, '<option value="">Anyone</option><option value="unassigned">Unassigned</option><option value="me">Assigned to me</option>',
+            allUsers.map(u => [u._id, u.name]));
+        // Other staff only ever see their own department's issues.
+        filterDepartmentEl.classList.toggle('hidden', currentUser.role !== 'admin');
+    }
+
+    /**
+     * Builds the issue list's query parameters from the filter controls (everything except the page and sort order).
+     * @returns {URLSearchParams}
+     */
+    function issueFilterParams() {
+        const params = new URLSearchParams();
+        const add = (name, value) => { if (value) params.set(name, value); };
+        add('status', filterStatusEl.value);
+        add('ward', filterWardEl.value);
+        add('issueType', filterTypeEl.value);
+        add('department', filterDepartmentEl.value);
+        add('assignedTo', filterAssigneeEl.value);
+        add('verified', filterVerifiedEl.value);
+        add('from', filterFromEl.value);
+        add('to', filterToEl.value);
+        add('q', searchIdEl.value.trim());
+        if (filterMapAreaEl.checked) {
+            const bounds = map.getBounds();
+            // Clamp to valid coordinates, since a zoomed-out map can show the world more than once.
+            params.set('bbox', [
+                Math.max(bounds.getWest(), -180), Math.max(bounds.getSouth(), -90),
+                Math.min(bounds.getEast(), 180), Math.min(bounds.getNorth(), 90)
+            ].map(n => n.toFixed(5)).join(','));
+        }
+        return params;
+    }
+
+    // --- Export ---
+
+    /**
+     * Lists the export columns as checkboxes, keeping any choices already made.
+     * @param {Array} columns - '[{ key, label, defaultColumn }]' from GET /api/issues/export/columns.
+     */
+    function renderExportColumns(columns) {
+        const chosen = new Set([...exportColumnsEl.querySelectorAll('input:checked')].map(input => input.value));
+        const hadChoices = exportColumnsEl.children.length > 0;
+        exportColumnsEl.innerHTML = columns.map(column => `
+            <label class="flex items-center gap-2 text-sm">
+                <input type="checkbox" value="${column.key}" ${(hadChoices ? chosen.has(column.key) : column.defaultColumn) ? 'checked' : ''}>
+                ${column.label}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Downloads every issue matching the current filters and sort order, in the chosen format and columns.
+     */
+    async function exportIssues() {
+        const params = issueFilterParams();
+        params.set('sort', listQuery.sort);
+        params.set('format', exportFormatEl.value);
+        const columns = [...exportColumnsEl.querySelectorAll('input:checked')].map(input => input.value);
+        if (columns.length === 0) {
+            alert('Please choose at least one column to export.');
+            return;
+        }
+        params.set('columns', columns.join(','));
+
+        exportBtn.disabled = true;
+        exportBtn.textContent = 'Exporting...';
+        try {
+            const response = await apiFetch(`/api/issues/export?${params}`);
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.message || 'The export failed.');
+            }
+            // The file name comes from the server's Content-Disposition header.
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `issues.${exportFormatEl.value}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            if (authToken) alert(`Error exporting issues: ${error.message}`);
+        } finally {
+            exportBtn.disabled = false;
+            exportBtn.textContent = 'Export';
+        }
+    }
+
+    /**
+     * Fetches the current page of issues for the table and, unless only the page or sort order changed,
+     * the locations of every matching issue for the map.
+     * @param {object} [options]
+     * @param {boolean} [options.updateMap=true] - Also refetch the map points.
+     */
+    async function fetchIssues({ updateMap: refreshMap = true } = {}) {
+        const params = issueFilterParams();
+        const listParams = new URLSearchParams(params);
+        listParams.set('page', listQuery.page);
+        listParams.set('sort', listQuery.sort);
+        // Coloured by priority, the map keeps the most urgent issues when there are too many to show.
+        const pointParams = new URLSearchParams(params);
+        if (mapColourEl.value === 'priority') pointParams.set('sort', '-priorityScore');
+
+        try {
+            const [listRes, pointsRes] = await Promise.all([
+                apiFetch(`/api/issues?${listParams}`),
+                refreshMap ? apiFetch(`/api/issues/points?${pointParams}`) : null
+            ]);
+            const list = await listRes.json();
+            if (!listRes.ok) throw new Error(list.message);
+
+            allIssues = list.issues;
+            listInfo = { page: list.page, limit: list.limit, total: list.total };
+            renderTable(allIssues);
+            renderPagination(list);
+            renderSortIndicators();
+
+            if (pointsRes && pointsRes.ok) {
+                const { points, truncated } = await pointsRes.json();
+                mapPoints = points;
+                updateMap(mapPoints);
+                mapNoteEl.textContent = truncated
+                    ? `Showing the ${points.length} ${mapColourEl.value === 'priority' ? 'highest priority' : 'newest'} matching issues.`
+                    : '';
+                mapNoteEl.classList.toggle('hidden', !truncated);
+            }
+        } catch (error) {
+            console.error('Failed to fetch issues:', error);
+            issuesTbody.innerHTML = `<tr><td colspan="6" class="text-center p-8 text-red-500">Error: ${error.message}</td></tr>`;
+        }
+    }
+
+    /**
+     * Shows which issues are on this page and enables the previous/next buttons.
+     * @param {object} list - The GET /api/issues response.
+     */
+    function renderPagination({ page, limit, total, totalPages }) {
+        const first = total === 0 ? 0 : (page - 1) * limit + 1;
+        pageInfoEl.textContent = `Showing ${first}–${Math.min(page * limit, total)} of ${total} issues`;
+        prevPageBtn.disabled = page <= 1;
+        nextPageBtn.disabled = page >= totalPages;
+    }
+
+    /**
+     * Marks the column the table is sorted by with an arrow.
+     */
+    function renderSortIndicators() {
+        document.querySelectorAll('.sortable-header').forEach(header => {
+            const field = header.dataset.sort;
+            const arrow = listQuery.sort === field ? ' ▲' : listQuery.sort === `-${field}` ? ' ▼' : '';
+            header.textContent = header.textContent.replace(/ [▲▼]$/, '') + arrow;
+        });
+    }
+
     /**
      * Renders the issues data into the main table.
      * @param {Array} issuesToRender - An array of issue objects to display.
@@ -131,7 +740,7 @@ document.addEventListener('DOMContentLoaded', () => {
         issuesTbody.innerHTML = ''; 
 
         if (issuesToRender.length === 0) {
-            issuesTbody.innerHTML = `<tr><td colspan="5" class="text-center p-8 text-gray-500">No issues found.</td></tr>`;
+            issuesTbody.innerHTML = `<tr><td colspan="6" class="text-center p-8 text-gray-500">No issues found.</td></tr>`;
             return;
         }
 
@@ -142,42 +751,83 @@ document.addEventListener('DOMContentLoaded', () => {
             const assignedToName = issue.assignedTo ? issue.assignedTo.name : 'Unassigned';
             const userOptions = allUsers.map(user => 
                 `<option value="${user._id}" ${issue.assignedTo?._id === user._id ? 'selected' : ''}>
-                    ${user.name} (${user.department})
+                    ${user.name} (${user.department})${user.available === false ? ' – unavailable' : ''}
                 </option>`
             ).join('');
+            // Picking someone else by hand overrides the automatic choice.
+            const autoBadge = isAutoAssigned(issue)
+                ? `<span class="status-tag bg-sky-100 text-sky-800 mt-1" title="${escapeHtml(issue.autoAssignment.reason)}">Auto-assigned</span>`
+                : '';
 
             let statusColor = 'bg-gray-200 text-gray-800';
             if (issue.status === 'Acknowledged') statusColor = 'bg-blue-100 text-blue-800';
             if (issue.status === 'In Progress') statusColor = 'bg-yellow-100 text-yellow-800';
             if (issue.status === 'Resolved') statusColor = 'bg-green-100 text-green-800';
+            if (issue.status === 'Reopened') statusColor = 'bg-orange-100 text-orange-800';
+            if (issue.status === 'Rejected') statusColor = 'bg-red-100 text-red-800';
+            if (issue.status === 'Duplicate') statusColor = 'bg-purple-100 text-purple-800';
+
+            const slaBadge = issue.slaStatus ? `<span class="status-tag ${SLA_COLORS[issue.slaStatus]}">SLA: ${issue.slaStatus}</span>` : '';
+            const priorityBadge = issue.priority && issue.priority !== 'Medium'
+                ? `<span class="status-tag ${PRIORITY_COLORS[issue.priority]}">${issue.priority}</span>`
+                : '';
+
+            // Closed issues have no priority score.
+            const scoreBadge = issue.priorityFactors
+                ? `<span class="status-tag ${priorityBand(issue.priorityScore).classes}" title="${escapeHtml(priorityFactorsText(issue.priorityFactors))}">${issue.priorityScore}</span>`
+                : '<span class="text-xs text-gray-400">—</span>';
 
-            // This button uses Alpine.js attributes to open the modal and set the image URL
-            const viewImageButton = issue.imageUrl 
-                ? `<button @click="imageModalOpen = true; modalImageUrl = '${issue.imageUrl}'" class="text-indigo-600 hover:text-indigo-900 text-xs font-medium">View Image</button>` 
+            // Only offer the status changes the workflow allows from the current status.
+            const nextStatuses = workflow.transitions[issue.status] || [];
+            const statusOptions = nextStatuses.map(status => `<option value="${status}">${status}</option>`).join('');
+
+            // Opens the photo gallery (see the 'open-gallery' listener in index.html).
+            const photoCount = issuePhotos(issue).length;
+            const viewImageButton = photoCount > 0
+                ? `<button class="photos-btn text-indigo-600 hover:text-indigo-900 text-xs font-medium" data-id="${issue.issueId}">View ${photoCount > 1 ? `${photoCount} Photos` : 'Image'}</button>`
                 : '<span class="text-xs text-gray-400">No Image</span>';
 
+            // Several citizens may have reported the same problem; show how many.
+            const reportCountBadge = issue.reportCount > 1
+                ? `<span class="ml-1 status-tag bg-indigo-100 text-indigo-800">×${issue.reportCount}</span>`
+                : '';
+            // A possible duplicate that is still open can be merged into the issue it resembles.
+            const duplicateNotice = issue.possibleDuplicateOf && workflow.openStatuses.includes(issue.status)
+                ? `<div class="text-xs text-purple-700">Possible duplicate of #${issue.possibleDuplicateOf}
+                       <button class="merge-btn font-medium underline" data-id="${issue.issueId}" data-into="${issue.possibleDuplicateOf}">Merge</button>
+                   </div>`
+                : '';
+
             row.innerHTML = `
-                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${issue.issueId}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    ${issue.issueId}${reportCountBadge}
+                    ${issue.citizenVerified ? `<div>${VERIFIED_BADGE}</div>` : ''}
+                    <div class="text-xs font-normal text-gray-400">${new Date(issue.createdAt).toLocaleDateString()}</div>
+                    <button @click="detailModalOpen = true" class="details-btn block text-indigo-600 hover:text-indigo-900 text-xs font-medium" data-id="${issue.issueId}">Details</button>
+                </td>
                 <td class="px-6 py-4 text-sm text-gray-900">
-                    <div class="font-bold">${issue.issueType}</div>
-                    <div class="text-gray-500">${issue.location.landmark}</div>
+                    <div class="font-bold">${issueTypeLabel(issue.issueType)}</div>
+                    <div class="text-gray-500">${escapeHtml(issue.location.landmark)}</div>
+                    ${issue.ward ? `<div class="text-xs text-gray-400">${issue.ward.name}</div>` : ''}
+                    ${duplicateNotice}
                      ${viewImageButton}
                 </td>
                 <td class="px-6 py-4 whitespace-nowrap">
                     <span class="status-tag ${statusColor}">${issue.status}</span>
+                    <div class="mt-1 space-x-1">${slaBadge}${priorityBadge}</div>
                 </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm">${scoreBadge}</td>
                 <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     <select class="assign-select w-full rounded-md border-gray-300 shadow-sm text-xs" data-id="${issue.issueId}">
                         <option value="">${assignedToName}</option>
                         ${userOptions}
                     </select>
+                    ${autoBadge}
                 </td>
                 <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <select class="action-select w-full rounded-md border-gray-300 shadow-sm text-xs" data-id="${issue.issueId}" ${issue.status === 'Resolved' ? 'disabled' : ''}>
+                    <select class="action-select w-full rounded-md border-gray-300 shadow-sm text-xs" data-id="${issue.issueId}" ${nextStatuses.length === 0 ? 'disabled' : ''}>
                         <option value="">Set Status</option>
-                        <option value="Acknowledged">Acknowledge</option>
-                        <option value="In Progress">In Progress</option>
-                        <option value="Resolved">Resolve</option>
+                        ${statusOptions}
                     </select>
                 </td>
             `;
@@ -186,113 +836,1324 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     /**
-     * Updates the map with markers and a heatmap based on issue locations.
-     * @param {Array} issues - An array of issue objects.
+     * Describes one history entry in plain words for the timeline.
+     * @param {object} entry - A history entry from the API.
+     * @returns {string} HTML for the entry's headline.
      */
-    function updateMap(issues) {
-        markers.clearLayers();
-        if (heatLayer) map.removeLayer(heatLayer);
-
-        const heatPoints = [];
-        issues.forEach(issue => {
-            if (issue.location && issue.location.coordinates) {
-                const [lon, lat] = issue.location.coordinates;
-                L.marker([lat, lon]).addTo(markers)
-                  .bindPopup(`<b>${issue.issueType} (#${issue.issueId})</b><br>${issue.description}<br>Status: ${issue.status}`);
-                
-                if (issue.status !== 'Resolved') {
-                    heatPoints.push([lat, lon, 0.8]);
-                }
-            }
-        });
-        
-        if (heatPoints.length > 0) {
-            heatLayer = L.heatLayer(heatPoints, { radius: 25, blur: 15 }).addTo(map);
+    function describeHistoryEntry(entry) {
+        switch (entry.action) {
+            case 'created':
+                return `Issue reported (${escapeHtml(entry.reason || 'web')})`;
+            case 'status_changed':
+                return `Status changed from <b>${escapeHtml(entry.from)}</b> to <b>${escapeHtml(entry.to)}</b>`;
+            case 'assigned':
+                return entry.from
+                    ? `Reassigned from <b>${escapeHtml(entry.from)}</b> to <b>${escapeHtml(entry.to)}</b>`
+                    : `Assigned to <b>${escapeHtml(entry.to)}</b>`;
+            case 'edited':
+                return `Edited <b>${escapeHtml(entry.field)}</b>: "${escapeHtml(entry.from)}" → "${escapeHtml(entry.to)}"`;
+            case 'report_attached':
+                return `Reported again by another citizen (now ${escapeHtml(entry.to)} reports)`;
+            case 'merged':
+                return `Duplicate issue merged in (now ${escapeHtml(entry.to)} reports)`;
+            case 'escalated':
+                return `Escalated: priority <b>${escapeHtml(entry.from)}</b> → <b>${escapeHtml(entry.to)}</b>`;
+            case 'feedback':
+                return entry.to === 'confirmed' ? 'Citizen confirmed the fix' : 'Citizen disputed the fix';
+            default:
+                return escapeHtml(entry.action);
         }
     }
 
     /**
-     * Filters and searches the master list of issues and re-renders the table.
+     * The photos of an issue or additional report. Reports from before multiple photos were supported
+     * only have an 'imageUrl', which is used as its own thumbnail.
+     * @param {object} report - An issue, or one of its 'additionalReports'.
+     * @returns {object[]} '{ url, thumbnailUrl, caption }' for each photo.
      */
-    function applyFilters() {
-        const statusFilter = filterStatusEl.value;
-        const searchTerm = searchIdEl.value.trim().toLowerCase();
-
-        let filteredIssues = allIssues;
+    function issuePhotos(report) {
+        const photos = report.photos && report.photos.length > 0
+            ? report.photos
+            : (report.imageUrl ? [{ url: report.imageUrl, thumbnailUrl: report.imageUrl }] : []);
+        return photos.map(photo => ({ url: photo.url, thumbnailUrl: photo.thumbnailUrl, caption: photoWarnings(photo).join(' ') }));
+    }
 
-        if (statusFilter) {
-            filteredIssues = filteredIssues.filter(issue => issue.status === statusFilter);
+    /**
+     * Explains what a photo's EXIF data says that doesn't fit the report.
+     * @param {object} photo - An entry of 'photos'.
+     * @returns {string[]}
+     */
+    function photoWarnings(photo) {
+        const warnings = [];
+        if (photo.locationMismatch) {
+            const distance = photo.distanceMeters >= 1000 ? `${(photo.distanceMeters / 1000).toFixed(1)} km` : `${photo.distanceMeters} m`;
+            warnings.push(`Taken ${distance} from the reported location.`);
         }
+        if (photo.takenLongBefore) warnings.push(`Taken on ${new Date(photo.takenAt).toLocaleDateString()}, long before it was reported.`);
+        return warnings;
+    }
 
-        if (searchTerm) {
-            filteredIssues = filteredIssues.filter(issue => issue.issueId.includes(searchTerm));
-        }
+    /**
+     * A row of photo thumbnails that open the gallery.
+     * @param {object[]} photos - From issuePhotos().
+     * @returns {string} HTML, or an empty string if there are none.
+     */
+    function photoThumbnailsHtml(photos) {
+        if (photos.length === 0) return '';
+        const thumbnails = photos.map((photo, index) => `
+            <button class="gallery-thumb relative" data-index="${index}" title="${photo.caption}">
+                <img src="${photo.thumbnailUrl}" alt="Photo ${index + 1}" class="h-20 w-20 object-cover rounded">
+                ${photo.caption ? '<span class="absolute top-0 right-0 bg-amber-400 text-white text-xs rounded-full px-1">!</span>' : ''}
+            </button>`).join('');
+        return `<div class="photo-strip flex flex-wrap gap-2 my-2" data-photos="${escapeHtml(JSON.stringify(photos))}">${thumbnails}</div>`;
+    }
 
-        renderTable(filteredIssues);
+    /**
+     * Opens the photo gallery modal.
+     * @param {object[]} photos - From issuePhotos().
+     * @param {number} [index] - The photo to show first.
+     */
+    function openGallery(photos, index = 0) {
+        window.dispatchEvent(new CustomEvent('open-gallery', { detail: { photos, index } }));
     }
-    
-    function showLoadingState() {
-        issuesTbody.innerHTML = `<tr><td colspan="5" class="text-center p-8 text-gray-500">Loading issues...</td></tr>`;
-        const loadingText = '...';
-        document.getElementById('total-pending').textContent = loadingText;
-        document.getElementById('total-resolved').textContent = loadingText;
-        document.getElementById('avg-resolution-time').textContent = loadingText;
-        document.getElementById('most-reported-type').textContent = loadingText;
+
+    /**
+     * Shows how the issue was last resolved (the note and "after" photos) and what citizens said about it.
+     * @param {object} issue - The issue with its 'resolution' and 'feedback'.
+     * @returns {string} HTML, or an empty string if it was never resolved with proof.
+     */
+    function resolutionHtml(issue) {
+        if (!issue.resolution || !issue.resolution.resolvedAt) return '';
+        const answers = (issue.feedback || []).map(entry => `
+            <li class="text-sm ${entry.outcome === 'disputed' ? 'text-red-700' : 'text-green-700'}">
+                ${entry.outcome === 'disputed' ? 'Disputed' : 'Confirmed'}${entry.rating ? ` · ${'★'.repeat(entry.rating)}` : ''}
+                · ${escapeHtml(entry.citizenContact)} · ${new Date(entry.at).toLocaleString()}
+                ${entry.comment ? `<div class="text-gray-500">${escapeHtml(entry.comment)}</div>` : ''}
+            </li>`).join('');
+        return `
+            <h3 class="text-lg font-semibold text-gray-800 mb-2">Resolution</h3>
+            <p class="text-sm text-gray-700">${escapeHtml(issue.resolution.note || '')}</p>
+            <p class="text-xs text-gray-400">${new Date(issue.resolution.resolvedAt).toLocaleString()}</p>
+            ${photoThumbnailsHtml(issuePhotos(issue.resolution))}
+            ${answers ? `<h4 class="font-semibold text-gray-700 mt-2">Citizen Feedback</h4><ul class="mb-4 space-y-1">${answers}</ul>` : '<p class="mb-4 text-sm text-gray-500">No citizen feedback yet.</p>'}`;
     }
 
-    // --- Event Listeners ---
-    issuesTbody.addEventListener('change', async (e) => {
-        const target = e.target;
-        const issueId = target.dataset.id;
-        if (!issueId) return;
+    /**
+     * Shows an issue's comment thread, oldest first. @-mentions of staff are highlighted.
+     * @param {object[]} comments - From GET /api/issues/:issueId/comments.
+     * @returns {string} HTML.
+     */
+    function commentsHtml(comments) {
+        if (comments.length === 0) return '<p class="text-sm text-gray-500 mb-2">No comments yet.</p>';
+        return comments.map(comment => {
+            let body = escapeHtml(comment.body);
+            comment.mentions.forEach(user => {
+                body = body.split(`@${escapeHtml(user.name)}`).join(`<span class="font-semibold text-indigo-700">@${escapeHtml(user.name)}</span>`);
+            });
+            const badge = comment.visibility === 'internal'
+                ? '<span class="px-2 text-xs font-semibold rounded-full bg-gray-200 text-gray-700">Internal note</span>'
+                : '<span class="px-2 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">Public</span>';
+            const author = comment.authorType === 'citizen' ? `Citizen (${escapeHtml(comment.citizenContact)})` : escapeHtml(comment.authorName);
+            return `
+                <li class="p-3 rounded-lg ${comment.authorType === 'citizen' ? 'bg-blue-50' : comment.visibility === 'internal' ? 'bg-yellow-50' : 'bg-gray-50'}">
+                    <div class="text-xs text-gray-500 mb-1">${badge} ${author} · ${new Date(comment.createdAt).toLocaleString()}</div>
+                    <div class="text-sm text-gray-800 whitespace-pre-line">${body}</div>
+                </li>`;
+        }).join('');
+    }
 
-        try {
-            let response;
-            if (target.classList.contains('action-select')) {
-                const status = target.value;
-                if (!status) return;
-                response = await fetch('/api/update_status', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ issueId, status })
-                });
-            } else if (target.classList.contains('assign-select')) {
-                const userId = target.value;
-                if (!userId) return;
-                response = await fetch('/api/assign_issue', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ issueId, userId })
-                });
-            }
+    /**
+     * Builds the form for adding a comment to an issue. Colleagues are mentioned by typing '@' and their full name.
+     * @param {string} issueId
+     * @returns {string} HTML.
+     */
+    function commentFormHtml(issueId) {
+        const userOptions = allUsers.map(user => `<option value="${escapeHtml(user.name)}">${escapeHtml(user.name)}</option>`).join('');
+        return `
+            <form id="comment-form" data-id="${issueId}" class="mb-4 space-y-2">
+                <textarea name="body" rows="3" maxlength="2000" required placeholder="Add a note for colleagues (type @Full Name to mention someone) or a message to the citizen" class="w-full p-2 border border-gray-300 rounded-md text-sm"></textarea>
+                <div class="flex flex-wrap items-center gap-2">
+                    <select name="visibility" class="p-1 border border-gray-300 rounded-md text-sm">
+                        <option value="internal">Internal note (staff only)</option>
+                        <option value="public">Public message (sent to the citizen)</option>
+                    </select>
+                    ${userOptions ? `<select class="mention-select p-1 border border-gray-300 rounded-md text-sm"><option value="">Mention…</option>${userOptions}</select>` : ''}
+                    <button type="submit" class="ml-auto bg-indigo-600 text-white text-sm font-medium py-1 px-3 rounded-md hover:bg-indigo-700">Post</button>
+                </div>
+            </form>`;
+    }
 
-            if (response && response.ok) {
-                const { issue: updatedIssue } = await response.json();
-                
-                const issueIndex = allIssues.findIndex(i => i._id === updatedIssue._id);
-                if (issueIndex !== -1) {
-                    allIssues[issueIndex] = updatedIssue;
-                }
-                
-                renderTable(allIssues);
-                fetchAndRefreshAnalytics();
+    /**
+     * Posts a comment from the comment form, then reloads the issue.
+     * @param {HTMLFormElement} form
+     */
+    async function postComment(form) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        try {
+            const response = await apiFetch(`/api/issues/${form.dataset.id}/comments`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body: form.body.value, visibility: form.visibility.value })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+            form.body.value = '';
+            showIssueDetails(form.dataset.id, result.message);
+        } catch (error) {
+            if (authToken) alert(`Error: ${error.message}`);
+            submitBtn.disabled = false;
+        }
+    }
 
-            } else if (response) {
+    /**
+     * Opens the resolve form for an issue.
+     * @param {string} issueId
+     */
+    function openResolveForm(issueId) {
+        resolveForm.reset();
+        resolveForm.dataset.id = issueId;
+        document.getElementById('resolve-issue-id').textContent = `#${issueId}`;
+        resolveErrorEl.classList.add('hidden');
+        window.dispatchEvent(new CustomEvent('open-resolve'));
+    }
+
+    /**
+     * Lists the other citizens who reported the same problem.
+     * @param {object} issue - The issue with its 'additionalReports'.
+     * @returns {string} HTML, or an empty string if there are none.
+     */
+    function additionalReportsHtml(issue) {
+        if (!issue.additionalReports || issue.additionalReports.length === 0) return '';
+        const items = issue.additionalReports.map(report => `
+            <li class="text-sm text-gray-600">
+                ${report.issueId ? `#${report.issueId} · ` : ''}${escapeHtml(report.citizenContact || 'No contact')}${report.citizenVerified ? ` ${VERIFIED_BADGE}` : ''} · ${new Date(report.reportedAt).toLocaleString()}
+                ${report.description ? `<div class="text-gray-500">${escapeHtml(report.description)}</div>` : ''}
+                ${photoThumbnailsHtml(issuePhotos(report))}
+            </li>`).join('');
+        return `<h3 class="text-lg font-semibold text-gray-800 mb-2">Other Reports (${issue.additionalReports.length})</h3><ul class="mb-4 space-y-2">${items}</ul>`;
+    }
+
+    /**
+     * Whether an issue is still with the person it was given to automatically (nobody has assigned it by hand since).
+     * @param {object} issue - An issue from the API.
+     * @returns {boolean}
+     */
+    function isAutoAssigned(issue) {
+        const decision = issue.autoAssignment;
+        const assigneeId = issue.assignedTo && (issue.assignedTo._id || issue.assignedTo);
+        return Boolean(decision && !decision.overridden && decision.assignedTo && decision.assignedTo === assigneeId);
+    }
+
+    /**
+     * Explains the issue's latest automatic assignment: the strategy, why that person was chosen,
+     * and how every available staff member compared.
+     * @param {object} issue - The issue with its 'autoAssignment'.
+     * @returns {string} HTML, or an empty string if it was never assigned automatically.
+     */
+    function autoAssignmentHtml(issue) {
+        const decision = issue.autoAssignment;
+        if (!decision || !decision.strategy) return '';
+        const strategy = assignmentStrategies.find(entry => entry.name === decision.strategy);
+        const rows = decision.candidates.map(candidate => `
+            <tr class="border-t border-gray-100 ${candidate.user === decision.assignedTo ? 'font-semibold text-gray-900' : ''}">
+                <td class="py-1">${escapeHtml(candidate.name)}</td>
+                <td class="py-1">${candidate.openIssues}</td>
+                <td class="py-1">${candidate.distanceMeters !== undefined ? `${(candidate.distanceMeters / 1000).toFixed(1)} km` : '—'}</td>
+            </tr>`).join('');
+        return `
+            <h3 class="text-lg font-semibold text-gray-800 mb-2">Automatic Assignment</h3>
+            <p class="text-sm text-gray-700">${escapeHtml(decision.reason)}</p>
+            <p class="text-xs text-gray-400">${strategy ? strategy.label : decision.strategy} · when ${decision.trigger === 'escalated' ? 'escalated' : 'reported'} · ${new Date(decision.at).toLocaleString()}${decision.overridden ? ' · <span class="text-orange-700">overridden by hand since</span>' : ''}</p>
+            ${rows ? `
+                <table class="mt-2 mb-4 min-w-full text-sm text-gray-600">
+                    <thead><tr class="text-left text-xs text-gray-500 uppercase"><th class="py-1">Available Staff</th><th class="py-1">Open Issues</th><th class="py-1">Last Worked</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>` : '<p class="mb-4"></p>'}`;
+    }
+
+    /**
+     * The band a priority score falls in, for its colour and label.
+     * @param {number} score - 0 to 100.
+     * @returns {{ min: number, label: string, color: string, classes: string }}
+     */
+    function priorityBand(score) {
+        return PRIORITY_BANDS.find(band => (score || 0) >= band.min);
+    }
+
+    /**
+     * Describes what an issue's priority score is made of, e.g. "Severity 0.75 · Reports 0.33 · SLA 0.5 · Proximity 0.6 (hospital, 120 m)".
+     * @param {object} factors - The issue's 'priorityFactors'.
+     * @returns {string}
+     */
+    function priorityFactorsText(factors) {
+        const place = factors.nearestPlace;
+        const near = place ? ` (${place.kind.replace('_', ' ')}${place.name ? ` ${place.name}` : ''}, ${place.distanceMeters} m)` : '';
+        return `Severity ${factors.severity} · Reports ${factors.reports} · SLA ${factors.sla} · Proximity ${factors.proximity}${near}`;
+    }
+
+    /**
+     * Shows the colours used when the map is coloured by priority.
+     */
+    function renderPriorityLegend() {
+        priorityLegendEl.innerHTML = PRIORITY_BANDS.map((band, index) => `
+            <span class="inline-flex items-center"><span class="inline-block h-3 w-3 rounded-full mr-1" style="background:${band.color}"></span>${band.label} (${index === 0 ? `${band.min}+` : `${band.min}–${PRIORITY_BANDS[index - 1].min - 1}`})</span>`
+        ).join('') + '<span class="inline-flex items-center"><span class="inline-block h-3 w-3 rounded-full mr-1 bg-gray-400"></span>Closed</span>';
+    }
+
+    /**
+     * Merges one issue into another after confirming with the user, then reloads the dashboard.
+     * @param {string} issueId - The duplicate issue to merge away.
+     * @param {string} [into] - The canonical issue to keep. Asked for if not given.
+     */
+    async function mergeIssue(issueId, into) {
+        into = into || prompt(`Merge #${issueId} into which issue? Enter its 6-digit ID:`);
+        if (!into) return;
+        if (!confirm(`Merge #${issueId} into #${into.trim()}? #${issueId} will be closed as a duplicate.`)) return;
+
+        try {
+            const response = await apiFetch(`/api/issues/${issueId}/merge`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ into: into.trim() })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+            fetchData();
+        } catch (error) {
+            if (authToken) alert(`Error merging issues: ${error.message}`);
+        }
+    }
+
+    /**
+     * Loads one issue with its full history and shows it in the detail modal as a timeline.
+     * @param {string} issueId - The 6-digit issue ID.
+     */
+    async function showIssueDetails(issueId, notice = '') {
+        openIssueId = issueId;
+        // A live refresh mustn't throw away a comment that is being written.
+        const draftInput = issueDetailBody.querySelector('#comment-form textarea');
+        const draft = draftInput && draftInput.closest('form').dataset.id === issueId ? draftInput.value : '';
+        if (!notice) issueDetailBody.innerHTML = '<p class="text-gray-500">Loading issue details...</p>';
+        try {
+            const [response, commentsRes] = await Promise.all([
+                apiFetch(`/api/issues/${issueId}`),
+                apiFetch(`/api/issues/${issueId}/comments`)
+            ]);
+            const issue = await response.json();
+            if (!response.ok) throw new Error(issue.message);
+            const comments = commentsRes.ok ? await commentsRes.json() : [];
+
+            // Newest first. Entries copied in from merged issues are interleaved by time.
+            const history = [...issue.history].sort((a, b) => new Date(b.at) - new Date(a.at));
+            const timelineHtml = history.map(entry => {
+                // A created entry has no reason worth repeating under the headline.
+                const reason = entry.reason && entry.action !== 'created'
+                    ? `<div class="text-gray-600 italic">"${escapeHtml(entry.reason)}"</div>`
+                    : '';
+                const actor = entry.actorName || (entry.actorType === 'citizen' ? 'Citizen' : 'System');
+                return `
+                    <li class="relative pl-6 pb-4 border-l border-gray-200 last:pb-0">
+                        <span class="absolute -left-1.5 top-1 h-3 w-3 rounded-full bg-indigo-500"></span>
+                        <div class="text-sm text-gray-900">${describeHistoryEntry(entry)}${entry.mergedFrom ? ` <span class="text-xs text-purple-700">(from #${entry.mergedFrom})</span>` : ''}</div>
+                        ${reason}
+                        <div class="text-xs text-gray-500">${escapeHtml(actor)} · ${new Date(entry.at).toLocaleString()}</div>
+                    </li>`;
+            }).join('');
+
+            issueDetailBody.innerHTML = `
+                ${notice ? `<p class="mb-3 p-2 rounded bg-yellow-50 text-sm text-yellow-800">${notice}</p>` : ''}
+                <h2 class="text-xl font-bold text-gray-900">${escapeHtml(issueTypeLabel(issue.issueType))} (#${issue.issueId})</h2>
+                <p class="text-sm text-gray-500 mb-2">${escapeHtml(issue.location.landmark)} · ${escapeHtml(issue.assignedDepartment)}${issue.assignedTeam ? ` / ${escapeHtml(issue.assignedTeam)}` : ''}${issue.ward ? ` · Ward: ${escapeHtml(issue.ward.name)}` : ''}</p>
+                <p class="text-gray-700 mb-4">${escapeHtml(issue.description)}</p>
+                ${photoThumbnailsHtml(issuePhotos(issue))}
+                <p class="text-sm text-gray-600 mb-4"><b>Contact:</b> ${escapeHtml(issue.citizenContact || 'Not recorded')}${issue.citizenVerified ? ` ${VERIFIED_BADGE}` : ' <span class="text-xs text-gray-400">(not verified)</span>'} · <b>Status:</b> ${issue.status}</p>
+                ${issue.priorityFactors
+                    ? `<p class="text-sm text-gray-600 mb-4"><b>Priority score:</b> <span class="status-tag ${priorityBand(issue.priorityScore).classes}">${issue.priorityScore} · ${priorityBand(issue.priorityScore).label}</span> <span class="text-xs text-gray-500">${escapeHtml(priorityFactorsText(issue.priorityFactors))}</span></p>`
+                    : ''}
+                ${resolutionHtml(issue)}
+                ${autoAssignmentHtml(issue)}
+                ${additionalReportsHtml(issue)}
+                ${workflow.openStatuses.includes(issue.status)
+                    ? `<button class="merge-btn mb-4 text-sm text-purple-700 font-medium underline" data-id="${issue.issueId}">Merge into another issue…</button>`
+                    : ''}
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Comments</h3>
+                <ul class="space-y-2 mb-2">${commentsHtml(comments)}</ul>
+                ${commentFormHtml(issue.issueId)}
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">History</h3>
+                <ul class="ml-2">${timelineHtml || '<li class="text-gray-500 text-sm">No history recorded.</li>'}</ul>
+            `;
+            issueDetailBody.querySelector('#comment-form textarea').value = draft;
+        } catch (error) {
+            issueDetailBody.innerHTML = `<p class="text-red-500">Could not load issue details: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Updates the map with markers and a heatmap based on issue locations.
+     * Coloured by priority, each issue is a dot in the colour of its priority band instead of a pin.
+     * @param {Array} issues - An array of issue objects (or map points from GET /api/issues/points).
+     */
+    function updateMap(issues) {
+        markers.clearLayers();
+        if (heatLayer) map.removeLayer(heatLayer);
+
+        const byPriority = mapColourEl.value === 'priority';
+        const heatPoints = [];
+        issues.forEach(issue => {
+            if (issue.location && issue.location.coordinates) {
+                const [lon, lat] = issue.location.coordinates;
+                const popup = `<b>${escapeHtml(issue.issueType)} (#${issue.issueId})</b><br>${escapeHtml(issue.description)}<br>Status: ${issue.status}`;
+                if (byPriority) {
+                    const isOpen = workflow.openStatuses.includes(issue.status);
+                    const color = isOpen ? priorityBand(issue.priorityScore).color : '#9ca3af';
+                    L.circleMarker([lat, lon], { radius: 8, color: '#ffffff', weight: 1, fillColor: color, fillOpacity: 0.9 }).addTo(markers)
+                      .bindPopup(`${popup}${isOpen ? `<br>Priority score: ${issue.priorityScore || 0}` : ''}`);
+                } else {
+                    L.marker([lat, lon]).addTo(markers).bindPopup(popup);
+                }
+                
+                if (issue.status !== 'Resolved') {
+                    heatPoints.push([lat, lon, 0.8]);
+                }
+            }
+        });
+        
+        if (heatPoints.length > 0) {
+            heatLayer = L.heatLayer(heatPoints, { radius: 25, blur: 15 }).addTo(map);
+        }
+    }
+
+    /**
+     * Reloads the table from its first page (and the map) after a filter changed.
+     */
+    function applyFilters() {
+        listQuery.page = 1;
+        fetchIssues();
+    }
+    
+    function showLoadingState() {
+        issuesTbody.innerHTML = `<tr><td colspan="6" class="text-center p-8 text-gray-500">Loading issues...</td></tr>`;
+        const loadingText = '...';
+        document.getElementById('total-pending').textContent = loadingText;
+        document.getElementById('total-resolved').textContent = loadingText;
+        document.getElementById('avg-resolution-time').textContent = loadingText;
+        document.getElementById('most-reported-type').textContent = loadingText;
+    }
+
+    // --- Live Updates ---
+
+    /**
+     * Shows whether the live update stream is connected.
+     * @param {string} state - 'live', 'connecting' or 'offline'.
+     */
+    function setLiveStatus(state) {
+        const labels = { live: 'Live', connecting: 'Connecting…', offline: 'Offline' };
+        const colors = { live: 'bg-green-500', connecting: 'bg-yellow-400', offline: 'bg-gray-400' };
+        liveStatusEl.querySelector('.live-label').textContent = labels[state];
+        liveStatusEl.querySelector('.live-dot').className = `live-dot h-2 w-2 rounded-full mr-1 ${colors[state]}`;
+        liveStatusEl.classList.remove('hidden');
+    }
+
+    function stopLiveUpdates() {
+        if (liveController) liveController.abort();
+        liveController = null;
+        liveStatusEl.classList.add('hidden');
+    }
+
+    /**
+     * Opens the stream of issue changes (GET /api/events) and applies each one as it arrives.
+     * EventSource can't send the session token, so the stream is read with fetch(). If the connection
+     * drops, it reconnects and reloads the issues to catch up on anything missed in between.
+     * @param {boolean} [isReconnect]
+     */
+    async function connectLiveUpdates(isReconnect = false) {
+        if (liveController) liveController.abort();
+        const controller = new AbortController();
+        liveController = controller;
+        setLiveStatus('connecting');
+
+        try {
+            const response = await apiFetch('/api/events', { signal: controller.signal });
+            if (!response.ok) throw new Error(`The server responded with ${response.status}.`);
+            setLiveStatus('live');
+            if (isReconnect) {
+                fetchIssues();
+                fetchAndRefreshAnalytics();
+            }
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+                // Events are separated by a blank line.
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = parseServerEvent(block);
+                    if (event) handleIssueEvent(event.type, event.data);
+                }
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('Live updates disconnected:', error);
+        }
+
+        if (controller !== liveController || !authToken) return;
+        setLiveStatus('offline');
+        setTimeout(() => {
+            if (controller === liveController && authToken) connectLiveUpdates(true);
+        }, LIVE_RETRY_MS);
+    }
+
+    /**
+     * Parses one Server-Sent Event ('event: …' and 'data: …' lines). Comments (heartbeats) give null.
+     * @param {string} block
+     * @returns {{ type: string, data: object }|null}
+     */
+    function parseServerEvent(block) {
+        let type = 'message';
+        const data = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) type = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        });
+        return data.length > 0 ? { type, data: JSON.parse(data.join('\n')) } : null;
+    }
+
+    /**
+     * Whether an issue matches the table's current filters, so a live change can be shown without asking
+     * the server. Keyword search is approximated by looking for any of the words.
+     * @param {object} issue
+     * @returns {boolean}
+     */
+    function matchesFilters(issue) {
+        const params = issueFilterParams();
+        const allows = (name, value) => !params.get(name) || params.get(name).split(',').includes(value);
+        if (!allows('status', issue.status) || !allows('issueType', issue.issueType) || !allows('department', issue.assignedDepartment)) return false;
+
+        const assignee = params.get('assignedTo');
+        const assigneeId = issue.assignedTo ? issue.assignedTo._id : null;
+        if (assignee === 'unassigned' ? assigneeId : assignee === 'me' ? assigneeId !== currentUser._id : assignee && assigneeId !== assignee) return false;
+        if (params.get('ward') && (!issue.ward || issue.ward._id !== params.get('ward'))) return false;
+        if (params.get('verified') && String(Boolean(issue.citizenVerified)) !== params.get('verified')) return false;
+
+        const reportedAt = new Date(issue.createdAt);
+        if (params.get('from') && reportedAt < new Date(params.get('from'))) return false;
+        if (params.get('to') && reportedAt >= new Date(new Date(params.get('to')).getTime() + 24 * 60 * 60 * 1000)) return false;
+        if (filterMapAreaEl.checked) {
+            const [lng, lat] = issue.location.coordinates;
+            if (!map.getBounds().contains([lat, lng])) return false;
+        }
+
+        const search = params.get('q');
+        if (!search) return true;
+        if (/^#?\d{6}$/.test(search)) return issue.issueId === search.replace('#', '');
+        const text = `${issue.description} ${issue.location.landmark || ''}`.toLowerCase();
+        return search.toLowerCase().split(/\s+/).some(word => text.includes(word));
+    }
+
+    /**
+     * Applies a live issue event: patches the table, the map and the analytics cards, and tells the user
+     * when somebody else changed an issue (reloading it if it is open in the detail view).
+     * @param {string} type - 'issue.created', 'issue.updated' or 'issue.assigned'.
+     * @param {object} data - '{ issue, actor, at }'.
+     */
+    function handleIssueEvent(type, { issue, actor }) {
+        if (!type.startsWith('issue.')) return;
+        const matches = matchesFilters(issue);
+
+        // --- Table ---
+        const index = allIssues.findIndex(item => item.issueId === issue.issueId);
+        if (index !== -1 && matches) {
+            allIssues[index] = issue;
+        } else if (index !== -1) {
+            allIssues.splice(index, 1);
+            listInfo.total--;
+        } else if (type === 'issue.created' && matches) {
+            listInfo.total++;
+            // New issues belong at the top of the first page when the table is sorted newest first.
+            if (listInfo.page === 1 && listQuery.sort === '-createdAt') {
+                allIssues.unshift(issue);
+                if (allIssues.length > listInfo.limit) allIssues.pop();
+            }
+        }
+        renderTable(allIssues);
+        renderPagination({ ...listInfo, totalPages: Math.ceil(listInfo.total / listInfo.limit) });
+
+        // --- Map ---
+        const pointIndex = mapPoints.findIndex(point => point.issueId === issue.issueId);
+        if (pointIndex !== -1 && matches) mapPoints[pointIndex] = issue;
+        else if (pointIndex !== -1) mapPoints.splice(pointIndex, 1);
+        else if (matches) mapPoints.unshift(issue);
+        updateMap(mapPoints);
+
+        scheduleAnalyticsRefresh();
+
+        // --- Notices ---
+        const byMe = actor && currentUser && actor.id === currentUser._id;
+        if (byMe) return;
+        const label = `${issueTypeLabel(issue.issueType)} #${issue.issueId}`;
+        const by = actor ? ` by ${actor.name}` : '';
+        const messages = {
+            'issue.created': `New report: ${label}`,
+            'issue.updated': `${label} was updated${by} (now ${issue.status}).`,
+            'issue.assigned': `${label} was assigned to ${issue.assignedTo ? issue.assignedTo.name : 'nobody'}${by}.`,
+            'issue.commented': actor ? `${actor.name} commented on ${label}.` : `The citizen replied on ${label}.`
+        };
+        showToast(messages[type]);
+        if (openIssueId === issue.issueId && type !== 'issue.created') {
+            showIssueDetails(issue.issueId, `This issue was just changed${by}. You are seeing the latest version.`);
+        }
+    }
+
+    // Several events often arrive together (e.g. a merge), so the analytics are refreshed once after they settle.
+    let analyticsRefreshTimer = null;
+    function scheduleAnalyticsRefresh() {
+        clearTimeout(analyticsRefreshTimer);
+        analyticsRefreshTimer = setTimeout(fetchAndRefreshAnalytics, 2000);
+    }
+
+    /**
+     * Shows a short notice in the corner of the screen for a few seconds.
+     * @param {string} message
+     */
+    function showToast(message) {
+        const toast = document.createElement('div');
+        toast.className = 'bg-gray-800 text-white text-sm px-4 py-3 rounded-lg shadow-lg';
+        toast.textContent = message;
+        liveToastsEl.appendChild(toast);
+        // Keep at most a handful on screen.
+        while (liveToastsEl.children.length > 4) liveToastsEl.firstChild.remove();
+        setTimeout(() => toast.remove(), 6000);
+    }
+
+    // --- Settings: Categories & Departments (admins only) ---
+
+    /**
+     * Renders the category table, the department list (with automatic assignment), the department choices in the
+     * category form and the staff availability.
+     */
+    function renderSettings() {
+        categoriesTbody.innerHTML = allCategories.map(category => `
+            <tr class="border-t border-gray-100 ${category.active ? '' : 'text-gray-400'}">
+                <td class="py-2">
+                    <span class="inline-block w-3 h-3 rounded-full align-middle mr-1" style="background:${category.color}"></span>
+                    ${issueTypeLabel(category.name)}${category.active ? '' : ' (inactive)'}
+                </td>
+                <td class="py-2">${category.defaultDepartment}</td>
+                <td class="py-2">${category.defaultPriority}</td>
+                <td class="py-2">${category.requiredFields.join(', ') || '—'}</td>
+                <td class="py-2 space-x-2 whitespace-nowrap">
+                    <button class="edit-category-btn text-indigo-600 hover:underline" data-id="${category._id}">Edit</button>
+                    <button class="toggle-category-btn text-gray-600 hover:underline" data-id="${category._id}">${category.active ? 'Deactivate' : 'Activate'}</button>
+                    <button class="delete-category-btn text-red-600 hover:underline" data-id="${category._id}">Delete</button>
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="5" class="py-2 text-gray-500">No categories yet.</td></tr>';
+
+        departmentsList.innerHTML = allDepartments.map(department => {
+            const autoAssign = department.autoAssign || { enabled: false };
+            const strategyOptions = assignmentStrategies.map(strategy =>
+                `<option value="${strategy.name}" title="${strategy.description}" ${strategy.name === autoAssign.strategy ? 'selected' : ''}>${strategy.label}</option>`).join('');
+            return `
+                <li class="py-2 ${department.active ? '' : 'text-gray-400'}">
+                    <div class="flex justify-between items-center">
+                        <span>${department.name}${department.active ? '' : ' (inactive)'}</span>
+                        <span class="space-x-2">
+                            <button class="toggle-department-btn text-gray-600 hover:underline" data-id="${department._id}">${department.active ? 'Deactivate' : 'Activate'}</button>
+                            <button class="delete-department-btn text-red-600 hover:underline" data-id="${department._id}">Delete</button>
+                        </span>
+                    </div>
+                    <div class="mt-1 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                        <label><input type="checkbox" class="auto-assign-toggle" data-id="${department._id}" ${autoAssign.enabled ? 'checked' : ''}> Assign automatically</label>
+                        <select class="auto-assign-strategy p-1 border border-gray-300 rounded-md" data-id="${department._id}" ${autoAssign.enabled ? '' : 'disabled'}>${strategyOptions}</select>
+                    </div>
+                </li>
+            `;
+        }).join('') || '<li class="py-2 text-gray-500">No departments yet.</li>';
+
+        renderAvailability();
+
+        const departmentSelect = document.getElementById('category-department');
+        const selected = departmentSelect.value;
+        departmentSelect.innerHTML = '<option value="" disabled selected>Default department...</option>' +
+            allDepartments.filter(department => department.active)
+                .map(department => `<option value="${department.name}">${department.name}</option>`).join('');
+        departmentSelect.value = selected;
+    }
+
+    // Weekdays as the API numbers them (0 = Sunday), for writing shifts.
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    /**
+     * Writes a staff member's shifts as text, e.g. "Mon 09:00-17:00, Tue 09:00-17:00".
+     * @param {object[]} shifts - '{ day, start, end }' from the API.
+     * @returns {string}
+     */
+    function formatShifts(shifts) {
+        return (shifts || []).map(shift => `${WEEKDAYS[shift.day]} ${shift.start}-${shift.end}`).join(', ');
+    }
+
+    /**
+     * Reads shifts written as "Mon 09:00-17:00, Tue 09:00-17:00".
+     * @param {string} text
+     * @returns {object[]} '{ day, start, end }' for the API.
+     * @throws {Error} If a shift can't be read.
+     */
+    function parseShifts(text) {
+        return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\w{3})\w*\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+            const day = match ? WEEKDAYS.findIndex(name => name.toLowerCase() === match[1].toLowerCase()) : -1;
+            if (day === -1) throw new Error(`Can't read the shift "${part}". Write it like "Mon 09:00-17:00".`);
+            return { day, start: match[2].padStart(5, '0'), end: match[3].padStart(5, '0') };
+        });
+    }
+
+    /**
+     * Lists the field staff with whether they're available and their shifts, for automatic assignment.
+     */
+    function renderAvailability() {
+        availabilityTbody.innerHTML = allUsers.filter(user => user.role === 'field_staff').map(user => `
+            <tr class="border-t border-gray-100" data-id="${user._id}">
+                <td class="py-2">${escapeHtml(user.name)} <span class="text-gray-500">(${user.department})</span></td>
+                <td class="py-2"><input type="checkbox" class="availability-available" ${user.available === false ? '' : 'checked'}></td>
+                <td class="py-2"><input type="text" class="availability-shifts w-full p-1 border border-gray-300 rounded-md" value="${formatShifts(user.shifts)}" placeholder="Any time"></td>
+                <td class="py-2 text-right"><button class="save-availability-btn text-indigo-600 hover:underline">Save</button></td>
+            </tr>
+        `).join('') || '<tr><td colspan="4" class="py-2 text-gray-500">No field staff yet.</td></tr>';
+    }
+
+    /**
+     * Fills the category form with an existing category for editing, or clears it to add a new one.
+     * @param {object} [category] - The category to edit.
+     */
+    function fillCategoryForm(category) {
+        categoryForm.reset();
+        categoryError.classList.add('hidden');
+        document.getElementById('category-id').value = category ? category._id : '';
+        document.getElementById('category-form-title').textContent = category ? `Edit ${category.name}` : 'Add a Category';
+        document.getElementById('category-cancel-btn').classList.toggle('hidden', !category);
+        // A category's name can't be changed once issues may have been reported under it.
+        document.getElementById('category-name').disabled = !!category;
+        if (!category) return;
+
+        document.getElementById('category-name').value = category.name;
+        document.getElementById('category-icon').value = category.icon || '';
+        document.getElementById('category-color').value = category.color;
+        document.getElementById('category-department').value = category.defaultDepartment;
+        document.getElementById('category-priority').value = category.defaultPriority;
+        document.getElementById('category-keywords').value = category.keywords.join(', ');
+        document.getElementById('category-sort-order').value = category.sortOrder;
+        categoryForm.querySelectorAll('.category-required').forEach(box => {
+            box.checked = category.requiredFields.includes(box.value);
+        });
+    }
+
+    /**
+     * Sends a change to the categories, departments or staff API, then reloads the settings and the dashboard.
+     * @param {string} url - The API URL.
+     * @param {string} method - 'POST', 'PATCH' or 'DELETE'.
+     * @param {object} [body] - The JSON body.
+     */
+    async function saveSetting(url, method, body) {
+        const response = await apiFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message);
+        fetchData(); // Category icons, colours and names appear across the whole dashboard.
+        return result;
+    }
+
+    // --- Historical Import ---
+
+    /**
+     * Escapes text that comes from outside the system (spreadsheets, comments) before it is shown.
+     */
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function showImportError(message) {
+        importErrorEl.textContent = message;
+        importErrorEl.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Reads the chosen spreadsheet on the server and shows a column picker for each importable field,
+     * preselected with the server's best guess.
+     */
+    async function inspectImportFile() {
+        showImportError('');
+        importResultEl.classList.add('hidden');
+        importCategoryMapEl.classList.add('hidden');
+        importCategoryMapEl.innerHTML = '';
+        importDryRunBtn.disabled = importBtn.disabled = true;
+        if (!importFileEl.files[0]) return;
+
+        const formData = new FormData();
+        formData.append('file', importFileEl.files[0]);
+        try {
+            const response = await apiFetch('/api/imports/inspect', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            const headerOptions = result.headers.map(header => `<option value="${escapeHtml(header)}">${escapeHtml(header)}</option>`).join('');
+            importMappingEl.innerHTML = `
+                <p class="sm:col-span-2 lg:col-span-4 text-gray-600">${result.rowCount} row(s) found. Which column holds each field?
+                ${result.geocoding ? '' : 'Addresses can\'t be geocoded on this server, so latitude and longitude are needed.'}</p>
+            ` + result.fields.map(item => `
+                <label class="block">
+                    <span class="text-gray-700">${item.label}${item.required ? ' *' : ''}</span>
+                    <select data-field="${item.field}" class="mt-1 block w-full p-2 border border-gray-300 rounded-md">
+                        <option value="">— not in the file —</option>${headerOptions}
+                    </select>
+                </label>
+            `).join('');
+            importMappingEl.querySelectorAll('select').forEach(select => {
+                select.value = result.suggestedMapping[select.dataset.field] || '';
+            });
+            importMappingEl.classList.remove('hidden');
+            importDryRunBtn.disabled = importBtn.disabled = false;
+        } catch (error) {
+            importMappingEl.classList.add('hidden');
+            if (authToken) showImportError(error.message);
+        }
+    }
+
+    /**
+     * Shows a category picker for each old category name the server couldn't match to a current category.
+     * @param {string[]} legacyNames
+     */
+    function renderCategoryMap(legacyNames) {
+        const current = collectCategoryMap();
+        const options = allCategories.map(c => `<option value="${c.name}">${issueTypeLabel(c.name)}${c.active ? '' : ' (inactive)'}</option>`).join('');
+        const unmatched = legacyNames.filter(name => !current[name]);
+        if (unmatched.length === 0 && Object.keys(current).length === 0) return;
+
+        importCategoryMapEl.innerHTML = `<p class="text-gray-600 mb-2">These old categories don't match a current one. Choose what each of them is now:</p>
+            <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">` +
+            [...new Set([...Object.keys(current), ...unmatched])].map(name => `
+                <label class="block">
+                    <span class="text-gray-700">"${escapeHtml(name)}"</span>
+                    <select data-legacy="${escapeHtml(name)}" class="mt-1 block w-full p-2 border border-gray-300 rounded-md">
+                        <option value="">— leave unmatched —</option>${options}
+                    </select>
+                </label>
+            `).join('') + '</div>';
+        importCategoryMapEl.querySelectorAll('select').forEach(select => {
+            select.value = current[select.dataset.legacy] || '';
+        });
+        importCategoryMapEl.classList.remove('hidden');
+    }
+
+    function collectCategoryMap() {
+        const categoryMap = {};
+        importCategoryMapEl.querySelectorAll('select').forEach(select => {
+            if (select.value) categoryMap[select.dataset.legacy] = select.value;
+        });
+        return categoryMap;
+    }
+
+    /**
+     * Sends the spreadsheet with the chosen mapping, either as a dry run or for real, and shows the outcome:
+     * the issues that would be (or were) created and every row that has problems.
+     * @param {boolean} dryRun
+     */
+    async function runImport(dryRun) {
+        showImportError('');
+        const mapping = {};
+        importMappingEl.querySelectorAll('select').forEach(select => {
+            if (select.value) mapping[select.dataset.field] = select.value;
+        });
+
+        const formData = new FormData();
+        formData.append('file', importFileEl.files[0]);
+        formData.append('mapping', JSON.stringify(mapping));
+        formData.append('categoryMap', JSON.stringify(collectCategoryMap()));
+        formData.append('dateOrder', importDateOrderEl.value);
+        formData.append('dryRun', String(dryRun));
+
+        importDryRunBtn.disabled = importBtn.disabled = true;
+        const activeBtn = dryRun ? importDryRunBtn : importBtn;
+        const label = activeBtn.textContent;
+        activeBtn.textContent = dryRun ? 'Checking...' : 'Importing...';
+        try {
+            const response = await apiFetch('/api/imports', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            renderCategoryMap(result.unmappedCategories);
+            const previewRows = result.preview.map(item => `
+                <tr class="border-t">
+                    <td class="py-1">${item.row}</td>
+                    <td class="py-1">${item.issueId ? `#${item.issueId}` : '—'}</td>
+                    <td class="py-1">${issueTypeLabel(item.issueType)}</td>
+                    <td class="py-1">${item.status}</td>
+                    <td class="py-1">${item.assignedDepartment}</td>
+                    <td class="py-1">${new Date(item.reportedAt).toLocaleDateString()}</td>
+                </tr>
+            `).join('');
+            const errorItems = result.errors.slice(0, 100).map(error => `
+                <li><b>Row ${error.row}:</b> ${error.messages.map(escapeHtml).join(' ')}</li>
+            `).join('');
+
+            importResultEl.innerHTML = `
+                <p class="font-semibold ${result.errors.length ? 'text-yellow-700' : 'text-green-700'}">${result.message}</p>
+                ${previewRows ? `
+                    <h3 class="mt-3 font-semibold text-gray-700">${dryRun ? 'Would be created' : 'Created'}${result.valid > result.preview.length ? ` (first ${result.preview.length})` : ''}</h3>
+                    <table class="min-w-full">
+                        <thead><tr class="text-left text-xs text-gray-500 uppercase"><th>Row</th><th>ID</th><th>Category</th><th>Status</th><th>Department</th><th>Reported</th></tr></thead>
+                        <tbody>${previewRows}</tbody>
+                    </table>` : ''}
+                ${errorItems ? `
+                    <h3 class="mt-3 font-semibold text-gray-700">${result.errors.length} row(s) with problems${dryRun ? '' : ' (not imported)'}</h3>
+                    <ul class="list-disc pl-5 text-red-700 space-y-1">${errorItems}</ul>
+                    ${result.errors.length > 100 ? `<p class="text-gray-500">…and ${result.errors.length - 100} more.</p>` : ''}` : ''}
+            `;
+            importResultEl.classList.remove('hidden');
+            if (!dryRun && result.created > 0) fetchData();
+        } catch (error) {
+            if (authToken) showImportError(error.message);
+        } finally {
+            activeBtn.textContent = label;
+            importDryRunBtn.disabled = importBtn.disabled = false;
+        }
+    }
+
+    // --- Settings: Notification Templates (admins only) ---
+
+    /**
+     * Loads the citizen notification templates and the languages they're written in.
+     */
+    async function fetchTemplates() {
+        try {
+            const response = await apiFetch('/api/notification-templates');
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            notificationTemplates = result.templates;
+            const selected = templateLanguageEl.value || Object.keys(result.languages)[0];
+            templateLanguageEl.innerHTML = Object.entries(result.languages)
+                .map(([code, name]) => `<option value="${code}">${name}</option>`).join('');
+            templateLanguageEl.value = selected;
+            renderTemplates();
+        } catch (error) {
+            if (authToken) templatesListEl.innerHTML = `<p class="py-2 text-red-600">Could not load the templates: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Shows every template in the chosen language, each with its own editor.
+     */
+    function renderTemplates() {
+        const language = templateLanguageEl.value;
+        templatesListEl.innerHTML = notificationTemplates.map(template => {
+            const text = template.languages[language];
+            return `
+                <form class="template-form py-3 space-y-2" data-key="${template.key}">
+                    <div class="flex flex-wrap items-baseline justify-between gap-2">
+                        <span><span class="font-mono font-semibold text-gray-800">${template.key}</span> <span class="text-gray-500">${escapeHtml(template.description)}</span></span>
+                        <span class="text-xs ${text.customized ? 'text-indigo-600' : 'text-gray-400'}">${text.customized ? `Customized ${new Date(text.updatedAt).toLocaleString()}` : 'Default wording'}</span>
+                    </div>
+                    <textarea name="body" rows="2" maxlength="1000" required class="w-full p-2 border border-gray-300 rounded-md">${escapeHtml(text.body)}</textarea>
+                    <div class="flex flex-wrap items-center gap-2">
+                        <span class="text-xs text-gray-500">Placeholders: ${template.placeholders.map(name => `<code>{${name}}</code>`).join(' ')}</span>
+                        <span class="flex-1"></span>
+                        <button type="button" class="reset-template-btn text-gray-600 hover:underline ${text.customized ? '' : 'hidden'}">Reset to default</button>
+                        <button type="submit" class="bg-indigo-600 text-white font-semibold py-1 px-3 rounded-lg hover:bg-indigo-700 transition">Save</button>
+                    </div>
+                </form>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Saves or resets one template in the chosen language, then reloads the templates.
+     * @param {string} key - The template, e.g. 'status.changed'.
+     * @param {string} method - 'PUT' to save, 'DELETE' to go back to the default.
+     * @param {string} [body] - The new wording.
+     */
+    async function saveTemplate(key, method, body) {
+        const response = await apiFetch(`/api/notification-templates/${encodeURIComponent(key)}/${templateLanguageEl.value}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify({ body })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message);
+        await fetchTemplates();
+    }
+
+    // --- Event Listeners ---
+    issuesTbody.addEventListener('click', (e) => {
+        const detailsBtn = e.target.closest('.details-btn');
+        if (detailsBtn) showIssueDetails(detailsBtn.dataset.id);
+
+        const mergeBtn = e.target.closest('.merge-btn');
+        if (mergeBtn) mergeIssue(mergeBtn.dataset.id, mergeBtn.dataset.into);
+
+        const photosBtn = e.target.closest('.photos-btn');
+        if (photosBtn) openGallery(issuePhotos(allIssues.find(issue => issue.issueId === photosBtn.dataset.id)));
+    });
+
+    issueDetailBody.addEventListener('click', (e) => {
+        const mergeBtn = e.target.closest('.merge-btn');
+        if (mergeBtn) mergeIssue(mergeBtn.dataset.id);
+
+        const thumbnail = e.target.closest('.gallery-thumb');
+        if (thumbnail) openGallery(JSON.parse(thumbnail.closest('.photo-strip').dataset.photos), Number(thumbnail.dataset.index));
+    });
+
+    issueDetailBody.addEventListener('submit', (e) => {
+        if (e.target.id !== 'comment-form') return;
+        e.preventDefault();
+        postComment(e.target);
+    });
+
+    // Picking a name from "Mention…" adds '@Full Name' where the cursor is.
+    issueDetailBody.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('mention-select') || !e.target.value) return;
+        const textarea = e.target.closest('form').body;
+        const position = textarea.selectionStart;
+        const mention = `@${e.target.value} `;
+        textarea.value = textarea.value.slice(0, position) + mention + textarea.value.slice(textarea.selectionEnd);
+        textarea.focus();
+        textarea.selectionStart = textarea.selectionEnd = position + mention.length;
+        e.target.value = '';
+    });
+
+    issuesTbody.addEventListener('change', async (e) => {
+        const target = e.target;
+        const issueId = target.dataset.id;
+        if (!issueId) return;
+
+        try {
+            let response;
+            if (target.classList.contains('action-select')) {
+                const status = target.value;
+                if (!status) return;
+
+                // Resolving needs a note and "after" photos, which are entered in their own form.
+                if (status === 'Resolved') {
+                    target.value = '';
+                    openResolveForm(issueId);
+                    return;
+                }
+
+                // Some statuses need extra information before the server will accept them.
+                const required = workflow.requiredFields[status] || [];
+                const body = { issueId, status };
+                if (required.includes('reason')) {
+                    body.reason = prompt(`Please give a reason for marking #${issueId} as "${status}":`);
+                    if (!body.reason) { target.value = ''; return; }
+                }
+                if (required.includes('duplicateOf')) {
+                    body.duplicateOf = prompt(`#${issueId} is a duplicate of which issue? Enter its 6-digit ID:`);
+                    if (!body.duplicateOf) { target.value = ''; return; }
+                    body.duplicateOf = body.duplicateOf.trim();
+                }
+
+                response = await apiFetch('/api/update_status', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+            } else if (target.classList.contains('assign-select')) {
+                const userId = target.value;
+                if (!userId) return;
+                response = await apiFetch('/api/assign_issue', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ issueId, userId })
+                });
+            }
+
+            if (response && response.ok) {
+                const { issue: updatedIssue } = await response.json();
+                
+                const issueIndex = allIssues.findIndex(i => i._id === updatedIssue._id);
+                if (issueIndex !== -1) {
+                    allIssues[issueIndex] = updatedIssue;
+                }
+                
+                renderTable(allIssues);
+                fetchAndRefreshAnalytics();
+
+            } else if (response) {
                  const err = await response.json();
                  throw new Error(err.message);
             }
 
         } catch (err) {
+            // If the session expired, the login screen is already showing; don't pile an alert on top.
+            if (!authToken) return;
             alert(`Error updating issue: ${err.message}`);
             fetchData();
         }
     });
-    
+
+    resolveForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const issueId = resolveForm.dataset.id;
+        const formData = new FormData();
+        formData.append('note', resolveNoteInput.value.trim());
+        Array.from(resolvePhotosInput.files).forEach(file => formData.append('photos', file));
+
+        resolveSubmitBtn.disabled = true;
+        resolveErrorEl.classList.add('hidden');
+        try {
+            const response = await apiFetch(`/api/issues/${issueId}/resolve`, { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            const issueIndex = allIssues.findIndex(issue => issue._id === result.issue._id);
+            if (issueIndex !== -1) allIssues[issueIndex] = result.issue;
+            renderTable(allIssues);
+            fetchAndRefreshAnalytics();
+            window.dispatchEvent(new CustomEvent('close-resolve'));
+        } catch (error) {
+            if (!authToken) return;
+            resolveErrorEl.textContent = error.message;
+            resolveErrorEl.classList.remove('hidden');
+        } finally {
+            resolveSubmitBtn.disabled = false;
+        }
+    });
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginBtn.disabled = true;
+        loginError.classList.add('hidden');
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('login-email').value.trim(),
+                    password: document.getElementById('login-password').value
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            authToken = result.token;
+            currentUser = result.user;
+            localStorage.setItem('civicsense_token', authToken);
+            loginForm.reset();
+            showDashboard();
+            fetchData();
+        } catch (error) {
+            loginError.textContent = error.message;
+            loginError.classList.remove('hidden');
+        } finally {
+            loginBtn.disabled = false;
+        }
+    });
+
+    logoutBtn.addEventListener('click', async () => {
+        try {
+            await apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            // Even if the server call fails, we still clear the local session below.
+        }
+        currentUserEl.classList.add('hidden');
+        showLogin();
+    });
+
     refreshBtn.addEventListener('click', fetchData);
     filterStatusEl.addEventListener('change', applyFilters);
-    searchIdEl.addEventListener('input', applyFilters);
+    [filterTypeEl, filterDepartmentEl, filterAssigneeEl, filterVerifiedEl, filterFromEl, filterToEl, filterMapAreaEl].forEach(el => {
+        el.addEventListener('change', applyFilters);
+    });
+
+    // Wait until the user stops typing before searching.
+    let searchTimer = null;
+    searchIdEl.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyFilters, 300);
+    });
+
+    // With "Only in map area" ticked, panning or zooming the map changes the results.
+    map.on('moveend', () => {
+        if (filterMapAreaEl.checked) applyFilters();
+    });
+
+    // Colouring by priority also changes which issues the map keeps when there are too many (the highest scores).
+    mapColourEl.addEventListener('change', () => {
+        renderPriorityLegend();
+        priorityLegendEl.classList.toggle('hidden', mapColourEl.value !== 'priority');
+        fetchIssues();
+    });
+
+    exportBtn.addEventListener('click', exportIssues);
+
+    prevPageBtn.addEventListener('click', () => {
+        listQuery.page--;
+        fetchIssues({ updateMap: false });
+    });
+    nextPageBtn.addEventListener('click', () => {
+        listQuery.page++;
+        fetchIssues({ updateMap: false });
+    });
+
+    // Clicking a column header sorts by it; clicking it again reverses the order.
+    document.querySelectorAll('.sortable-header').forEach(header => {
+        header.addEventListener('click', () => {
+            const field = header.dataset.sort;
+            listQuery.sort = listQuery.sort === `-${field}` ? field : `-${field}`;
+            listQuery.page = 1;
+            fetchIssues({ updateMap: false });
+        });
+    });
+    filterWardEl.addEventListener('change', () => {
+        applyFilters();
+        renderWardOutlines();
+        fetchAndRefreshAnalytics(); // The analytics cards and performance panel follow the selected ward too.
+        fetchPerformance();
+    });
+    [periodFromEl, periodToEl, periodIntervalEl].forEach(el => el.addEventListener('change', fetchPerformance));
+
+    categoryForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const id = document.getElementById('category-id').value;
+        const body = {
+            icon: document.getElementById('category-icon').value.trim(),
+            color: document.getElementById('category-color').value,
+            defaultDepartment: document.getElementById('category-department').value,
+            defaultPriority: document.getElementById('category-priority').value,
+            keywords: document.getElementById('category-keywords').value.split(',').map(word => word.trim()).filter(Boolean),
+            requiredFields: [...categoryForm.querySelectorAll('.category-required:checked')].map(box => box.value),
+            sortOrder: parseInt(document.getElementById('category-sort-order').value, 10) || 0
+        };
+        if (!id) body.name = document.getElementById('category-name').value.trim();
+
+        try {
+            await saveSetting(id ? `/api/categories/${id}` : '/api/categories', id ? 'PATCH' : 'POST', body);
+            fillCategoryForm();
+        } catch (error) {
+            categoryError.textContent = error.message;
+            categoryError.classList.remove('hidden');
+        }
+    });
+
+    document.getElementById('category-cancel-btn').addEventListener('click', () => fillCategoryForm());
+
+    categoriesTbody.addEventListener('click', async (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const category = allCategories.find(c => c._id === button.dataset.id);
+        if (!category) return;
+
+        try {
+            if (button.classList.contains('edit-category-btn')) {
+                fillCategoryForm(category);
+            } else if (button.classList.contains('toggle-category-btn')) {
+                await saveSetting(`/api/categories/${category._id}`, 'PATCH', { active: !category.active });
+            } else if (button.classList.contains('delete-category-btn')) {
+                if (!confirm(`Delete the "${category.name}" category?`)) return;
+                await saveSetting(`/api/categories/${category._id}`, 'DELETE');
+            }
+        } catch (error) {
+            if (authToken) alert(`Error updating category: ${error.message}`);
+        }
+    });
+
+    importFileEl.addEventListener('change', inspectImportFile);
+    importDryRunBtn.addEventListener('click', () => runImport(true));
+    importForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!confirm('Import the valid rows now? This creates the issues straight away.')) return;
+        runImport(false);
+    });
+
+    departmentForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        departmentError.classList.add('hidden');
+        try {
+            await saveSetting('/api/departments', 'POST', { name: document.getElementById('department-name').value.trim() });
+            departmentForm.reset();
+        } catch (error) {
+            departmentError.textContent = error.message;
+            departmentError.classList.remove('hidden');
+        }
+    });
+
+    departmentsList.addEventListener('click', async (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const department = allDepartments.find(d => d._id === button.dataset.id);
+        if (!department) return;
+
+        try {
+            if (button.classList.contains('toggle-department-btn')) {
+                await saveSetting(`/api/departments/${department._id}`, 'PATCH', { active: !department.active });
+            } else if (button.classList.contains('delete-department-btn')) {
+                if (!confirm(`Delete the "${department.name}" department?`)) return;
+                await saveSetting(`/api/departments/${department._id}`, 'DELETE');
+            }
+        } catch (error) {
+            if (authToken) alert(`Error updating department: ${error.message}`);
+        }
+    });
+
+    departmentsList.addEventListener('change', async (e) => {
+        const control = e.target.closest('.auto-assign-toggle, .auto-assign-strategy');
+        if (!control) return;
+        const autoAssign = control.classList.contains('auto-assign-toggle') ? { enabled: control.checked } : { strategy: control.value };
+        try {
+            await saveSetting(`/api/departments/${control.dataset.id}`, 'PATCH', { autoAssign });
+        } catch (error) {
+            if (authToken) alert(`Error updating department: ${error.message}`);
+            renderSettings();
+        }
+    });
+
+    availabilityTbody.addEventListener('click', async (e) => {
+        if (!e.target.closest('.save-availability-btn')) return;
+        const row = e.target.closest('tr');
+        try {
+            await saveSetting(`/api/users/${row.dataset.id}/availability`, 'PATCH', {
+                available: row.querySelector('.availability-available').checked,
+                shifts: parseShifts(row.querySelector('.availability-shifts').value)
+            });
+        } catch (error) {
+            if (authToken) alert(`Error updating availability: ${error.message}`);
+        }
+    });
+
+    templateLanguageEl.addEventListener('change', renderTemplates);
+
+    templatesListEl.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = e.target.closest('.template-form');
+        try {
+            await saveTemplate(form.dataset.key, 'PUT', form.body.value.trim());
+        } catch (error) {
+            if (authToken) alert(`Error saving template: ${error.message}`);
+        }
+    });
+
+    templatesListEl.addEventListener('click', async (e) => {
+        if (!e.target.closest('.reset-template-btn')) return;
+        const form = e.target.closest('.template-form');
+        if (!confirm(`Go back to the default wording of "${form.dataset.key}"?`)) return;
+        try {
+            await saveTemplate(form.dataset.key, 'DELETE');
+        } catch (error) {
+            if (authToken) alert(`Error resetting template: ${error.message}`);
+        }
+    });
 
     // --- Initial Load ---
-    fetchData();
+    initSession();
 });
 
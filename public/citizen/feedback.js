@@ -0,0 +1,144 @@
+// The page citizens reach through the link sent when their issue was resolved (feedback.html?issue=…&token=…).
+// They see what was done and can confirm the fix with a rating, or dispute it, which reopens the issue.
+// The link carries the language the issue was reported in ('&lang='), so the page opens in it.
+document.addEventListener('DOMContentLoaded', async () => {
+    // --- Get Element References ---
+    const issueEl = document.getElementById('feedback-issue');
+    const feedbackForm = document.getElementById('feedback-form');
+    const ratingStars = document.getElementById('rating-stars');
+    const ratingRequirement = document.getElementById('rating-requirement');
+    const commentInput = document.getElementById('feedback-comment');
+    const submitBtn = document.getElementById('feedback-submit-btn');
+    const resultEl = document.getElementById('feedback-result');
+
+    // Translates a text into the chosen language (see i18n.js).
+    const { t } = I18n;
+
+    const params = new URLSearchParams(window.location.search);
+    const apiUrl = `/api/feedback/${encodeURIComponent(params.get('issue') || '')}/${encodeURIComponent(params.get('token') || '')}`;
+
+    // The chosen rating (0 = none yet).
+    let rating = 0;
+
+    /**
+     * Displays a message to the user, styled as either success or error.
+     * @param {string} message - The message text.
+     * @param {boolean} isSuccess - Determines the styling (true for green, false for red).
+     */
+    function showMessage(message, isSuccess) {
+        resultEl.innerHTML = message;
+        resultEl.className = isSuccess
+            ? 'mt-6 p-4 rounded-lg bg-green-100 text-green-800'
+            : 'mt-6 p-4 rounded-lg bg-red-100 text-red-800';
+    }
+
+    /**
+     * Shows the issue and what was done to resolve it, with the "after" photos.
+     * @param {object} issue - The public issue from the API.
+     */
+    function renderIssue(issue) {
+        const resolution = issue.resolution;
+        const photos = resolution ? resolution.photos.map(photo => `
+            <a href="${photo.url}" target="_blank"><img src="${photo.thumbnailUrl}" alt="${t('common.afterPhoto')}" class="h-24 w-24 object-cover rounded-lg shadow-md"></a>
+        `).join('') : '';
+        issueEl.innerHTML = `
+            <div class="p-4 rounded-lg bg-gray-50 border">
+                <h3 class="font-bold text-lg text-gray-800">${t('feedback.issueHeading', { issueId: issue.issueId, issueType: issue.issueType })}</h3>
+                <p id="issue-landmark" class="text-gray-600"></p>
+                <p class="text-gray-600"><strong class="font-medium text-gray-700">${t('track.status')}</strong> <span class="font-bold text-blue-600">${t(`status.${issue.status}`)}</span></p>
+                ${resolution ? `
+                    <h4 class="font-semibold text-gray-800 mt-3">${t('common.whatWeDid')}</h4>
+                    <p id="resolution-note" class="text-gray-600"></p>
+                    <p class="text-xs text-gray-400">${t('feedback.resolvedOn', { time: new Date(resolution.resolvedAt).toLocaleString(I18n.getLanguage()) })}</p>
+                    <div class="flex flex-wrap gap-2 mt-2">${photos}</div>` : ''}
+            </div>
+        `;
+        // The landmark and the note are someone's own words, so they are inserted as text.
+        document.getElementById('issue-landmark').textContent = issue.landmark || '';
+        if (resolution) document.getElementById('resolution-note').textContent = resolution.note || '';
+    }
+
+    /**
+     * Draws the rating stars, highlighting up to the chosen rating.
+     * @param {number} max - The highest rating.
+     */
+    function renderStars(max) {
+        ratingStars.innerHTML = Array.from({ length: max }, (_, i) =>
+            `<span class="star ${i < rating ? 'selected' : ''}" data-value="${i + 1}" role="button" aria-label="${t('feedback.starLabel', { value: i + 1, max })}">★</span>`
+        ).join('');
+    }
+
+    async function loadRequest() {
+        try {
+            const response = await fetch(apiUrl, { headers: I18n.headers() });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            renderIssue(result.issue);
+            if (result.answer) {
+                const key = result.answer.outcome === 'confirmed' ? 'feedback.answeredConfirmed' : 'feedback.answeredDisputed';
+                showMessage(t(key, { date: new Date(result.answer.at).toLocaleDateString(I18n.getLanguage()) }), true);
+            } else if (!result.canAnswer) {
+                showMessage(t('feedback.notResolved'), false);
+            } else {
+                renderStars(result.ratings.max);
+                ratingStars.dataset.max = result.ratings.max;
+                feedbackForm.classList.remove('hidden');
+            }
+        } catch (error) {
+            issueEl.innerHTML = '';
+            showMessage(`<strong>${t('common.error')}</strong> ${error.message}`, false);
+        }
+    }
+
+    // --- Event Listeners ---
+
+    ratingStars.addEventListener('click', (e) => {
+        const star = e.target.closest('.star');
+        if (!star) return;
+        rating = Number(star.dataset.value);
+        renderStars(Number(ratingStars.dataset.max));
+    });
+
+    // A rating is required to confirm, and optional when disputing.
+    feedbackForm.addEventListener('change', (e) => {
+        if (e.target.name === 'outcome') {
+            ratingRequirement.dataset.i18n = e.target.value === 'confirmed' ? 'common.required' : 'common.optional';
+            ratingRequirement.textContent = t(ratingRequirement.dataset.i18n);
+        }
+    });
+
+    feedbackForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const outcome = feedbackForm.outcome.value;
+        if (outcome === 'confirmed' && !rating) {
+            showMessage(t('feedback.chooseRating'), false);
+            return;
+        }
+
+        submitBtn.disabled = true;
+        submitBtn.textContent = t('common.sending');
+        try {
+            const response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: { ...I18n.headers(), 'Content-Type': 'application/json' },
+                body: JSON.stringify({ outcome, rating: rating || undefined, comment: commentInput.value.trim() })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            renderIssue(result.issue);
+            feedbackForm.classList.add('hidden');
+            showMessage(result.message, true);
+        } catch (error) {
+            showMessage(`<strong>${t('common.error')}</strong> ${error.message}`, false);
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.textContent = t('common.send');
+        }
+    });
+
+    // --- Initial Page Load ---
+    await I18n.init();
+    loadRequest();
+});
@@ -0,0 +1,137 @@
+// Translations for the citizen pages (index.html and feedback.html).
+// Each language has a catalogue in locales/<code>.json. Text in the HTML is marked with 'data-i18n' (and
+// 'data-i18n-placeholder') attributes holding a catalogue key; scripts translate with I18n.t(key, params).
+// The chosen language is remembered in this browser and sent to the API in the Accept-Language header,
+// so its messages come back in the same language.
+(function () {
+    // The languages we have (as in the server's config/i18n.js), with their names in that language.
+    const LANGUAGES = { en: 'English', hi: 'हिन्दी', ta: 'தமிழ்' };
+    // Used when nothing else matches. Anything missing from another language's catalogue falls back to it too.
+    const DEFAULT_LANGUAGE = 'en';
+    const STORAGE_KEY = 'civicsense_language';
+
+    let language = DEFAULT_LANGUAGE;
+    const catalogues = {};
+    const listeners = [];
+
+    /**
+     * Picks the language to start in: '?lang=' in the address (our messages' links carry it), the one chosen
+     * before in this browser, or the browser's own preference. The first one we have wins.
+     * @returns {string}
+     */
+    function detectLanguage() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            // Storage is blocked; the browser's preference still works.
+        }
+        const candidates = [new URLSearchParams(window.location.search).get('lang'), saved, ...(navigator.languages || [navigator.language])];
+        const match = candidates.map(candidate => String(candidate || '').toLowerCase().split('-')[0]).find(code => LANGUAGES[code]);
+        return match || DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Fetches a language's catalogue (once).
+     * @param {string} code
+     * @returns {Promise<object>}
+     */
+    async function loadCatalogue(code) {
+        if (!catalogues[code]) {
+            const response = await fetch(`locales/${code}.json`);
+            if (!response.ok) throw new Error(`Could not load the ${LANGUAGES[code]} translations.`);
+            catalogues[code] = await response.json();
+        }
+        return catalogues[code];
+    }
+
+    /**
+     * Looks up a dotted key ('report.submit') in a catalogue.
+     * @returns {string|undefined}
+     */
+    function lookup(catalogue, key) {
+        const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+        return typeof value === 'string' ? value : undefined;
+    }
+
+    /**
+     * Translates a text into the current language, filling in its '{placeholders}'.
+     * A key missing from every catalogue is returned as it is.
+     * @param {string} key - E.g. 'track.statusFor'.
+     * @param {object} [params] - E.g. '{ issueId: "123456" }'.
+     * @returns {string}
+     */
+    function t(key, params = {}) {
+        const text = lookup(catalogues[language], key) || lookup(catalogues[DEFAULT_LANGUAGE], key) || key;
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+    }
+
+    /**
+     * Translates every marked element on the page (or inside 'root').
+     * @param {ParentNode} [root]
+     */
+    function apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+        document.documentElement.lang = language;
+    }
+
+    /**
+     * Switches the page to another language and remembers the choice.
+     * @param {string} code
+     */
+    async function setLanguage(code) {
+        if (!LANGUAGES[code]) return;
+        await loadCatalogue(code);
+        language = code;
+        try {
+            localStorage.setItem(STORAGE_KEY, code);
+        } catch (error) {
+            // Only this visit will be in the new language.
+        }
+        apply();
+        listeners.forEach(listener => listener(code));
+    }
+
+    /**
+     * Loads the catalogues and translates the page. Call this before showing any translated text.
+     * Offline without a cached catalogue, the page stays in the default language.
+     */
+    async function init() {
+        const code = detectLanguage();
+        try {
+            await loadCatalogue(DEFAULT_LANGUAGE);
+            if (code !== DEFAULT_LANGUAGE) await loadCatalogue(code);
+            language = code;
+        } catch (error) {
+            console.warn('Translations are unavailable:', error);
+        }
+        apply();
+    }
+
+    /**
+     * Fills a <select> with the languages and switches language when another one is chosen.
+     * @param {HTMLSelectElement} select
+     */
+    function initSwitcher(select) {
+        select.innerHTML = Object.entries(LANGUAGES).map(([code, name]) => `<option value="${code}">${name}</option>`).join('');
+        select.value = language;
+        select.addEventListener('change', () => {
+            setLanguage(select.value).catch(() => { select.value = language; });
+        });
+    }
+
+    self.I18n = {
+        LANGUAGES,
+        init,
+        t,
+        apply,
+        setLanguage,
+        initSwitcher,
+        getLanguage: () => language,
+        // Runs a function after every language switch, to redraw text the page built itself.
+        onChange: listener => listeners.push(listener),
+        // Sent with every API request, so the API answers in the same language.
+        headers: () => ({ 'Accept-Language': language })
+    };
+})();
@@ -0,0 +1,147 @@
+// Reports saved while offline, kept in IndexedDB until they can be sent.
+// Shared by the page (script.js) and the service worker (sw.js), which both send the queue:
+// the page whenever it is open and online, the service worker through Background Sync when the page is closed.
+// Every report carries its own Idempotency-Key, so if both send it at once only one issue is created.
+(function () {
+    const DB_NAME = 'civicsense';
+    const DB_VERSION = 1;
+    const QUEUED = 'queuedReports'; // Waiting to be sent: '{ id, fields, photos, token, queuedAt }'
+    const SENT = 'sentReports'; // Sent (or turned away) but not yet shown: '{ id, issueType, issueId, message, error, sentAt }'
+
+    // The Background Sync tag the page registers and the service worker listens for.
+    const SYNC_TAG = 'sync-reports';
+
+    // Responses that mean "try again later" rather than "this report can't be accepted".
+    const RETRY_STATUSES = [408, 409, 425, 429];
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(QUEUED, { keyPath: 'id' });
+                    request.result.createObjectStore(SENT, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Runs one request against an object store and resolves with its result once the transaction is done.
+     * @param {string} storeName
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} action
+     * @returns {Promise<*>}
+     */
+    async function withStore(storeName, mode, action) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * A new random ID for a report, used as its Idempotency-Key.
+     * (crypto.randomUUID only exists on HTTPS pages and localhost.)
+     * @returns {string}
+     */
+    function newReportId() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Saves a report to be sent later.
+     * @param {object} report
+     * @param {string} [report.id] - The Idempotency-Key it was already sent with, if an attempt was cut off.
+     * @param {object} report.fields - The form's text fields (issueType, latitude, longitude, description...).
+     * @param {File[]} report.photos - The chosen photos.
+     * @param {string} [report.token] - The signed-in citizen's session token, if any.
+     * @returns {Promise<object>} The queued record. Its 'id' is the report's Idempotency-Key.
+     */
+    async function queueReport({ id, fields, photos, token }) {
+        const record = { id: id || newReportId(), fields, photos, token: token || null, queuedAt: Date.now() };
+        await withStore(QUEUED, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    function listQueued() {
+        return withStore(QUEUED, 'readonly', store => store.getAll());
+    }
+
+    function listSent() {
+        return withStore(SENT, 'readonly', store => store.getAll());
+    }
+
+    function forgetSent(id) {
+        return withStore(SENT, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Records the outcome of a queued report and takes it out of the queue.
+     */
+    async function markSent(record, outcome) {
+        await withStore(SENT, 'readwrite', store => store.put({
+            id: record.id,
+            issueType: record.fields.issueType,
+            sentAt: Date.now(),
+            ...outcome
+        }));
+        await withStore(QUEUED, 'readwrite', store => store.delete(record.id));
+    }
+
+    /**
+     * Sends every queued report, oldest first. A report the server turns away (e.g. an inactive category)
+     * is recorded with its error message instead of being retried forever.
+     *
+     * @returns {Promise<{ results: object[], pending: boolean }>} The outcomes recorded this time, and whether
+     *          some reports are still waiting (the connection dropped, or the server asked to try again later).
+     */
+    async function sendQueued() {
+        const queued = (await listQueued()).sort((a, b) => a.queuedAt - b.queuedAt);
+        const results = [];
+        let pending = false;
+
+        for (const record of queued) {
+            const formData = new FormData();
+            Object.entries(record.fields).forEach(([name, value]) => formData.append(name, value));
+            record.photos.forEach(photo => formData.append('photos', photo, photo.name));
+
+            const headers = { 'Idempotency-Key': record.id };
+            if (record.token) headers['Authorization'] = `Bearer ${record.token}`;
+
+            let response;
+            try {
+                response = await fetch('/api/report', { method: 'POST', headers, body: formData });
+            } catch (error) {
+                // Still offline; the rest would fail too.
+                pending = true;
+                break;
+            }
+
+            if (response.status >= 500 || RETRY_STATUSES.includes(response.status)) {
+                pending = true;
+                continue;
+            }
+            const result = await response.json().catch(() => ({}));
+            const outcome = response.ok
+                ? { issueId: result.issueId, message: result.message, attachedToExisting: result.attachedToExisting }
+                : { error: result.message || `The server turned the report away (${response.status}).` };
+            await markSent(record, outcome);
+            results.push({ id: record.id, issueType: record.fields.issueType, ...outcome });
+        }
+
+        return { results, pending };
+    }
+
+    self.ReportQueue = { SYNC_TAG, newReportId, queueReport, listQueued, listSent, forgetSent, sendQueued };
+})();
@@ -1,5 +1,5 @@
 // This ensures that our script runs only after the entire HTML document has been loaded and parsed.
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // --- Get Element References ---
     // We grab all the HTML elements we need to interact with and store them in constants.
     const reportForm = document.getElementById('report-form');
@@ -13,7 +13,53 @@ document.addEventListener('DOMContentLoaded', () => {
     const issueImageInput = document.getElementById('issue-image');
     const fileNameSpan = document.getElementById('file-name-span');
     const imagePreviewContainer = document.getElementById('image-preview-container');
-    const imagePreview = document.getElementById('image-preview');
+    const nearbyStatus = document.getElementById('nearby-status');
+    const followedIssuesEl = document.getElementById('followed-issues');
+    const followedIssuesList = document.getElementById('followed-issues-list');
+    const issueIdInput = document.getElementById('issue-id-input');
+    const issueTypeSelect = document.getElementById('issue-type');
+    const photoRequirementEl = document.getElementById('photo-requirement');
+    const citizenContactInput = document.getElementById('citizen-contact');
+    const queuedReportsEl = document.getElementById('queued-reports');
+    const otpRequestForm = document.getElementById('otp-request-form');
+    const otpRequestBtn = document.getElementById('otp-request-btn');
+    const otpVerifyForm = document.getElementById('otp-verify-form');
+    const otpPhoneInput = document.getElementById('otp-phone');
+    const otpCodeInput = document.getElementById('otp-code');
+    const signinResult = document.getElementById('signin-result');
+    const citizenSigninEl = document.getElementById('citizen-signin');
+    const citizenReportsEl = document.getElementById('citizen-reports');
+    const citizenPhoneEl = document.getElementById('citizen-phone');
+    const citizenReportsList = document.getElementById('citizen-reports-list');
+    const citizenSignoutBtn = document.getElementById('citizen-signout-btn');
+    const languageSelect = document.getElementById('language-select');
+
+    // Translates a text into the chosen language (see i18n.js).
+    const { t } = I18n;
+
+    // The most photos one report can have (the server's UPLOAD_MAX_PHOTOS).
+    const MAX_PHOTOS = 5;
+
+    // The issue categories citizens can choose from, loaded from the server.
+    let categories = [];
+
+    // Pushes changes to the issue being tracked, so its status updates without reloading.
+    let trackingEvents = null;
+    // The issue shown in the tracking section, so it can be redrawn in another language.
+    let trackedResult = null;
+
+    // The signed-in citizen's session token and verified number (the token is remembered in this browser).
+    let citizenToken = localStorage.getItem('civicsense_citizen_token');
+    let citizenPhone = null;
+
+    // --- "Issues Near Me" Map ---
+    // Centered on India until we know where the user is.
+    const nearbyMap = L.map('nearby-map').setView([20.5937, 78.9629], 5);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    }).addTo(nearbyMap);
+    const nearbyMarkers = L.layerGroup().addTo(nearbyMap);
+    let userMarker = null;
 
     // --- Core Functions ---
 
@@ -30,25 +76,159 @@ document.addEventListener('DOMContentLoaded', () => {
                     const lon = position.coords.longitude;
                     latitudeInput.value = lat;
                     longitudeInput.value = lon;
-                    locationStatus.innerHTML = `✅ Location Acquired <br> (${lat.toFixed(4)}, ${lon.toFixed(4)})`;
+                    locationStatus.innerHTML = `${t('report.located')} <br> (${lat.toFixed(4)}, ${lon.toFixed(4)})`;
                     locationStatus.classList.remove('text-red-500');
                     locationStatus.classList.add('text-green-600');
                     submitBtn.disabled = false; // Enable the submit button
+                    loadNearbyIssues(lat, lon);
                 },
                 // Error Callback: This function runs if there's an error or user denies access.
                 (error) => {
-                    locationStatus.textContent = `❌ Error: ${error.message}. Please enable location access.`;
+                    locationStatus.textContent = t('report.locationError', { error: error.message });
                     locationStatus.classList.add('text-red-500');
                     submitBtn.disabled = true; // Keep submit button disabled
+                    nearbyStatus.textContent = t('nearby.enableLocation');
                 }
             );
         } else {
-            locationStatus.textContent = 'Geolocation is not supported by this browser.';
+            locationStatus.textContent = t('report.noGeolocation');
             locationStatus.classList.add('text-red-500');
             submitBtn.disabled = true;
         }
     }
 
+    /**
+     * Loads the issue categories and fills the issue type dropdown.
+     */
+    async function loadCategories() {
+        try {
+            const response = await fetch('/api/categories');
+            if (!response.ok) throw new Error('Failed to load issue types.');
+            categories = await response.json();
+            renderCategoryOptions();
+        } catch (error) {
+            issueTypeSelect.innerHTML = `<option value="" disabled selected>${t('report.typesError')}</option>`;
+        }
+    }
+
+    /**
+     * Fills the issue type dropdown, keeping the current choice.
+     */
+    function renderCategoryOptions() {
+        const chosen = issueTypeSelect.value;
+        issueTypeSelect.innerHTML = `<option value="" disabled selected>${t('report.chooseType')}</option>` +
+            categories.map(category => `<option value="${category.name}">${category.icon ? `${category.icon} ` : ''}${category.name}</option>`).join('');
+        if (chosen) issueTypeSelect.value = chosen;
+    }
+
+    /**
+     * The category currently chosen in the form, if any.
+     * @returns {object|undefined}
+     */
+    function selectedCategory() {
+        return categories.find(category => category.name === issueTypeSelect.value);
+    }
+
+    /**
+     * Marks the photo as required or optional, depending on the chosen category.
+     * (The landmark is always required on the web form.)
+     */
+    function updateRequiredFields() {
+        const category = selectedCategory();
+        photoRequirementEl.textContent = category && category.requiredFields.includes('image') ? t('common.required') : t('common.optional');
+    }
+
+    /**
+     * Fetches open issues around the user and shows them on the map.
+     * @param {number} lat - The user's latitude.
+     * @param {number} lon - The user's longitude.
+     */
+    async function loadNearbyIssues(lat, lon) {
+        nearbyMap.setView([lat, lon], 16);
+        if (userMarker) nearbyMap.removeLayer(userMarker);
+        userMarker = L.circleMarker([lat, lon], { radius: 8, color: '#2563eb', fillOpacity: 0.8 })
+            .addTo(nearbyMap)
+            .bindPopup(t('nearby.youAreHere'));
+
+        try {
+            const response = await fetch(`/api/issues/nearby?lat=${lat}&lng=${lon}&radius=1000`, { headers: I18n.headers() });
+            const issues = await response.json();
+            if (!response.ok) throw new Error(issues.message);
+
+            nearbyMarkers.clearLayers();
+            issues.forEach(issue => {
+                const [issueLon, issueLat] = issue.coordinates;
+                const reports = issue.reportCount > 1 ? ` · ${t('nearby.reports', { count: issue.reportCount })}` : '';
+                L.marker([issueLat, issueLon]).addTo(nearbyMarkers).bindPopup(`
+                    <b>${escapeHtml(issue.issueType)}</b> (#${issue.issueId})<br>
+                    ${issue.landmark ? `${escapeHtml(issue.landmark)}<br>` : ''}
+                    <span class="text-gray-500">${t(`status.${issue.status}`)}${reports}</span><br>
+                    <button class="follow-btn mt-1 text-blue-600 font-semibold" data-id="${issue.issueId}">${t('nearby.follow')}</button>
+                `);
+            });
+
+            nearbyStatus.textContent = issues.length > 0
+                ? t(issues.length === 1 ? 'nearby.countOne' : 'nearby.countMany', { count: issues.length })
+                : t('nearby.none');
+        } catch (error) {
+            nearbyStatus.textContent = t('nearby.loadError', { error: error.message });
+        }
+    }
+
+    /**
+     * Returns the IDs of issues the user follows (remembered in this browser).
+     * @returns {string[]}
+     */
+    function getFollowedIssues() {
+        try {
+            return JSON.parse(localStorage.getItem('civicsense_followed') || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Shows the followed issues as quick-track buttons.
+     */
+    function renderFollowedIssues() {
+        const followed = getFollowedIssues();
+        followedIssuesEl.classList.toggle('hidden', followed.length === 0);
+        followedIssuesList.innerHTML = followed.map(id =>
+            `<button class="track-followed-btn px-3 py-1 rounded-full bg-green-100 text-green-800 text-sm font-mono" data-id="${id}">#${id}</button>`
+        ).join('');
+    }
+
+    /**
+     * Follows an issue: remembers it in this browser and shows its tracking status.
+     * @param {string} issueId - The 6-digit issue ID.
+     */
+    function followIssue(issueId) {
+        rememberFollowedIssue(issueId);
+        renderFollowedIssues();
+        trackIssue(issueId);
+    }
+
+    /**
+     * Adds an issue to the ones followed in this browser.
+     * @param {string} issueId - The 6-digit issue ID.
+     */
+    function rememberFollowedIssue(issueId) {
+        const followed = getFollowedIssues();
+        if (!followed.includes(issueId)) {
+            localStorage.setItem('civicsense_followed', JSON.stringify([...followed, issueId]));
+        }
+    }
+
+    /**
+     * Fills in the tracking form with an issue ID and submits it.
+     * @param {string} issueId - The 6-digit issue ID.
+     */
+    function trackIssue(issueId) {
+        issueIdInput.value = issueId;
+        trackForm.requestSubmit();
+        trackForm.scrollIntoView({ behavior: 'smooth' });
+    }
+
     /**
      * Displays a message to the user, styled as either success or error.
      * @param {HTMLElement} element - The HTML element where the message will be displayed.
@@ -62,103 +242,607 @@ document.addEventListener('DOMContentLoaded', () => {
             : 'p-4 rounded-lg bg-red-100 text-red-800';
     }
 
+    /**
+     * Builds a small form that lets the citizen reopen a resolved issue if the problem is back.
+     * @param {string} issueId - The 6-digit issue ID.
+     * @returns {string} The form's HTML.
+     */
+    function reopenFormHtml(issueId) {
+        return `
+            <form id="reopen-form" data-id="${issueId}" class="mt-4 p-4 rounded-lg border border-orange-200 bg-orange-50 space-y-3">
+                <p class="text-sm text-gray-700 font-medium">${t('reopen.prompt')}</p>
+                <input type="tel" name="citizenContact" placeholder="${t('common.contactPlaceholder')}" required class="w-full p-2 border border-gray-300 rounded-lg">
+                <textarea name="reason" rows="2" placeholder="${t('reopen.reasonPlaceholder')}" required class="w-full p-2 border border-gray-300 rounded-lg"></textarea>
+                <button type="submit" class="w-full bg-orange-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-orange-700 transition">${t('reopen.submit')}</button>
+                <div id="reopen-result"></div>
+            </form>
+        `;
+    }
+
+    /**
+     * Shows an issue's public status, assignee and timeline in the tracking section.
+     * @param {object} result - The issue, as returned by GET /api/track_status/:issue_id.
+     */
+    function renderTrackingResult(result) {
+        trackedResult = result;
+        const language = I18n.getLanguage();
+        // Build a simple public timeline, e.g. "Pending on …, Acknowledged on …".
+        const timelineHtml = (result.timeline || []).map(step => `
+            <li class="text-sm text-gray-600">${t('track.timelineEntry', {
+                status: `<span class="font-medium text-gray-700">${t(`status.${step.status}`)}</span>`,
+                time: new Date(step.at).toLocaleString(language)
+            })}</li>
+        `).join('');
+
+        // Dynamically create the HTML to display the tracking result.
+        const statusHtml = `
+            <div class="p-4 rounded-lg bg-gray-50 border">
+                <h3 class="font-bold text-lg text-gray-800">${t('track.statusFor', { issueId: result.issueId })}</h3>
+                <p class="text-gray-600"><strong class="font-medium text-gray-700">${t('track.type')}</strong> ${result.issueType}</p>
+                <p class="text-gray-600"><strong class="font-medium text-gray-700">${t('track.status')}</strong> <span class="font-bold text-blue-600">${t(`status.${result.status}`)}</span></p>
+                <p class="text-gray-600"><strong class="font-medium text-gray-700">${t('track.reportedOn')}</strong> ${new Date(result.reportedAt).toLocaleString(language)}</p>
+                ${result.assignedTo ? `<p class="text-gray-600"><strong class="font-medium text-gray-700">${t('track.assignedTo')}</strong> ${result.assignedTo.name}</p>` : ''}
+                ${result.statusReason ? `<p class="text-gray-600"><strong class="font-medium text-gray-700">${t('track.reason')}</strong> ${escapeHtml(result.statusReason)}</p>` : ''}
+                ${result.duplicateOf ? `<p class="text-gray-600">${t('track.trackedAs', { issueId: `<strong>#${result.duplicateOf}</strong>` })}</p>` : ''}
+                ${result.resolution && result.status === 'Resolved' ? `
+                    <h4 class="font-semibold text-gray-800 mt-3">${t('common.whatWeDid')}</h4>
+                    <p class="resolution-note text-gray-600"></p>
+                    <div class="flex flex-wrap gap-2 mt-2">${result.resolution.photos.map(photo => `
+                        <a href="${photo.url}" target="_blank"><img src="${photo.thumbnailUrl}" alt="${t('common.afterPhoto')}" class="h-20 w-20 object-cover rounded-lg"></a>`).join('')}
+                    </div>` : ''}
+                ${timelineHtml ? `<h4 class="font-semibold text-gray-800 mt-3">${t('track.timeline')}</h4><ul class="list-disc list-inside">${timelineHtml}</ul>` : ''}
+            </div>
+            <div class="mt-4 p-4 rounded-lg border">
+                <h4 class="font-semibold text-gray-800 mb-2">${t('track.messages')}</h4>
+                <div id="track-messages" class="space-y-2">${messagesHtml(result.messages)}</div>
+                ${replyFormHtml(result.issueId)}
+            </div>
+            ${result.status === 'Resolved' ? reopenFormHtml(result.issueId) : ''}
+        `;
+        trackResult.className = 'mt-6';
+        trackResult.innerHTML = statusHtml;
+        // The note is the staff member's own words, so it is inserted as text.
+        const noteEl = trackResult.querySelector('.resolution-note');
+        if (noteEl) noteEl.textContent = result.resolution.note || '';
+        // Signed-in citizens don't need to type their number again.
+        if (citizenPhone) trackResult.querySelectorAll('input[name="citizenContact"]').forEach(input => { input.value = citizenPhone; });
+    }
+
+    /**
+     * Listens for changes to the tracked issue and re-renders its status when one arrives.
+     * Only one issue is watched at a time.
+     * @param {string} issueId - The 6-digit issue ID.
+     */
+    function watchIssue(issueId) {
+        if (trackingEvents) trackingEvents.close();
+        if (!window.EventSource) return;
+        trackingEvents = new EventSource(`/api/track_status/${issueId}/events`);
+        // The event only says that something changed; reload the status to get the messages too.
+        trackingEvents.addEventListener('issue.updated', async () => {
+            try {
+                const response = await fetch(`/api/track_status/${issueId}`, { headers: I18n.headers() });
+                if (!response.ok) return;
+                const result = await response.json();
+                // Don't throw away a reply or reopen request the citizen is in the middle of writing.
+                const isTyping = Array.from(trackResult.querySelectorAll('textarea')).some(input => input.value.trim());
+                if (isTyping) {
+                    document.getElementById('track-messages').innerHTML = messagesHtml(result.messages);
+                } else {
+                    renderTrackingResult(result);
+                }
+            } catch (error) {
+                // The next change will try again.
+            }
+        });
+    }
+
+    /**
+     * Escapes text for use in HTML.
+     * @param {string} value
+     * @returns {string}
+     */
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Lists the messages between the citizen and our team, oldest first.
+     * @param {Array} messages - '[{ from, authorName, body, at }]' from the tracking API.
+     * @returns {string} HTML.
+     */
+    function messagesHtml(messages = []) {
+        if (messages.length === 0) return `<p class="text-sm text-gray-500">${t('track.noMessages')}</p>`;
+        return messages.map(message => `
+            <div class="p-3 rounded-lg text-sm ${message.from === 'citizen' ? 'bg-blue-50 ml-8' : 'bg-gray-100 mr-8'}">
+                <div class="text-xs text-gray-500 mb-1">${message.from === 'citizen' ? t('track.you') : escapeHtml(message.authorName || t('track.ourTeam'))} · ${new Date(message.at).toLocaleString(I18n.getLanguage())}</div>
+                <div class="text-gray-800 whitespace-pre-line">${escapeHtml(message.body)}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Builds the form a citizen uses to reply to our team. Replies need the contact number the issue was reported with.
+     * @param {string} issueId - The 6-digit issue ID.
+     * @returns {string} The form's HTML.
+     */
+    function replyFormHtml(issueId) {
+        return `
+            <form id="reply-form" data-id="${issueId}" class="mt-3 space-y-2">
+                <textarea name="body" rows="2" placeholder="${t('track.replyPlaceholder')}" required class="w-full p-2 border border-gray-300 rounded-lg"></textarea>
+                <div class="flex gap-2">
+                    <input type="tel" name="citizenContact" placeholder="${t('common.contactPlaceholder')}" required class="flex-grow p-2 border border-gray-300 rounded-lg">
+                    <button type="submit" class="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 transition">${t('common.send')}</button>
+                </div>
+                <div id="reply-result"></div>
+            </form>
+        `;
+    }
+
+    /**
+     * Clears the report form for the next report.
+     */
+    function resetReportForm() {
+        reportForm.reset();
+        if (citizenPhone) {
+            citizenContactInput.value = citizenPhone;
+            loadMyReports();
+        }
+        updateRequiredFields();
+        showPhotoPreviews(); // Clear the photo previews
+        getGeoLocation(); // Re-fetch location for the next report
+    }
+
+    // --- Offline Reports ---
+
+    /**
+     * Saves a report that couldn't be sent, and asks the service worker to send it once the connection
+     * is back (Background Sync), even if this page has been closed by then.
+     * @param {FormData} formData - The report form's data.
+     * @param {string} reportId - Its Idempotency-Key.
+     */
+    async function queueOfflineReport(formData, reportId) {
+        const fields = {};
+        for (const [name, value] of formData.entries()) {
+            if (typeof value === 'string') fields[name] = value;
+        }
+        await ReportQueue.queueReport({ id: reportId, fields, photos: Array.from(issueImageInput.files), token: citizenToken });
+
+        showMessage(reportResult, `<strong>${t('offline.savedTitle')}</strong> ${t('offline.saved')}`, true);
+        resetReportForm();
+        renderQueuedReports();
+
+        if ('serviceWorker' in navigator) {
+            try {
+                const registration = await navigator.serviceWorker.ready;
+                if (registration.sync) await registration.sync.register(ReportQueue.SYNC_TAG);
+            } catch (error) {
+                // No Background Sync: the page sends the queue itself when it is next open and online.
+            }
+        }
+        // Lets the service worker announce the tracking ID even if the page is closed by then.
+        if (window.Notification && Notification.permission === 'default') Notification.requestPermission();
+    }
+
+    /**
+     * Shows how many reports are waiting to be sent.
+     */
+    async function renderQueuedReports() {
+        const queued = await ReportQueue.listQueued();
+        queuedReportsEl.classList.toggle('hidden', queued.length === 0);
+        queuedReportsEl.innerHTML = `<p class="font-medium">${t(queued.length === 1 ? 'offline.waitingOne' : 'offline.waitingMany', { count: queued.length })}</p>` +
+            queued.map(report => `<p>${escapeHtml(report.fields.issueType)} · ${t('offline.savedAt', { time: new Date(report.queuedAt).toLocaleString(I18n.getLanguage()) })}</p>`).join('');
+    }
+
+    /**
+     * Shows the tracking IDs of queued reports that have been sent since the page last looked, whether this page
+     * or the service worker sent them, and follows the new issues so they appear under "Issues you're following".
+     */
+    async function showSentReports() {
+        const sent = (await ReportQueue.listSent()).sort((a, b) => a.sentAt - b.sentAt);
+        if (sent.length === 0) return;
+
+        const lines = sent.map(report => (report.issueId
+            ? `${escapeHtml(report.issueType)}: ${escapeHtml(report.message)} ${t('offline.trackingId')} <strong class="font-mono">${report.issueId}</strong>`
+            : `${escapeHtml(report.issueType)}: <strong>${t('offline.notSent')}</strong> ${escapeHtml(report.error)}`));
+        showMessage(reportResult, `<strong>${t(sent.length === 1 ? 'offline.sentOne' : 'offline.sentMany')}</strong><br>${lines.join('<br>')}`, sent.every(report => report.issueId));
+
+        for (const report of sent) {
+            if (report.issueId) rememberFollowedIssue(report.issueId);
+            await ReportQueue.forgetSent(report.id);
+        }
+        renderFollowedIssues();
+        if (citizenPhone) loadMyReports();
+        renderQueuedReports();
+    }
+
+    /**
+     * Sends the queued reports from this page (browsers without Background Sync rely on this),
+     * and shows what is still waiting.
+     */
+    async function sendQueuedReports() {
+        try {
+            if (navigator.onLine) await ReportQueue.sendQueued();
+            await showSentReports();
+            await renderQueuedReports();
+        } catch (error) {
+            // IndexedDB isn't available (e.g. in some private browsing modes), so nothing can have been queued.
+        }
+    }
+
+    // --- Citizen Sign-In & "My Reports" ---
+
+    /**
+     * The headers that tell the server who the signed-in citizen is, and which language to answer in.
+     * @returns {object}
+     */
+    function citizenHeaders() {
+        return citizenToken ? { ...I18n.headers(), 'Authorization': `Bearer ${citizenToken}` } : I18n.headers();
+    }
+
+    /**
+     * Shows the signed-in view and files new reports under the verified number.
+     * @param {string} phone - The verified number.
+     */
+    function showSignedIn(phone) {
+        citizenPhone = phone;
+        citizenPhoneEl.textContent = phone;
+        citizenSigninEl.classList.add('hidden');
+        citizenReportsEl.classList.remove('hidden');
+        citizenContactInput.value = phone;
+        citizenContactInput.readOnly = true;
+        citizenContactInput.classList.add('bg-gray-100');
+        loadMyReports();
+    }
+
+    /**
+     * Forgets the session and shows the sign-in form again.
+     */
+    function showSignedOut() {
+        citizenToken = null;
+        citizenPhone = null;
+        localStorage.removeItem('civicsense_citizen_token');
+        citizenSigninEl.classList.remove('hidden');
+        citizenReportsEl.classList.add('hidden');
+        otpVerifyForm.classList.add('hidden');
+        citizenContactInput.readOnly = false;
+        citizenContactInput.classList.remove('bg-gray-100');
+    }
+
+    /**
+     * Checks the remembered session, if any, when the page loads.
+     */
+    async function restoreCitizenSession() {
+        if (!citizenToken) return;
+        try {
+            const response = await fetch('/api/citizen/me', { headers: citizenHeaders() });
+            if (response.status === 401) return showSignedOut();
+            if (!response.ok) return;
+            const citizen = await response.json();
+            showSignedIn(citizen.phone);
+        } catch (error) {
+            // Offline: keep the session and try again next time.
+        }
+    }
+
+    /**
+     * Lists every issue tied to the signed-in citizen's number, with its current status.
+     */
+    async function loadMyReports() {
+        citizenReportsList.innerHTML = `<p class="text-sm text-gray-500">${t('myReports.loading')}</p>`;
+        try {
+            const response = await fetch('/api/citizen/issues', { headers: citizenHeaders() });
+            if (response.status === 401) return showSignedOut();
+            const issues = await response.json();
+            if (!response.ok) throw new Error(issues.message);
+
+            citizenReportsList.innerHTML = issues.length === 0
+                ? `<p class="text-sm text-gray-500">${t('myReports.none')}</p>`
+                : issues.map(issue => `
+                    <button class="my-report-btn w-full text-left p-3 rounded-lg border hover:bg-gray-50 flex items-center justify-between gap-3" data-id="${issue.issueId}">
+                        <span>
+                            <span class="font-mono text-sm text-gray-500">#${issue.issueId}</span>
+                            <span class="font-medium text-gray-800">${escapeHtml(issue.issueType)}</span>
+                            <span class="block text-xs text-gray-500">${escapeHtml(issue.landmark || '')} · ${new Date(issue.reportedAt).toLocaleDateString(I18n.getLanguage())}</span>
+                        </span>
+                        <span class="text-sm font-bold text-blue-600 whitespace-nowrap">${t(`status.${issue.status}`)}</span>
+                    </button>
+                `).join('');
+        } catch (error) {
+            citizenReportsList.innerHTML = `<p class="text-sm text-red-600">${t('myReports.loadError', { error: escapeHtml(error.message) })}</p>`;
+        }
+    }
+
+    /**
+     * Shows a small preview of every chosen photo, and how many there are.
+     */
+    function showPhotoPreviews() {
+        const files = Array.from(issueImageInput.files);
+        imagePreviewContainer.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+        imagePreviewContainer.innerHTML = '';
+        files.forEach(file => {
+            const img = document.createElement('img');
+            img.src = URL.createObjectURL(file);
+            img.alt = file.name;
+            img.className = 'h-24 w-24 object-cover rounded-lg shadow-md';
+            imagePreviewContainer.appendChild(img);
+        });
+        fileNameSpan.textContent = files.length === 0 ? t('report.choosePhotos', { max: MAX_PHOTOS })
+            : files.length === 1 ? files[0].name
+            : t('report.photosChosen', { count: files.length });
+        imagePreviewContainer.classList.toggle('hidden', files.length === 0);
+    }
+
     // --- Event Listeners ---
 
     // Handle the report form submission.
     reportForm.addEventListener('submit', async (e) => {
         e.preventDefault(); // Prevent the default browser form submission
+
+        // The file input is hidden, so the browser can't point at it; check for a required photo ourselves.
+        const category = selectedCategory();
+        if (category && category.requiredFields.includes('image') && issueImageInput.files.length === 0) {
+            showMessage(reportResult, `<strong>${t('common.error')}</strong> ${t('report.photoRequired', { issueType: category.name })}`, false);
+            return;
+        }
+
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Submitting...';
+        submitBtn.textContent = t('report.submitting');
 
-        // Use FormData to easily collect all form fields, including the image file.
+        // Use FormData to easily collect all form fields, including the photos.
         const formData = new FormData(reportForm);
-        
+        // Saved with the issue, so every later message about it is sent in this language.
+        formData.set('language', I18n.getLanguage());
+        // Sent with the report, so if the connection drops mid-upload and it is sent again from the queue,
+        // the server knows it is the same report.
+        const reportId = ReportQueue.newReportId();
+
         try {
-            const response = await fetch('/api/report', {
-                method: 'POST',
-                body: formData 
-            });
+            if (!navigator.onLine) {
+                await queueOfflineReport(formData, reportId);
+                return;
+            }
+
+            let response;
+            try {
+                response = await fetch('/api/report', {
+                    method: 'POST',
+                    // Signed-in citizens' reports are filed under their verified number.
+                    headers: { ...citizenHeaders(), 'Idempotency-Key': reportId },
+                    body: formData 
+                });
+            } catch (networkError) {
+                // The server couldn't be reached: keep the report and send it later.
+                await queueOfflineReport(formData, reportId);
+                return;
+            }
 
             const result = await response.json();
 
             if (!response.ok) {
                 // If the server returns an error (e.g., 400, 500), throw an error to be caught by the catch block.
-                throw new Error(result.message || 'An unknown error occurred.');
+                throw new Error(result.message || t('report.unknownError'));
             }
             
-            // On success:
-            const successMessage = `<strong>Success!</strong> ${result.message}<br>Your Tracking ID is: <strong class="text-xl font-mono">${result.issueId}</strong>`;
+            // On success (the report may have been added to an existing issue for the same problem):
+            const successMessage = `<strong>${t(result.attachedToExisting ? 'report.thankYou' : 'report.success')}</strong> ${result.message}<br>${t('report.trackingId')} <strong class="text-xl font-mono">${result.issueId}</strong>`;
             showMessage(reportResult, successMessage, true);
-            reportForm.reset(); // Clear the form
-            fileNameSpan.textContent = 'Choose a file'; // Reset file input text
-            imagePreviewContainer.classList.add('hidden'); // Hide image preview
-            getGeoLocation(); // Re-fetch location for the next report
+            resetReportForm();
 
         } catch (error) {
-            showMessage(reportResult, `<strong>Error:</strong> ${error.message}`, false);
+            showMessage(reportResult, `<strong>${t('common.error')}</strong> ${error.message}`, false);
         } finally {
             // This block runs regardless of success or failure.
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Submit Report';
+            submitBtn.textContent = t('report.submit');
         }
     });
 
     // Handle the track issue form submission.
     trackForm.addEventListener('submit', async (e) => {
         e.preventDefault();
-        trackResult.innerHTML = '<p class="text-gray-500">Searching...</p>'; // Provide instant feedback
-        const issueId = document.getElementById('issue-id-input').value.trim();
+        trackResult.innerHTML = `<p class="text-gray-500">${t('track.searching')}</p>`; // Provide instant feedback
+        const issueId = issueIdInput.value.trim();
         
         if (!issueId || !/^\d{6}$/.test(issueId)) {
-            showMessage(trackResult, 'Please enter a valid 6-digit Issue ID.', false);
+            showMessage(trackResult, t('track.invalidId'), false);
             return;
         }
 
         try {
-            const response = await fetch(`/api/track_status/${issueId}`);
+            const response = await fetch(`/api/track_status/${issueId}`, { headers: I18n.headers() });
             const result = await response.json();
 
             if (!response.ok) {
                 throw new Error(result.message);
             }
 
-            // Dynamically create the HTML to display the tracking result.
-            const statusHtml = `
-                <div class="p-4 rounded-lg bg-gray-50 border">
-                    <h3 class="font-bold text-lg text-gray-800">Status for ID: ${result.issueId}</h3>
-                    <p class="text-gray-600"><strong class="font-medium text-gray-700">Type:</strong> ${result.issueType}</p>
-                    <p class="text-gray-600"><strong class="font-medium text-gray-700">Status:</strong> <span class="font-bold text-blue-600">${result.status}</span></p>
-                    <p class="text-gray-600"><strong class="font-medium text-gray-700">Reported On:</strong> ${new Date(result.reportedAt).toLocaleString()}</p>
-                    ${result.assignedTo ? `<p class="text-gray-600"><strong class="font-medium text-gray-700">Assigned To:</strong> ${result.assignedTo.name}</p>` : ''}
-                </div>
-            `;
-            trackResult.innerHTML = statusHtml;
+            renderTrackingResult(result);
+            watchIssue(result.issueId);
+
+        } catch (error) {
+            showMessage(trackResult, `<strong>${t('common.error')}</strong> ${error.message}`, false);
+        }
+    });
+
+    // Handle the reply form, which is rendered inside the tracking result.
+    trackResult.addEventListener('submit', async (e) => {
+        if (e.target.id !== 'reply-form') return;
+        e.preventDefault();
+        const form = e.target;
+        const replyResult = form.querySelector('#reply-result');
+
+        try {
+            const response = await fetch(`/api/track_status/${form.dataset.id}/comments`, {
+                method: 'POST',
+                headers: { ...I18n.headers(), 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    citizenContact: form.citizenContact.value.trim(),
+                    body: form.body.value.trim()
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            form.body.value = '';
+            showMessage(replyResult, result.message, true);
+            const messagesEl = document.getElementById('track-messages');
+            if (!messagesEl.querySelector('div')) messagesEl.innerHTML = '';
+            messagesEl.insertAdjacentHTML('beforeend', messagesHtml([result.comment]));
+        } catch (error) {
+            showMessage(replyResult, `<strong>${t('common.error')}</strong> ${error.message}`, false);
+        }
+    });
+
+    // Handle the reopen form, which is rendered inside the tracking result.
+    trackResult.addEventListener('submit', async (e) => {
+        if (e.target.id !== 'reopen-form') return;
+        e.preventDefault();
+        const form = e.target;
+        const reopenResult = form.querySelector('#reopen-result');
 
+        try {
+            const response = await fetch(`/api/track_status/${form.dataset.id}/reopen`, {
+                method: 'POST',
+                headers: { ...I18n.headers(), 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    citizenContact: form.citizenContact.value.trim(),
+                    reason: form.reason.value.trim()
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            form.innerHTML = '';
+            showMessage(form, `<strong>${t('reopen.done')}</strong> ${result.message}`, true);
         } catch (error) {
-            showMessage(trackResult, `<strong>Error:</strong> ${error.message}`, false);
+            showMessage(reopenResult, `<strong>${t('common.error')}</strong> ${error.message}`, false);
         }
     });
 
-    // Handle file selection to show a preview and the file name.
+    // "Follow this issue" buttons live inside Leaflet popups, which are added to the map container.
+    document.getElementById('nearby-map').addEventListener('click', (e) => {
+        const followBtn = e.target.closest('.follow-btn');
+        if (followBtn) followIssue(followBtn.dataset.id);
+    });
+
+    followedIssuesList.addEventListener('click', (e) => {
+        const trackBtn = e.target.closest('.track-followed-btn');
+        if (trackBtn) trackIssue(trackBtn.dataset.id);
+    });
+
+    issueTypeSelect.addEventListener('change', updateRequiredFields);
+
+    // Handle photo selection to show previews and how many were chosen.
     issueImageInput.addEventListener('change', () => {
-        const file = issueImageInput.files[0];
-        if (file) {
-            fileNameSpan.textContent = file.name; // Show the selected file's name
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                imagePreview.src = e.target.result;
-                imagePreviewContainer.classList.remove('hidden'); // Show the preview container
-            }
-            reader.readAsDataURL(file); // Read the file to generate a data URL for the preview
-        } else {
-            fileNameSpan.textContent = 'Choose a file';
-            imagePreviewContainer.classList.add('hidden');
+        if (issueImageInput.files.length > MAX_PHOTOS) {
+            alert(t('report.tooManyPhotos', { max: MAX_PHOTOS }));
+            issueImageInput.value = '';
+        }
+        showPhotoPreviews();
+    });
+
+    // Ask for a sign-in code.
+    otpRequestForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        otpRequestBtn.disabled = true;
+        try {
+            const response = await fetch('/api/citizen/otp', {
+                method: 'POST',
+                headers: { ...I18n.headers(), 'Content-Type': 'application/json' },
+                body: JSON.stringify({ phone: otpPhoneInput.value.trim() })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            showMessage(signinResult, result.message, true);
+            otpVerifyForm.classList.remove('hidden');
+            otpCodeInput.focus();
+            // The server won't send another code straight away.
+            otpRequestBtn.dataset.i18n = 'myReports.resendCode';
+            otpRequestBtn.textContent = t('myReports.resendCode');
+            setTimeout(() => { otpRequestBtn.disabled = false; }, result.resendInSeconds * 1000);
+        } catch (error) {
+            showMessage(signinResult, `<strong>Error:</strong> ${escapeHtml(error.message)}`, false);
+            otpRequestBtn.disabled = false;
+        }
+    });
+
+    // Check the code and start the session.
+    otpVerifyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const response = await fetch('/api/citizen/verify', {
+                method: 'POST',
+                headers: { ...I18n.headers(), 'Content-Type': 'application/json' },
+                body: JSON.stringify({ phone: otpPhoneInput.value.trim(), code: otpCodeInput.value.trim() })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            citizenToken = result.token;
+            localStorage.setItem('civicsense_citizen_token', citizenToken);
+            otpRequestForm.reset();
+            otpVerifyForm.reset();
+            otpRequestBtn.dataset.i18n = 'myReports.sendCode';
+            otpRequestBtn.textContent = t('myReports.sendCode');
+            signinResult.innerHTML = '';
+            signinResult.className = 'mt-3';
+            showSignedIn(result.citizen.phone);
+        } catch (error) {
+            showMessage(signinResult, `<strong>Error:</strong> ${escapeHtml(error.message)}`, false);
+        }
+    });
+
+    citizenSignoutBtn.addEventListener('click', async () => {
+        try {
+            await fetch('/api/citizen/logout', { method: 'POST', headers: citizenHeaders() });
+        } catch (error) {
+            // Forget the session in this browser anyway.
         }
+        showSignedOut();
+        citizenContactInput.value = '';
+    });
+
+    citizenReportsList.addEventListener('click', (e) => {
+        const reportBtn = e.target.closest('.my-report-btn');
+        if (reportBtn) trackIssue(reportBtn.dataset.id);
+    });
+
+    // Redraw the text built here when the citizen switches language (i18n.js translates the rest of the page).
+    I18n.onChange(() => {
+        if (categories.length > 0) renderCategoryOptions();
+        updateRequiredFields();
+        showPhotoPreviews();
+        getGeoLocation(); // Redraws the location status and the nearby issues
+        renderQueuedReports().catch(() => {});
+        // Don't throw away a reply or reopen request the citizen is in the middle of writing.
+        const isTyping = Array.from(trackResult.querySelectorAll('textarea')).some(input => input.value.trim());
+        if (trackedResult && !isTyping && trackResult.querySelector('#track-messages')) renderTrackingResult(trackedResult);
+        if (citizenPhone) loadMyReports();
     });
 
     // --- Initial Page Load ---
+    // Translate the page before anything else is shown.
+    await I18n.init();
+    I18n.initSwitcher(languageSelect);
     // Immediately disable the submit button until location is confirmed.
     submitBtn.disabled = true;
     // Start the process of getting the user's location as soon as the page loads.
     getGeoLocation();
+    loadCategories();
+    renderFollowedIssues();
+    restoreCitizenSession();
+    // Make the portal installable and usable offline, and send anything saved while offline.
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.warn('Offline support is unavailable:', error));
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'reports-sent') showSentReports();
+        });
+    }
+    window.addEventListener('online', sendQueuedReports);
+    sendQueuedReports();
+    // Links in our messages open the page with '?track=<issue ID>'.
+    const linkedIssueId = new URLSearchParams(window.location.search).get('track');
+    if (linkedIssueId && /^\d{6}$/.test(linkedIssueId)) trackIssue(linkedIssueId);
 });
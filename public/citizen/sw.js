@@ -0,0 +1,111 @@
+// The citizen portal's service worker: keeps the portal working offline and sends reports
+// queued while offline (see reportQueue.js) once the connection is back, even if the page was closed.
+importScripts('reportQueue.js');
+
+// Bump the version when the app shell changes, so old caches are cleared.
+const CACHE_NAME = 'civicsense-citizen-v2';
+
+// Cached when the service worker is installed, so the portal opens without a connection.
+const APP_SHELL = [
+    'index.html',
+    'script.js',
+    'reportQueue.js',
+    'i18n.js',
+    'locales/en.json',
+    'locales/hi.json',
+    'locales/ta.json',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// The API responses worth keeping for offline use: the issue types, needed to fill in the report form.
+const CACHED_API_PATHS = ['/api/categories'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network first, so citizens always get the latest version; the cached copy is only used offline.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        // Opaque responses are the CDN scripts and styles (Tailwind, Leaflet, fonts).
+        if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // '?track=' links open the same page.
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+        // Everything else from the API (statuses, live updates...) must be current, so it isn't cached.
+        if (CACHED_API_PATHS.includes(url.pathname)) event.respondWith(networkFirst(request));
+        return;
+    }
+    // Map tiles change and are far too many to keep.
+    if (url.hostname.endsWith('tile.openstreetmap.org')) return;
+
+    event.respondWith(networkFirst(request));
+});
+
+/**
+ * Sends the queued reports, then tells any open pages and shows a notification with each tracking ID.
+ * Throws while reports are still waiting, so the browser tries the sync again later.
+ */
+async function syncReports() {
+    const { results, pending } = await self.ReportQueue.sendQueued();
+
+    if (results.length > 0) {
+        const pages = await self.clients.matchAll({ type: 'window' });
+        pages.forEach(page => page.postMessage({ type: 'reports-sent' }));
+
+        if (self.Notification && Notification.permission === 'granted') {
+            await Promise.all(results.map(result => self.registration.showNotification(
+                result.issueId ? 'Your report was sent' : 'Your report could not be sent',
+                {
+                    body: result.issueId
+                        ? `${result.issueType}: your tracking ID is #${result.issueId}.`
+                        : `${result.issueType}: ${result.error}`,
+                    icon: 'icons/icon-192.png',
+                    tag: result.id,
+                    data: { issueId: result.issueId }
+                }
+            )));
+        }
+    }
+
+    if (pending) throw new Error('Some reports are still waiting for a connection.');
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === self.ReportQueue.SYNC_TAG) event.waitUntil(syncReports());
+});
+
+// Tapping a notification opens the portal on the issue it is about.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { issueId } = event.notification.data || {};
+    event.waitUntil(self.clients.openWindow(issueId ? `index.html?track=${issueId}` : 'index.html'));
+});
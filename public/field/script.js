@@ -0,0 +1,411 @@
+// The field view: a phone-sized list of the logged-in worker's open assignments, in the order to visit them
+// from where they are (GET /api/work-queue). Each stop can be navigated to, moved on in the workflow, given a
+// note, or resolved with "after" photos, using the same endpoints as the admin dashboard.
+document.addEventListener('DOMContentLoaded', () => {
+    // --- State Management ---
+    let authToken = localStorage.getItem('civicsense_token'); // The same session as the admin dashboard
+    let currentUser = null;
+    let workflow = { transitions: {}, requiredFields: {} }; // The status workflow from the server
+    let stops = []; // The open assignments, in visiting order
+    let position = null; // The worker's last known position, [longitude, latitude]
+
+    // --- Display Constants ---
+    const STATUS_COLORS = {
+        'Pending': 'bg-gray-200 text-gray-800',
+        'Acknowledged': 'bg-blue-100 text-blue-800',
+        'In Progress': 'bg-yellow-100 text-yellow-800',
+        'Reopened': 'bg-orange-100 text-orange-800'
+    };
+    const SLA_COLORS = {
+        'on-track': 'bg-green-50 text-green-700',
+        'at-risk': 'bg-yellow-50 text-yellow-700',
+        'breached': 'bg-red-50 text-red-700'
+    };
+    const PRIORITY_COLORS = {
+        'Low': 'bg-gray-100 text-gray-600',
+        'High': 'bg-orange-100 text-orange-800',
+        'Critical': 'bg-red-200 text-red-900'
+    };
+    // Resolving takes a note and photos (the form on each stop), and duplicates are merged from the dashboard.
+    const NOT_OFFERED_STATUSES = ['Resolved', 'Duplicate'];
+
+    // --- DOM Element References ---
+    const loginScreen = document.getElementById('login-screen');
+    const loginForm = document.getElementById('login-form');
+    const loginBtn = document.getElementById('login-btn');
+    const loginError = document.getElementById('login-error');
+    const loginNotice = document.getElementById('login-notice');
+    const currentUserEl = document.getElementById('current-user');
+    const refreshBtn = document.getElementById('refresh-btn');
+    const logoutBtn = document.getElementById('logout-btn');
+    const routeSummaryEl = document.getElementById('route-summary');
+    const locationStatusEl = document.getElementById('location-status');
+    const routeLinkEl = document.getElementById('route-link');
+    const stopsList = document.getElementById('stops-list');
+
+    // --- Leaflet Map Initialization ---
+    // Centered on India until the route is loaded.
+    const map = L.map('route-map').setView([20.5937, 78.9629], 5);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    }).addTo(map);
+    const routeLayer = L.layerGroup().addTo(map);
+
+    // --- Authentication ---
+
+    /**
+     * Calls the API with the session token.
+     * If the server says the session is missing or expired, the login screen is shown.
+     * @param {string} url - The API URL.
+     * @param {object} [options] - Standard fetch options.
+     * @returns {Promise<Response>} The fetch response.
+     */
+    async function apiFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (authToken) headers['Authorization'] = `Bearer ${authToken}`;
+
+        const response = await fetch(url, { ...options, headers });
+        if (response.status === 401) {
+            const body = await response.clone().json().catch(() => ({}));
+            showLogin(body.code === 'SESSION_EXPIRED' ? 'Your session has expired. Please sign in again.' : '');
+            throw new Error(body.message || 'Please log in to continue.');
+        }
+        return response;
+    }
+
+    /**
+     * Clears the stored session and shows the login screen.
+     * @param {string} [notice] - An optional message to show above the form (e.g. "session expired").
+     */
+    function showLogin(notice = '') {
+        authToken = null;
+        currentUser = null;
+        localStorage.removeItem('civicsense_token');
+        loginNotice.textContent = notice;
+        loginNotice.classList.toggle('hidden', !notice);
+        loginError.classList.add('hidden');
+        loginScreen.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the login screen, shows who is logged in and loads their work queue.
+     */
+    async function showWorkQueue() {
+        loginScreen.classList.add('hidden');
+        currentUserEl.textContent = `${currentUser.name} · ${currentUser.department}`;
+        try {
+            const response = await apiFetch('/api/workflow');
+            if (response.ok) workflow = await response.json();
+        } catch (error) {
+            // Without the workflow no status changes are offered; resolving still works.
+        }
+        refresh();
+    }
+
+    /**
+     * Checks whether a stored token is still valid, and either loads the work queue or shows the login screen.
+     */
+    async function initSession() {
+        if (!authToken) {
+            showLogin();
+            return;
+        }
+        try {
+            const response = await apiFetch('/api/auth/me');
+            if (!response.ok) throw new Error('Could not load your profile.');
+            currentUser = await response.json();
+            showWorkQueue();
+        } catch (error) {
+            // apiFetch has already shown the login screen for 401 responses.
+            if (loginScreen.classList.contains('hidden')) showLogin();
+        }
+    }
+
+    // --- Work Queue ---
+
+    /**
+     * Finds where the worker is, then loads the route from there. Without a position the route starts
+     * at the most urgent assignment.
+     */
+    function refresh() {
+        if (!navigator.geolocation) {
+            locationStatusEl.textContent = 'Location is not available on this device; the route starts at the most urgent issue.';
+            loadWorkQueue();
+            return;
+        }
+        locationStatusEl.textContent = 'Finding your location...';
+        navigator.geolocation.getCurrentPosition(
+            (pos) => {
+                position = [pos.coords.longitude, pos.coords.latitude];
+                locationStatusEl.textContent = `Route from your location (±${Math.round(pos.coords.accuracy)} m).`;
+                loadWorkQueue();
+            },
+            () => {
+                locationStatusEl.textContent = 'Location access is off; the route starts at the most urgent issue.';
+                loadWorkQueue();
+            },
+            { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+        );
+    }
+
+    /**
+     * Loads the worker's open assignments in visiting order and shows them.
+     */
+    async function loadWorkQueue() {
+        try {
+            const url = position ? `/api/work-queue?lat=${position[1]}&lng=${position[0]}` : '/api/work-queue';
+            const response = await apiFetch(url);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            stops = result.stops;
+            routeSummaryEl.textContent = stops.length === 0
+                ? 'No open assignments. Nice work!'
+                : `${stops.length} stop${stops.length === 1 ? '' : 's'} · ${formatDistance(result.totalMeters)} in a straight line`;
+            routeLinkEl.classList.toggle('hidden', !result.routeUrl);
+            if (result.routeUrl) routeLinkEl.href = result.routeUrl;
+            renderMap(result.origin);
+            renderStops();
+        } catch (error) {
+            if (authToken) routeSummaryEl.textContent = `Could not load your work queue: ${error.message}`;
+        }
+    }
+
+    /**
+     * Draws the route: the worker's position, then the numbered stops joined in visiting order.
+     * @param {number[]|null} origin - [longitude, latitude].
+     */
+    function renderMap(origin) {
+        routeLayer.clearLayers();
+        const points = stops.map(stop => [stop.location.coordinates[1], stop.location.coordinates[0]]);
+        if (origin) {
+            points.unshift([origin[1], origin[0]]);
+            L.circleMarker(points[0], { radius: 8, color: '#2563eb', fillOpacity: 0.8 }).addTo(routeLayer).bindPopup('You are here');
+        }
+        stops.forEach(stop => {
+            const icon = L.divIcon({ className: '', html: `<div class="stop-marker">${stop.stop}</div>`, iconSize: [28, 28], iconAnchor: [14, 14] });
+            L.marker([stop.location.coordinates[1], stop.location.coordinates[0]], { icon })
+                .addTo(routeLayer)
+                .bindPopup(`<b>${stop.stop}. ${escapeHtml(stop.issueType)}</b> (#${stop.issueId})<br>${escapeHtml(stop.location.landmark || '')}`)
+                .on('click', () => {
+                    const card = document.getElementById(`stop-${stop.issueId}`);
+                    card.open = true;
+                    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                });
+        });
+        if (points.length > 1) L.polyline(points, { color: '#4f46e5', weight: 3, dashArray: '6 6' }).addTo(routeLayer);
+        if (points.length > 0) map.fitBounds(L.latLngBounds(points), { padding: [30, 30], maxZoom: 16 });
+    }
+
+    /**
+     * Lists the stops as cards that open to show the issue and what can be done with it.
+     */
+    function renderStops() {
+        stopsList.innerHTML = stops.map(stop => {
+            const nextStatuses = (workflow.transitions[stop.status] || []).filter(status => !NOT_OFFERED_STATUSES.includes(status));
+            const canResolve = (workflow.transitions[stop.status] || []).includes('Resolved');
+            const photos = stop.photos && stop.photos.length > 0
+                ? stop.photos
+                : (stop.imageUrl ? [{ url: stop.imageUrl, thumbnailUrl: stop.imageUrl }] : []);
+            const slaBadge = stop.slaStatus ? `<span class="status-tag ${SLA_COLORS[stop.slaStatus]}">SLA: ${stop.slaStatus}</span>` : '';
+            const priorityBadge = stop.priority && stop.priority !== 'Medium'
+                ? `<span class="status-tag ${PRIORITY_COLORS[stop.priority]}">${stop.priority}</span>`
+                : '';
+
+            return `
+                <details id="stop-${stop.issueId}" class="bg-white rounded-xl shadow" data-id="${stop.issueId}">
+                    <summary class="p-4 flex items-start gap-3 cursor-pointer">
+                        <div class="stop-marker flex-shrink-0">${stop.stop}</div>
+                        <div class="flex-1 min-w-0">
+                            <div class="flex items-baseline justify-between gap-2">
+                                <span class="font-bold text-gray-900">${escapeHtml(stop.issueType)}</span>
+                                <span class="text-xs text-gray-500 whitespace-nowrap">${stop.legMeters === null ? 'First stop' : formatDistance(stop.legMeters)}</span>
+                            </div>
+                            <div class="text-sm text-gray-600 truncate">${escapeHtml(stop.location.landmark || '')}</div>
+                            <div class="mt-1 flex flex-wrap gap-1">
+                                <span class="status-tag ${STATUS_COLORS[stop.status] || 'bg-gray-200 text-gray-800'}">${stop.status}</span>${slaBadge}${priorityBadge}
+                            </div>
+                        </div>
+                    </summary>
+                    <div class="px-4 pb-4 space-y-4 text-sm">
+                        <div>
+                            <p class="text-gray-500">#${stop.issueId} · reported ${new Date(stop.createdAt).toLocaleString()}${stop.ward ? ` · ${escapeHtml(stop.ward.name)}` : ''}</p>
+                            <p class="mt-1 text-gray-800 whitespace-pre-line">${escapeHtml(stop.description)}</p>
+                            ${stop.citizenContact ? `<p class="mt-1"><a href="tel:${escapeHtml(stop.citizenContact)}" class="text-indigo-600 font-medium">Call the citizen</a></p>` : ''}
+                        </div>
+                        ${photos.length > 0 ? `<div class="flex flex-wrap gap-2">${photos.map(photo => `
+                            <a href="${photo.url}" target="_blank"><img src="${photo.thumbnailUrl}" alt="Reported photo" class="h-20 w-20 object-cover rounded-lg"></a>`).join('')}
+                        </div>` : ''}
+                        <a href="${stop.navigationUrl}" target="_blank" rel="noopener" class="block text-center bg-indigo-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-indigo-700 transition">Navigate</a>
+
+                        ${nextStatuses.length > 0 ? `
+                        <form class="status-form flex flex-wrap gap-2">
+                            <select name="status" required class="flex-1 p-2 border border-gray-300 rounded-md">
+                                <option value="">Set status...</option>
+                                ${nextStatuses.map(status => `<option value="${status}">${status}</option>`).join('')}
+                            </select>
+                            <input type="text" name="reason" placeholder="Reason (needed to reject)" class="hidden w-full p-2 border border-gray-300 rounded-md">
+                            <button type="submit" class="bg-white text-gray-700 font-semibold py-2 px-4 border border-gray-300 rounded-lg hover:bg-gray-50 transition">Update</button>
+                        </form>` : ''}
+
+                        <form class="note-form space-y-2">
+                            <textarea name="body" rows="2" required placeholder="Add a note for the team (not shown to the citizen)" class="w-full p-2 border border-gray-300 rounded-md"></textarea>
+                            <button type="submit" class="bg-white text-gray-700 font-semibold py-2 px-4 border border-gray-300 rounded-lg hover:bg-gray-50 transition">Add Note</button>
+                        </form>
+
+                        ${canResolve ? `
+                        <form class="resolve-form space-y-2 p-3 rounded-lg bg-green-50 border border-green-200">
+                            <p class="font-semibold text-gray-800">Resolve with proof</p>
+                            <textarea name="note" rows="2" required placeholder="What was done? (shown to the citizen)" class="w-full p-2 border border-gray-300 rounded-md"></textarea>
+                            <input type="file" name="photos" accept="image/*" capture="environment" multiple required class="w-full">
+                            <button type="submit" class="w-full bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition disabled:bg-gray-400">Resolve</button>
+                        </form>` : ''}
+                        <div class="stop-result hidden p-3 rounded-lg"></div>
+                    </div>
+                </details>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Shows the outcome of an action on a stop's card.
+     * @param {HTMLElement} card - The stop's <details> element.
+     * @param {string} message
+     * @param {boolean} isSuccess
+     */
+    function showResult(card, message, isSuccess) {
+        const resultEl = card.querySelector('.stop-result');
+        resultEl.textContent = message;
+        resultEl.className = `stop-result p-3 rounded-lg ${isSuccess ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`;
+    }
+
+    /**
+     * Sends an action on a stop to the API and reports the outcome on its card.
+     * @param {HTMLElement} card - The stop's <details> element.
+     * @param {string} url
+     * @param {object} options - fetch options.
+     * @returns {Promise<object>} The response body.
+     */
+    async function sendAction(card, url, options) {
+        const response = await apiFetch(url, options);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message);
+        showResult(card, result.message, true);
+        return result;
+    }
+
+    // --- Helpers ---
+
+    /**
+     * Escapes text for use in HTML.
+     * @param {string} value
+     * @returns {string}
+     */
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * @param {number} meters
+     * @returns {string} E.g. "350 m" or "2.4 km".
+     */
+    function formatDistance(meters) {
+        return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+    }
+
+    // --- Event Listeners ---
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginBtn.disabled = true;
+        loginError.classList.add('hidden');
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('login-email').value.trim(),
+                    password: document.getElementById('login-password').value
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message);
+
+            authToken = result.token;
+            currentUser = result.user;
+            localStorage.setItem('civicsense_token', authToken);
+            loginForm.reset();
+            showWorkQueue();
+        } catch (error) {
+            loginError.textContent = error.message;
+            loginError.classList.remove('hidden');
+        } finally {
+            loginBtn.disabled = false;
+        }
+    });
+
+    logoutBtn.addEventListener('click', async () => {
+        try {
+            await apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            // Even if the server call fails, we still clear the local session below.
+        }
+        showLogin();
+    });
+
+    refreshBtn.addEventListener('click', refresh);
+
+    // Rejecting needs a reason, so the reason box appears when it is chosen.
+    stopsList.addEventListener('change', (e) => {
+        if (e.target.name !== 'status') return;
+        const reasonInput = e.target.form.reason;
+        const needsReason = (workflow.requiredFields[e.target.value] || []).includes('reason');
+        reasonInput.classList.toggle('hidden', !needsReason);
+        reasonInput.required = needsReason;
+    });
+
+    stopsList.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const card = form.closest('details');
+        const issueId = card.dataset.id;
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            if (form.classList.contains('status-form')) {
+                await sendAction(card, '/api/update_status', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ issueId, status: form.status.value, reason: form.reason.value.trim() || undefined })
+                });
+                loadWorkQueue(); // The status, or whether the issue is still open, has changed
+            } else if (form.classList.contains('note-form')) {
+                await sendAction(card, `/api/issues/${issueId}/comments`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ body: form.body.value.trim(), visibility: 'internal' })
+                });
+                form.reset();
+            } else if (form.classList.contains('resolve-form')) {
+                submitBtn.textContent = 'Uploading...';
+                const formData = new FormData();
+                formData.append('note', form.note.value.trim());
+                Array.from(form.photos.files).forEach(file => formData.append('photos', file));
+                const result = await sendAction(card, `/api/issues/${issueId}/resolve`, { method: 'POST', body: formData });
+                alert(result.message);
+                loadWorkQueue(); // Resolved issues leave the queue
+            }
+        } catch (error) {
+            if (authToken) showResult(card, error.message, false);
+        } finally {
+            submitBtn.disabled = false;
+            if (form.classList.contains('resolve-form')) submitBtn.textContent = 'Resolve';
+        }
+    });
+
+    // --- Initial Load ---
+    initSession();
+});
@@ -0,0 +1,55 @@
+// scripts/create-user.js
+//
+// Creates a staff account from the command line. This is how the very first admin is created,
+// since the 'POST /api/users' endpoint itself requires an admin to be logged in.
+//
+// Usage:
+//   npm run create-user -- --name "Asha Rao" --email asha@example.org --password "s3cret-pass" \
+//                          --department "General Services" --role admin
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../server/models/User');
+const { seedDefaults, getDepartments } = require('../server/services/categoryService');
+
+/**
+ * Parses '--key value' pairs from the command line into an object.
+ * @param {string[]} argv - The raw arguments (without 'node' and the script path).
+ * @returns {object} The parsed options.
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        options[key] = argv[i + 1];
+    }
+    return options;
+}
+
+async function main() {
+    const { name, email, password, department, role = 'field_staff' } = parseArgs(process.argv.slice(2));
+    if (!name || !email || !password || !department) {
+        console.error('Usage: npm run create-user -- --name <name> --email <email> --password <password> --department <department> [--role admin|supervisor|field_staff]');
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    try {
+        // On a fresh database the departments don't exist until the server first starts, so add them here too.
+        await seedDefaults();
+        const departments = (await getDepartments()).map(d => d.name);
+        if (!departments.includes(department)) {
+            throw new Error(`Unknown department "${department}". Choose one of: ${departments.join(', ')}.`);
+        }
+
+        const user = await new User({ name, email, password, department, role }).save();
+        console.log(`✅ Created ${user.role} account for ${user.email} (${user.department}).`);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch(err => {
+    console.error('❌ Could not create the user:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,62 @@
+// scripts/fake-sms-gateway.js
+//
+// A stand-in for a real SMS gateway, for trying out the inbound SMS webhook locally.
+// It posts messages to POST /api/sms/inbound on your running server, exactly as a gateway would,
+// and prints the reply. Replies also appear in the server console through the notification service.
+//
+// Usage (with the server running):
+//   npm run fake-sms -- "+919876543210" "REPORT POTHOLE near bus stand, big crater"
+//   npm run fake-sms -- "+919876543210"        (interactive: type one message per line)
+
+require('dotenv').config();
+const readline = require('readline');
+
+const SERVER_URL = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Delivers one message to the webhook and prints the reply.
+ * @param {string} from - The pretend sender's phone number.
+ * @param {string} text - The SMS text.
+ */
+async function deliver(from, text) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.SMS_WEBHOOK_SECRET) headers['X-Webhook-Secret'] = process.env.SMS_WEBHOOK_SECRET;
+
+    const response = await fetch(`${SERVER_URL}/api/sms/inbound`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ from, text })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        console.error(`❌ ${response.status}: ${result.message}`);
+        return;
+    }
+    console.log(`📱 Reply to ${from}: ${result.reply}`);
+}
+
+async function main() {
+    const [from, ...words] = process.argv.slice(2);
+    if (!from) {
+        console.error('Usage: npm run fake-sms -- <phone number> [message]');
+        process.exit(1);
+    }
+
+    if (words.length > 0) {
+        await deliver(from, words.join(' '));
+        return;
+    }
+
+    // Interactive mode: every line typed is sent as a new SMS.
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: `${from}> ` });
+    rl.prompt();
+    for await (const line of rl) {
+        if (line.trim()) await deliver(from, line);
+        rl.prompt();
+    }
+}
+
+main().catch(err => {
+    console.error(`❌ Could not reach ${SERVER_URL}:`, err.message);
+    process.exit(1);
+});
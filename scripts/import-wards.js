@@ -0,0 +1,42 @@
+// scripts/import-wards.js
+//
+// Imports ward/zone boundaries from a GeoJSON FeatureCollection file into the 'wards' collection.
+// Wards with the same code are updated, so it is safe to run again with a corrected file.
+//
+// Usage:
+//   npm run import-wards -- path/to/wards.geojson [--name-property WARD_NAME] [--code-property WARD_NO] [--zone-property ZONE]
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { importWards } = require('../server/services/wardService');
+
+async function main() {
+    const [file, ...rest] = process.argv.slice(2);
+    if (!file) {
+        console.error('Usage: npm run import-wards -- <file.geojson> [--name-property <prop>] [--code-property <prop>] [--zone-property <prop>]');
+        process.exit(1);
+    }
+
+    const options = {};
+    for (let i = 0; i < rest.length; i += 2) {
+        const key = rest[i].replace(/^--/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase());
+        options[key] = rest[i + 1];
+    }
+
+    const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    await mongoose.connect(process.env.MONGO_URI);
+    try {
+        const result = await importWards(geojson, options);
+        console.log(`✅ Created ${result.created} and updated ${result.updated} ward(s).`);
+        result.errors.forEach(error => console.warn(`⚠️  Feature ${error.feature}: ${error.message}`));
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch(err => {
+    console.error('❌ Could not import wards:', err.message);
+    process.exit(1);
+});
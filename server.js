@@ -10,6 +10,35 @@ const path = require('path'); // Helper for working with file and directory path
 // --- Import API Routes ---
 // We will create this file next. It will contain all our application's API endpoints.
 const apiRoutes = require('./server/routes/api');
+const authRoutes = require('./server/routes/auth'); // Login, logout and session endpoints for staff.
+const ussdRoutes = require('./server/routes/ussd'); // Callback endpoint for the USSD aggregator.
+const smsRoutes = require('./server/routes/sms'); // Webhook for inbound SMS reports and status queries.
+const notificationRoutes = require('./server/routes/notifications'); // Admin view of the notification outbox.
+const wardRoutes = require('./server/routes/wards'); // Ward boundaries and their import.
+const routingRuleRoutes = require('./server/routes/routingRules'); // Category/ward → department routing rules.
+const categoryRoutes = require('./server/routes/categories'); // Admin-managed issue categories.
+const departmentRoutes = require('./server/routes/departments'); // Admin-managed departments.
+const importRoutes = require('./server/routes/imports'); // Bulk import of historical complaints.
+const feedbackRoutes = require('./server/routes/feedback'); // Citizens confirming or disputing resolutions.
+const citizenRoutes = require('./server/routes/citizens'); // Citizen sign-in with a phone code, and "My reports".
+const notificationTemplateRoutes = require('./server/routes/notificationTemplates'); // Admin-editable citizen notifications, per language.
+const workQueueRoutes = require('./server/routes/workQueue'); // Field staff's assignments in visiting order.
+
+// --- Import Middleware ---
+const { detectLanguage } = require('./server/middleware/language');
+
+// --- Import Background Workers ---
+const { startNotificationWorker } = require('./server/services/notificationService');
+const { startSlaScheduler } = require('./server/services/slaService');
+const { startPriorityScheduler } = require('./server/services/priorityService');
+const { seedDefaults } = require('./server/services/categoryService');
+
+// --- Check Required Configuration ---
+// Session tokens are signed with this secret, so the admin dashboard can't work without it.
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET is not set. Add it to your .env file to enable staff logins.');
+  process.exit(1);
+}
 
 // --- Initialize Express Application ---
 const app = express();
@@ -43,7 +72,15 @@ app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
 
 // --- Database Connection ---
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('✅ Successfully connected to MongoDB! Database is ready.'))
+  .then(async () => {
+    console.log('✅ Successfully connected to MongoDB! Database is ready.');
+    // A fresh database gets the standard departments and issue categories.
+    await seedDefaults();
+    // Start the background jobs only once the database is reachable.
+    startNotificationWorker();
+    startSlaScheduler();
+    startPriorityScheduler();
+  })
   .catch(err => {
     console.error('❌ MongoDB connection error: Could not connect to the database.');
     console.error(err);
@@ -54,6 +91,21 @@ mongoose.connect(process.env.MONGO_URI)
 // --- API Route Handling ---
 // All requests that start with '/api' will be handled by our apiRoutes module.
 // This keeps our main server file clean and organized.
+// Every API request first works out which language to answer citizens in ('?lang=' or Accept-Language).
+app.use('/api', detectLanguage);
+app.use('/api/auth', authRoutes);
+app.use('/api/ussd', ussdRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/wards', wardRoutes);
+app.use('/api/routing-rules', routingRuleRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/feedback', feedbackRoutes);
+app.use('/api/citizen', citizenRoutes);
+app.use('/api/notification-templates', notificationTemplateRoutes);
+app.use('/api/work-queue', workQueueRoutes);
 app.use('/api', apiRoutes);
 
 // --- Root Route ---
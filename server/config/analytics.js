@@ -0,0 +1,18 @@
+// server/config/analytics.js
+
+// --- Dashboard Analytics ---
+// Settings for the time-series and performance analytics (GET /api/analytics/timeseries and /performance).
+
+// The time zone reports are grouped into days, weeks and months in (an IANA name, e.g. 'Asia/Kolkata').
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'UTC';
+
+// The period covered when no date range is given.
+const DEFAULT_RANGE_DAYS = 30;
+
+// The most points a time series may have (e.g. a 2-year range is too long to show per day).
+const MAX_SERIES_POINTS = 400;
+
+// How open issues are grouped by age, in days: under 1 day, 1-3 days, 3-7 days, 7-30 days and 30+ days.
+const BACKLOG_AGE_BUCKETS_DAYS = [1, 3, 7, 30];
+
+module.exports = { TIMEZONE, DEFAULT_RANGE_DAYS, MAX_SERIES_POINTS, BACKLOG_AGE_BUCKETS_DAYS };
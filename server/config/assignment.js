@@ -0,0 +1,15 @@
+// server/config/assignment.js
+
+// --- Automatic Assignment ---
+// Admins turn automatic assignment on per department and choose its strategy there (see services/assignmentService.js).
+
+// The strategy a department uses until an admin picks another one.
+const DEFAULT_STRATEGY = 'least-workload';
+
+// Only staff with these roles are given issues automatically.
+const ELIGIBLE_ROLES = ['field_staff'];
+
+// The time zone staff shift times are written in.
+const SHIFT_TIMEZONE = process.env.SHIFT_TIMEZONE || 'Asia/Kolkata';
+
+module.exports = { DEFAULT_STRATEGY, ELIGIBLE_ROLES, SHIFT_TIMEZONE };
@@ -0,0 +1,26 @@
+// server/config/citizenAuth.js
+
+// --- Citizen Sign-In ---
+// Citizens sign in on the citizen portal with their mobile number and a one-time code sent to it
+// (see services/citizenAuthService.js). A verified session lists their reports and marks new ones as verified.
+
+// The notification channel the codes are sent through (see services/channels), e.g. 'sms'.
+// Defaults to the channel used for other citizen messages, which is 'console' in development: the code
+// is printed in the server log instead of being sent.
+const OTP_CHANNEL = process.env.OTP_CHANNEL || null;
+
+// How many digits a code has, and how many minutes it can be used for.
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+
+// How many wrong guesses a code survives before a new one has to be requested.
+const OTP_MAX_ATTEMPTS = 5;
+
+// How long a citizen has to wait before asking for another code, and how many codes one number can be sent per hour.
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR, 10) || 5;
+
+// How long a citizen stays signed in on the portal.
+const SESSION_TTL = process.env.CITIZEN_SESSION_TTL || '30d';
+
+module.exports = { OTP_CHANNEL, OTP_LENGTH, OTP_TTL_MINUTES, OTP_MAX_ATTEMPTS, OTP_RESEND_SECONDS, OTP_MAX_PER_HOUR, SESSION_TTL };
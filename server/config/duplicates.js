@@ -0,0 +1,22 @@
+// server/config/duplicates.js
+
+// --- Duplicate Report Detection ---
+// When a new report comes in, we look for an open issue of the same type nearby that was reported recently.
+
+// How close (in metres) another report has to be to count as the same problem.
+const RADIUS_METERS = parseInt(process.env.DUPLICATE_RADIUS_METERS, 10) || 50;
+
+// How far back (in hours) to look for a matching report.
+const WINDOW_HOURS = parseInt(process.env.DUPLICATE_WINDOW_HOURS, 10) || 72;
+
+// What to do with a likely duplicate:
+// - 'flag': create the new issue as usual, but mark it as a possible duplicate for staff to review and merge.
+// - 'attach': don't create a new issue; add the report to the existing one and increase its report counter.
+const MODE = process.env.DUPLICATE_MODE === 'attach' ? 'attach' : 'flag';
+
+// Reports from these channels have no real position: they are placed at the centre of the area the citizen
+// named (see config/ussdAreas.js). They are never matched, nor matched against, so two different problems
+// in the same area aren't merged.
+const APPROXIMATE_SOURCES = ['sms', 'ussd'];
+
+module.exports = { RADIUS_METERS, WINDOW_HOURS, MODE, APPROXIMATE_SOURCES };
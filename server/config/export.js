@@ -0,0 +1,18 @@
+// server/config/export.js
+
+// --- Issue Exports ---
+// Settings for the CSV, GeoJSON and KML exports (GET /api/issues/export).
+
+// The staff roles that see citizens' contact numbers in full, in exports and in the dashboard's issues, comments
+// and live updates. Everyone else gets them masked (e.g. '******3210'), which is still enough to tell reports from
+// the same citizen apart. Field staff still see the full number of the issues assigned to them, in their work
+// queue, so they can call the citizen.
+const CONTACT_VISIBLE_ROLES = (process.env.EXPORT_CONTACT_ROLES || 'admin,supervisor')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+// How many trailing digits of a masked contact number are left visible.
+const MASK_VISIBLE_DIGITS = 4;
+
+module.exports = { CONTACT_VISIBLE_ROLES, MASK_VISIBLE_DIGITS };
@@ -0,0 +1,14 @@
+// server/config/feedback.js
+
+// --- Citizen Feedback on Resolutions ---
+// When an issue is resolved, every citizen linked to it gets a personal link to confirm the fix (with a 1–5 rating)
+// or dispute it, which reopens the issue (see services/feedbackService.js).
+
+// The address citizens reach this site at, used to build the links in their notifications (e.g. https://civicsense.example.org).
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// The lowest and highest rating a citizen can give.
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+module.exports = { PUBLIC_URL, MIN_RATING, MAX_RATING };
@@ -0,0 +1,19 @@
+// server/config/i18n.js
+
+// --- Languages ---
+// The languages the citizen portal, the API's messages to citizens and citizens' notifications are available in.
+// Each one needs a catalogue in server/locales (API messages), one in public/citizen/locales (the portal)
+// and a version of every notification template (config/notificationTemplates.js).
+
+// Language code → its name, written in that language (for the portal's language switcher).
+const LANGUAGES = {
+    en: 'English',
+    hi: 'हिन्दी',
+    ta: 'தமிழ்'
+};
+
+// Used when a citizen hasn't chosen a language, or asks for one we don't have.
+// Anything missing from another language's catalogue falls back to this one too.
+const DEFAULT_LANGUAGE = 'en';
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE };
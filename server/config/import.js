@@ -0,0 +1,37 @@
+// server/config/import.js
+
+// --- Bulk Import of Historical Complaints ---
+// Settings for importing old complaints from a CSV or Excel spreadsheet (POST /api/imports).
+
+// The most rows one spreadsheet may have. Split bigger files and import them one after the other.
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// The largest spreadsheet that can be uploaded, in megabytes.
+const MAX_FILE_MB = 10;
+
+// Rows without latitude/longitude columns are geocoded from their address through a Nominatim-compatible
+// search endpoint (e.g. https://nominatim.openstreetmap.org/search). Leave it unset to require coordinates.
+const GEOCODING_URL = process.env.GEOCODING_URL || '';
+
+// Added to every address before it is geocoded, so "MG Road" is found in the right city (e.g. 'Hyderabad, India').
+const GEOCODING_REGION = process.env.GEOCODING_REGION || '';
+
+// The pause between geocoding requests. The public Nominatim service allows one request per second.
+const GEOCODING_DELAY_MS = parseInt(process.env.GEOCODING_DELAY_MS, 10) || 1000;
+
+// How long to wait for the geocoding service to answer one address.
+const GEOCODING_TIMEOUT_MS = parseInt(process.env.GEOCODING_TIMEOUT_MS, 10) || 10 * 1000;
+
+// The most new addresses one import (or dry run) looks up, so the request finishes in about a minute.
+// Addresses looked up before don't count, so running the import again continues with the rest.
+const MAX_GEOCODED_ADDRESSES = parseInt(process.env.IMPORT_MAX_GEOCODED_ADDRESSES, 10) || 60;
+
+module.exports = {
+    MAX_ROWS,
+    MAX_FILE_MB,
+    GEOCODING_URL,
+    GEOCODING_REGION,
+    GEOCODING_DELAY_MS,
+    GEOCODING_TIMEOUT_MS,
+    MAX_GEOCODED_ADDRESSES
+};
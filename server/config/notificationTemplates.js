@@ -0,0 +1,103 @@
+// server/config/notificationTemplates.js
+
+// --- Citizen Notification Templates ---
+// Every message sent to citizens, in each language (config/i18n.js). '{placeholders}' are filled in when
+// a message is sent; only the ones listed for a template can be used in it.
+// These are the defaults: admins can reword any template in any language from the dashboard's settings,
+// and their version is used instead (see services/notificationTemplateService.js).
+// Issue statuses are filled in already translated; issue types are sent as they are named.
+
+const TEMPLATES = {
+    'report.received': {
+        description: 'Sent when a new report is received.',
+        placeholders: ['issueId', 'issueType'],
+        text: {
+            en: 'Thank you! Your issue report (#{issueId} - {issueType}) has been received. We will keep you updated on its progress.',
+            hi: 'धन्यवाद! आपकी शिकायत (#{issueId} - {issueType}) हमें मिल गई है। हम आपको इसकी प्रगति की जानकारी देते रहेंगे।',
+            ta: 'நன்றி! உங்கள் புகார் (#{issueId} - {issueType}) பெறப்பட்டது. அதன் முன்னேற்றம் குறித்து உங்களுக்குத் தொடர்ந்து தெரிவிப்போம்.'
+        }
+    },
+    'report.attached': {
+        description: 'Sent when a report is added to an issue already reported nearby.',
+        placeholders: ['issueId', 'issueType'],
+        text: {
+            en: "Thank you! This problem has already been reported as issue #{issueId} ({issueType}). We've added your report to it and will keep you updated on its progress.",
+            hi: 'धन्यवाद! यह समस्या पहले ही शिकायत #{issueId} ({issueType}) के रूप में दर्ज है। हमने आपकी शिकायत इसमें जोड़ दी है और आपको इसकी प्रगति की जानकारी देते रहेंगे।',
+            ta: 'நன்றி! இந்தப் பிரச்சினை ஏற்கெனவே புகார் #{issueId} ({issueType}) ஆகப் பதிவாகியுள்ளது. உங்கள் புகாரை அதில் சேர்த்துள்ளோம்; அதன் முன்னேற்றம் குறித்துத் தொடர்ந்து தெரிவிப்போம்.'
+        }
+    },
+    'status.changed': {
+        description: "Sent to every citizen linked to an issue when staff change its status.",
+        placeholders: ['issueId', 'status'],
+        text: {
+            en: 'Update for issue #{issueId}: The status has been changed to "{status}".',
+            hi: 'शिकायत #{issueId} की जानकारी: स्थिति बदलकर "{status}" कर दी गई है।',
+            ta: 'புகார் #{issueId} பற்றிய தகவல்: நிலை "{status}" என மாற்றப்பட்டுள்ளது.'
+        }
+    },
+    'status.rejected': {
+        description: 'Sent instead of "status.changed" when an issue is rejected.',
+        placeholders: ['issueId', 'status', 'reason'],
+        text: {
+            en: 'Update for issue #{issueId}: The status has been changed to "{status}". Reason: {reason}',
+            hi: 'शिकायत #{issueId} की जानकारी: स्थिति बदलकर "{status}" कर दी गई है। कारण: {reason}',
+            ta: 'புகார் #{issueId} பற்றிய தகவல்: நிலை "{status}" என மாற்றப்பட்டுள்ளது. காரணம்: {reason}'
+        }
+    },
+    'status.duplicate': {
+        description: 'Sent instead of "status.changed" when an issue is marked as a duplicate.',
+        placeholders: ['issueId', 'status', 'duplicateOf'],
+        text: {
+            en: 'Update for issue #{issueId}: The status has been changed to "{status}". It is being tracked as issue #{duplicateOf}.',
+            hi: 'शिकायत #{issueId} की जानकारी: स्थिति बदलकर "{status}" कर दी गई है। इस पर अब शिकायत #{duplicateOf} के रूप में काम हो रहा है।',
+            ta: 'புகார் #{issueId} பற்றிய தகவல்: நிலை "{status}" என மாற்றப்பட்டுள்ளது. இது புகார் #{duplicateOf} ஆகக் கண்காணிக்கப்படுகிறது.'
+        }
+    },
+    'issue.merged': {
+        description: 'Sent to the reporter of an issue that staff merged into another one.',
+        placeholders: ['issueId', 'canonicalId'],
+        text: {
+            en: 'Update for issue #{issueId}: This problem is being handled as issue #{canonicalId}. You will receive updates for that issue.',
+            hi: 'शिकायत #{issueId} की जानकारी: इस समस्या पर अब शिकायत #{canonicalId} के रूप में काम हो रहा है। आपको उसी शिकायत की जानकारी मिलेगी।',
+            ta: 'புகார் #{issueId} பற்றிய தகவல்: இந்தப் பிரச்சினை புகார் #{canonicalId} ஆகக் கையாளப்படுகிறது. அந்தப் புகார் குறித்த தகவல்கள் உங்களுக்கு வரும்.'
+        }
+    },
+    'issue.resolved': {
+        description: 'Sent to every citizen linked to an issue when it is resolved, with their personal link to confirm or dispute the fix.',
+        placeholders: ['issueId', 'issueType', 'note', 'link'],
+        text: {
+            en: "Good news! Issue #{issueId} ({issueType}) has been resolved: {note} Is it really fixed? Please confirm or tell us it isn't, and rate our work: {link}",
+            hi: 'अच्छी खबर! शिकायत #{issueId} ({issueType}) हल हो गई है: {note} क्या यह सचमुच ठीक हो गई है? कृपया पुष्टि करें या बताएँ कि नहीं, और हमारे काम को रेटिंग दें: {link}',
+            ta: 'நல்ல செய்தி! புகார் #{issueId} ({issueType}) தீர்க்கப்பட்டது: {note} உண்மையில் சரியாகிவிட்டதா? உறுதிப்படுத்தவும் அல்லது இல்லை என்று தெரிவிக்கவும், எங்கள் பணியை மதிப்பிடவும்: {link}'
+        }
+    },
+    'issue.reopened': {
+        description: 'Sent when a citizen reopens their issue, or disputes its resolution.',
+        placeholders: ['issueId'],
+        text: {
+            en: 'Your issue #{issueId} has been reopened. Our team will look into it again.',
+            hi: 'आपकी शिकायत #{issueId} फिर से खोल दी गई है। हमारी टीम इसे दोबारा देखेगी।',
+            ta: 'உங்கள் புகார் #{issueId} மீண்டும் திறக்கப்பட்டது. எங்கள் குழு அதை மீண்டும் கவனிக்கும்.'
+        }
+    },
+    'comment.public': {
+        description: 'Sent to every citizen linked to an issue when staff post a public message on it.',
+        placeholders: ['issueId', 'department', 'message', 'link'],
+        text: {
+            en: 'Message about your issue #{issueId} from {department}: "{message}" See it and reply on the tracking page: {link}',
+            hi: 'आपकी शिकायत #{issueId} के बारे में {department} का संदेश: "{message}" इसे देखने और जवाब देने के लिए ट्रैकिंग पेज खोलें: {link}',
+            ta: 'உங்கள் புகார் #{issueId} குறித்து {department} அனுப்பிய செய்தி: "{message}" இதைப் பார்க்கவும் பதிலளிக்கவும் கண்காணிப்புப் பக்கத்தைத் திறக்கவும்: {link}'
+        }
+    },
+    'auth.code': {
+        description: 'The one-time code a citizen signs in to the citizen portal with.',
+        placeholders: ['code', 'minutes'],
+        text: {
+            en: '{code} is your CivicSense sign-in code. It expires in {minutes} minutes. Do not share it with anyone.',
+            hi: '{code} आपका CivicSense साइन-इन कोड है। यह {minutes} मिनट में समाप्त हो जाएगा। इसे किसी के साथ साझा न करें।',
+            ta: '{code} உங்கள் CivicSense உள்நுழைவுக் குறியீடு. இது {minutes} நிமிடங்களில் காலாவதியாகும். இதை யாருடனும் பகிர வேண்டாம்.'
+        }
+    }
+};
+
+module.exports = { TEMPLATES };
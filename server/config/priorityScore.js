@@ -0,0 +1,63 @@
+// server/config/priorityScore.js
+
+const path = require('path');
+
+// --- Priority Score ---
+// Every open issue gets a score from 0 (can wait) to 100 (most urgent), for ordering the backlog
+// (see services/priorityService.js). It combines four factors, each from 0 to 1, in proportion to their weights:
+// - severity:  how serious its category is (the category's default priority), or the issue's own priority if that was raised;
+// - reports:   how many citizens reported it (attached and merged reports count);
+// - sla:       how much of the time allowed to resolve it has been used (1 once it is overdue);
+// - proximity: how close it is to a sensitive place (a school, hospital, main road...) from the points-of-interest file.
+// Closed issues score 0.
+
+/**
+ * Reads a weight from the environment, so it can be tuned without a code change. 0 turns a factor off.
+ */
+function weight(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const WEIGHTS = {
+    severity: weight('PRIORITY_WEIGHT_SEVERITY', 0.35),
+    reports: weight('PRIORITY_WEIGHT_REPORTS', 0.2),
+    sla: weight('PRIORITY_WEIGHT_SLA', 0.25),
+    proximity: weight('PRIORITY_WEIGHT_PROXIMITY', 0.2)
+};
+
+// The severity factor for each priority.
+const SEVERITY = { Low: 0.25, Medium: 0.5, High: 0.75, Critical: 1 };
+
+// An issue reported by this many citizens (or more) gets the full reports factor.
+const REPORTS_FOR_FULL_SCORE = parseInt(process.env.PRIORITY_REPORTS_FOR_FULL_SCORE, 10) || 10;
+
+// The points-of-interest file: a GeoJSON FeatureCollection of points, lines (e.g. roads) or areas.
+// Without it, the proximity factor is 0 for every issue. Changes to the file are picked up on the next refresh.
+const POI_FILE = process.env.POI_GEOJSON_PATH || path.join(__dirname, '..', 'data', 'points-of-interest.geojson');
+
+// The kinds of place that count, read from each feature's 'kind' property: how much being close to one
+// matters (0 to 1), and from how far away. The factor falls off linearly to 0 at that distance.
+const POI_KINDS = {
+    hospital: { weight: 1, radiusMeters: 500 },
+    school: { weight: 0.9, radiusMeters: 300 },
+    main_road: { weight: 0.7, radiusMeters: 100 }
+};
+
+// Other names for those kinds, so an OpenStreetMap export can be used as it is
+// (its 'amenity' and 'highway' tags are read when a feature has no 'kind').
+const POI_KIND_ALIASES = {
+    clinic: 'hospital',
+    college: 'school',
+    kindergarten: 'school',
+    university: 'school',
+    motorway: 'main_road',
+    trunk: 'main_road',
+    primary: 'main_road',
+    secondary: 'main_road'
+};
+
+// How often the scores of all open issues are recomputed, since the SLA factor grows as time passes.
+const REFRESH_INTERVAL_MINUTES = parseInt(process.env.PRIORITY_REFRESH_INTERVAL_MINUTES, 10) || 15;
+
+module.exports = { WEIGHTS, SEVERITY, REPORTS_FOR_FULL_SCORE, POI_FILE, POI_KINDS, POI_KIND_ALIASES, REFRESH_INTERVAL_MINUTES };
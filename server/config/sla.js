@@ -0,0 +1,27 @@
+// server/config/sla.js
+
+// --- Service Level Agreements (SLAs) ---
+// How quickly each kind of issue must be acknowledged and resolved.
+// A policy can match on 'issueType', 'department' or both; the most specific matching policy wins.
+// Times are in hours from when the issue was reported.
+const POLICIES = [
+    { issueType: 'Water Leakage', acknowledgeHours: 4, resolveHours: 24 },
+    { issueType: 'Streetlight Outage', acknowledgeHours: 12, resolveHours: 72 },
+    { issueType: 'Garbage Overflow', acknowledgeHours: 12, resolveHours: 48 },
+    { issueType: 'Pothole', acknowledgeHours: 24, resolveHours: 7 * 24 },
+    { department: 'General Services', acknowledgeHours: 48, resolveHours: 10 * 24 }
+];
+
+// Used when no policy above matches.
+const DEFAULT_POLICY = { acknowledgeHours: 24, resolveHours: 5 * 24 };
+
+// An open issue is "at risk" once this fraction of its time allowance has been used up.
+const AT_RISK_FRACTION = 0.75;
+
+// How often the scheduler checks open issues for breaches.
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES, 10) || 15;
+
+// Whether escalating an overdue issue also bumps its priority up one level.
+const RAISE_PRIORITY_ON_ESCALATION = process.env.SLA_RAISE_PRIORITY !== 'false';
+
+module.exports = { POLICIES, DEFAULT_POLICY, AT_RISK_FRACTION, CHECK_INTERVAL_MINUTES, RAISE_PRIORITY_ON_ESCALATION };
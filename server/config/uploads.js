@@ -0,0 +1,27 @@
+// server/config/uploads.js
+
+// --- Photo Uploads ---
+// Settings for the photos citizens attach to their reports. Uploads are checked, resized and stripped
+// of their EXIF metadata (see services/imageService.js); the original files are never stored.
+
+const path = require('path');
+
+// Where the processed photos are saved, and the URL they are served from.
+const UPLOAD_DIR = path.join(__dirname, '../../public/uploads');
+const UPLOAD_URL = '/uploads';
+
+// How many photos one report may have, and the largest photo that can be uploaded, in megabytes.
+const MAX_PHOTOS = parseInt(process.env.UPLOAD_MAX_PHOTOS, 10) || 5;
+const MAX_FILE_MB = parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || 10;
+
+// The longest side of the web-sized version shown in the dashboard, and the size of the square thumbnails, in pixels.
+const WEB_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+
+// A photo whose EXIF GPS position is further than this (in metres) from the reported location is flagged for staff.
+const LOCATION_TOLERANCE_METERS = parseInt(process.env.PHOTO_LOCATION_TOLERANCE_METERS, 10) || 500;
+
+// A photo taken more than this many days before it was reported is flagged as possibly out of date.
+const MAX_AGE_DAYS = parseInt(process.env.PHOTO_MAX_AGE_DAYS, 10) || 30;
+
+module.exports = { UPLOAD_DIR, UPLOAD_URL, MAX_PHOTOS, MAX_FILE_MB, WEB_SIZE, THUMBNAIL_SIZE, LOCATION_TOLERANCE_METERS, MAX_AGE_DAYS };
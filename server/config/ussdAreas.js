@@ -0,0 +1,14 @@
+// server/config/ussdAreas.js
+
+// Feature phones have no GPS, so USSD reporters pick the area they are in from this list instead.
+// Each area is stored on the issue using the coordinates of its centre point.
+// Keep the list short: a USSD screen only fits around 160 characters.
+module.exports = [
+    { name: 'Central / Town Hall', coordinates: [78.4867, 17.3850] },
+    { name: 'North Ward', coordinates: [78.4867, 17.4250] },
+    { name: 'South Ward', coordinates: [78.4867, 17.3450] },
+    { name: 'East Ward', coordinates: [78.5267, 17.3850] },
+    { name: 'West Ward', coordinates: [78.4467, 17.3850] },
+    { name: 'Market Area', coordinates: [78.4740, 17.3616] },
+    { name: 'Bus Stand Area', coordinates: [78.4983, 17.3782] }
+];
@@ -0,0 +1,39 @@
+// server/config/workflow.js
+
+// --- Issue Status Workflow ---
+// This file defines every status an issue can be in and which status changes are allowed.
+// Change it here to adjust the workflow; the API and the admin dashboard both read from it.
+
+// Every status an issue can have, in the order they are shown in the dashboard.
+const STATUSES = ['Pending', 'Acknowledged', 'In Progress', 'Resolved', 'Reopened', 'Rejected', 'Duplicate'];
+
+// For each status, the statuses staff are allowed to move an issue to next.
+// Rejected and Duplicate are terminal: nothing can follow them.
+const TRANSITIONS = {
+    'Pending': ['Acknowledged', 'In Progress', 'Rejected', 'Duplicate'],
+    'Acknowledged': ['In Progress', 'Resolved', 'Rejected', 'Duplicate'],
+    'In Progress': ['Resolved', 'Rejected', 'Duplicate'],
+    'Resolved': ['Reopened'],
+    'Reopened': ['Acknowledged', 'In Progress', 'Resolved', 'Rejected', 'Duplicate'],
+    'Rejected': [],
+    'Duplicate': []
+};
+
+// Statuses that mean the issue still needs work.
+const OPEN_STATUSES = ['Pending', 'Acknowledged', 'In Progress', 'Reopened'];
+
+// Extra information that must be provided when moving to certain statuses.
+// - 'reason': a written explanation (stored in the issue's history and shown to the citizen).
+// - 'duplicateOf': the 6-digit ID of the issue this one duplicates.
+// - 'resolutionNote' and 'afterPhotos': what was done, and at least one photo of the fixed problem
+//   (POST /api/issues/:issueId/resolve). Both are shown to the citizen.
+const REQUIRED_FIELDS = {
+    'Rejected': ['reason'],
+    'Duplicate': ['duplicateOf'],
+    'Resolved': ['resolutionNote', 'afterPhotos']
+};
+
+// How long after resolution a citizen can still reopen their issue.
+const CITIZEN_REOPEN_WINDOW_DAYS = parseInt(process.env.CITIZEN_REOPEN_WINDOW_DAYS, 10) || 7;
+
+module.exports = { STATUSES, TRANSITIONS, OPEN_STATUSES, REQUIRED_FIELDS, CITIZEN_REOPEN_WINDOW_DAYS };
@@ -0,0 +1,189 @@
+// server/middleware/auth.js
+
+// --- Import Core Modules ---
+const jwt = require('jsonwebtoken'); // Used to sign and verify session tokens.
+
+// --- Import Database Models ---
+const User = require('../models/User');
+const Citizen = require('../models/Citizen');
+
+// --- Import Config ---
+const { SESSION_TTL: CITIZEN_TOKEN_TTL } = require('../config/citizenAuth');
+
+// How long a login session lasts before the user has to sign in again.
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '8h';
+
+/**
+ * Creates a signed session token for a staff member.
+ * The token carries the user's 'tokenVersion' so that logging out can invalidate it.
+ *
+ * @param {object} user - The User document that has just logged in.
+ * @returns {string} The signed JWT.
+ */
+function signToken(user) {
+    return jwt.sign(
+        { sub: user._id.toString(), role: user.role, ver: user.tokenVersion },
+        process.env.JWT_SECRET,
+        { expiresIn: TOKEN_TTL }
+    );
+}
+
+/**
+ * Middleware that requires a valid session token in the 'Authorization: Bearer <token>' header.
+ * On success, the logged-in user is attached to 'req.user'.
+ * On failure, it responds with 401 and a 'code' the dashboard can use to show the login screen.
+ */
+async function authenticate(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    if (!token) {
+        return res.status(401).json({ message: 'Please log in to continue.', code: 'UNAUTHENTICATED' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        const code = error.name === 'TokenExpiredError' ? 'SESSION_EXPIRED' : 'UNAUTHENTICATED';
+        return res.status(401).json({ message: 'Your session has expired. Please log in again.', code });
+    }
+    // A citizen's session never opens the dashboard.
+    if (payload.typ === 'citizen') {
+        return res.status(401).json({ message: 'Please log in to continue.', code: 'UNAUTHENTICATED' });
+    }
+
+    try {
+        const user = await User.findById(payload.sub);
+        // A missing user or a changed 'tokenVersion' means the session was logged out or revoked.
+        if (!user || user.tokenVersion !== payload.ver) {
+            return res.status(401).json({ message: 'Your session has expired. Please log in again.', code: 'SESSION_EXPIRED' });
+        }
+        req.user = user;
+        req.sessionExpiresAt = new Date(payload.exp * 1000);
+        next();
+    } catch (error) {
+        console.error('Server Error @ authenticate:', error);
+        res.status(500).json({ message: 'Failed to verify your session.' });
+    }
+}
+
+/**
+ * Checks that the session a long-lived request (e.g. an event stream) was opened with is still valid,
+ * and reloads its staff member, whose role or department may have changed since.
+ * Must be used after 'authenticate'.
+ *
+ * @param {object} req - The Express request.
+ * @returns {Promise<object|null>} The current User document, or null if the session expired or was logged out or revoked.
+ */
+async function currentSessionUser(req) {
+    if (Date.now() >= req.sessionExpiresAt.getTime()) return null;
+    const user = await User.findById(req.user._id);
+    return user && user.tokenVersion === req.user.tokenVersion ? user : null;
+}
+
+/**
+ * Creates a signed session token for a citizen who has verified their mobile number.
+ * It is marked as a citizen token, so it can't be used on the staff endpoints.
+ *
+ * @param {object} citizen - The Citizen document.
+ * @returns {string} The signed JWT.
+ */
+function signCitizenToken(citizen) {
+    return jwt.sign(
+        { sub: citizen._id.toString(), typ: 'citizen', ver: citizen.tokenVersion },
+        process.env.JWT_SECRET,
+        { expiresIn: CITIZEN_TOKEN_TTL }
+    );
+}
+
+/**
+ * Looks up the citizen a session token belongs to.
+ * @param {string} token - From the 'Authorization: Bearer <token>' header.
+ * @returns {Promise<object|null>} The Citizen document, or null if the token isn't a valid, current citizen session.
+ */
+async function findCitizen(token) {
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    if (payload.typ !== 'citizen') return null;
+    const citizen = await Citizen.findById(payload.sub);
+    // A changed 'tokenVersion' means the citizen signed out.
+    return citizen && citizen.tokenVersion === payload.ver ? citizen : null;
+}
+
+/**
+ * Middleware that requires a citizen session token in the 'Authorization: Bearer <token>' header.
+ * On success, the citizen is attached to 'req.citizen'; otherwise it responds with 401.
+ */
+async function authenticateCitizen(req, res, next) {
+    const header = req.headers.authorization || '';
+    try {
+        const citizen = header.startsWith('Bearer ') ? await findCitizen(header.slice(7)) : null;
+        if (!citizen) {
+            return res.status(401).json({ message: 'Please sign in with your mobile number to continue.', code: 'UNAUTHENTICATED' });
+        }
+        req.citizen = citizen;
+        next();
+    } catch (error) {
+        console.error('Server Error @ authenticateCitizen:', error);
+        res.status(500).json({ message: 'Failed to verify your session.' });
+    }
+}
+
+/**
+ * Middleware for public endpoints that do more for a signed-in citizen: attaches the citizen to 'req.citizen'
+ * if the request carries a valid citizen session, and otherwise carries on without one.
+ */
+async function optionalCitizen(req, res, next) {
+    const header = req.headers.authorization || '';
+    try {
+        if (header.startsWith('Bearer ')) req.citizen = await findCitizen(header.slice(7));
+    } catch (error) {
+        console.error('Server Error @ optionalCitizen:', error);
+    }
+    next();
+}
+
+/**
+ * Creates middleware that only lets users with one of the given roles through.
+ * Must be used after 'authenticate'.
+ *
+ * @param {...string} roles - The roles that are allowed to access the route.
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+        }
+        next();
+    };
+}
+
+/**
+ * Builds the MongoDB filter that limits a user to the issues they are allowed to see.
+ * Admins see everything; everyone else only sees issues routed to their own department.
+ *
+ * @param {object} user - The logged-in user ('req.user').
+ * @returns {object} A filter to merge into Issue queries.
+ */
+function issueScope(user) {
+    if (user.role === 'admin') return {};
+    return { assignedDepartment: user.department };
+}
+
+/**
+ * Checks whether a user may view or act on a specific issue.
+ *
+ * @param {object} user - The logged-in user ('req.user').
+ * @param {object} issue - The Issue document.
+ * @returns {boolean} True if the issue is within the user's scope.
+ */
+function canAccessIssue(user, issue) {
+    return user.role === 'admin' || issue.assignedDepartment === user.department;
+}
+
+module.exports = { signToken, authenticate, currentSessionUser, authorize, issueScope, canAccessIssue, signCitizenToken, authenticateCitizen, optionalCitizen };
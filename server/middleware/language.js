@@ -0,0 +1,20 @@
+// server/middleware/language.js
+
+// --- Import Services ---
+const { negotiateLanguage, translate } = require('../services/i18nService');
+
+/**
+ * Middleware that works out which language to answer in (see i18nService.negotiateLanguage).
+ * Attaches it to 'req.language', along with 'req.t(key, params)' to translate messages into it.
+ * Only messages meant for citizens are translated; the dashboard's stay in English.
+ */
+function detectLanguage(req, res, next) {
+    req.language = negotiateLanguage(req);
+    req.t = (key, params) => translate(req.language, key, params);
+    res.set('Content-Language', req.language);
+    // Caches must keep a separate copy of each response per language.
+    res.vary('Accept-Language');
+    next();
+}
+
+module.exports = { detectLanguage };
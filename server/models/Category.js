@@ -0,0 +1,70 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { PRIORITIES } = require('./Issue');
+
+// The optional report fields a category can make mandatory.
+const REQUIRED_FIELD_OPTIONS = ['landmark', 'image'];
+
+// --- Define the Category Schema ---
+// An issue category citizens can report (e.g. 'Pothole'), managed by admins from the dashboard.
+// Issues store the category's name in 'issueType', so the name can't be changed once created;
+// deactivate a category (and create a new one) instead.
+const CategorySchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required.'],
+        unique: true,
+        trim: true,
+        immutable: true
+    },
+    // An emoji or short symbol shown next to the name, e.g. '🕳️'.
+    icon: {
+        type: String,
+        trim: true
+    },
+    // A hex colour used for the category on maps and charts.
+    color: {
+        type: String,
+        default: '#6b7280',
+        match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex value like #3b82f6.']
+    },
+    // The department new issues of this category go to, unless a routing rule says otherwise.
+    defaultDepartment: {
+        type: String,
+        required: [true, 'A default department is required.']
+    },
+    // The priority new issues of this category start with.
+    defaultPriority: {
+        type: String,
+        enum: PRIORITIES,
+        default: 'Medium'
+    },
+    // Report fields that must be filled in for this category. Photos can only be required on the web form,
+    // since USSD and SMS reports can't include one.
+    requiredFields: {
+        type: [{ type: String, enum: REQUIRED_FIELD_OPTIONS }],
+        default: []
+    },
+    // Words citizens might use for this category in an SMS report (e.g. 'trash', 'kachra'). The first one
+    // is shown in the SMS help text, so keep it short.
+    keywords: {
+        type: [{ type: String, lowercase: true, trim: true }],
+        default: []
+    },
+    // Inactive categories are hidden from citizens but stay on existing issues.
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Categories are listed in ascending order of this number.
+    sortOrder: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Category', CategorySchema);
+module.exports.REQUIRED_FIELD_OPTIONS = REQUIRED_FIELD_OPTIONS;
@@ -0,0 +1,64 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// --- Define the Pending Code Schema ---
+// The one-time code a citizen was last sent. Only a hash of it is stored.
+const OtpSchema = new Schema({
+    codeHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Wrong guesses made against this code so far.
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    sentAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
+// --- Define the Citizen Schema ---
+// A citizen who has signed in on the citizen portal by proving they own a mobile number.
+// Their reports are the issues tied to that number (see services/citizenAuthService.js).
+const CitizenSchema = new Schema({
+    // The last 10 digits of the mobile number, so "+91 98765-43210" and "9876543210" are the same citizen.
+    phone: {
+        type: String,
+        required: true,
+        unique: true,
+        match: [/^\d{10}$/, 'A mobile number must have 10 digits.']
+    },
+    // When the number was first verified with a code. Unset until then.
+    verifiedAt: {
+        type: Date
+    },
+    lastLoginAt: {
+        type: Date
+    },
+    // Incremented on logout so that every session token issued before it stops working.
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // 'select: false' keeps the code's hash out of query results unless it is explicitly requested.
+    otp: {
+        type: OtpSchema,
+        select: false
+    },
+    // When codes were sent in the last hour, to limit how many one number can receive.
+    otpSentTimes: {
+        type: [Date],
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Citizen', CitizenSchema);
@@ -0,0 +1,58 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// --- Define the Comment Schema ---
+// One message in an issue's comment thread. Staff write internal notes (only staff see them) and
+// public messages (shown on the citizen's tracking page and sent to them); citizens can reply publicly.
+const CommentSchema = new Schema({
+    // The issue the comment belongs to.
+    issue: {
+        type: Schema.Types.ObjectId,
+        ref: 'Issue',
+        required: true,
+        index: true
+    },
+    // - 'internal': only visible to staff.
+    // - 'public': visible to the citizen too.
+    visibility: {
+        type: String,
+        required: true,
+        enum: ['internal', 'public'],
+        default: 'internal'
+    },
+    body: {
+        type: String,
+        required: [true, 'A comment cannot be empty.'],
+        trim: true,
+        maxlength: [2000, 'Comments can be at most 2000 characters long.']
+    },
+    // Who wrote it: a staff member, or a citizen replying from the tracking page.
+    authorType: {
+        type: String,
+        required: true,
+        enum: ['staff', 'citizen']
+    },
+    author: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // The staff member's name at the time. Citizens are only shown as "Citizen".
+    authorName: {
+        type: String
+    },
+    // The contact number a citizen's reply was verified with. Never shown publicly.
+    citizenContact: {
+        type: String
+    },
+    // The staff members @-mentioned in the comment; each one is notified.
+    mentions: [{
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    // 'createdAt' is when the comment was posted. Comments are never edited.
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+module.exports = mongoose.model('Comment', CommentSchema);
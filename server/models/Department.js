@@ -0,0 +1,34 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { STRATEGY_NAMES } = require('../services/assignmentStrategies');
+const { DEFAULT_STRATEGY } = require('../config/assignment');
+
+// --- Define the Department Schema ---
+// A municipal department that handles issues (e.g. 'Sanitation'). Staff accounts, categories
+// and routing rules refer to departments by name, so a department's name can't be changed once created.
+const DepartmentSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Department name is required.'],
+        unique: true,
+        trim: true,
+        immutable: true
+    },
+    // Inactive departments can't be chosen for new staff, categories or routing rules,
+    // but existing issues and accounts keep working.
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Whether new and escalated issues routed here are given to a staff member automatically, and how
+    // that person is picked (see services/assignmentStrategies).
+    autoAssign: {
+        enabled: { type: Boolean, default: false },
+        strategy: { type: String, enum: STRATEGY_NAMES, default: DEFAULT_STRATEGY }
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Department', DepartmentSchema);
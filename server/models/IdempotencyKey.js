@@ -0,0 +1,48 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// --- Define the Idempotency Key Schema ---
+// A request a client may send more than once (e.g. a report queued offline and retried on a patchy
+// connection) carries a unique key. The first request with a key does the work and its response is stored
+// here; repeats get that same response back instead of doing it again (see services/idempotencyService.js).
+const IdempotencyKeySchema = new Schema({
+    // The kind of request and the client's key, e.g. 'report:3f1c2a...'.
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // - 'processing': the first request is still being handled.
+    // - 'done': it finished, and 'statusCode' and 'body' hold its response.
+    state: {
+        type: String,
+        required: true,
+        enum: ['processing', 'done'],
+        default: 'processing'
+    },
+    // When the first request started. A request still 'processing' long after this was cut off (e.g. by a restart).
+    claimedAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    statusCode: {
+        type: Number
+    },
+    body: {
+        type: Schema.Types.Mixed
+    },
+    // When the key is forgotten. MongoDB deletes it automatically after this time.
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// A TTL index: MongoDB removes each key once its 'expiresAt' time has passed.
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
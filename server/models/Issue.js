@@ -1,6 +1,217 @@
 // --- Import Mongoose ---
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { STATUSES } = require('../config/workflow');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/i18n');
+
+// How urgently an issue needs attention, from least to most urgent.
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// --- Define the History Entry Schema ---
+// One entry in an issue's audit trail. Entries are only ever appended (see 'recordHistory' below),
+// so the history shows exactly who changed what, and when.
+const HistoryEntrySchema = new Schema({
+    // What happened: the issue was created, its status changed, it was (re)assigned, or a field was edited.
+    action: {
+        type: String,
+        required: true,
+        enum: ['created', 'status_changed', 'assigned', 'edited', 'report_attached', 'merged', 'escalated', 'feedback']
+    },
+    // The field that changed (e.g. 'status', 'assignedTo', 'description').
+    field: {
+        type: String
+    },
+    // The value before and after the change. For assignments these are staff names, not IDs,
+    // so the history still reads correctly if the staff account is later removed.
+    from: {
+        type: Schema.Types.Mixed
+    },
+    to: {
+        type: Schema.Types.Mixed
+    },
+    // An optional explanation entered by whoever made the change.
+    reason: {
+        type: String
+    },
+    // Who made the change: a staff member, the citizen, or the system itself (e.g. automatic routing).
+    actorType: {
+        type: String,
+        required: true,
+        enum: ['staff', 'citizen', 'system']
+    },
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // The actor's name at the time of the change.
+    actorName: {
+        type: String
+    },
+    at: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    // Set on entries copied over from another issue when it was merged into this one.
+    mergedFrom: {
+        type: String
+    }
+}, { _id: false });
+
+// --- Define the Photo Schema ---
+// One photo attached to a report. Only resized copies without EXIF metadata are stored (see services/imageService.js);
+// what the EXIF data said about where and when the photo was taken is kept here for staff to cross-check.
+const PhotoSchema = new Schema({
+    // The web-sized version and the square thumbnail.
+    url: {
+        type: String,
+        required: true
+    },
+    thumbnailUrl: {
+        type: String,
+        required: true
+    },
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    // When the photo was taken, from its EXIF data.
+    takenAt: {
+        type: Date
+    },
+    // Where the photo was taken, from its EXIF GPS data, and how far that is from the reported location.
+    gps: {
+        latitude: Number,
+        longitude: Number
+    },
+    distanceMeters: {
+        type: Number
+    },
+    // Set when the photo was taken far from the reported location, or long before it was reported
+    // (see config/uploads.js). These are hints for staff, not reasons to reject a report.
+    locationMismatch: {
+        type: Boolean
+    },
+    takenLongBefore: {
+        type: Boolean
+    }
+}, { _id: false });
+
+// --- Define the Feedback Schema ---
+// A citizen's answer, through the link sent when an issue was resolved, to whether it is really fixed
+// (see services/feedbackService.js).
+const FeedbackSchema = new Schema({
+    citizenContact: {
+        type: String,
+        required: true
+    },
+    // 'confirmed': the citizen agrees it is fixed. 'disputed': it isn't, and the issue was reopened.
+    outcome: {
+        type: String,
+        required: true,
+        enum: ['confirmed', 'disputed']
+    },
+    rating: {
+        type: Number,
+        min: 1,
+        max: 5
+    },
+    comment: {
+        type: String
+    },
+    // The resolution being answered: when it happened and who resolved it (for the per-staff analytics).
+    resolvedAt: {
+        type: Date,
+        required: true
+    },
+    resolvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    at: {
+        type: Date,
+        required: true,
+        default: Date.now
+    }
+}, { _id: false });
+
+// --- Define the Additional Report Schema ---
+// When several citizens report the same problem, the extra reports are kept on the one canonical issue,
+// so every one of them can be notified when it is resolved.
+const AdditionalReportSchema = new Schema({
+    // The 6-digit ID of the issue this report was originally filed as, if it was merged in.
+    issueId: {
+        type: String
+    },
+    // Optional for imported complaints, as on the Issue itself.
+    citizenContact: {
+        type: String,
+        required: function() { return this.source !== 'import'; }
+    },
+    // True if the citizen was signed in with this number, verified with a one-time code.
+    citizenVerified: {
+        type: Boolean,
+        default: false
+    },
+    // The language this citizen's notifications are sent in.
+    language: {
+        type: String,
+        enum: Object.keys(LANGUAGES),
+        default: DEFAULT_LANGUAGE
+    },
+    description: {
+        type: String
+    },
+    imageUrl: {
+        type: String
+    },
+    photos: [PhotoSchema],
+    source: {
+        type: String
+    },
+    reportedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// --- Define the Auto-Assignment Schema ---
+const AutoAssignmentSchema = new Schema({
+    // What triggered it: the issue being reported, or being escalated.
+    trigger: {
+        type: String,
+        enum: ['created', 'escalated']
+    },
+    strategy: {
+        type: String
+    },
+    // The staff member picked, or none if nobody was available.
+    assignedTo: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String
+    },
+    // Everyone who was available and on shift, as they stood when the choice was made.
+    candidates: [{
+        _id: false,
+        user: { type: Schema.Types.ObjectId, ref: 'User' },
+        name: String,
+        openIssues: Number,
+        distanceMeters: Number
+    }],
+    overridden: {
+        type: Boolean,
+        default: false
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 // --- Define the Issue Schema ---
 // This is the blueprint for every civic issue report stored in our database.
@@ -12,11 +223,11 @@ const IssueSchema = new Schema({
         unique: true,
         index: true // Indexing this field makes lookups by issueId much faster.
     },
-    // The category of the issue. Using an enum ensures data consistency.
+    // The category of the issue: the name of one of the admin-managed categories (see models/Category.js).
+    // New reports are checked against the active categories in issueService.
     issueType: {
         type: String,
-        required: [true, 'Issue type is required.'],
-        enum: ['Pothole', 'Garbage Overflow', 'Streetlight Outage', 'Water Leakage', 'Other']
+        required: [true, 'Issue type is required.']
     },
     // A detailed description of the issue provided by the citizen.
     description: {
@@ -39,36 +250,161 @@ const IssueSchema = new Schema({
             type: String
         }
     },
-    // The URL path to an optional photo uploaded by the citizen.
+    // The URL path to the first photo uploaded by the citizen. Older reports only have this one photo.
     imageUrl: {
         type: String
     },
+    // Every photo uploaded with the report.
+    photos: [PhotoSchema],
     // The current status of the issue resolution process.
+    // Allowed statuses and the transitions between them are defined in server/config/workflow.js.
     status: {
         type: String,
         required: true,
-        enum: ['Pending', 'Acknowledged', 'In Progress', 'Resolved'],
+        enum: STATUSES,
         default: 'Pending' // New issues will automatically have a 'Pending' status.
     },
+    // How urgently the issue needs attention. Raised automatically when an SLA is breached.
+    priority: {
+        type: String,
+        enum: PRIORITIES,
+        default: 'Medium'
+    },
+    // How urgently the issue should be dealt with compared to the rest of the backlog, from 0 to 100, and the
+    // factors it was worked out from (see services/priorityService.js). Kept up to date as they change; closed issues score 0.
+    priorityScore: {
+        type: Number,
+        default: 0
+    },
+    priorityFactors: {
+        severity: { type: Number },
+        reports: { type: Number },
+        sla: { type: Number },
+        proximity: { type: Number },
+        // The sensitive place that counted for 'proximity', if any.
+        nearestPlace: {
+            kind: { type: String },
+            name: { type: String },
+            distanceMeters: { type: Number }
+        }
+    },
+    // When the issue first left 'Pending', i.e. when staff acknowledged it.
+    acknowledgedAt: {
+        type: Date
+    },
+    // Service level targets for this issue (see server/config/sla.js) and its escalation state.
+    sla: {
+        // When the deadlines count from: the report, or the latest reopening.
+        startedAt: { type: Date },
+        acknowledgeBy: { type: Date },
+        resolveBy: { type: Date },
+        // 0 = not escalated, 1 = escalated for a missed acknowledgement, 2 = escalated for a missed resolution.
+        escalationLevel: { type: Number, default: 0 },
+        escalatedAt: { type: Date }
+    },
+    // Why the issue was rejected, shown to the citizen.
+    statusReason: {
+        type: String
+    },
+    // For issues marked 'Duplicate': the 6-digit ID of the original issue.
+    duplicateOf: {
+        type: String
+    },
+    // How many citizens have reported this problem (the original report plus any attached or merged ones).
+    reportCount: {
+        type: Number,
+        default: 1
+    },
+    // The extra reports of this same problem from other citizens.
+    additionalReports: {
+        type: [AdditionalReportSchema],
+        default: []
+    },
+    // Set when this issue looks like a duplicate of an existing open issue, for staff to review.
+    possibleDuplicateOf: {
+        type: String
+    },
+    // How many times the issue has been reopened after being resolved.
+    reopenCount: {
+        type: Number,
+        default: 0
+    },
     // The citizen's contact number for receiving notifications.
+    // Complaints imported from old spreadsheets often have none, so it is optional for them.
     citizenContact: {
         type: String,
-        required: [true, 'A contact number is required for status updates.']
+        required: [function() { return this.source !== 'import'; }, 'A contact number is required for status updates.']
+    },
+    // True if the citizen was signed in on the citizen portal, so 'citizenContact' is a number they proved they own.
+    // Reports from anyone else carry whatever number was typed in.
+    citizenVerified: {
+        type: Boolean,
+        default: false
+    },
+    // The language the citizen reported in (e.g. 'hi'). Every notification about the issue is sent to them in it.
+    language: {
+        type: String,
+        enum: Object.keys(LANGUAGES),
+        default: DEFAULT_LANGUAGE
+    },
+    // The channel the report came in through. 'import' is a historical complaint imported from a spreadsheet.
+    source: {
+        type: String,
+        enum: ['web', 'ussd', 'sms', 'import'],
+        default: 'web'
+    },
+    // For imported complaints: the complaint number in the old spreadsheet, so the same rows aren't imported twice.
+    legacyId: {
+        type: String,
+        index: { sparse: true }
     },
     // The municipal department automatically assigned to handle this type of issue.
     assignedDepartment: {
         type: String,
         required: true
     },
+    // An optional team or crew within the department, set by a routing rule (e.g. 'Zone B crew').
+    assignedTeam: {
+        type: String
+    },
+    // The ward the issue's location falls inside, if any ward boundaries have been imported.
+    ward: {
+        type: Schema.Types.ObjectId,
+        ref: 'Ward',
+        index: true
+    },
     // A reference to the specific staff member (from the User collection) assigned to this issue.
     assignedTo: {
         type: Schema.Types.ObjectId,
         ref: 'User' // This tells Mongoose to link to the 'User' model.
     },
+    // The latest automatic assignment decision (see services/assignmentService.js): who was picked, by which
+    // strategy and why, and how every candidate compared. 'overridden' is set once staff assign the issue by hand.
+    autoAssignment: {
+        type: AutoAssignmentSchema
+    },
     // A timestamp for when the issue was marked as resolved.
     // This is crucial for calculating resolution time analytics.
     resolvedAt: {
         type: Date
+    },
+    // The proof of the latest resolution: the staff member's note and "after" photos.
+    // Kept when the issue is reopened, so staff can see what was done before.
+    resolution: {
+        note: { type: String },
+        photos: [PhotoSchema],
+        resolvedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        resolvedAt: { type: Date }
+    },
+    // Citizens' answers to whether each resolution really fixed the problem.
+    feedback: {
+        type: [FeedbackSchema],
+        default: []
+    },
+    // The append-only audit trail of everything that has happened to this issue.
+    history: {
+        type: [HistoryEntrySchema],
+        default: []
     }
 }, {
     // Schema Options:
@@ -80,8 +416,36 @@ const IssueSchema = new Schema({
 // This is essential for features like "find issues near me" or for rendering issues on a map efficiently.
 IssueSchema.index({ location: '2dsphere' });
 
+// Indexes for the dashboard's issue list, which is filtered by these fields and sorted newest first by default.
+IssueSchema.index({ createdAt: -1 });
+IssueSchema.index({ status: 1, createdAt: -1 });
+IssueSchema.index({ assignedDepartment: 1, createdAt: -1 });
+IssueSchema.index({ assignedTo: 1, createdAt: -1 });
+IssueSchema.index({ priorityScore: -1, _id: -1 });
+
+// A text index for keyword search over what citizens wrote.
+IssueSchema.index({ description: 'text', 'location.landmark': 'text' });
+
+/**
+ * Appends an entry to the issue's history. The caller still needs to save the issue.
+ * This is the only way history should be written: existing entries are never changed or removed.
+ *
+ * @param {object} entry - The history entry ('action', 'field', 'from', 'to', 'reason').
+ * @param {object} [actor] - The staff member (User document) who made the change. Omit for citizen/system changes.
+ * @param {string} [actorType] - 'staff', 'citizen' or 'system'. Defaults to 'staff' if an actor is given, otherwise 'system'.
+ */
+IssueSchema.methods.recordHistory = function(entry, actor, actorType) {
+    this.history.push({
+        ...entry,
+        actorType: actorType || (actor ? 'staff' : 'system'),
+        actor: actor ? actor._id : undefined,
+        actorName: actor ? actor.name : undefined,
+        at: new Date()
+    });
+};
+
 // --- Create and Export the Issue Model ---
 // This compiles our schema into a model, which is a class that we can use to interact
 // with the 'issues' collection in our MongoDB database.
 module.exports = mongoose.model('Issue', IssueSchema);
-
+module.exports.PRIORITIES = PRIORITIES;
@@ -0,0 +1,65 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// --- Define the Notification (Outbox) Schema ---
+// Every message we send to a citizen or staff member is written here first, then delivered.
+// This gives us a record of what was sent, and lets the background worker retry failed deliveries.
+const NotificationSchema = new Schema({
+    // Who the message is for: a phone number, an email address, etc. depending on the channel.
+    recipient: {
+        type: String,
+        required: [true, 'A recipient is required.']
+    },
+    // The message text.
+    message: {
+        type: String,
+        required: [true, 'A message is required.']
+    },
+    // The delivery channel used (see server/services/channels).
+    channel: {
+        type: String,
+        required: true
+    },
+    // The delivery status.
+    // - 'pending': waiting to be sent (or waiting for a retry).
+    // - 'sending': a delivery attempt is in progress.
+    // - 'sent': delivered successfully.
+    // - 'failed': permanently failed; it won't be retried unless an admin re-sends it.
+    status: {
+        type: String,
+        required: true,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    // How many delivery attempts have been made so far.
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // When the worker should next try to deliver this notification.
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // The error message from the most recent failed attempt.
+    lastError: {
+        type: String
+    },
+    // When the notification was delivered.
+    sentAt: {
+        type: Date
+    },
+    // The issue this notification is about, if any. Helps admins find related messages.
+    issueId: {
+        type: String,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+// The worker looks for due notifications by status and time, so index those together.
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,41 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { LANGUAGES } = require('../config/i18n');
+const { TEMPLATES } = require('../config/notificationTemplates');
+
+// --- Define the Notification Template Schema ---
+// An admin's own wording of a citizen notification in one language. It replaces the default text from
+// config/notificationTemplates.js; deleting it goes back to the default.
+const NotificationTemplateSchema = new Schema({
+    // Which message this is, e.g. 'status.changed'.
+    key: {
+        type: String,
+        required: true,
+        enum: Object.keys(TEMPLATES)
+    },
+    language: {
+        type: String,
+        required: true,
+        enum: Object.keys(LANGUAGES)
+    },
+    // The text, with the template's '{placeholders}'.
+    body: {
+        type: String,
+        required: [true, 'The message text is required.'],
+        trim: true,
+        maxlength: [1000, 'A message can be at most 1000 characters long.']
+    },
+    // The admin who last changed it.
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// One wording per message and language.
+NotificationTemplateSchema.index({ key: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationTemplate', NotificationTemplateSchema);
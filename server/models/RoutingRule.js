@@ -0,0 +1,36 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// --- Define the Routing Rule Schema ---
+// Decides which department (and optionally which team or crew) handles a new issue,
+// based on its category, its ward, or both. For example: "Garbage Overflow in Ward 12 → Sanitation, Zone B crew".
+// When several rules match, the most specific one wins (category + ward beats ward alone, which beats category alone).
+const RoutingRuleSchema = new Schema({
+    // The issue category this rule applies to. Leave empty to match every category.
+    issueType: {
+        type: String
+    },
+    // The ward this rule applies to. Leave empty to match every ward.
+    ward: {
+        type: Schema.Types.ObjectId,
+        ref: 'Ward'
+    },
+    // The department that should handle matching issues.
+    department: {
+        type: String,
+        required: [true, 'A department is required.']
+    },
+    // An optional team or crew within the department, e.g. 'Zone B crew'.
+    team: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Only one rule per category/ward combination.
+RoutingRuleSchema.index({ issueType: 1, ward: 1 }, { unique: true });
+
+module.exports = mongoose.model('RoutingRule', RoutingRuleSchema);
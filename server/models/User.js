@@ -1,8 +1,48 @@
 // --- Import Mongoose ---
 // Mongoose is a library that makes working with MongoDB easier and more structured.
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs'); // Used to hash passwords before they are stored.
 const Schema = mongoose.Schema;
 
+// The cost factor used when hashing passwords. Higher is slower (and harder to brute-force).
+const SALT_ROUNDS = 10;
+
+// What a bcrypt hash looks like. Accounts created before passwords were hashed still hold the plain text.
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$.{53}$/;
+
+// The roles a staff member can hold.
+// - 'admin' can see and manage everything.
+// - 'supervisor' can only see and manage issues routed to their own department.
+// - 'field_staff' can only see and act on issues routed to their own department.
+const ROLES = ['admin', 'supervisor', 'field_staff'];
+
+// 'HH:MM' on a 24-hour clock.
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// --- Define the Shift Schema ---
+// One weekly working period, in the time zone of config/assignment.js. A shift that ends at or before its
+// start time runs past midnight into the next day.
+const ShiftSchema = new Schema({
+    // 0 = Sunday ... 6 = Saturday.
+    day: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6
+    },
+    start: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Shift times must be written as HH:MM.']
+    },
+    end: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Shift times must be written as HH:MM.']
+    }
+}, { _id: false });
+
 // --- Define the User Schema ---
 // A schema is a blueprint that defines the structure and properties of a document in a collection.
 const UserSchema = new Schema({
@@ -16,19 +56,57 @@ const UserSchema = new Schema({
         type: String,
         required: [true, 'Email is required.'],
         unique: true, // Ensures no two users can have the same email address.
+        lowercase: true, // Store emails in lowercase so logins are case-insensitive.
+        trim: true,
         match: [/.+\@.+\..+/, 'Please enter a valid email address.'] // Basic email format validation.
     },
-    // 'password' field. In a real-world application, this should always be hashed before saving.
+    // 'password' field. This always holds a bcrypt hash, never the plain-text password.
+    // 'select: false' keeps the hash out of query results unless it is explicitly requested.
     password: {
         type: String,
-        required: [true, 'Password is required.']
+        required: [true, 'Password is required.'],
+        minlength: [8, 'Password must be at least 8 characters long.'],
+        select: false
+    },
+    // 'role' field that controls what the staff member is allowed to do in the admin dashboard.
+    role: {
+        type: String,
+        required: true,
+        enum: ROLES,
+        default: 'field_staff'
+    },
+    // Incremented on logout so that every session token issued before it stops working.
+    tokenVersion: {
+        type: Number,
+        default: 0
     },
     // 'department' field to specify which department the user belongs to.
+    // This is the name of one of the admin-managed departments (see models/Department.js);
+    // it is checked against them when the account is created.
     department: {
         type: String,
-        required: [true, 'Department is required.'],
-        // 'enum' restricts the possible values for this field, ensuring data consistency.
-        enum: ['Sanitation', 'Public Works', 'Electrical', 'Water Department', 'General Services']
+        required: [true, 'Department is required.']
+    },
+    // --- Automatic Assignment (see services/assignmentService.js) ---
+    // Switched off while the staff member is on leave, so no issues are assigned to them automatically.
+    available: {
+        type: Boolean,
+        default: true
+    },
+    // The hours they work each week. Issues are only assigned to them automatically during a shift;
+    // with no shifts at all, at any time.
+    shifts: {
+        type: [ShiftSchema],
+        default: []
+    },
+    // Where they last changed an issue's status, for the "closest" assignment strategy.
+    lastWorkedLocation: {
+        coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+        at: { type: Date }
+    },
+    // When they were last given an issue automatically, for taking turns.
+    lastAutoAssignedAt: {
+        type: Date
     }
 }, {
     // --- Schema Options ---
@@ -37,9 +115,56 @@ const UserSchema = new Schema({
     timestamps: true
 });
 
+// --- Password Hashing ---
+// Before a user is saved, hash the password if it was set or changed.
+// This means plain-text passwords never reach the database.
+UserSchema.pre('save', async function() {
+    if (!this.isModified('password')) return;
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+});
+
+/**
+ * Checks a plain-text password against the stored hash.
+ * A password still stored in plain text (an account from before passwords were hashed) is compared as it is;
+ * call rehashPassword after a successful login to replace it.
+ * The document must have been loaded with `.select('+password')`.
+ *
+ * @param {string} candidatePassword - The password entered at login.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+UserSchema.methods.comparePassword = async function(candidatePassword) {
+    if (!this.password) return false;
+    if (BCRYPT_HASH.test(this.password)) return bcrypt.compare(candidatePassword, this.password);
+
+    const stored = Buffer.from(this.password);
+    const candidate = Buffer.from(candidatePassword);
+    return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+};
+
+/**
+ * Replaces a password stored in plain text with its hash. Does nothing if it is already hashed.
+ * Only the password is written, so accounts from before other fields became required can still be upgraded.
+ *
+ * @param {string} plainPassword - The password that has just been checked with comparePassword.
+ */
+UserSchema.methods.rehashPassword = async function(plainPassword) {
+    if (BCRYPT_HASH.test(this.password)) return;
+    this.password = await bcrypt.hash(plainPassword, SALT_ROUNDS);
+    await this.constructor.updateOne({ _id: this._id }, { $set: { password: this.password } });
+};
+
+// Never send the password hash back in API responses, even if it was selected.
+UserSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+    }
+});
+
 // --- Create and Export the User Model ---
 // mongoose.model() compiles our schema into a model. A model is a constructor that allows us
 // to create, read, update, and delete documents in the 'users' collection in our MongoDB database.
 // We export this model so it can be used by other parts of our application, like the API routes.
 module.exports = mongoose.model('User', UserSchema);
+module.exports.ROLES = ROLES;
 
@@ -0,0 +1,48 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// --- Define the USSD Session Schema ---
+// A USSD conversation is made of many separate HTTP callbacks from the aggregator.
+// This stores where each caller is in the menu (and what they've entered so far) between callbacks.
+const UssdSessionSchema = new Schema({
+    // The session ID sent by the USSD aggregator. It stays the same for one dial-in.
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The caller's phone number, used as the citizen contact for any report they file.
+    phoneNumber: {
+        type: String,
+        required: true
+    },
+    // The menu screen the caller is currently on (see server/routes/ussd.js).
+    state: {
+        type: String,
+        required: true,
+        default: 'MAIN_MENU'
+    },
+    // The answers collected so far (category, area, landmark...).
+    data: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // How many '*'-separated inputs we have already processed for this session.
+    inputCount: {
+        type: Number,
+        default: 0
+    },
+    // When this session stops being valid. MongoDB deletes it automatically after this time.
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// A TTL index: MongoDB removes each session document once its 'expiresAt' time has passed.
+UssdSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UssdSession', UssdSessionSchema);
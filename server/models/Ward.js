@@ -0,0 +1,46 @@
+// --- Import Mongoose ---
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// --- Define the Ward Schema ---
+// A ward (or zone) of the municipality, with its boundary as a GeoJSON polygon.
+// Each new issue is matched to the ward its location falls inside.
+const WardSchema = new Schema({
+    // A short, unique code for the ward, e.g. 'W12'.
+    code: {
+        type: String,
+        required: [true, 'Ward code is required.'],
+        unique: true,
+        trim: true
+    },
+    // The ward's display name, e.g. 'Ward 12 - Gandhi Nagar'.
+    name: {
+        type: String,
+        required: [true, 'Ward name is required.'],
+        trim: true
+    },
+    // The larger administrative zone the ward belongs to, e.g. 'Zone B'.
+    zone: {
+        type: String,
+        trim: true
+    },
+    // The ward boundary as a GeoJSON Polygon or MultiPolygon ([longitude, latitude] pairs).
+    boundary: {
+        type: {
+            type: String,
+            enum: ['Polygon', 'MultiPolygon'],
+            required: true
+        },
+        coordinates: {
+            type: Schema.Types.Mixed,
+            required: true
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// A geospatial index on the boundary makes "which ward is this point in?" ($geoIntersects) queries fast.
+WardSchema.index({ boundary: '2dsphere' });
+
+module.exports = mongoose.model('Ward', WardSchema);
@@ -1,179 +1,703 @@
 // --- Import Core Modules ---
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer'); // Middleware for handling file uploads (e.g., images)
-const path = require('path');   // Helper for working with file and directory paths
 
 // --- Import Database Models ---
 const Issue = require('../models/Issue');
 const User = require('../models/User');
 
 // --- Import Services ---
-const { sendNotification } = require('../services/notificationService');
+const { notifyCitizen } = require('../services/notificationTemplateService');
+const { translate, isSupportedLanguage, errorMessage } = require('../services/i18nService');
+const { createIssue, notifyLinkedCitizens, toPublicIssue, contactMatches, InvalidReportError } = require('../services/issueService');
+const { getCategory, isActiveDepartment } = require('../services/categoryService');
+const { buildIssueFilter, parseListOptions, InvalidQueryError } = require('../services/issueQueryService');
+const { parseRange, getOpenedVsResolved, getPerformance } = require('../services/analyticsService');
+const { COLUMNS: EXPORT_COLUMNS, parseColumns, getFormat, canSeeContacts, maskContact, maskIssueContacts, streamExport } = require('../services/exportService');
+const { publishIssueEvent, subscribe, openEventStream } = require('../services/liveUpdateService');
+const { processPhotos, deletePhotos, ImageError } = require('../services/imageService');
+const { isValidKey, claimKey, completeKey, releaseKey } = require('../services/idempotencyService');
+const { mergeIssues } = require('../services/duplicateService');
+const { getSlaStatus } = require('../services/slaService');
+const { applyPriorityScore } = require('../services/priorityService');
+const { WorkflowError, transitionIssue, reopenByCitizen } = require('../services/workflowService');
+const { requestFeedback } = require('../services/feedbackService');
+const { addStaffComment, addCitizenReply, listComments, toPublicComment, CommentError } = require('../services/commentService');
+const { markOverridden, recordWorkLocation, updateAvailability, AssignmentError } = require('../services/assignmentService');
+const workflow = require('../config/workflow');
+const UPLOADS = require('../config/uploads');
+const { DEFAULT_LANGUAGE } = require('../config/i18n');
+
+// --- Import Middleware ---
+const { authenticate, currentSessionUser, authorize, issueScope, canAccessIssue, optionalCitizen } = require('../middleware/auth');
 
 // --- Initialize Express Router ---
 const router = express.Router();
 
 // --- Multer Configuration for File Uploads ---
-const storage = multer.diskStorage({
-    destination: './public/uploads/',
-    filename: function(req, file, cb){
-        cb(null, file.fieldname + '-' + Date.now() + path.extname(file.originalname));
-    }
-});
-
+// Photos are kept in memory until imageService has checked and resized them; only the processed copies are saved.
 const upload = multer({
-    storage: storage,
-    limits: { fileSize: 5000000 }, 
+    storage: multer.memoryStorage(),
+    limits: { fileSize: UPLOADS.MAX_FILE_MB * 1024 * 1024 },
     fileFilter: function(req, file, cb){
-        checkFileType(file, cb);
+        // A first check on what the browser says; the file's real type is checked from its contents later.
+        if (file.mimetype.startsWith('image/')) return cb(null, true);
+        cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
     }
-}).single('issueImage'); 
-
-function checkFileType(file, cb){
-    const filetypes = /jpeg|jpg|png|gif/;
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = filetypes.test(file.mimetype);
+}).array('photos', UPLOADS.MAX_PHOTOS);
 
-    if(mimetype && extname){
-        return cb(null, true);
-    } else {
-        cb('Error: Please upload images only (jpeg, jpg, png, gif).');
-    }
+/**
+ * Describes a failed photo upload in words a citizen understands.
+ * @param {Error} err - From multer.
+ * @param {string} [language] - The citizen's language.
+ * @returns {string}
+ */
+function uploadErrorMessage(err, language = DEFAULT_LANGUAGE) {
+    if (err.code === 'LIMIT_FILE_SIZE') return translate(language, 'photos.tooLarge', { maxMb: UPLOADS.MAX_FILE_MB });
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') return translate(language, 'photos.tooMany', { maxPhotos: UPLOADS.MAX_PHOTOS });
+    return err.message;
 }
 
-function generateIssueId() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-}
+// The most issues GET /api/issues/points sends for the dashboard map.
+const MAP_POINT_LIMIT = 5000;
 
 // --- API ENDPOINTS ---
 
 /**
  * @route   POST /api/report
- * @desc    Submit a new civic issue from the citizen portal.
+ * @desc    Submit a new civic issue from the citizen portal. If a citizen is signed in, the report is filed
+ *          under their verified number (any 'citizenContact' in the form is ignored) and marked as verified.
+ *          An optional 'Idempotency-Key' header (e.g. a UUID) makes retries safe: a report sent again with the
+ *          same key gets the first response back instead of creating another issue.
+ *          An optional 'language' form field (e.g. 'hi') is the citizen's preferred language: it is saved with the
+ *          issue, and the response and every notification about the issue are in it. It defaults to the
+ *          request's language (see middleware/language.js).
  * @access  Public
  */
-router.post('/report', (req, res) => {
+router.post('/report', optionalCitizen, (req, res) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && !isValidKey(idempotencyKey)) {
+        return res.status(400).json({ message: req.t('report.invalidIdempotencyKey') });
+    }
+
     upload(req, res, async (err) => {
         if (err) {
-            return res.status(400).json({ message: 'File upload error.', error: err });
+            return res.status(400).json({ message: uploadErrorMessage(err, req.language) });
         }
-        
+
+        // The form's fields are only readable once the upload has been parsed.
+        const language = isSupportedLanguage(req.body.language) ? req.body.language : req.language;
+        const t = (key, params) => translate(language, key, params);
+        res.set('Content-Language', language);
+
+        let photos = [];
+        let claimed = false;
         try {
-            const { issueType, latitude, longitude, landmark, description, citizenContact } = req.body;
+            const { issueType, latitude, longitude, landmark, description } = req.body;
+            const citizenContact = req.citizen ? req.citizen.phone : req.body.citizenContact;
 
             if (!issueType || !latitude || !longitude || !description || !citizenContact) {
-                return res.status(400).json({ message: 'Missing required fields. Please fill out all parts of the form.' });
+                return res.status(400).json({ message: t('report.missingFields') });
             }
 
-            let assignedDepartment = 'General Services'; // Default
-            if (issueType === 'Garbage Overflow') assignedDepartment = 'Sanitation';
-            else if (issueType === 'Pothole') assignedDepartment = 'Public Works';
-            else if (issueType === 'Streetlight Outage') assignedDepartment = 'Electrical';
-            else if (issueType === 'Water Leakage') assignedDepartment = 'Water Department';
+            if (idempotencyKey) {
+                const earlier = await claimKey('report', idempotencyKey);
+                if (earlier && earlier.state === 'done') {
+                    return res.status(earlier.statusCode).json(earlier.body);
+                }
+                if (earlier) {
+                    return res.status(409).json({ message: t('report.stillSubmitting') });
+                }
+                claimed = true;
+            }
 
-            const newIssue = new Issue({
-                issueId: generateIssueId(),
+            const coordinates = [parseFloat(longitude), parseFloat(latitude)];
+            photos = await processPhotos(req.files || [], { coordinates });
+
+            const { issue: newIssue, attachedToExisting } = await createIssue({
                 issueType,
-                location: {
-                    type: 'Point',
-                    coordinates: [parseFloat(longitude), parseFloat(latitude)],
-                    landmark
-                },
+                coordinates,
+                landmark,
                 description,
                 citizenContact,
-                imageUrl: req.file ? `/uploads/${req.file.filename}` : null,
-                assignedDepartment
+                citizenVerified: Boolean(req.citizen),
+                language,
+                photos,
+                source: 'web'
             });
+            // The report is saved now, so the key must never be released: a retry would report it a second time.
+            const keyToComplete = claimed;
+            claimed = false;
 
-            await newIssue.save();
-            
-            const confirmationMessage = `Thank you! Your issue report (#${newIssue.issueId} - ${issueType}) has been received. We will keep you updated on its progress.`;
-            sendNotification(citizenContact, confirmationMessage);
-
-            res.status(201).json({
-                message: 'Issue reported successfully!',
-                issueId: newIssue.issueId
-            });
+            const statusCode = attachedToExisting ? 200 : 201;
+            const body = {
+                message: t(attachedToExisting ? 'report.attached' : 'report.created'),
+                issueId: newIssue.issueId,
+                attachedToExisting
+            };
+            if (keyToComplete) {
+                // If the response can't be stored, the key stays claimed: repeats get 409 until the claim goes stale.
+                await completeKey('report', idempotencyKey, statusCode, body)
+                    .catch(error => console.error(`❌ Could not store the response for idempotency key ${idempotencyKey}:`, error));
+            }
+            res.status(statusCode).json(body);
 
         } catch (error) {
+            // Nothing was saved, so a retry with the same key must be allowed to try again.
+            if (claimed) await releaseKey('report', idempotencyKey).catch(() => {});
+            if (error instanceof ImageError) {
+                return res.status(error.statusCode).json({ message: errorMessage(language, error) });
+            }
+            if (error instanceof InvalidReportError) {
+                // The report was turned away before anything was saved, so its photos aren't needed.
+                await deletePhotos(photos);
+                return res.status(error.statusCode).json({ message: errorMessage(language, error) });
+            }
             console.error('Server Error @ POST /api/report:', error);
-            res.status(500).json({ message: 'An unexpected server error occurred while submitting your report.' });
+            res.status(500).json({ message: t('report.serverError') });
         }
     });
 });
 
+/**
+ * Builds the Issue filter for the dashboard's list and analytics endpoints:
+ * the user's department scope, plus an optional '?ward=<ward _id>' filter.
+ * @param {object} req - The Express request.
+ * @returns {object|null} The filter, or null if the ward ID is invalid.
+ */
+function dashboardFilter(req) {
+    const filter = { ...issueScope(req.user) };
+    if (req.query.ward) {
+        if (!mongoose.isValidObjectId(req.query.ward)) return null;
+        // Cast explicitly, because aggregate() pipelines don't cast strings to ObjectIds.
+        filter.ward = new mongoose.Types.ObjectId(req.query.ward);
+    }
+    return filter;
+}
+
+/**
+ * Builds the full filter for the dashboard's issue list and map from the request's query parameters,
+ * within the user's department scope (see issueQueryService.buildIssueFilter for the parameters).
+ * @param {object} req - The Express request.
+ * @returns {object}
+ * @throws {InvalidQueryError}
+ */
+function issueListFilter(req) {
+    // The scope is applied last, so non-admins can't widen it with '?department='.
+    return { ...buildIssueFilter(req.query, req.user), ...issueScope(req.user) };
+}
+
 /**
  * @route   GET /api/issues
- * @desc    Get all issues for the admin dashboard.
- * @access  Private (In a real app, this should be protected with authentication)
+ * @desc    Get one page of issues for the admin dashboard. Non-admins only see their own department's issues.
+ *          Filters: 'status', 'issueType', 'priority', 'department', 'assignedTo', 'ward', 'from', 'to', 'bbox', 'q'.
+ *          Paging and order: 'page', 'limit', 'sort' (see issueQueryService).
+ *          Responds with '{ issues, page, limit, total, totalPages }'.
+ * @access  Private
  */
-router.get('/issues', async (req, res) => {
+router.get('/issues', authenticate, async (req, res) => {
     try {
-        const issues = await Issue.find()
-            .populate('assignedTo', 'name department') 
-            .sort({ reportedAt: -1 });
-        res.status(200).json(issues);
+        const filter = issueListFilter(req);
+        const { sort, page, limit, skip } = parseListOptions(req.query);
+
+        const [issues, total] = await Promise.all([
+            Issue.find(filter)
+                .select('-history') // The full audit trail is fetched per issue from GET /api/issues/:issueId.
+                .populate('assignedTo', 'name department')
+                .populate('ward', 'code name zone')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            Issue.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            // Add each issue's live SLA standing (on-track / at-risk / breached) for the table.
+            issues: issues.map(issue => ({ ...maskIssueContacts(issue.toJSON(), req.user), slaStatus: getSlaStatus(issue) })),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
     } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error('Server Error @ GET /api/issues:', error);
         res.status(500).json({ message: 'Failed to fetch issues from the database.' });
     }
 });
 
+/**
+ * @route   GET /api/issues/points
+ * @desc    Get just the locations of the issues matching the dashboard's filters (the same query parameters
+ *          as GET /api/issues, without paging), for the map and heatmap. At most MAP_POINT_LIMIT of the
+ *          newest issues are returned (the highest priority ones with '?sort=-priorityScore'); 'truncated' says whether there were more.
+ * @access  Private
+ */
+router.get('/issues/points', authenticate, async (req, res) => {
+    try {
+        const filter = issueListFilter(req);
+        const sort = req.query.sort === '-priorityScore' ? { priorityScore: -1, _id: -1 } : { createdAt: -1 };
+        const issues = await Issue.find(filter)
+            .select('issueId issueType description status location priorityScore')
+            .sort(sort)
+            .limit(MAP_POINT_LIMIT + 1)
+            .lean();
+
+        res.status(200).json({
+            points: issues.slice(0, MAP_POINT_LIMIT),
+            truncated: issues.length > MAP_POINT_LIMIT
+        });
+    } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Server Error @ GET /api/issues/points:', error);
+        res.status(500).json({ message: 'Failed to fetch issue locations.' });
+    }
+});
+
+/**
+ * @route   GET /api/issues/export
+ * @desc    Download the issues matching the dashboard's filters (the same query parameters as GET /api/issues,
+ *          without paging) as 'format=csv' (the default), 'geojson' or 'kml'. 'columns' picks and orders the
+ *          columns (see GET /api/issues/export/columns). Contact numbers are masked unless the user's role
+ *          may see them (EXPORT_CONTACT_ROLES). The file is streamed, so there is no limit on its size.
+ * @access  Private
+ */
+router.get('/issues/export', authenticate, async (req, res) => {
+    try {
+        const filter = issueListFilter(req);
+        const { sort } = parseListOptions(req.query);
+        const format = getFormat(req.query.format);
+        const columns = parseColumns(req.query.columns);
+
+        const cursor = Issue.find(filter)
+            .select('-history -additionalReports')
+            .populate('assignedTo', 'name')
+            .populate('ward', 'code name')
+            .sort(sort)
+            .lean()
+            .cursor();
+
+        const filename = `issues-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+        res.status(200).set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        });
+        await streamExport(res, cursor, { format, columns, showContacts: canSeeContacts(req.user) });
+    } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Server Error @ GET /api/issues/export:', error);
+        // Once the file has started downloading, all we can do is cut it short.
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ message: 'Failed to export issues.' });
+    }
+});
+
+/**
+ * @route   GET /api/issues/export/columns
+ * @desc    List the columns an export can contain: '[{ key, label, defaultColumn }]', in their default order.
+ * @access  Private
+ */
+router.get('/issues/export/columns', authenticate, (req, res) => {
+    res.status(200).json(EXPORT_COLUMNS.map(({ key, label, defaultColumn }) => ({ key, label, defaultColumn: defaultColumn !== false })));
+});
+
+/**
+ * @route   GET /api/issues/nearby
+ * @desc    Get open issues near a location, so citizens can see a problem is already reported before filing it.
+ *          Query: 'lat', 'lng' and an optional 'radius' in metres (default 1000, max 5000).
+ *          Only public-safe fields are returned (never contact details).
+ * @access  Public
+ */
+router.get('/issues/nearby', async (req, res) => {
+    try {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return res.status(400).json({ message: 'A valid latitude ("lat") and longitude ("lng") are required.' });
+        }
+        const radius = Math.min(parseInt(req.query.radius, 10) || 1000, 5000);
+
+        const issues = await Issue.find({
+            status: { $in: workflow.OPEN_STATUSES },
+            location: {
+                $near: {
+                    $geometry: { type: 'Point', coordinates: [lng, lat] },
+                    $maxDistance: radius
+                }
+            }
+        })
+            .select('issueId issueType description status location reportCount createdAt')
+            .limit(100);
+
+        res.status(200).json(issues.map(issue => ({
+            issueId: issue.issueId,
+            issueType: issue.issueType,
+            description: issue.description,
+            status: issue.status,
+            landmark: issue.location.landmark,
+            coordinates: issue.location.coordinates,
+            reportCount: issue.reportCount,
+            reportedAt: issue.createdAt
+        })));
+    } catch (error) {
+        console.error('Server Error @ GET /api/issues/nearby:', error);
+        res.status(500).json({ message: 'Failed to fetch nearby issues.' });
+    }
+});
+
+/**
+ * @route   GET /api/issues/:issueId
+ * @desc    Get a single issue with its full history, for the issue detail view in the admin dashboard.
+ * @access  Private
+ */
+router.get('/issues/:issueId', authenticate, async (req, res) => {
+    try {
+        const issue = await Issue.findOne({ issueId: req.params.issueId, ...issueScope(req.user) })
+            .populate('assignedTo', 'name department')
+            .populate('ward', 'code name zone');
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found with that ID.' });
+        }
+        res.status(200).json(maskIssueContacts(issue.toJSON(), req.user));
+    } catch (error) {
+        console.error('Server Error @ GET /api/issues/:issueId:', error);
+        res.status(500).json({ message: 'Failed to fetch the issue.' });
+    }
+});
+
+/**
+ * @route   PATCH /api/issues/:issueId
+ * @desc    Edit an issue's details (issue type, description or landmark). Every change is recorded in its history.
+ * @access  Private
+ */
+router.patch('/issues/:issueId', authenticate, async (req, res) => {
+    try {
+        const issue = await Issue.findOne({ issueId: req.params.issueId, ...issueScope(req.user) });
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found with that ID.' });
+        }
+
+        // Only these fields can be edited here; status and assignment have their own endpoints.
+        const editable = {
+            issueType: { get: () => issue.issueType, set: value => { issue.issueType = value; } },
+            description: { get: () => issue.description, set: value => { issue.description = value; } },
+            landmark: { get: () => issue.location.landmark, set: value => { issue.location.landmark = value; } }
+        };
+
+        // An issue can only be moved to another active category.
+        if (req.body.issueType !== undefined && req.body.issueType !== issue.issueType) {
+            const category = await getCategory(req.body.issueType);
+            if (!category || !category.active) {
+                return res.status(400).json({ message: `"${req.body.issueType}" is not an active issue type.` });
+            }
+        }
+
+        const changedFields = [];
+        for (const [field, accessor] of Object.entries(editable)) {
+            const value = req.body[field];
+            if (value === undefined || value === accessor.get()) continue;
+            issue.recordHistory({ action: 'edited', field, from: accessor.get(), to: value, reason: req.body.reason }, req.user);
+            accessor.set(value);
+            changedFields.push(field);
+        }
+
+        if (changedFields.length === 0) {
+            return res.status(400).json({ message: 'No changes were provided.' });
+        }
+
+        // Another category can have another severity.
+        if (changedFields.includes('issueType')) await applyPriorityScore(issue);
+        await issue.save();
+        publishIssueEvent('issue.updated', issue, req.user);
+        const updatedIssue = await Issue.findById(issue._id).populate('assignedTo', 'name department');
+        res.status(200).json({ message: 'Issue updated successfully!', issue: maskIssueContacts(updatedIssue.toJSON(), req.user) });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Server Error @ PATCH /api/issues/:issueId:', error);
+        res.status(500).json({ message: 'Failed to update the issue.' });
+    }
+});
+
+/**
+ * @route   GET /api/events
+ * @desc    A Server-Sent Events stream of issue changes for the dashboard: 'issue.created', 'issue.updated' and
+ *          'issue.assigned', each with '{ issue, actor, at }'. 'actor' is the staff member who made the change
+ *          (null for citizens and the system). Non-admins only receive their own department's issues.
+ *          The stream is closed once the session expires or is logged out.
+ * @access  Private
+ */
+router.get('/events', authenticate, (req, res) => {
+    let unsubscribe = () => {};
+    const send = openEventStream(req, res, () => unsubscribe(), {
+        // Logging out, a revoked or expired session, or a new department or role takes effect by the next heartbeat.
+        keepOpen: async () => {
+            const user = await currentSessionUser(req);
+            if (user) req.user = user;
+            return Boolean(user);
+        }
+    });
+    unsubscribe = subscribe(({ type, issue, actor, at }) => {
+        if (!canAccessIssue(req.user, issue)) return;
+        // The same shape as the issue list, without the full audit trail.
+        const { history, ...fields } = maskIssueContacts(issue.toJSON(), req.user);
+        send(type, { issue: { ...fields, slaStatus: getSlaStatus(issue) }, actor, at });
+    });
+});
+
+/**
+ * @route   GET /api/workflow
+ * @desc    Get the issue status workflow (statuses and allowed transitions) so the dashboard
+ *          only offers valid status changes.
+ * @access  Private
+ */
+router.get('/workflow', authenticate, (req, res) => {
+    res.status(200).json({
+        statuses: workflow.STATUSES,
+        transitions: workflow.TRANSITIONS,
+        openStatuses: workflow.OPEN_STATUSES,
+        requiredFields: workflow.REQUIRED_FIELDS
+    });
+});
+
 /**
  * @route   POST /api/update_status
- * @desc    Allows an admin to update the status of an issue.
+ * @desc    Allows an admin to update the status of an issue. Only transitions allowed by the
+ *          workflow (server/config/workflow.js) are accepted. 'Rejected' needs a 'reason',
+ *          and 'Duplicate' needs 'duplicateOf' (the original issue's ID). Issues are resolved with
+ *          POST /api/issues/:issueId/resolve instead, which takes the "after" photos.
  * @access  Private
  */
-router.post('/update_status', async (req, res) => {
+router.post('/update_status', authenticate, async (req, res) => {
     try {
-        const { issueId, status } = req.body;
+        const { issueId, status, reason, duplicateOf } = req.body;
         if (!issueId || !status) {
             return res.status(400).json({ message: 'Issue ID and a new status are required.' });
         }
 
-        const updateData = { status };
-        if (status === 'Resolved') {
-            updateData.resolvedAt = new Date();
+        const issue = await Issue.findOne({ issueId, ...issueScope(req.user) });
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found with that ID.' });
         }
 
-        const updatedIssue = await Issue.findOneAndUpdate({ issueId }, { $set: updateData }, { new: true });
+        await transitionIssue(issue, status, { actor: req.user, reason, duplicateOf });
+        await issue.save();
+        publishIssueEvent('issue.updated', issue, req.user);
+        await recordWorkLocation(req.user, issue);
 
-        if (!updatedIssue) {
-            return res.status(404).json({ message: 'Issue not found with that ID.' });
-        }
-        
-        const updateMessage = `Update for issue #${issueId}: The status has been changed to "${status}".`;
-        sendNotification(updatedIssue.citizenContact, updateMessage);
+        const updatedIssue = await Issue.findById(issue._id).select('-history').populate('assignedTo', 'name department');
+
+        // Everyone who reported this problem (including attached and merged reports) gets the update, in their own language.
+        const templateKey = status === 'Rejected' ? 'status.rejected' : status === 'Duplicate' ? 'status.duplicate' : 'status.changed';
+        await notifyLinkedCitizens(issue, templateKey, { issueId, status, reason, duplicateOf });
         
-        res.status(200).json({ message: 'Status updated successfully!', issue: updatedIssue });
+        res.status(200).json({ message: 'Status updated successfully!', issue: maskIssueContacts(updatedIssue.toJSON(), req.user) });
     } catch (error) {
+        if (error instanceof WorkflowError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error('Server Error @ POST /api/update_status:', error);
         res.status(500).json({ message: 'Failed to update issue status.' });
     }
 });
 
+/**
+ * @route   GET /api/issues/:issueId/comments
+ * @desc    Get an issue's comment thread, oldest first: internal notes and public messages (including citizens' replies).
+ * @access  Private
+ */
+router.get('/issues/:issueId/comments', authenticate, async (req, res) => {
+    try {
+        const issue = await Issue.findOne({ issueId: req.params.issueId, ...issueScope(req.user) });
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found with that ID.' });
+        }
+        const comments = await listComments(issue, { includeInternal: true });
+        const showContacts = canSeeContacts(req.user);
+        res.status(200).json(comments.map(comment => (showContacts || !comment.citizenContact
+            ? comment
+            : { ...comment.toJSON(), citizenContact: maskContact(comment.citizenContact) })));
+    } catch (error) {
+        console.error('Server Error @ GET /api/issues/:issueId/comments:', error);
+        res.status(500).json({ message: 'Failed to fetch the comments.' });
+    }
+});
+
+/**
+ * @route   POST /api/issues/:issueId/comments
+ * @desc    Comment on an issue. Body: '{ body, visibility: "internal"|"public" }'. Internal notes are only seen by staff;
+ *          public messages appear on the tracking page and are sent to the citizens. Colleagues mentioned as
+ *          '@Full Name' are notified.
+ * @access  Private
+ */
+router.post('/issues/:issueId/comments', authenticate, async (req, res) => {
+    try {
+        const issue = await Issue.findOne({ issueId: req.params.issueId, ...issueScope(req.user) });
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found with that ID.' });
+        }
+
+        const comment = await addStaffComment(issue, req.user, { body: req.body.body, visibility: req.body.visibility });
+        publishIssueEvent('issue.commented', issue, req.user);
+        res.status(201).json({
+            message: comment.visibility === 'public' ? 'Message sent to the citizen.' : 'Note added.',
+            comment
+        });
+    } catch (error) {
+        if (error instanceof CommentError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Server Error @ POST /api/issues/:issueId/comments:', error);
+        res.status(500).json({ message: 'Failed to add the comment.' });
+    }
+});
+
+/**
+ * @route   POST /api/issues/:issueId/resolve
+ * @desc    Resolve an issue with proof of what was done: a 'note' and one or more "after" photos (form field 'photos').
+ *          Every linked citizen is sent the note and a personal link to confirm the fix, rate it or dispute it.
+ * @access  Private
+ */
+router.post('/issues/:issueId/resolve', authenticate, (req, res) => {
+    upload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ message: uploadErrorMessage(err) });
+        }
+
+        let photos = [];
+        try {
+            const issue = await Issue.findOne({ issueId: req.params.issueId, ...issueScope(req.user) });
+            if (!issue) {
+                return res.status(404).json({ message: 'Issue not found with that ID.' });
+            }
+
+            // The photos' GPS positions are checked against the issue's location, as for citizens' photos.
+            photos = await processPhotos(req.files || [], { coordinates: issue.location.coordinates });
+            const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+            await transitionIssue(issue, 'Resolved', { actor: req.user, reason: note, resolution: { note, photos } });
+            await issue.save();
+            publishIssueEvent('issue.updated', issue, req.user);
+            await recordWorkLocation(req.user, issue);
+
+            await requestFeedback(issue);
+
+            const updatedIssue = await Issue.findById(issue._id).select('-history').populate('assignedTo', 'name department');
+            res.status(200).json({ message: 'Issue resolved. The citizens have been asked to confirm the fix.', issue: maskIssueContacts(updatedIssue.toJSON(), req.user) });
+        } catch (error) {
+            if (error instanceof ImageError) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
+            if (error instanceof WorkflowError) {
+                await deletePhotos(photos);
+                return res.status(error.statusCode).json({ message: error.message });
+            }
+            console.error('Server Error @ POST /api/issues/:issueId/resolve:', error);
+            res.status(500).json({ message: 'Failed to resolve the issue.' });
+        }
+    });
+});
+
+/**
+ * @route   POST /api/issues/:issueId/merge
+ * @desc    Merge a duplicate issue into a canonical one. Body: '{ into: <canonical issue ID>, reason }'.
+ *          The duplicate's citizen, photos and history move onto the canonical issue, and it is closed as 'Duplicate'.
+ * @access  Private (Admin and supervisors)
+ */
+router.post('/issues/:issueId/merge', authenticate, authorize('admin', 'supervisor'), async (req, res) => {
+    try {
+        const { into, reason } = req.body;
+        if (!into) {
+            return res.status(400).json({ message: 'The ID of the issue to merge into ("into") is required.' });
+        }
+
+        const [source, canonical] = await Promise.all([
+            Issue.findOne({ issueId: req.params.issueId, ...issueScope(req.user) }),
+            Issue.findOne({ issueId: into, ...issueScope(req.user) })
+        ]);
+        if (!source || !canonical) {
+            return res.status(404).json({ message: 'Issue not found with that ID.' });
+        }
+
+        await mergeIssues(source, canonical, req.user, reason);
+        publishIssueEvent('issue.updated', source, req.user);
+        publishIssueEvent('issue.updated', canonical, req.user);
+
+        // Imported complaints may have no contact number.
+        if (source.citizenContact) {
+            await notifyCitizen(
+                source.citizenContact,
+                source.language,
+                'issue.merged',
+                { issueId: source.issueId, canonicalId: canonical.issueId },
+                { issueId: source.issueId }
+            );
+        }
+
+        const updatedIssue = await Issue.findById(canonical._id).select('-history').populate('assignedTo', 'name department');
+        res.status(200).json({ message: `Issue #${source.issueId} merged into #${canonical.issueId}.`, issue: maskIssueContacts(updatedIssue.toJSON(), req.user), mergedIssueId: source.issueId });
+    } catch (error) {
+        if (error instanceof WorkflowError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Server Error @ POST /api/issues/:issueId/merge:', error);
+        res.status(500).json({ message: 'Failed to merge the issues.' });
+    }
+});
+
 /**
  * @route   POST /api/assign_issue
- * @desc    Allows an admin to assign an issue to a specific staff member.
+ * @desc    Allows an admin to assign an issue to a specific staff member. This overrides any automatic assignment,
+ *          and the issue won't be reassigned automatically after that.
  * @access  Private
  */
-router.post('/assign_issue', async (req, res) => {
+router.post('/assign_issue', authenticate, authorize('admin', 'supervisor'), async (req, res) => {
     try {
         const { issueId, userId } = req.body;
         if (!issueId || !userId) {
             return res.status(400).json({ message: 'Issue ID and User ID are required for assignment.' });
         }
+        if (typeof issueId !== 'string' || !mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ message: 'That is not a valid issue ID or user ID.' });
+        }
 
         const issue = await Issue.findOne({ issueId: issueId });
-        if (!issue) {
+        if (!issue || !canAccessIssue(req.user, issue)) {
             return res.status(404).json({ message: 'Issue not found with that ID.' });
         }
 
-        issue.assignedTo = userId;
+        const assignee = await User.findById(userId);
+        if (!assignee) {
+            return res.status(404).json({ message: 'Staff member not found with that ID.' });
+        }
+        // Supervisors can only hand work to people in their own department.
+        if (req.user.role !== 'admin' && assignee.department !== req.user.department) {
+            return res.status(403).json({ message: 'You can only assign issues to staff in your own department.' });
+        }
+
+        await issue.populate('assignedTo', 'name');
+        issue.recordHistory({
+            action: 'assigned',
+            field: 'assignedTo',
+            from: issue.assignedTo ? issue.assignedTo.name : null,
+            to: assignee.name,
+            reason: req.body.reason
+        }, req.user);
+        issue.assignedTo = assignee._id;
+        markOverridden(issue);
         await issue.save();
-        
-        const updatedIssue = await Issue.findById(issue._id).populate('assignedTo', 'name department');
-        res.status(200).json({ message: 'Issue assigned successfully!', issue: updatedIssue });
+        publishIssueEvent('issue.assigned', issue, req.user);
+
+        const updatedIssue = await Issue.findById(issue._id).select('-history').populate('assignedTo', 'name department');
+        res.status(200).json({ message: 'Issue assigned successfully!', issue: maskIssueContacts(updatedIssue.toJSON(), req.user) });
     } catch (error) {
         console.error('Server Error @ POST /api/assign_issue:', error);
         res.status(500).json({ message: 'Failed to assign issue.' });
@@ -182,12 +706,14 @@ router.post('/assign_issue', async (req, res) => {
 
 /**
  * @route   GET /api/users
- * @desc    Get all staff users for the assignment dropdown in the admin panel.
+ * @desc    Get staff users for the assignment dropdown in the admin panel, with their availability and shifts.
+ *          Non-admins only see staff from their own department.
  * @access  Private
  */
-router.get('/users', async (req, res) => {
+router.get('/users', authenticate, async (req, res) => {
     try {
-        const users = await User.find().select('name department');
+        const filter = req.user.role === 'admin' ? {} : { department: req.user.department };
+        const users = await User.find(filter).select('name department role available shifts');
         res.status(200).json(users);
     } catch (error) {
         console.error('Server Error @ GET /api/users:', error);
@@ -195,73 +721,304 @@ router.get('/users', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/users
+ * @desc    Create a new staff account. The password is hashed before it is stored.
+ * @access  Private (Admin only)
+ */
+router.post('/users', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const { name, email, password, department, role } = req.body;
+        if (!(await isActiveDepartment(department))) {
+            return res.status(400).json({ message: 'Please choose an active department.' });
+        }
+        const user = new User({ name, email, password, department, role });
+        await user.save();
+        res.status(201).json({ message: 'Staff account created successfully!', user });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A staff account with that email already exists.' });
+        }
+        console.error('Server Error @ POST /api/users:', error);
+        res.status(500).json({ message: 'Failed to create staff account.' });
+    }
+});
+
+/**
+ * @route   PATCH /api/users/:id/availability
+ * @desc    Set whether a staff member can be given issues automatically, and their weekly shifts.
+ *          Body: '{ available, shifts: [{ day: 0-6 (Sunday = 0), start: "HH:MM", end: "HH:MM" }] }'; either can be left out.
+ *          Staff can change their own; supervisors those of their department's staff; admins anyone's.
+ * @access  Private
+ */
+router.patch('/users/:id/availability', authenticate, async (req, res) => {
+    try {
+        const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+        if (!user) {
+            return res.status(404).json({ message: 'Staff member not found with that ID.' });
+        }
+        const isSelf = user._id.equals(req.user._id);
+        const canManage = req.user.role === 'admin' || (req.user.role === 'supervisor' && user.department === req.user.department);
+        if (!isSelf && !canManage) {
+            return res.status(403).json({ message: 'You can only change the availability of staff in your own department.' });
+        }
+
+        const updated = await updateAvailability(user, { available: req.body.available, shifts: req.body.shifts });
+        res.status(200).json({ message: 'Availability updated.', user: updated });
+    } catch (error) {
+        if (error instanceof AssignmentError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Server Error @ PATCH /api/users/:id/availability:', error);
+        res.status(500).json({ message: 'Failed to update availability.' });
+    }
+});
+
 /**
  * @route   GET /api/analytics
- * @desc    Get aggregated data for the admin dashboard analytics.
+ * @desc    Get aggregated data for the admin dashboard analytics. Add '?ward=<ward _id>' to limit it to one ward,
+ *          and '?from=&to=' to only count issues reported (and resolved) in that date range.
  * @access  Private
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', authenticate, async (req, res) => {
     try {
-        // --- Calculate Average Resolution Time (BUG FIX APPLIED) ---
-        // Use { $ne: null } to ensure resolvedAt is a valid date, not just that the field exists.
-        const resolvedIssues = await Issue.find({ status: 'Resolved', resolvedAt: { $ne: null } });
-        
-        let totalResolutionTimeMs = 0;
-        let validResolvedCount = 0; // Only count issues where we can calculate time.
-
-        if (resolvedIssues.length > 0) {
-            resolvedIssues.forEach(issue => {
-                // **THE FIX:** Check if both dates are valid before doing math.
-                // This prevents the server from crashing on old or inconsistent data.
-                if (issue.resolvedAt instanceof Date && issue.reportedAt instanceof Date) {
-                    totalResolutionTimeMs += issue.resolvedAt.getTime() - issue.reportedAt.getTime();
-                    validResolvedCount++;
-                }
-            });
+        // Non-admins only get analytics for their own department.
+        const scope = dashboardFilter(req);
+        if (!scope) {
+            return res.status(400).json({ message: 'Invalid ward ID.' });
         }
-        
-        const avgResolutionTimeMs = validResolvedCount > 0 ? totalResolutionTimeMs / validResolvedCount : 0;
-        const avgResolutionTimeHours = (avgResolutionTimeMs / (1000 * 60 * 60)).toFixed(1);
+        // Without a date range, everything is counted.
+        const range = req.query.from || req.query.to ? parseRange(req.query) : null;
+        const reported = range ? { ...scope, createdAt: { $gte: range.from, $lt: range.to } } : scope;
+
+        // --- Calculate Average Resolution Time ---
+        // Resolution time runs from when the issue was reported (createdAt) to when it was resolved.
+        const [resolution] = await Issue.aggregate([
+            { $match: { ...scope, status: 'Resolved', resolvedAt: range ? { $gte: range.from, $lt: range.to } : { $ne: null } } },
+            { $group: { _id: null, avgMs: { $avg: { $subtract: ['$resolvedAt', '$createdAt'] } } } }
+        ]);
+        const avgResolutionTimeHours = ((resolution ? resolution.avgMs : 0) / (1000 * 60 * 60)).toFixed(1);
 
 
         // --- Get Issue Counts by Type (for trend analysis) ---
         const trendData = await Issue.aggregate([
+            { $match: reported },
             { $group: { _id: '$issueType', count: { $sum: 1 } } },
             { $sort: { count: -1 } }
         ]);
 
         // --- Get Issue Counts by Status (for overview) ---
         const statusCounts = await Issue.aggregate([
+            { $match: reported },
             { $group: { _id: '$status', count: { $sum: 1 } } }
         ]);
 
+        // --- SLA Standing (for the SLA overview and the per-department breach rate) ---
+        const slaTracked = await Issue.find({ ...scope, status: { $nin: ['Rejected', 'Duplicate'] }, 'sla.resolveBy': { $exists: true } })
+            .select('status createdAt acknowledgedAt resolvedAt sla assignedDepartment')
+            .lean();
+
+        const slaSummary = { 'on-track': 0, 'at-risk': 0, 'breached': 0 };
+        const byDepartment = {};
+        const now = new Date();
+        slaTracked.forEach(issue => {
+            const slaStatus = getSlaStatus(issue, now);
+            const isOpen = issue.status !== 'Resolved';
+            if (isOpen) slaSummary[slaStatus]++;
+
+            const dept = byDepartment[issue.assignedDepartment] || (byDepartment[issue.assignedDepartment] = { total: 0, breached: 0 });
+            dept.total++;
+            if (slaStatus === 'breached') dept.breached++;
+        });
+        const slaByDepartment = Object.entries(byDepartment)
+            .map(([department, { total, breached }]) => ({ department, total, breached, breachRate: +(breached / total * 100).toFixed(1) }))
+            .sort((a, b) => b.breachRate - a.breachRate);
+
         res.status(200).json({
             avgResolutionTimeHours,
             trendData,
-            statusCounts
+            statusCounts,
+            slaSummary,
+            slaByDepartment
         });
     } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error('Server Error @ GET /api/analytics:', error);
         res.status(500).json({ message: 'Failed to fetch analytics data.' });
     }
 });
 
+/**
+ * @route   GET /api/analytics/timeseries
+ * @desc    Reports opened versus resolved per period. Query: 'interval' (day, week or month; default day),
+ *          'from' and 'to' (default: the last 30 days) and 'ward'.
+ *          Responds with '{ interval, from, to, series: [{ period, opened, resolved }] }'.
+ * @access  Private
+ */
+router.get('/analytics/timeseries', authenticate, async (req, res) => {
+    try {
+        const scope = dashboardFilter(req);
+        if (!scope) {
+            return res.status(400).json({ message: 'Invalid ward ID.' });
+        }
+        const range = parseRange(req.query);
+        const interval = req.query.interval || 'day';
+
+        const series = await getOpenedVsResolved(scope, range, interval);
+        res.status(200).json({ interval, from: range.from, to: range.to, series });
+    } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Server Error @ GET /api/analytics/timeseries:', error);
+        res.status(500).json({ message: 'Failed to fetch the time series.' });
+    }
+});
+
+/**
+ * @route   GET /api/analytics/performance
+ * @desc    Departmental and staff performance for a period: median and 90th-percentile resolution times per
+ *          department and category, the age of the open backlog, each staff member's workload and throughput,
+ *          and the headline figures compared with the previous period of the same length.
+ *          Query: 'from' and 'to' (default: the last 30 days) and 'ward'.
+ * @access  Private
+ */
+router.get('/analytics/performance', authenticate, async (req, res) => {
+    try {
+        const scope = dashboardFilter(req);
+        if (!scope) {
+            return res.status(400).json({ message: 'Invalid ward ID.' });
+        }
+        const performance = await getPerformance(scope, parseRange(req.query));
+        res.status(200).json(performance);
+    } catch (error) {
+        if (error instanceof InvalidQueryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Server Error @ GET /api/analytics/performance:', error);
+        res.status(500).json({ message: 'Failed to fetch performance analytics.' });
+    }
+});
+
+
+// --- CITIZEN TRACKING ENDPOINTS ---
+// Messages are in the citizen's language (see middleware/language.js). Statuses are sent as they are stored,
+// in English, for the citizen portal to translate.
 
 /**
  * @route   GET /api/track_status/:issue_id
- * @desc    Allows a citizen to track the status of their submitted report.
+ * @desc    Allows a citizen to track the status of their submitted report, including a public timeline.
  * @access  Public
  */
 router.get('/track_status/:issue_id', async (req, res) => {
     try {
         const issue = await Issue.findOne({ issueId: req.params.issue_id }).populate('assignedTo', 'name');
         if (!issue) {
-            return res.status(404).json({ message: 'Issue ID not found. Please double-check the ID and try again.' });
+            return res.status(404).json({ message: req.t('track.notFound') });
         }
-        res.status(200).json(issue);
+        // Only return public-safe fields: no contact details, internal audit trail or internal notes.
+        const comments = await listComments(issue);
+        res.status(200).json({ ...toPublicIssue(issue), messages: comments.map(toPublicComment) });
     } catch (error) {
         console.error('Server Error @ GET /api/track_status:', error);
-        res.status(500).json({ message: 'Server error while fetching your issue status.' });
+        res.status(500).json({ message: req.t('track.serverError') });
+    }
+});
+
+/**
+ * @route   GET /api/track_status/:issue_id/events
+ * @desc    A Server-Sent Events stream for one issue, so the citizen's tracking page updates live.
+ *          Sends an 'issue.updated' event with the public-safe issue (as GET /api/track_status/:issue_id) on every change.
+ * @access  Public
+ */
+router.get('/track_status/:issue_id/events', async (req, res) => {
+    try {
+        const exists = await Issue.exists({ issueId: req.params.issue_id });
+        if (!exists) {
+            return res.status(404).json({ message: req.t('track.notFound') });
+        }
+    } catch (error) {
+        console.error('Server Error @ GET /api/track_status/:issue_id/events:', error);
+        return res.status(500).json({ message: req.t('track.followError') });
+    }
+
+    let unsubscribe = () => {};
+    const send = openEventStream(req, res, () => unsubscribe());
+    unsubscribe = subscribe(({ issue }) => {
+        if (issue.issueId === req.params.issue_id) send('issue.updated', toPublicIssue(issue));
+    });
+});
+
+/**
+ * @route   POST /api/track_status/:issue_id/reopen
+ * @desc    Allows a citizen to reopen their resolved issue within the reopen window.
+ *          The citizen must confirm the contact number the issue was reported with.
+ * @access  Public
+ */
+router.post('/track_status/:issue_id/reopen', async (req, res) => {
+    try {
+        const { citizenContact, reason } = req.body;
+        if (!citizenContact || !reason) {
+            return res.status(400).json({ message: req.t('reopen.missingFields') });
+        }
+
+        const issue = await Issue.findOne({ issueId: req.params.issue_id });
+        // Use the same message for an unknown ID and a wrong number, so IDs can't be probed.
+        if (!issue || !contactMatches(issue, citizenContact)) {
+            return res.status(404).json({ message: req.t('track.notFoundForContact') });
+        }
+
+        await reopenByCitizen(issue, reason);
+        await issue.save();
+        publishIssueEvent('issue.updated', issue);
+
+        await notifyCitizen(issue.citizenContact, issue.language, 'issue.reopened', { issueId: issue.issueId }, { issueId: issue.issueId });
+        res.status(200).json({ message: req.t('reopen.done'), issue: toPublicIssue(issue) });
+    } catch (error) {
+        if (error instanceof WorkflowError) {
+            return res.status(error.statusCode).json({ message: errorMessage(req.language, error) });
+        }
+        console.error('Server Error @ POST /api/track_status/:issue_id/reopen:', error);
+        res.status(500).json({ message: req.t('reopen.serverError') });
+    }
+});
+
+/**
+ * @route   POST /api/track_status/:issue_id/comments
+ * @desc    Lets a citizen reply to staff from the tracking page. Body: '{ citizenContact, body }'.
+ *          The citizen must confirm the contact number the issue was reported with.
+ * @access  Public
+ */
+router.post('/track_status/:issue_id/comments', async (req, res) => {
+    try {
+        const { citizenContact, body } = req.body;
+        if (!citizenContact) {
+            return res.status(400).json({ message: req.t('reply.contactRequired') });
+        }
+
+        const issue = await Issue.findOne({ issueId: req.params.issue_id });
+        // Use the same message for an unknown ID and a wrong number, so IDs can't be probed.
+        if (!issue || !contactMatches(issue, citizenContact)) {
+            return res.status(404).json({ message: req.t('track.notFoundForContact') });
+        }
+
+        const comment = await addCitizenReply(issue, citizenContact, body);
+        publishIssueEvent('issue.commented', issue);
+        res.status(201).json({ message: req.t('reply.sent'), comment: toPublicComment(comment) });
+    } catch (error) {
+        if (error instanceof CommentError) {
+            return res.status(error.statusCode).json({ message: errorMessage(req.language, error) });
+        }
+        console.error('Server Error @ POST /api/track_status/:issue_id/comments:', error);
+        res.status(500).json({ message: req.t('reply.serverError') });
     }
 });
 
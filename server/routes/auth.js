@@ -0,0 +1,75 @@
+// --- Import Core Modules ---
+const express = require('express');
+
+// --- Import Database Models ---
+const User = require('../models/User');
+
+// --- Import Middleware ---
+const { signToken, authenticate } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// --- AUTH ENDPOINTS ---
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log a staff member in with their email and password and return a session token.
+ * @access  Public
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ message: 'Email and password are required.' });
+        }
+        if (typeof email !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ message: 'Email and password must be text.' });
+        }
+
+        const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+password');
+        // Use the same message for an unknown email and a wrong password,
+        // so the login form can't be used to discover which emails exist.
+        if (!user || !(await user.comparePassword(password))) {
+            return res.status(401).json({ message: 'Invalid email or password.' });
+        }
+        // Accounts from before passwords were hashed are upgraded on their first login.
+        await user.rehashPassword(password);
+
+        res.status(200).json({
+            message: 'Logged in successfully!',
+            token: signToken(user),
+            user: { _id: user._id, name: user.name, email: user.email, role: user.role, department: user.department }
+        });
+    } catch (error) {
+        console.error('Server Error @ POST /api/auth/login:', error);
+        res.status(500).json({ message: 'An unexpected server error occurred while logging in.' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log the current staff member out. This invalidates every session token they hold.
+ * @access  Private
+ */
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+        res.status(200).json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Server Error @ POST /api/auth/logout:', error);
+        res.status(500).json({ message: 'Failed to log out.' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the profile of the currently logged-in staff member.
+ * @access  Private
+ */
+router.get('/me', authenticate, (req, res) => {
+    const { _id, name, email, role, department } = req.user;
+    res.status(200).json({ _id, name, email, role, department });
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+// --- Import Core Modules ---
+const express = require('express');
+const mongoose = require('mongoose');
+
+// --- Import Database Models ---
+const Category = require('../models/Category');
+const Issue = require('../models/Issue');
+const RoutingRule = require('../models/RoutingRule');
+
+// --- Import Services ---
+const { getCategories, isActiveDepartment, clearCatalogCache } = require('../services/categoryService');
+const { refreshPriorityScores } = require('../services/priorityService');
+
+// --- Import Middleware ---
+const { authenticate, authorize } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// The category fields admins can set. 'name' can only be set when the category is created.
+const EDITABLE_FIELDS = ['icon', 'color', 'defaultDepartment', 'defaultPriority', 'requiredFields', 'keywords', 'active', 'sortOrder'];
+
+/**
+ * Copies the editable category fields that are present in a request body.
+ * @param {object} body
+ * @returns {object}
+ */
+function editableFields(body) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+}
+
+// --- CATEGORY ENDPOINTS ---
+
+/**
+ * @route   GET /api/categories
+ * @desc    List the issue categories citizens can report, in display order.
+ *          Add '?all=true' to include deactivated ones (for the admin settings).
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+    try {
+        const categories = await getCategories({ includeInactive: req.query.all === 'true' });
+        res.status(200).json(categories);
+    } catch (error) {
+        console.error('Server Error @ GET /api/categories:', error);
+        res.status(500).json({ message: 'Failed to fetch categories.' });
+    }
+});
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a category. Body: '{ name, defaultDepartment, icon?, color?, defaultPriority?,
+ *          requiredFields?, keywords?, active?, sortOrder? }'.
+ * @access  Private (Admin only)
+ */
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const fields = editableFields(req.body);
+        if (!(await isActiveDepartment(fields.defaultDepartment))) {
+            return res.status(400).json({ message: 'Please choose an active department as the default department.' });
+        }
+
+        const category = await Category.create({ name: req.body.name, ...fields });
+        clearCatalogCache();
+        res.status(201).json({ message: 'Category created successfully!', category });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A category with that name already exists.' });
+        }
+        console.error('Server Error @ POST /api/categories:', error);
+        res.status(500).json({ message: 'Failed to create category.' });
+    }
+});
+
+/**
+ * @route   PATCH /api/categories/:id
+ * @desc    Update a category's settings, or (de)activate it with '{ active }'. The name can't be changed.
+ * @access  Private (Admin only)
+ */
+router.patch('/:id', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const category = mongoose.isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
+        if (!category) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+
+        const fields = editableFields(req.body);
+        if (fields.defaultDepartment !== undefined && fields.defaultDepartment !== category.defaultDepartment
+            && !(await isActiveDepartment(fields.defaultDepartment))) {
+            return res.status(400).json({ message: 'Please choose an active department as the default department.' });
+        }
+
+        const priorityChanged = fields.defaultPriority !== undefined && fields.defaultPriority !== category.defaultPriority;
+        category.set(fields);
+        await category.save();
+        clearCatalogCache();
+        // The category's priority counts towards its open issues' priority scores.
+        if (priorityChanged) await refreshPriorityScores({ issueType: category.name });
+        res.status(200).json({ message: 'Category updated successfully!', category });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Server Error @ PATCH /api/categories/:id:', error);
+        res.status(500).json({ message: 'Failed to update category.' });
+    }
+});
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete a category that has never been used, along with its routing rules.
+ *          Categories with issues can only be deactivated.
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const category = mongoose.isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
+        if (!category) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+        if (await Issue.exists({ issueType: category.name })) {
+            return res.status(409).json({ message: 'This category has issues reported under it. Deactivate it instead.' });
+        }
+
+        await RoutingRule.deleteMany({ issueType: category.name });
+        await category.deleteOne();
+        clearCatalogCache();
+        res.status(200).json({ message: 'Category deleted.' });
+    } catch (error) {
+        console.error('Server Error @ DELETE /api/categories/:id:', error);
+        res.status(500).json({ message: 'Failed to delete category.' });
+    }
+});
+
+module.exports = router;
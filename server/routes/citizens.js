@@ -0,0 +1,104 @@
+// --- Import Core Modules ---
+const express = require('express');
+
+// --- Import Database Models ---
+const Citizen = require('../models/Citizen');
+
+// --- Import Services ---
+const { requestCode, verifyCode, listCitizenIssues, CitizenAuthError } = require('../services/citizenAuthService');
+const { toPublicIssue } = require('../services/issueService');
+const { errorMessage } = require('../services/i18nService');
+
+// --- Import Middleware ---
+const { signCitizenToken, authenticateCitizen } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// --- CITIZEN SIGN-IN ENDPOINTS ---
+// Messages are in the citizen's language (see middleware/language.js).
+
+/**
+ * @route   POST /api/citizen/otp
+ * @desc    Send a one-time sign-in code to a mobile number, in the request's language. Body: { phone }
+ * @access  Public
+ */
+router.post('/otp', async (req, res) => {
+    try {
+        const { phone, expiresInMinutes, resendInSeconds } = await requestCode(req.body.phone, req.language);
+        res.status(200).json({
+            message: req.t('citizenAuth.codeSent', { minutes: expiresInMinutes, lastDigits: phone.slice(-4) }),
+            expiresInMinutes,
+            resendInSeconds
+        });
+    } catch (error) {
+        if (error instanceof CitizenAuthError) {
+            return res.status(error.statusCode).json({ message: errorMessage(req.language, error) });
+        }
+        console.error('Server Error @ POST /api/citizen/otp:', error);
+        res.status(500).json({ message: req.t('citizenAuth.sendError') });
+    }
+});
+
+/**
+ * @route   POST /api/citizen/verify
+ * @desc    Check a sign-in code and start a citizen session. Body: { phone, code }
+ * @access  Public
+ */
+router.post('/verify', async (req, res) => {
+    try {
+        const citizen = await verifyCode(req.body.phone, req.body.code);
+        res.status(200).json({
+            message: req.t('citizenAuth.verified'),
+            token: signCitizenToken(citizen),
+            citizen: { phone: citizen.phone }
+        });
+    } catch (error) {
+        if (error instanceof CitizenAuthError) {
+            return res.status(error.statusCode).json({ message: errorMessage(req.language, error) });
+        }
+        console.error('Server Error @ POST /api/citizen/verify:', error);
+        res.status(500).json({ message: req.t('citizenAuth.verifyError') });
+    }
+});
+
+/**
+ * @route   POST /api/citizen/logout
+ * @desc    Sign the citizen out. This invalidates every session token they hold.
+ * @access  Private (Citizen)
+ */
+router.post('/logout', authenticateCitizen, async (req, res) => {
+    try {
+        await Citizen.updateOne({ _id: req.citizen._id }, { $inc: { tokenVersion: 1 } });
+        res.status(200).json({ message: req.t('citizenAuth.signedOut') });
+    } catch (error) {
+        console.error('Server Error @ POST /api/citizen/logout:', error);
+        res.status(500).json({ message: req.t('citizenAuth.signOutError') });
+    }
+});
+
+/**
+ * @route   GET /api/citizen/me
+ * @desc    Get the signed-in citizen's verified number.
+ * @access  Private (Citizen)
+ */
+router.get('/me', authenticateCitizen, (req, res) => {
+    res.status(200).json({ phone: req.citizen.phone });
+});
+
+/**
+ * @route   GET /api/citizen/issues
+ * @desc    "My reports": every issue tied to the citizen's number, newest first, with its public status.
+ * @access  Private (Citizen)
+ */
+router.get('/issues', authenticateCitizen, async (req, res) => {
+    try {
+        const issues = await listCitizenIssues(req.citizen);
+        res.status(200).json(issues.map(toPublicIssue));
+    } catch (error) {
+        console.error('Server Error @ GET /api/citizen/issues:', error);
+        res.status(500).json({ message: req.t('citizenAuth.reportsError') });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// --- Import Core Modules ---
+const express = require('express');
+const mongoose = require('mongoose');
+
+// --- Import Database Models ---
+const Department = require('../models/Department');
+const Category = require('../models/Category');
+const RoutingRule = require('../models/RoutingRule');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+
+// --- Import Services ---
+const { getDepartments, clearCatalogCache } = require('../services/categoryService');
+const { getStrategy, listStrategies } = require('../services/assignmentStrategies');
+
+// --- Import Middleware ---
+const { authenticate, authorize } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// --- DEPARTMENT ENDPOINTS ---
+
+/**
+ * @route   GET /api/departments
+ * @desc    List the departments, sorted by name. Add '?all=true' to include deactivated ones.
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const departments = await getDepartments({ includeInactive: req.query.all === 'true' });
+        res.status(200).json(departments);
+    } catch (error) {
+        console.error('Server Error @ GET /api/departments:', error);
+        res.status(500).json({ message: 'Failed to fetch departments.' });
+    }
+});
+
+/**
+ * @route   GET /api/departments/assignment-strategies
+ * @desc    List the strategies a department can use to assign issues automatically: '[{ name, label, description }]'.
+ * @access  Private
+ */
+router.get('/assignment-strategies', authenticate, (req, res) => {
+    res.status(200).json(listStrategies());
+});
+
+/**
+ * @route   POST /api/departments
+ * @desc    Create a department. Body: '{ name }'.
+ * @access  Private (Admin only)
+ */
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const department = await Department.create({ name: req.body.name });
+        clearCatalogCache();
+        res.status(201).json({ message: 'Department created successfully!', department });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A department with that name already exists.' });
+        }
+        console.error('Server Error @ POST /api/departments:', error);
+        res.status(500).json({ message: 'Failed to create department.' });
+    }
+});
+
+/**
+ * @route   PATCH /api/departments/:id
+ * @desc    Activate or deactivate a department, or set up its automatic assignment.
+ *          Body: '{ active, autoAssign: { enabled, strategy } }'; any of them can be left out. The name can't be changed.
+ * @access  Private (Admin only)
+ */
+router.patch('/:id', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const department = mongoose.isValidObjectId(req.params.id) ? await Department.findById(req.params.id) : null;
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found.' });
+        }
+        const { active, autoAssign } = req.body;
+        if (active === undefined && autoAssign === undefined) {
+            return res.status(400).json({ message: 'No changes were provided.' });
+        }
+        if (active !== undefined && typeof active !== 'boolean') {
+            return res.status(400).json({ message: '"active" must be true or false.' });
+        }
+        if (autoAssign !== undefined) {
+            if (!autoAssign || typeof autoAssign !== 'object') {
+                return res.status(400).json({ message: '"autoAssign" must be { enabled, strategy }.' });
+            }
+            if (autoAssign.enabled !== undefined && typeof autoAssign.enabled !== 'boolean') {
+                return res.status(400).json({ message: '"autoAssign.enabled" must be true or false.' });
+            }
+            if (autoAssign.strategy !== undefined && !getStrategy(autoAssign.strategy)) {
+                return res.status(400).json({ message: `"${autoAssign.strategy}" is not an assignment strategy.` });
+            }
+        }
+
+        if (active !== undefined) department.active = active;
+        if (autoAssign && autoAssign.enabled !== undefined) department.autoAssign.enabled = autoAssign.enabled;
+        if (autoAssign && autoAssign.strategy !== undefined) department.autoAssign.strategy = autoAssign.strategy;
+        await department.save();
+        clearCatalogCache();
+        res.status(200).json({ message: 'Department updated successfully!', department });
+    } catch (error) {
+        console.error('Server Error @ PATCH /api/departments/:id:', error);
+        res.status(500).json({ message: 'Failed to update department.' });
+    }
+});
+
+/**
+ * @route   DELETE /api/departments/:id
+ * @desc    Delete a department that nothing refers to yet. Departments in use can only be deactivated.
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const department = mongoose.isValidObjectId(req.params.id) ? await Department.findById(req.params.id) : null;
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found.' });
+        }
+
+        const { name } = department;
+        const inUse = await Promise.all([
+            User.exists({ department: name }),
+            Category.exists({ defaultDepartment: name }),
+            RoutingRule.exists({ department: name }),
+            Issue.exists({ assignedDepartment: name })
+        ]);
+        if (inUse.some(Boolean)) {
+            return res.status(409).json({ message: 'This department still has staff, categories, routing rules or issues. Deactivate it instead.' });
+        }
+
+        await department.deleteOne();
+        clearCatalogCache();
+        res.status(200).json({ message: 'Department deleted.' });
+    } catch (error) {
+        console.error('Server Error @ DELETE /api/departments/:id:', error);
+        res.status(500).json({ message: 'Failed to delete department.' });
+    }
+});
+
+module.exports = router;
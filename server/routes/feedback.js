@@ -0,0 +1,87 @@
+// --- Import Core Modules ---
+const express = require('express');
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// --- Import Services ---
+const { notifyCitizen } = require('../services/notificationTemplateService');
+const { errorMessage } = require('../services/i18nService');
+const { toPublicIssue } = require('../services/issueService');
+const { linkedCitizens } = require('../services/duplicateService');
+const { getFeedbackRequest, submitFeedback, FeedbackError } = require('../services/feedbackService');
+const { publishIssueEvent } = require('../services/liveUpdateService');
+const { WorkflowError } = require('../services/workflowService');
+const { MIN_RATING, MAX_RATING } = require('../config/feedback');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// --- CITIZEN FEEDBACK ENDPOINTS ---
+// Citizens reach these through the personal link sent when their issue was resolved, so they don't log in:
+// the link's token shows which citizen it was sent to. Messages are in the citizen's language (see middleware/language.js).
+
+/**
+ * @route   GET /api/feedback/:issueId/:token
+ * @desc    Show the citizen what they are asked about: the issue (with the resolution note and "after" photos),
+ *          their earlier answer to this resolution if any, and whether they can still answer.
+ * @access  Public (with a feedback link)
+ */
+router.get('/:issueId/:token', async (req, res) => {
+    try {
+        const issue = await Issue.findOne({ issueId: req.params.issueId }).populate('assignedTo', 'name');
+        if (!issue) {
+            return res.status(404).json({ message: req.t('feedback.notFound') });
+        }
+        const { answer, canAnswer } = getFeedbackRequest(issue, req.params.token);
+        res.status(200).json({
+            issue: toPublicIssue(issue),
+            answer: answer && { outcome: answer.outcome, rating: answer.rating, comment: answer.comment, at: answer.at },
+            canAnswer,
+            ratings: { min: MIN_RATING, max: MAX_RATING }
+        });
+    } catch (error) {
+        if (error instanceof FeedbackError) {
+            return res.status(error.statusCode).json({ message: errorMessage(req.language, error) });
+        }
+        console.error('Server Error @ GET /api/feedback/:issueId/:token:', error);
+        res.status(500).json({ message: req.t('feedback.loadError') });
+    }
+});
+
+/**
+ * @route   POST /api/feedback/:issueId/:token
+ * @desc    Confirm or dispute a resolution. Body: '{ outcome: "confirmed"|"disputed", rating: 1-5, comment }'.
+ *          Confirming needs a rating; disputing needs a comment and reopens the issue.
+ * @access  Public (with a feedback link)
+ */
+router.post('/:issueId/:token', async (req, res) => {
+    try {
+        const issue = await Issue.findOne({ issueId: req.params.issueId });
+        if (!issue) {
+            return res.status(404).json({ message: req.t('feedback.notFound') });
+        }
+
+        const { outcome, rating, comment } = req.body;
+        const entry = await submitFeedback(issue, req.params.token, { outcome, rating, comment });
+        await issue.save();
+        publishIssueEvent('issue.updated', issue);
+
+        if (entry.outcome === 'disputed') {
+            const citizen = linkedCitizens(issue).find(linked => linked.contact === entry.citizenContact);
+            await notifyCitizen(entry.citizenContact, citizen.language, 'issue.reopened', { issueId: issue.issueId }, { issueId: issue.issueId });
+        }
+        res.status(200).json({
+            message: req.t(entry.outcome === 'disputed' ? 'feedback.disputed' : 'feedback.confirmed'),
+            issue: toPublicIssue(issue)
+        });
+    } catch (error) {
+        if (error instanceof FeedbackError || error instanceof WorkflowError) {
+            return res.status(error.statusCode).json({ message: errorMessage(req.language, error) });
+        }
+        console.error('Server Error @ POST /api/feedback/:issueId/:token:', error);
+        res.status(500).json({ message: req.t('feedback.saveError') });
+    }
+});
+
+module.exports = router;
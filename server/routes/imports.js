@@ -0,0 +1,124 @@
+// --- Import Core Modules ---
+const express = require('express');
+const multer = require('multer'); // Used to receive the uploaded spreadsheet.
+
+// --- Import Config ---
+const IMPORT = require('../config/import');
+
+// --- Import Services ---
+const { readSpreadsheet, SpreadsheetError } = require('../services/spreadsheetService');
+const { IMPORT_FIELDS, suggestMapping, importIssues, ImportError } = require('../services/importService');
+const { isGeocodingEnabled } = require('../services/geocodingService');
+
+// --- Import Middleware ---
+const { authenticate, authorize } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// Spreadsheets are read straight from memory; nothing is kept on disk.
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT.MAX_FILE_MB * 1024 * 1024 } }).single('file');
+
+/**
+ * Parses a JSON form field (form uploads can't carry nested objects).
+ * @returns {object}
+ * @throws {ImportError}
+ */
+function jsonField(value, name) {
+    if (!value) return {};
+    try {
+        const parsed = JSON.parse(value);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+        // Reported below.
+    }
+    throw new ImportError(`"${name}" must be a JSON object.`);
+}
+
+// --- IMPORT ENDPOINTS ---
+
+/**
+ * @route   POST /api/imports/inspect
+ * @desc    Read an uploaded CSV or .xlsx spreadsheet (form field 'file') without importing it, to set up the import:
+ *          responds with its column headings, row count, the first few rows, a suggested column mapping,
+ *          the fields that can be imported and whether addresses can be geocoded.
+ * @access  Private (Admin only)
+ */
+router.post('/inspect', authenticate, authorize('admin'), (req, res) => {
+    upload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ message: 'File upload error.', error: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: 'Please upload a CSV or Excel file in the "file" field.' });
+        }
+
+        try {
+            const { headers, rows } = await readSpreadsheet(req.file.buffer, req.file.originalname, { maxRows: IMPORT.MAX_ROWS });
+            res.status(200).json({
+                fileName: req.file.originalname,
+                headers,
+                rowCount: rows.length,
+                sampleRows: rows.slice(0, 5).map(row => row.values),
+                suggestedMapping: suggestMapping(headers),
+                fields: IMPORT_FIELDS.map(({ field, label, required }) => ({ field, label, required: Boolean(required) })),
+                geocoding: isGeocodingEnabled()
+            });
+        } catch (error) {
+            if (error instanceof SpreadsheetError) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
+            console.error('Server Error @ POST /api/imports/inspect:', error);
+            res.status(500).json({ message: 'Failed to read the spreadsheet.' });
+        }
+    });
+});
+
+/**
+ * @route   POST /api/imports
+ * @desc    Import historical complaints from an uploaded CSV or .xlsx spreadsheet (form field 'file').
+ *          Form fields:
+ *            mapping     - JSON: Issue field → column heading, e.g. {"issueType":"Complaint Type","latitude":"Lat",...}
+ *            categoryMap - JSON (optional): old category name → current category name, e.g. {"Road Damage":"Pothole"}
+ *            dateOrder   - 'DMY' (default) or 'MDY', for dates like 03/04/2021
+ *            dryRun      - 'true' to only check the rows and show what would be created
+ *          Every row is validated; invalid rows are listed in 'errors' with their spreadsheet row number.
+ * @access  Private (Admin only)
+ */
+router.post('/', authenticate, authorize('admin'), (req, res) => {
+    upload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ message: 'File upload error.', error: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: 'Please upload a CSV or Excel file in the "file" field.' });
+        }
+
+        try {
+            const dryRun = req.body.dryRun === 'true';
+            const { headers, rows } = await readSpreadsheet(req.file.buffer, req.file.originalname, { maxRows: IMPORT.MAX_ROWS });
+            const result = await importIssues(rows, {
+                headers,
+                mapping: jsonField(req.body.mapping, 'mapping'),
+                categoryMap: jsonField(req.body.categoryMap, 'categoryMap'),
+                dateOrder: req.body.dateOrder || 'DMY',
+                dryRun,
+                user: req.user,
+                fileName: req.file.originalname
+            });
+
+            const message = dryRun
+                ? `${result.valid} of ${result.total} row(s) can be imported.`
+                : `Imported ${result.created} of ${result.total} row(s).`;
+            res.status(200).json({ message, ...result });
+        } catch (error) {
+            if (error instanceof SpreadsheetError || error instanceof ImportError) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
+            console.error('Server Error @ POST /api/imports:', error);
+            res.status(500).json({ message: 'Failed to import the spreadsheet.' });
+        }
+    });
+});
+
+module.exports = router;
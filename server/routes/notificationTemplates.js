@@ -0,0 +1,75 @@
+// --- Import Core Modules ---
+const express = require('express');
+
+// --- Import Config ---
+const { LANGUAGES } = require('../config/i18n');
+
+// --- Import Services ---
+const { listTemplates, saveTemplate, resetTemplate, TemplateError } = require('../services/notificationTemplateService');
+
+// --- Import Middleware ---
+const { authenticate, authorize } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// Every route in this file is for admins only.
+router.use(authenticate, authorize('admin'));
+
+// --- NOTIFICATION TEMPLATE ENDPOINTS ---
+
+/**
+ * @route   GET /api/notification-templates
+ * @desc    List the citizen notification templates with their text in every language:
+ *          '{ languages: { code: name }, templates: [{ key, description, placeholders, languages: { code: { body, defaultBody, customized, updatedAt } } }] }'.
+ * @access  Private (Admin only)
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.status(200).json({ languages: LANGUAGES, templates: await listTemplates() });
+    } catch (error) {
+        console.error('Server Error @ GET /api/notification-templates:', error);
+        res.status(500).json({ message: 'Failed to fetch the notification templates.' });
+    }
+});
+
+/**
+ * @route   PUT /api/notification-templates/:key/:language
+ * @desc    Reword a template in one language. Body: '{ body }'. Only the template's own placeholders can be used.
+ * @access  Private (Admin only)
+ */
+router.put('/:key/:language', async (req, res) => {
+    try {
+        const template = await saveTemplate(req.params.key, req.params.language, req.body.body, req.user);
+        res.status(200).json({ message: 'Template saved.', template });
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Server Error @ PUT /api/notification-templates/:key/:language:', error);
+        res.status(500).json({ message: 'Failed to save the template.' });
+    }
+});
+
+/**
+ * @route   DELETE /api/notification-templates/:key/:language
+ * @desc    Go back to the default wording of a template in one language.
+ * @access  Private (Admin only)
+ */
+router.delete('/:key/:language', async (req, res) => {
+    try {
+        await resetTemplate(req.params.key, req.params.language);
+        res.status(200).json({ message: 'Template reset to the default wording.' });
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Server Error @ DELETE /api/notification-templates/:key/:language:', error);
+        res.status(500).json({ message: 'Failed to reset the template.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// --- Import Core Modules ---
+const express = require('express');
+const mongoose = require('mongoose');
+
+// --- Import Database Models ---
+const Notification = require('../models/Notification');
+
+// --- Import Services ---
+const { resendNotification } = require('../services/notificationService');
+
+// --- Import Middleware ---
+const { authenticate, authorize } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// Every route in this file is for admins only.
+router.use(authenticate, authorize('admin'));
+
+// --- NOTIFICATION OUTBOX ENDPOINTS ---
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List outbox notifications, newest first. Filter with '?status=failed' (or pending/sending/sent)
+ *          and '?issueId=123456'. Returns at most '?limit=' items (default 100, max 500).
+ * @access  Private (Admin only)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, issueId } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (issueId) filter.issueId = issueId;
+
+        const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(limit);
+        res.status(200).json(notifications);
+    } catch (error) {
+        console.error('Server Error @ GET /api/notifications:', error);
+        res.status(500).json({ message: 'Failed to fetch notifications.' });
+    }
+});
+
+/**
+ * @route   POST /api/notifications/:id/resend
+ * @desc    Re-send a notification that failed permanently.
+ * @access  Private (Admin only)
+ */
+router.post('/:id/resend', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+
+        const notification = await resendNotification(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ message: 'No failed notification found with that ID.' });
+        }
+
+        const message = notification.status === 'sent'
+            ? 'Notification re-sent successfully!'
+            : 'Notification re-queued, but delivery failed again. It will be retried automatically.';
+        res.status(200).json({ message, notification });
+    } catch (error) {
+        console.error('Server Error @ POST /api/notifications/:id/resend:', error);
+        res.status(500).json({ message: 'Failed to re-send the notification.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// --- Import Core Modules ---
+const express = require('express');
+const mongoose = require('mongoose');
+
+// --- Import Database Models ---
+const RoutingRule = require('../models/RoutingRule');
+
+// --- Import Services ---
+const { getCategory, isActiveDepartment } = require('../services/categoryService');
+
+// --- Import Middleware ---
+const { authenticate, authorize } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// Every route in this file is for admins only.
+router.use(authenticate, authorize('admin'));
+
+// --- ROUTING RULE ENDPOINTS ---
+
+/**
+ * @route   GET /api/routing-rules
+ * @desc    List all routing rules, with their ward's code and name.
+ * @access  Private (Admin only)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const rules = await RoutingRule.find().populate('ward', 'code name zone').sort({ issueType: 1 });
+        res.status(200).json(rules);
+    } catch (error) {
+        console.error('Server Error @ GET /api/routing-rules:', error);
+        res.status(500).json({ message: 'Failed to fetch routing rules.' });
+    }
+});
+
+/**
+ * @route   POST /api/routing-rules
+ * @desc    Create a routing rule. Body: '{ issueType?, ward?, department, team? }'.
+ *          At least one of 'issueType' or 'ward' (a ward _id) is required.
+ * @access  Private (Admin only)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { issueType, ward, department, team } = req.body;
+        if (!issueType && !ward) {
+            return res.status(400).json({ message: 'A routing rule needs an issue type, a ward, or both.' });
+        }
+        if (ward && !mongoose.isValidObjectId(ward)) {
+            return res.status(400).json({ message: 'Invalid ward ID.' });
+        }
+        if (issueType && !(await getCategory(issueType))) {
+            return res.status(400).json({ message: `Unknown issue type "${issueType}".` });
+        }
+        if (!(await isActiveDepartment(department))) {
+            return res.status(400).json({ message: 'Please choose an active department.' });
+        }
+
+        const rule = await RoutingRule.create({ issueType: issueType || undefined, ward: ward || undefined, department, team });
+        res.status(201).json({ message: 'Routing rule created successfully!', rule });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A routing rule for that issue type and ward already exists.' });
+        }
+        console.error('Server Error @ POST /api/routing-rules:', error);
+        res.status(500).json({ message: 'Failed to create routing rule.' });
+    }
+});
+
+/**
+ * @route   DELETE /api/routing-rules/:id
+ * @desc    Delete a routing rule.
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const rule = mongoose.isValidObjectId(req.params.id) ? await RoutingRule.findByIdAndDelete(req.params.id) : null;
+        if (!rule) {
+            return res.status(404).json({ message: 'Routing rule not found.' });
+        }
+        res.status(200).json({ message: 'Routing rule deleted.' });
+    } catch (error) {
+        console.error('Server Error @ DELETE /api/routing-rules/:id:', error);
+        res.status(500).json({ message: 'Failed to delete routing rule.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// --- Import Core Modules ---
+const express = require('express');
+
+// --- Import Services ---
+const { handleInboundSms } = require('../services/smsService');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// --- SMS ENDPOINTS ---
+
+/**
+ * @route   POST /api/sms/inbound
+ * @desc    Webhook for inbound SMS from the SMS gateway. Understands "REPORT ..." and "STATUS ..." messages
+ *          and replies to the sender through the notification service.
+ *          Accepts 'from'/'text' or Twilio-style 'From'/'Body' as form or JSON fields.
+ *          If SMS_WEBHOOK_SECRET is set, the gateway must send it in the 'X-Webhook-Secret' header.
+ * @access  Public (called by the SMS gateway)
+ */
+router.post('/inbound', async (req, res) => {
+    const secret = process.env.SMS_WEBHOOK_SECRET;
+    if (secret && req.get('X-Webhook-Secret') !== secret) {
+        return res.status(403).json({ message: 'Invalid webhook secret.' });
+    }
+
+    const from = req.body.from || req.body.From;
+    const text = req.body.text || req.body.Body;
+    if (typeof from !== 'string' || !from || typeof text !== 'string') {
+        return res.status(400).json({ message: 'Both the sender ("from") and message text ("text") are required.' });
+    }
+
+    try {
+        const reply = await handleInboundSms(from, text);
+        res.status(200).json({ message: 'SMS processed.', reply });
+    } catch (error) {
+        console.error('Server Error @ POST /api/sms/inbound:', error);
+        res.status(500).json({ message: 'Failed to process the inbound SMS.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// --- Import Core Modules ---
+const express = require('express');
+
+// --- Import Services ---
+const { handleUssdCallback } = require('../services/ussdService');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// --- USSD ENDPOINTS ---
+
+/**
+ * @route   POST /api/ussd
+ * @desc    Callback for the USSD aggregator. Drives the report/track menu for feature phones.
+ *          Expects 'sessionId', 'phoneNumber' and 'text' ('*'-separated inputs so far) as form or JSON fields,
+ *          and replies with plain text starting with 'CON ' or 'END '.
+ * @access  Public (called by the USSD aggregator)
+ */
+router.post('/', async (req, res) => {
+    res.set('Content-Type', 'text/plain');
+
+    const { sessionId, phoneNumber, text } = req.body;
+    if (!sessionId || !phoneNumber) {
+        return res.status(400).send('END Invalid request.');
+    }
+
+    try {
+        const reply = await handleUssdCallback({ sessionId, phoneNumber, text: text || '' });
+        res.status(200).send(reply);
+    } catch (error) {
+        console.error('Server Error @ POST /api/ussd:', error);
+        // Aggregators show whatever we send, so still reply in USSD format.
+        res.status(200).send('END Sorry, something went wrong. Please try again later.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// --- Import Core Modules ---
+const express = require('express');
+const multer = require('multer'); // Used to receive the uploaded GeoJSON file.
+
+// --- Import Database Models ---
+const Ward = require('../models/Ward');
+
+// --- Import Services ---
+const { importWards } = require('../services/wardService');
+
+// --- Import Middleware ---
+const { authenticate, authorize } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// GeoJSON boundary files can be several megabytes, so they're uploaded as a file and kept in memory.
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } }).single('file');
+
+// --- WARD ENDPOINTS ---
+
+/**
+ * @route   GET /api/wards
+ * @desc    List all wards. Add '?geometry=true' to include the boundaries (for drawing them on the map).
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const query = Ward.find().sort({ code: 1 });
+        if (req.query.geometry !== 'true') query.select('-boundary');
+        res.status(200).json(await query);
+    } catch (error) {
+        console.error('Server Error @ GET /api/wards:', error);
+        res.status(500).json({ message: 'Failed to fetch wards.' });
+    }
+});
+
+/**
+ * @route   POST /api/wards/import
+ * @desc    Import ward boundaries from an uploaded GeoJSON FeatureCollection (form field 'file').
+ *          Optional form fields 'nameProperty', 'codeProperty' and 'zoneProperty' say which feature
+ *          properties hold the ward's name, code and zone. Wards with an existing code are updated.
+ * @access  Private (Admin only)
+ */
+router.post('/import', authenticate, authorize('admin'), (req, res) => {
+    upload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ message: 'File upload error.', error: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: 'Please upload a GeoJSON file in the "file" field.' });
+        }
+
+        let geojson;
+        try {
+            geojson = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch (error) {
+            return res.status(400).json({ message: 'The uploaded file is not valid JSON.' });
+        }
+
+        try {
+            const { nameProperty, codeProperty, zoneProperty } = req.body;
+            const result = await importWards(geojson, { nameProperty, codeProperty, zoneProperty });
+            res.status(200).json({ message: `Imported ${result.created + result.updated} ward(s).`, ...result });
+        } catch (error) {
+            if (error.message.startsWith('The file must be')) {
+                return res.status(400).json({ message: error.message });
+            }
+            console.error('Server Error @ POST /api/wards/import:', error);
+            res.status(500).json({ message: 'Failed to import wards.' });
+        }
+    });
+});
+
+module.exports = router;
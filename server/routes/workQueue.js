@@ -0,0 +1,44 @@
+// --- Import Core Modules ---
+const express = require('express');
+
+// --- Import Services ---
+const { getWorkQueue } = require('../services/workQueueService');
+
+// --- Import Middleware ---
+const { authenticate } = require('../middleware/auth');
+
+// --- Initialize Express Router ---
+const router = express.Router();
+
+// --- FIELD WORK QUEUE ENDPOINTS ---
+
+/**
+ * @route   GET /api/work-queue
+ * @desc    The logged-in staff member's open assignments in an efficient visiting order, for the field view.
+ *          Query: optional 'lat' and 'lng' (their current position) to start the route from; without them it
+ *          starts at the issue whose SLA runs out first. Responds with '{ origin, stops, totalMeters, routeUrl }':
+ *          each stop is the issue with its 'stop' number, 'legMeters' (straight-line distance from the previous
+ *          stop) and a 'navigationUrl'; 'routeUrl' opens directions through the first stops.
+ *          Status changes, notes and "after" photos use the usual issue endpoints.
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        let origin;
+        if (req.query.lat !== undefined || req.query.lng !== undefined) {
+            const lat = parseFloat(req.query.lat);
+            const lng = parseFloat(req.query.lng);
+            if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                return res.status(400).json({ message: 'A valid latitude ("lat") and longitude ("lng") are required.' });
+            }
+            origin = [lng, lat];
+        }
+
+        res.status(200).json(await getWorkQueue(req.user, origin));
+    } catch (error) {
+        console.error('Server Error @ GET /api/work-queue:', error);
+        res.status(500).json({ message: 'Failed to fetch your work queue.' });
+    }
+});
+
+module.exports = router;
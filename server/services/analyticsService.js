@@ -0,0 +1,376 @@
+// server/services/analyticsService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+
+// --- Import Services & Config ---
+const { dateParam, InvalidQueryError } = require('./issueQueryService');
+const { OPEN_STATUSES } = require('../config/workflow');
+const ANALYTICS = require('../config/analytics');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// The grouping intervals a time series can use, with the matching MongoDB $dateToString format.
+// '%G-W%V' is the ISO week (weeks start on Monday), e.g. '2024-W05'.
+const INTERVAL_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+// The longest each interval can be, in days, to tell from a range's length alone whether it has too many periods.
+const INTERVAL_MAX_DAYS = { day: 1, week: 7, month: 31 };
+
+// Reads a date's local year, month and day in the analytics time zone (see periodKey).
+const localDateFormat = new Intl.DateTimeFormat('en-CA', { timeZone: ANALYTICS.TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+/**
+ * Works out the date range for an analytics request from its 'from' and 'to' query parameters.
+ * Without them, the last DEFAULT_RANGE_DAYS days are used. 'to' is exclusive; a bare date includes that whole day.
+ *
+ * @param {object} query - The request's query parameters.
+ * @returns {{ from: Date, to: Date }}
+ * @throws {InvalidQueryError}
+ */
+function parseRange(query) {
+    const defaultLength = ANALYTICS.DEFAULT_RANGE_DAYS * DAY_MS;
+    const to = query.to ? dateParam(query.to, 'to', true) : new Date();
+    const from = query.from ? dateParam(query.from, 'from') : new Date(to.getTime() - defaultLength);
+    if (from >= to) {
+        throw new InvalidQueryError('"from" must be before "to".');
+    }
+    return { from, to };
+}
+
+/**
+ * The period of the same length just before a range, for "compared with the previous period" figures.
+ * @param {{ from: Date, to: Date }} range
+ * @returns {{ from: Date, to: Date }}
+ */
+function previousRange({ from, to }) {
+    return { from: new Date(from.getTime() - (to - from)), to: from };
+}
+
+/**
+ * Reads a value from a sorted list at a percentile, interpolating between neighbours.
+ * @param {number[]} sorted - Ascending values.
+ * @param {number} p - The percentile, 0-100.
+ * @returns {number|null} Null for an empty list.
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Rounds hours to one decimal place for display (null stays null).
+ */
+function roundHours(hours) {
+    return hours === null ? null : Math.round(hours * 10) / 10;
+}
+
+/**
+ * The percentage change from one number to another, or null if there is nothing to compare with.
+ */
+function percentChange(current, previous) {
+    if (current === null || previous === null || previous === 0) return null;
+    return Math.round((current - previous) / previous * 1000) / 10;
+}
+
+/**
+ * Builds the same period key MongoDB's $dateToString produces with INTERVAL_FORMATS, in the analytics time zone.
+ * @param {Date} date
+ * @param {string} interval - 'day', 'week' or 'month'.
+ * @returns {string}
+ */
+function periodKey(date, interval) {
+    const parts = localDateFormat
+        .formatToParts(date)
+        .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+    if (interval === 'day') return `${parts.year}-${parts.month}-${parts.day}`;
+    if (interval === 'month') return `${parts.year}-${parts.month}`;
+
+    // ISO week: the week belongs to the year its Thursday falls in, and week 1 contains 4 January.
+    const local = Date.UTC(+parts.year, +parts.month - 1, +parts.day);
+    const weekday = (new Date(local).getUTCDay() + 6) % 7; // Monday = 0
+    const thursday = new Date(local + (3 - weekday) * DAY_MS);
+    const isoYear = thursday.getUTCFullYear();
+    const week = 1 + Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS));
+    return `${isoYear}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Lists every period key in a range, in order, so periods with no activity still show up as zero.
+ * @param {{ from: Date, to: Date }} range
+ * @param {string} interval
+ * @returns {string[]}
+ */
+function periodKeys({ from, to }, interval) {
+    const keys = new Set();
+    // Step in 6-hour increments so no local day is skipped around daylight-saving changes.
+    for (let t = from.getTime(); t < to.getTime(); t += 6 * HOUR_MS) {
+        keys.add(periodKey(new Date(t), interval));
+    }
+    keys.add(periodKey(new Date(to.getTime() - 1), interval));
+    return [...keys];
+}
+
+/**
+ * Counts issues per period, grouped on one of their dates.
+ * @param {object} match - The filter (including the date range).
+ * @param {string} dateField - 'createdAt' or 'resolvedAt'.
+ * @param {string} interval
+ * @returns {Promise<Map<string, number>>} Period key → count.
+ */
+async function countPerPeriod(match, dateField, interval) {
+    const rows = await Issue.aggregate([
+        { $match: match },
+        { $group: {
+            _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: `$${dateField}`, timezone: ANALYTICS.TIMEZONE } },
+            count: { $sum: 1 }
+        } }
+    ]);
+    return new Map(rows.map(row => [row._id, row.count]));
+}
+
+/**
+ * Reports opened versus resolved per day, week or month.
+ *
+ * @param {object} scope - The base filter (department scope, ward).
+ * @param {{ from: Date, to: Date }} range
+ * @param {string} interval - 'day', 'week' or 'month'.
+ * @returns {Promise<Array<{ period: string, opened: number, resolved: number }>>}
+ * @throws {InvalidQueryError} For an unknown interval, or a range with too many periods.
+ */
+async function getOpenedVsResolved(scope, range, interval) {
+    if (!INTERVAL_FORMATS[interval]) {
+        throw new InvalidQueryError('"interval" must be day, week or month.');
+    }
+    // A range far too long is refused before its periods are listed, which would take a while.
+    const tooMany = `That range has too many ${interval}s. Choose a shorter range or a longer interval.`;
+    if ((range.to - range.from) / (INTERVAL_MAX_DAYS[interval] * DAY_MS) > ANALYTICS.MAX_SERIES_POINTS) {
+        throw new InvalidQueryError(tooMany);
+    }
+    const keys = periodKeys(range, interval);
+    if (keys.length > ANALYTICS.MAX_SERIES_POINTS) {
+        throw new InvalidQueryError(tooMany);
+    }
+
+    const dates = { $gte: range.from, $lt: range.to };
+    const [opened, resolved] = await Promise.all([
+        countPerPeriod({ ...scope, createdAt: dates }, 'createdAt', interval),
+        countPerPeriod({ ...scope, resolvedAt: dates }, 'resolvedAt', interval)
+    ]);
+
+    return keys.map(period => ({ period, opened: opened.get(period) || 0, resolved: resolved.get(period) || 0 }));
+}
+
+/**
+ * Median and 90th-percentile resolution times of the issues resolved in a range, per department or per category.
+ *
+ * @param {object} scope - The base filter.
+ * @param {{ from: Date, to: Date }} range
+ * @param {string} groupField - 'assignedDepartment' or 'issueType'.
+ * @returns {Promise<Array<{ name: string, resolved: number, medianHours: number, p90Hours: number }>>}
+ *          Fastest median first.
+ */
+async function getResolutionTimes(scope, range, groupField) {
+    const rows = await Issue.aggregate([
+        { $match: { ...scope, resolvedAt: { $gte: range.from, $lt: range.to } } },
+        { $group: {
+            _id: `$${groupField}`,
+            hours: { $push: { $divide: [{ $subtract: ['$resolvedAt', '$createdAt'] }, HOUR_MS] } }
+        } }
+    ]);
+
+    return rows
+        .map(row => {
+            const sorted = row.hours.sort((a, b) => a - b);
+            return {
+                name: row._id,
+                resolved: sorted.length,
+                medianHours: roundHours(percentile(sorted, 50)),
+                p90Hours: roundHours(percentile(sorted, 90))
+            };
+        })
+        .sort((a, b) => a.medianHours - b.medianHours);
+}
+
+/**
+ * Counts the open issues by how long they've been waiting.
+ * @param {object} scope - The base filter.
+ * @returns {Promise<Array<{ label: string, count: number }>>} Youngest first.
+ */
+async function getBacklogAge(scope) {
+    const bounds = ANALYTICS.BACKLOG_AGE_BUCKETS_DAYS;
+    const now = new Date();
+    const rows = await Issue.aggregate([
+        { $match: { ...scope, status: { $in: OPEN_STATUSES } } },
+        { $bucket: {
+            groupBy: { $divide: [{ $subtract: [now, '$createdAt'] }, DAY_MS] },
+            boundaries: [0, ...bounds],
+            default: 'older',
+            output: { count: { $sum: 1 } }
+        } }
+    ]);
+    const counts = new Map(rows.map(row => [row._id, row.count]));
+
+    // Bucket i holds ages from lowers[i] up to (not including) bounds[i]; anything older goes in the last one.
+    const lowers = [0, ...bounds.slice(0, -1)];
+    const buckets = lowers.map((lower, i) => ({
+        label: i === 0 ? `Under ${bounds[0]} day${bounds[0] === 1 ? '' : 's'}` : `${lower}–${bounds[i]} days`,
+        count: counts.get(lower) || 0
+    }));
+    buckets.push({ label: `${bounds[bounds.length - 1]}+ days`, count: counts.get('older') || 0 });
+    return buckets;
+}
+
+/**
+ * Each staff member's current workload and what they resolved in a range.
+ *
+ * @param {object} scope - The base filter.
+ * @param {{ from: Date, to: Date }} range
+ * @returns {Promise<Array<{ userId, name, department, open: number, resolved: number, medianHours: number|null }>>}
+ *          Most open issues first.
+ */
+async function getStaffWorkload(scope, range) {
+    const resolvedInRange = { $and: [{ $gte: ['$resolvedAt', range.from] }, { $lt: ['$resolvedAt', range.to] }] };
+    const rows = await Issue.aggregate([
+        { $match: {
+            ...scope,
+            assignedTo: { $ne: null },
+            $or: [{ status: { $in: OPEN_STATUSES } }, { resolvedAt: { $gte: range.from, $lt: range.to } }]
+        } },
+        { $group: {
+            _id: '$assignedTo',
+            open: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+            resolvedHours: { $push: { $cond: [resolvedInRange, { $divide: [{ $subtract: ['$resolvedAt', '$createdAt'] }, HOUR_MS] }, null] } }
+        } }
+    ]);
+
+    const users = await User.find({ _id: { $in: rows.map(row => row._id) } }).select('name department');
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+
+    return rows
+        .map(row => {
+            const user = usersById.get(String(row._id));
+            const hours = row.resolvedHours.filter(h => h !== null).sort((a, b) => a - b);
+            return {
+                userId: row._id,
+                name: user ? user.name : 'Former staff member',
+                department: user ? user.department : null,
+                open: row.open,
+                resolved: hours.length,
+                medianHours: roundHours(percentile(hours, 50))
+            };
+        })
+        .sort((a, b) => b.open - a.open || b.resolved - a.resolved);
+}
+
+/**
+ * How citizens answered the "Is it fixed?" link in a range, per department or per staff member who resolved
+ * the issue: how many confirmed and disputed, the average rating and the share of disputes.
+ *
+ * @param {object} scope - The base filter.
+ * @param {{ from: Date, to: Date }} range - When the answers were given.
+ * @param {string} groupBy - 'department' or 'staff'.
+ * @returns {Promise<Array<{ name: string, userId?, responses: number, confirmed: number, disputed: number,
+ *          averageRating: number|null, disputeRate: number }>>} Best average rating first.
+ */
+async function getSatisfaction(scope, range, groupBy) {
+    const rows = await Issue.aggregate([
+        { $match: { ...scope, 'feedback.at': { $gte: range.from, $lt: range.to } } },
+        { $unwind: '$feedback' },
+        { $match: { 'feedback.at': { $gte: range.from, $lt: range.to } } },
+        { $group: {
+            _id: groupBy === 'staff' ? '$feedback.resolvedBy' : '$assignedDepartment',
+            responses: { $sum: 1 },
+            confirmed: { $sum: { $cond: [{ $eq: ['$feedback.outcome', 'confirmed'] }, 1, 0] } },
+            disputed: { $sum: { $cond: [{ $eq: ['$feedback.outcome', 'disputed'] }, 1, 0] } },
+            averageRating: { $avg: '$feedback.rating' }
+        } }
+    ]);
+
+    let names = new Map(rows.map(row => [String(row._id), row._id]));
+    if (groupBy === 'staff') {
+        const users = await User.find({ _id: { $in: rows.map(row => row._id).filter(Boolean) } }).select('name');
+        names = new Map(users.map(user => [String(user._id), user.name]));
+    }
+
+    return rows
+        .map(row => ({
+            ...(groupBy === 'staff' ? { userId: row._id } : {}),
+            name: names.get(String(row._id)) || (groupBy === 'staff' ? 'Former staff member' : 'Unknown'),
+            responses: row.responses,
+            confirmed: row.confirmed,
+            disputed: row.disputed,
+            averageRating: row.averageRating === null ? null : Math.round(row.averageRating * 10) / 10,
+            disputeRate: Math.round(row.disputed / row.responses * 100)
+        }))
+        .sort((a, b) => (b.averageRating ?? 0) - (a.averageRating ?? 0) || a.disputeRate - b.disputeRate);
+}
+
+/**
+ * Headline figures for a range: reports opened, reports resolved and the median resolution time.
+ * @param {object} scope - The base filter.
+ * @param {{ from: Date, to: Date }} range
+ * @returns {Promise<{ opened: number, resolved: number, medianHours: number|null }>}
+ */
+async function getPeriodSummary(scope, range) {
+    const dates = { $gte: range.from, $lt: range.to };
+    const [opened, resolvedRows] = await Promise.all([
+        Issue.countDocuments({ ...scope, createdAt: dates }),
+        Issue.aggregate([
+            { $match: { ...scope, resolvedAt: dates } },
+            { $project: { _id: 0, hours: { $divide: [{ $subtract: ['$resolvedAt', '$createdAt'] }, HOUR_MS] } } }
+        ])
+    ]);
+    const hours = resolvedRows.map(row => row.hours).sort((a, b) => a - b);
+    return { opened, resolved: hours.length, medianHours: roundHours(percentile(hours, 50)) };
+}
+
+/**
+ * Everything on the dashboard's performance panel for one range, with the previous period for comparison.
+ *
+ * @param {object} scope - The base filter (department scope, ward).
+ * @param {{ from: Date, to: Date }} range
+ * @returns {Promise<object>}
+ */
+async function getPerformance(scope, range) {
+    const previous = previousRange(range);
+    const [current, before, byDepartment, byCategory, backlogAge, staff, satisfactionByDepartment, satisfactionByStaff] = await Promise.all([
+        getPeriodSummary(scope, range),
+        getPeriodSummary(scope, previous),
+        getResolutionTimes(scope, range, 'assignedDepartment'),
+        getResolutionTimes(scope, range, 'issueType'),
+        getBacklogAge(scope),
+        getStaffWorkload(scope, range),
+        getSatisfaction(scope, range, 'department'),
+        getSatisfaction(scope, range, 'staff')
+    ]);
+
+    return {
+        range,
+        previousRange: previous,
+        comparison: {
+            current,
+            previous: before,
+            change: {
+                opened: percentChange(current.opened, before.opened),
+                resolved: percentChange(current.resolved, before.resolved),
+                medianHours: percentChange(current.medianHours, before.medianHours)
+            }
+        },
+        byDepartment,
+        byCategory,
+        backlogAge,
+        staff,
+        satisfaction: {
+            byDepartment: satisfactionByDepartment,
+            byStaff: satisfactionByStaff
+        }
+    };
+}
+
+module.exports = { parseRange, getOpenedVsResolved, getPerformance };
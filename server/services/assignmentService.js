@@ -0,0 +1,248 @@
+// server/services/assignmentService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+
+// --- Import Services & Config ---
+const { getStrategy } = require('./assignmentStrategies');
+const { getDepartments } = require('./categoryService');
+const { distanceMeters } = require('./geoService');
+const { publishIssueEvent } = require('./liveUpdateService');
+const { OPEN_STATUSES } = require('../config/workflow');
+const ASSIGNMENT = require('../config/assignment');
+
+/**
+ * Thrown when a staff member's availability can't be saved. 'statusCode' is the HTTP status the API should respond with.
+ */
+class AssignmentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AssignmentError';
+        this.statusCode = statusCode;
+    }
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * The day of the week and the time of day at a moment, in the shift time zone.
+ * @param {Date} date
+ * @returns {{ day: number, minutes: number }} 'day' is 0 for Sunday; 'minutes' counts from midnight.
+ */
+function localTime(date) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: ASSIGNMENT.SHIFT_TIMEZONE,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * Converts 'HH:MM' to minutes from midnight.
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Checks whether a staff member is working at a moment. Without any shifts, they always are.
+ * @param {object} user - A User document.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isOnShift(user, now = new Date()) {
+    if (!user.shifts || user.shifts.length === 0) return true;
+    const { day, minutes } = localTime(now);
+    return user.shifts.some(shift => {
+        const start = toMinutes(shift.start);
+        const end = toMinutes(shift.end);
+        if (end > start) return shift.day === day && minutes >= start && minutes < end;
+        // The shift runs past midnight: the evening part on its own day, the rest on the next.
+        return (shift.day === day && minutes >= start) || ((shift.day + 1) % 7 === day && minutes < end);
+    });
+}
+
+/**
+ * Checks whether issues can be given to a staff member automatically right now.
+ * @param {object} user - A User document.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isAvailable(user, now = new Date()) {
+    return user.available !== false && isOnShift(user, now);
+}
+
+/**
+ * Everyone in the issue's department who could be given it now, with what the strategies compare them on.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {Date} now
+ * @returns {Promise<Array<{ user: object, openIssues: number, distanceMeters: number|null }>>} 'distanceMeters' is
+ *          the straight-line distance from where they last worked, or null if that isn't known.
+ */
+async function findCandidates(issue, now) {
+    const staff = (await User.find({
+        department: issue.assignedDepartment,
+        role: { $in: ASSIGNMENT.ELIGIBLE_ROLES },
+        available: { $ne: false }
+    })).filter(user => isOnShift(user, now));
+    if (staff.length === 0) return [];
+
+    const workloads = await Issue.aggregate([
+        { $match: { assignedTo: { $in: staff.map(user => user._id) }, status: { $in: OPEN_STATUSES }, _id: { $ne: issue._id } } },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+    const openIssues = new Map(workloads.map(workload => [workload._id.toString(), workload.count]));
+
+    return staff.map(user => {
+        const workedAt = user.lastWorkedLocation && user.lastWorkedLocation.coordinates;
+        return {
+            user,
+            openIssues: openIssues.get(user._id.toString()) || 0,
+            distanceMeters: workedAt && workedAt.length === 2 ? distanceMeters(workedAt, issue.location.coordinates) : null
+        };
+    });
+}
+
+/**
+ * Gives an issue to a staff member automatically, if its department has automatic assignment turned on.
+ * The department's strategy picks from the staff who are available and on shift, and the decision is
+ * kept on the issue ('autoAssignment') and in its history, so staff can see why that person was chosen.
+ *
+ * A new issue is always assigned. An escalated one only if nobody has it yet, or the person it was given to
+ * automatically is no longer available. Issues staff assigned by hand are never changed.
+ * Saves the issue. Never throws, so a failure can't stop a report or an escalation.
+ *
+ * @param {object} issue - The saved Issue document.
+ * @param {string} trigger - 'created' or 'escalated'.
+ * @returns {Promise<object|null>} The decision, or null if nothing was decided.
+ */
+async function autoAssign(issue, trigger) {
+    try {
+        const now = new Date();
+        const department = (await getDepartments({ includeInactive: true })).find(d => d.name === issue.assignedDepartment);
+        if (!department || !department.autoAssign || !department.autoAssign.enabled) return null;
+        if (!OPEN_STATUSES.includes(issue.status)) return null;
+
+        let current = null;
+        if (issue.assignedTo) {
+            const decision = issue.autoAssignment;
+            const wasAutomatic = decision && !decision.overridden && String(decision.assignedTo) === String(issue.assignedTo);
+            if (trigger !== 'escalated' || !wasAutomatic) return null;
+            current = await User.findById(issue.assignedTo);
+            if (current && isAvailable(current, now)) return null;
+        }
+
+        const strategy = getStrategy(department.autoAssign.strategy) || getStrategy(ASSIGNMENT.DEFAULT_STRATEGY);
+        const candidates = await findCandidates(issue, now);
+        // Whoever has it now is left with it rather than nobody.
+        if (candidates.length === 0 && issue.assignedTo) return null;
+
+        const { candidate, reason } = candidates.length > 0
+            ? strategy.pick(candidates, issue)
+            : { candidate: null, reason: `Nobody in ${issue.assignedDepartment} was available and on shift.` };
+        const chosen = candidate && candidate.user;
+
+        issue.autoAssignment = {
+            trigger,
+            strategy: strategy.name,
+            assignedTo: chosen ? chosen._id : undefined,
+            reason,
+            candidates: candidates.map(entry => ({
+                user: entry.user._id,
+                name: entry.user.name,
+                openIssues: entry.openIssues,
+                distanceMeters: entry.distanceMeters === null ? undefined : Math.round(entry.distanceMeters)
+            })),
+            at: now
+        };
+        if (chosen) {
+            issue.recordHistory({
+                action: 'assigned',
+                field: 'assignedTo',
+                from: current ? current.name : null,
+                to: chosen.name,
+                reason: `Assigned automatically (${strategy.label}). ${reason}`
+            });
+            issue.assignedTo = chosen._id;
+        }
+        await issue.save();
+
+        if (chosen) {
+            await User.updateOne({ _id: chosen._id }, { $set: { lastAutoAssignedAt: now } });
+            publishIssueEvent('issue.assigned', issue);
+        }
+        return issue.autoAssignment;
+    } catch (error) {
+        console.error(`❌ Automatic assignment failed for issue #${issue.issueId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Marks an issue's automatic assignment as overridden, when staff assign it by hand.
+ * The caller still needs to save the issue.
+ * @param {object} issue - The Issue document.
+ */
+function markOverridden(issue) {
+    if (issue.autoAssignment) issue.autoAssignment.overridden = true;
+}
+
+/**
+ * Remembers where a staff member last worked (the issue they just changed), for the "closest" strategy.
+ * Never throws.
+ *
+ * @param {object} user - The staff member ('req.user').
+ * @param {object} issue - The Issue document.
+ */
+async function recordWorkLocation(user, issue) {
+    try {
+        await User.updateOne({ _id: user._id }, {
+            $set: { lastWorkedLocation: { coordinates: issue.location.coordinates, at: new Date() } }
+        });
+    } catch (error) {
+        console.error(`❌ Could not record where ${user.name} last worked:`, error);
+    }
+}
+
+/**
+ * Changes whether a staff member can be given issues automatically, and their weekly shifts.
+ *
+ * @param {object} user - The User document.
+ * @param {object} changes
+ * @param {boolean} [changes.available]
+ * @param {Array<{ day: number, start: string, end: string }>} [changes.shifts] - An empty list means "any time".
+ * @returns {Promise<object>} The saved User document.
+ * @throws {AssignmentError} If a value has the wrong type. Bad shift times fail the model's validation instead.
+ */
+async function updateAvailability(user, { available, shifts }) {
+    if (available === undefined && shifts === undefined) {
+        throw new AssignmentError('Send "available", "shifts" or both.');
+    }
+    if (available !== undefined) {
+        if (typeof available !== 'boolean') throw new AssignmentError('"available" must be true or false.');
+        user.available = available;
+    }
+    if (shifts !== undefined) {
+        if (!Array.isArray(shifts)) throw new AssignmentError('"shifts" must be a list of { day, start, end }.');
+        user.shifts = shifts.map(({ day, start, end }) => ({ day, start, end }));
+    }
+    return user.save();
+}
+
+module.exports = {
+    autoAssign,
+    markOverridden,
+    recordWorkLocation,
+    updateAvailability,
+    isOnShift,
+    isAvailable,
+    AssignmentError
+};
@@ -0,0 +1,31 @@
+// server/services/assignmentStrategies/index.js
+
+// Every assignment strategy exposes the same shape: '{ name, label, description, pick(candidates, issue) }'.
+// 'pick' is given at least one candidate and returns '{ candidate, reason }': the chosen one and, in words
+// for the dashboard, why.
+const strategies = [
+    require('./leastWorkload'),
+    require('./roundRobin'),
+    require('./nearest')
+];
+
+const STRATEGIES = Object.fromEntries(strategies.map(strategy => [strategy.name, strategy]));
+
+/**
+ * Looks up a strategy by name.
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+function getStrategy(name) {
+    return STRATEGIES[name];
+}
+
+/**
+ * Lists the strategies for the dashboard.
+ * @returns {Array<{ name, label, description }>}
+ */
+function listStrategies() {
+    return strategies.map(({ name, label, description }) => ({ name, label, description }));
+}
+
+module.exports = { getStrategy, listStrategies, STRATEGY_NAMES: Object.keys(STRATEGIES) };
@@ -0,0 +1,26 @@
+// server/services/assignmentStrategies/leastWorkload.js
+
+const { byTurn } = require('./roundRobin');
+
+/**
+ * Gives the issue to whoever has the fewest open issues; between equals, whoever's turn it is.
+ * @param {Array<object>} candidates - See assignmentService.autoAssign.
+ */
+function pick(candidates) {
+    const [chosen] = [...candidates].sort((a, b) => a.openIssues - b.openIssues || byTurn(a, b));
+    const others = candidates.filter(candidate => candidate !== chosen).map(candidate => candidate.openIssues);
+    const comparison = others.length === 0
+        ? 'the only one available'
+        : `the others have ${Math.min(...others)}${Math.max(...others) !== Math.min(...others) ? `–${Math.max(...others)}` : ''}`;
+    return {
+        candidate: chosen,
+        reason: `Fewest open issues: ${chosen.openIssues} (${comparison}).`
+    };
+}
+
+module.exports = {
+    name: 'least-workload',
+    label: 'Least open workload',
+    description: 'Gives the issue to whoever has the fewest open issues.',
+    pick
+};
@@ -0,0 +1,30 @@
+// server/services/assignmentStrategies/nearest.js
+
+const leastWorkload = require('./leastWorkload');
+
+/**
+ * Gives the issue to whoever last worked closest to it (where they last changed an issue's status).
+ * Staff who haven't worked anywhere yet are left out; if nobody has, it falls back to the least workload.
+ * @param {Array<object>} candidates - See assignmentService.autoAssign.
+ */
+function pick(candidates) {
+    const located = candidates.filter(candidate => candidate.distanceMeters !== null);
+    if (located.length === 0) {
+        const { candidate, reason } = leastWorkload.pick(candidates);
+        return { candidate, reason: `Nobody's last work location is known. ${reason}` };
+    }
+
+    const [chosen] = [...located].sort((a, b) => a.distanceMeters - b.distanceMeters || a.openIssues - b.openIssues);
+    const workedAt = new Date(chosen.user.lastWorkedLocation.at).toLocaleString();
+    return {
+        candidate: chosen,
+        reason: `Closest to where they last worked: ${(chosen.distanceMeters / 1000).toFixed(1)} km away, on ${workedAt}.`
+    };
+}
+
+module.exports = {
+    name: 'nearest',
+    label: 'Closest to last work location',
+    description: 'Gives the issue to whoever last worked closest to it.',
+    pick
+};
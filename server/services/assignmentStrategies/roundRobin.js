@@ -0,0 +1,35 @@
+// server/services/assignmentStrategies/roundRobin.js
+
+/**
+ * Orders candidates by whose turn it is: whoever was given an issue automatically longest ago
+ * (or never) comes first, then by name.
+ */
+function byTurn(a, b) {
+    const lastA = a.user.lastAutoAssignedAt ? new Date(a.user.lastAutoAssignedAt).getTime() : 0;
+    const lastB = b.user.lastAutoAssignedAt ? new Date(b.user.lastAutoAssignedAt).getTime() : 0;
+    if (lastA !== lastB) return lastA - lastB;
+    return a.user.name.localeCompare(b.user.name);
+}
+
+/**
+ * Takes turns: the issue goes to whoever has waited longest since their last automatic assignment.
+ * @param {Array<object>} candidates - See assignmentService.autoAssign.
+ */
+function pick(candidates) {
+    const [chosen] = [...candidates].sort(byTurn);
+    const last = chosen.user.lastAutoAssignedAt;
+    return {
+        candidate: chosen,
+        reason: last
+            ? `Next in turn: last given an issue automatically on ${new Date(last).toLocaleString()}.`
+            : 'Next in turn: not given an issue automatically before.'
+    };
+}
+
+module.exports = {
+    name: 'round-robin',
+    label: 'Round robin',
+    description: 'Takes turns between the available staff.',
+    pick,
+    byTurn
+};
@@ -0,0 +1,143 @@
+// server/services/categoryService.js
+
+// --- Import Database Models ---
+const Category = require('../models/Category');
+const Department = require('../models/Department');
+
+// The departments and categories a new installation starts with. They are only added when the
+// collections are empty; after that, admins manage them from the dashboard.
+const DEFAULT_DEPARTMENTS = ['Sanitation', 'Public Works', 'Electrical', 'Water Department', 'General Services'];
+const DEFAULT_CATEGORIES = [
+    {
+        name: 'Pothole', icon: '🕳️', color: '#f97316', defaultDepartment: 'Public Works',
+        keywords: ['pothole', 'potholes', 'pot hole', 'road damage', 'broken road', 'crater', 'road']
+    },
+    {
+        name: 'Garbage Overflow', icon: '🗑️', color: '#16a34a', defaultDepartment: 'Sanitation',
+        keywords: ['garbage', 'garbage overflow', 'trash', 'rubbish', 'waste', 'dustbin', 'bin', 'litter', 'kachra']
+    },
+    {
+        name: 'Streetlight Outage', icon: '💡', color: '#eab308', defaultDepartment: 'Electrical',
+        keywords: ['streetlight', 'streetlight outage', 'street light', 'streetlamp', 'street lamp', 'light', 'lamp']
+    },
+    {
+        name: 'Water Leakage', icon: '💧', color: '#3b82f6', defaultDepartment: 'Water Department',
+        keywords: ['water leak', 'water leakage', 'leakage', 'leak', 'pipe burst', 'burst pipe', 'pipe', 'water']
+    },
+    {
+        name: 'Other', icon: '📌', color: '#6b7280', defaultDepartment: 'General Services',
+        keywords: ['other'], sortOrder: 100
+    }
+];
+
+// Where an issue goes if its category can't be found (e.g. it was created before categories existed).
+const FALLBACK_DEPARTMENT = 'General Services';
+
+// Categories and departments are read on every report, so they're cached in memory. Changes made
+// through the API clear the cache straight away; other server processes pick them up within this time.
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+/**
+ * Loads every category and department, from the cache if it is fresh enough.
+ * @returns {Promise<{ categories: object[], departments: object[] }>}
+ */
+async function loadCatalog() {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+    const [categories, departments] = await Promise.all([
+        Category.find().sort({ sortOrder: 1, name: 1 }).lean(),
+        Department.find().sort({ name: 1 }).lean()
+    ]);
+    cache = { categories, departments, loadedAt: Date.now() };
+    return cache;
+}
+
+/**
+ * Forgets the cached categories and departments. Call this after changing either.
+ */
+function clearCatalogCache() {
+    cache = null;
+}
+
+/**
+ * Lists the issue categories, in display order.
+ * @param {object} [options]
+ * @param {boolean} [options.includeInactive] - Also include deactivated categories.
+ * @returns {Promise<object[]>}
+ */
+async function getCategories({ includeInactive = false } = {}) {
+    const { categories } = await loadCatalog();
+    return includeInactive ? categories : categories.filter(category => category.active);
+}
+
+/**
+ * Finds a category by name, whether or not it is active.
+ * @param {string} name
+ * @returns {Promise<object|undefined>}
+ */
+async function getCategory(name) {
+    const { categories } = await loadCatalog();
+    return categories.find(category => category.name === name);
+}
+
+/**
+ * Lists the departments, sorted by name.
+ * @param {object} [options]
+ * @param {boolean} [options.includeInactive] - Also include deactivated departments.
+ * @returns {Promise<object[]>}
+ */
+async function getDepartments({ includeInactive = false } = {}) {
+    const { departments } = await loadCatalog();
+    return includeInactive ? departments : departments.filter(department => department.active);
+}
+
+/**
+ * Checks that a department exists and is active, i.e. that new staff, categories or rules can use it.
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function isActiveDepartment(name) {
+    const departments = await getDepartments();
+    return departments.some(department => department.name === name);
+}
+
+/**
+ * Works out which department handles a category by default.
+ * @param {string} issueType - The category name.
+ * @returns {Promise<string>} The department name.
+ */
+async function getDefaultDepartment(issueType) {
+    const category = await getCategory(issueType);
+    return category ? category.defaultDepartment : FALLBACK_DEPARTMENT;
+}
+
+/**
+ * Adds the default departments and categories if there are none yet, so a fresh installation works
+ * out of the box. Safe to call on every start-up.
+ */
+async function seedDefaults() {
+    let seeded = false;
+    if (await Department.countDocuments() === 0) {
+        await Department.insertMany(DEFAULT_DEPARTMENTS.map(name => ({ name })));
+        seeded = true;
+    }
+    if (await Category.countDocuments() === 0) {
+        await Category.insertMany(DEFAULT_CATEGORIES);
+        seeded = true;
+    }
+    if (seeded) {
+        clearCatalogCache();
+        console.log('🌱 Added the default departments and issue categories.');
+    }
+}
+
+module.exports = {
+    getCategories,
+    getCategory,
+    getDepartments,
+    isActiveDepartment,
+    getDefaultDepartment,
+    clearCatalogCache,
+    seedDefaults
+};
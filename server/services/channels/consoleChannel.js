@@ -0,0 +1,15 @@
+// server/services/channels/consoleChannel.js
+
+/**
+ * Development channel: prints the notification to the server console instead of sending it.
+ * @param {object} notification - The Notification document being delivered.
+ */
+async function send(notification) {
+    console.log("-----------------------------------------");
+    console.log(`📧 SIMULATING NOTIFICATION 📧`);
+    console.log(`To: ${notification.recipient}`);
+    console.log(`Message: "${notification.message}"`);
+    console.log("-----------------------------------------");
+}
+
+module.exports = { name: 'console', send };
@@ -0,0 +1,36 @@
+// server/services/channels/emailChannel.js
+
+const nodemailer = require('nodemailer');
+const { PermanentDeliveryError } = require('./errors');
+
+// The SMTP transport is created on first use, so the server starts fine without email configured.
+let transporter = null;
+
+function getTransporter() {
+    if (!transporter) {
+        if (!process.env.SMTP_URL) {
+            throw new PermanentDeliveryError('SMTP_URL is not configured.');
+        }
+        transporter = nodemailer.createTransport(process.env.SMTP_URL);
+    }
+    return transporter;
+}
+
+/**
+ * Sends the notification as an email over SMTP.
+ * @param {object} notification - The Notification document being delivered. 'recipient' must be an email address.
+ */
+async function send(notification) {
+    if (!/.+@.+\..+/.test(notification.recipient)) {
+        throw new PermanentDeliveryError(`"${notification.recipient}" is not an email address.`);
+    }
+
+    await getTransporter().sendMail({
+        from: process.env.EMAIL_FROM || 'CivicSense <no-reply@civicsense.local>',
+        to: notification.recipient,
+        subject: notification.issueId ? `Update on issue #${notification.issueId}` : 'CivicSense notification',
+        text: notification.message
+    });
+}
+
+module.exports = { name: 'email', send };
@@ -0,0 +1,14 @@
+// server/services/channels/errors.js
+
+/**
+ * Thrown by a channel when retrying can never succeed (e.g. the channel isn't configured,
+ * or the recipient address is invalid). The outbox marks the notification as failed straight away.
+ */
+class PermanentDeliveryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermanentDeliveryError';
+    }
+}
+
+module.exports = { PermanentDeliveryError };
@@ -0,0 +1,24 @@
+// server/services/channels/fileChannel.js
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where notifications are written. One JSON object per line, so the file is easy to grep or tail.
+const FILE_PATH = process.env.NOTIFICATION_FILE_PATH || path.join(__dirname, '../../../logs/notifications.log');
+
+/**
+ * Development channel: appends the notification to a local file instead of sending it.
+ * @param {object} notification - The Notification document being delivered.
+ */
+async function send(notification) {
+    await fs.mkdir(path.dirname(FILE_PATH), { recursive: true });
+    const line = JSON.stringify({
+        at: new Date().toISOString(),
+        to: notification.recipient,
+        issueId: notification.issueId,
+        message: notification.message
+    });
+    await fs.appendFile(FILE_PATH, line + '\n');
+}
+
+module.exports = { name: 'file', send };
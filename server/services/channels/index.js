@@ -0,0 +1,42 @@
+// server/services/channels/index.js
+
+// Every delivery channel exposes the same shape: '{ name, send(notification) }'.
+// 'send' resolves when the message was delivered and throws if it wasn't.
+const channels = [
+    require('./consoleChannel'),
+    require('./fileChannel'),
+    require('./smsChannel'),
+    require('./emailChannel'),
+    require('./webhookChannel')
+];
+
+const CHANNELS = Object.fromEntries(channels.map(channel => [channel.name, channel]));
+
+/**
+ * The channel used when the caller doesn't ask for a specific one.
+ * Set NOTIFICATION_CHANNEL in .env to 'sms' (or 'webhook', ...) in production; it defaults to 'console'.
+ * @returns {string}
+ */
+function defaultChannelName() {
+    return process.env.NOTIFICATION_CHANNEL || 'console';
+}
+
+/**
+ * The channel used for messages to staff (escalations, mentions...), which go to their email address.
+ * Set STAFF_NOTIFICATION_CHANNEL=email in production; it defaults to the same channel as citizen messages.
+ * @returns {string}
+ */
+function staffChannelName() {
+    return process.env.STAFF_NOTIFICATION_CHANNEL || defaultChannelName();
+}
+
+/**
+ * Looks up a channel by name.
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+function getChannel(name) {
+    return CHANNELS[name];
+}
+
+module.exports = { getChannel, defaultChannelName, staffChannelName, CHANNEL_NAMES: Object.keys(CHANNELS) };
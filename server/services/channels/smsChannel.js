@@ -0,0 +1,49 @@
+// server/services/channels/smsChannel.js
+
+const { PermanentDeliveryError } = require('./errors');
+
+// A gateway that doesn't answer within this long is given up on; the outbox retries the message later.
+const TIMEOUT_MS = parseInt(process.env.NOTIFICATION_TIMEOUT_MS, 10) || 10 * 1000;
+
+/**
+ * Sends the notification as an SMS through an HTTP SMS gateway.
+ *
+ * The gateway is called with 'POST SMS_GATEWAY_URL' and a JSON body of '{ to, message, sender }',
+ * with 'SMS_GATEWAY_API_KEY' as a Bearer token. Most Indian and international SMS providers offer
+ * an endpoint like this; point SMS_GATEWAY_URL at yours (or at a small adapter in front of it).
+ *
+ * @param {object} notification - The Notification document being delivered.
+ */
+async function send(notification) {
+    const url = process.env.SMS_GATEWAY_URL;
+    if (!url) {
+        throw new PermanentDeliveryError('SMS_GATEWAY_URL is not configured.');
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${process.env.SMS_GATEWAY_API_KEY || ''}`
+        },
+        body: JSON.stringify({
+            to: notification.recipient,
+            message: notification.message,
+            sender: process.env.SMS_SENDER_ID
+        }),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        const error = `SMS gateway responded with ${response.status}: ${detail.slice(0, 200)}`;
+        // 4xx means the request itself is wrong (bad number, bad key), so retrying won't help.
+        // 408 and 429 are the exceptions: the gateway is just busy.
+        if (response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)) {
+            throw new PermanentDeliveryError(error);
+        }
+        throw new Error(error);
+    }
+}
+
+module.exports = { name: 'sms', send };
@@ -0,0 +1,36 @@
+// server/services/channels/webhookChannel.js
+
+const { PermanentDeliveryError } = require('./errors');
+
+// A webhook that doesn't answer within this long is given up on; the outbox retries the message later.
+const TIMEOUT_MS = parseInt(process.env.NOTIFICATION_TIMEOUT_MS, 10) || 10 * 1000;
+
+/**
+ * Posts the notification as JSON to NOTIFICATION_WEBHOOK_URL,
+ * e.g. to hand it to a WhatsApp bridge or another internal system.
+ * @param {object} notification - The Notification document being delivered.
+ */
+async function send(notification) {
+    const url = process.env.NOTIFICATION_WEBHOOK_URL;
+    if (!url) {
+        throw new PermanentDeliveryError('NOTIFICATION_WEBHOOK_URL is not configured.');
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            id: notification._id,
+            to: notification.recipient,
+            message: notification.message,
+            issueId: notification.issueId
+        }),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}.`);
+    }
+}
+
+module.exports = { name: 'webhook', send };
@@ -0,0 +1,166 @@
+// server/services/citizenAuthService.js
+
+// --- Import Core Modules ---
+const crypto = require('crypto');
+
+// --- Import Database Models ---
+const Citizen = require('../models/Citizen');
+const Issue = require('../models/Issue');
+
+// --- Import Services & Config ---
+const { getChannel, defaultChannelName } = require('./channels');
+const { normalizeContact, linkedToContactFilter } = require('./issueService');
+const { renderTemplate } = require('./notificationTemplateService');
+const { translatableError } = require('./i18nService');
+const CITIZEN_AUTH = require('../config/citizenAuth');
+
+// The most reports "My reports" lists, newest first.
+const MAX_LISTED_REPORTS = 200;
+
+/**
+ * Thrown when a code can't be sent or checked. The message is written for the citizen, and can be
+ * translated for them (see i18nService.errorMessage). 'statusCode' is the HTTP status the API should respond with.
+ */
+class CitizenAuthError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CitizenAuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Checks a mobile number entered by a citizen.
+ * @param {string} phone
+ * @returns {string} Its last 10 digits.
+ * @throws {CitizenAuthError}
+ */
+function checkPhone(phone) {
+    const digits = normalizeContact(phone);
+    if (digits.length !== 10) throw translatableError(CitizenAuthError, 'citizenAuth.invalidPhone');
+    return digits;
+}
+
+/**
+ * Hashes a code for storage. It is keyed with the server's JWT_SECRET and the number it was sent to,
+ * so the short code can't be looked up from a leaked hash.
+ */
+function hashCode(phone, code) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${phone}:${code}`).digest('hex');
+}
+
+/**
+ * Sends a sign-in code, in the citizen's language, straight through the configured channel (OTP_CHANNEL). Codes don't
+ * go through the notification outbox: they expire within minutes, so a late retry is no use, and they shouldn't be stored.
+ * @throws {CitizenAuthError} If the channel couldn't deliver it.
+ */
+async function deliverCode(phone, code, language) {
+    const channelName = CITIZEN_AUTH.OTP_CHANNEL || defaultChannelName();
+    const channel = getChannel(channelName);
+    try {
+        if (!channel) throw new Error(`Unknown notification channel "${channelName}".`);
+        await channel.send({
+            recipient: phone,
+            message: await renderTemplate('auth.code', language, { code, minutes: CITIZEN_AUTH.OTP_TTL_MINUTES })
+        });
+    } catch (error) {
+        console.error(`❌ Could not send a sign-in code to ${phone}:`, error.message);
+        throw translatableError(CitizenAuthError, 'citizenAuth.sendFailed', {}, 502);
+    }
+}
+
+/**
+ * Sends a one-time sign-in code to a mobile number. A number can only be sent a new code every
+ * OTP_RESEND_SECONDS, and at most OTP_MAX_PER_HOUR an hour.
+ *
+ * @param {string} phoneInput - The number as the citizen typed it.
+ * @param {string} [language] - The language to send the code's message in.
+ * @returns {Promise<{ phone: string, expiresInMinutes: number, resendInSeconds: number }>}
+ * @throws {CitizenAuthError}
+ */
+async function requestCode(phoneInput, language) {
+    const phone = checkPhone(phoneInput);
+    const now = Date.now();
+    const citizen = await Citizen.findOne({ phone }).select('+otp +otpSentTimes') || new Citizen({ phone });
+
+    const waitSeconds = citizen.otp
+        ? Math.ceil((citizen.otp.sentAt.getTime() + CITIZEN_AUTH.OTP_RESEND_SECONDS * 1000 - now) / 1000)
+        : 0;
+    if (waitSeconds > 0) {
+        throw translatableError(CitizenAuthError, 'citizenAuth.waitBeforeResend', { seconds: waitSeconds }, 429);
+    }
+    const sentLastHour = (citizen.otpSentTimes || []).filter(sentAt => now - sentAt.getTime() < 60 * 60 * 1000);
+    if (sentLastHour.length >= CITIZEN_AUTH.OTP_MAX_PER_HOUR) {
+        throw translatableError(CitizenAuthError, 'citizenAuth.tooManyCodes', {}, 429);
+    }
+
+    const code = crypto.randomInt(0, 10 ** CITIZEN_AUTH.OTP_LENGTH).toString().padStart(CITIZEN_AUTH.OTP_LENGTH, '0');
+    citizen.otp = {
+        codeHash: hashCode(phone, code),
+        expiresAt: new Date(now + CITIZEN_AUTH.OTP_TTL_MINUTES * 60 * 1000),
+        attempts: 0,
+        sentAt: new Date(now)
+    };
+    citizen.otpSentTimes = [...sentLastHour, new Date(now)];
+    try {
+        await citizen.save();
+    } catch (error) {
+        // Two first requests for the same number at once: the other one is sending a code already.
+        if (error.code === 11000) throw translatableError(CitizenAuthError, 'citizenAuth.codeOnItsWay', {}, 429);
+        throw error;
+    }
+
+    await deliverCode(phone, code, language);
+    return { phone, expiresInMinutes: CITIZEN_AUTH.OTP_TTL_MINUTES, resendInSeconds: CITIZEN_AUTH.OTP_RESEND_SECONDS };
+}
+
+/**
+ * Checks the code a citizen entered. A code works once; after OTP_MAX_ATTEMPTS wrong guesses it stops working.
+ *
+ * @param {string} phoneInput - The number as the citizen typed it.
+ * @param {string} code
+ * @returns {Promise<object>} The verified Citizen document.
+ * @throws {CitizenAuthError}
+ */
+async function verifyCode(phoneInput, code) {
+    const phone = checkPhone(phoneInput);
+    const entered = String(code || '').trim();
+    // Every check counts as a guess. The count is taken atomically, so parallel guesses can't get past the limit.
+    const citizen = await Citizen.findOneAndUpdate(
+        { phone, 'otp.expiresAt': { $gt: new Date() }, 'otp.attempts': { $lt: CITIZEN_AUTH.OTP_MAX_ATTEMPTS } },
+        { $inc: { 'otp.attempts': 1 } },
+        { new: true }
+    ).select('+otp');
+    if (!citizen) {
+        throw translatableError(CitizenAuthError, 'citizenAuth.codeExpired', {}, 401);
+    }
+
+    const expected = Buffer.from(citizen.otp.codeHash);
+    const given = Buffer.from(hashCode(phone, entered));
+    if (!crypto.timingSafeEqual(expected, given)) {
+        const left = CITIZEN_AUTH.OTP_MAX_ATTEMPTS - citizen.otp.attempts;
+        const key = left > 1 ? 'citizenAuth.wrongCodeTriesLeft' : left === 1 ? 'citizenAuth.wrongCodeOneLeft' : 'citizenAuth.wrongCodeNoneLeft';
+        throw translatableError(CitizenAuthError, key, { left }, 401);
+    }
+
+    citizen.otp = undefined;
+    citizen.verifiedAt = citizen.verifiedAt || new Date();
+    citizen.lastLoginAt = new Date();
+    return citizen.save();
+}
+
+/**
+ * Lists every issue tied to a citizen's number, newest first: the ones they reported and the ones
+ * their report was attached or merged into.
+ *
+ * @param {object} citizen - The Citizen document.
+ * @returns {Promise<object[]>} Issue documents, with 'assignedTo' populated.
+ */
+function listCitizenIssues(citizen) {
+    return Issue.find(linkedToContactFilter(citizen.phone))
+        .sort({ createdAt: -1 })
+        .limit(MAX_LISTED_REPORTS)
+        .populate('assignedTo', 'name');
+}
+
+module.exports = { requestCode, verifyCode, listCitizenIssues, CitizenAuthError };
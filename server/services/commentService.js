@@ -0,0 +1,177 @@
+// server/services/commentService.js
+
+// --- Import Database Models ---
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+
+// --- Import Services & Config ---
+const { notifyStaff } = require('./notificationService');
+const { notifyCitizen } = require('./notificationTemplateService');
+const { translatableError } = require('./i18nService');
+const { linkedCitizens } = require('./duplicateService');
+const { canAccessIssue } = require('../middleware/auth');
+const { PUBLIC_URL } = require('../config/feedback');
+
+// The visibility levels of a comment (see models/Comment.js).
+const VISIBILITIES = ['internal', 'public'];
+
+// The longest comment that can be posted.
+const MAX_LENGTH = 2000;
+
+/**
+ * Thrown when a comment can't be posted. Messages about the text itself can be translated for citizens
+ * (see i18nService.errorMessage). 'statusCode' is the HTTP status the API should respond with.
+ */
+class CommentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CommentError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Shortens a comment for a notification.
+ */
+function excerpt(body) {
+    return body.length > 160 ? `${body.slice(0, 157)}...` : body;
+}
+
+/**
+ * Checks a comment's text.
+ * @returns {string} The trimmed text.
+ * @throws {CommentError}
+ */
+function checkBody(body) {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text) throw translatableError(CommentError, 'reply.empty');
+    if (text.length > MAX_LENGTH) throw translatableError(CommentError, 'reply.tooLong', { maxLength: MAX_LENGTH });
+    return text;
+}
+
+/**
+ * Finds the staff members @-mentioned in a comment, written as '@' followed by their full name
+ * (e.g. "@Asha Rao, can you check this?"). Only staff who can see the issue can be mentioned.
+ *
+ * @param {string} body - The comment text.
+ * @param {object} issue - The Issue document.
+ * @returns {Promise<object[]>} The User documents.
+ */
+async function findMentions(body, issue) {
+    if (!body.includes('@')) return [];
+    const staff = await User.find().select('name email role department');
+    return staff.filter(user => {
+        const name = user.name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // The name must end there, so "@Ravi" doesn't also mention "Ravi Kumar".
+        return name && new RegExp(`@${name}(?![\\p{L}\\p{N}])`, 'iu').test(body) && canAccessIssue(user, issue);
+    });
+}
+
+/**
+ * Adds a staff member's comment to an issue. Mentioned colleagues are notified, and public messages
+ * are sent to every citizen linked to the issue.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {object} author - The staff member ('req.user').
+ * @param {object} comment
+ * @param {string} comment.body
+ * @param {string} [comment.visibility] - 'internal' (the default) or 'public'.
+ * @returns {Promise<object>} The saved Comment document, with 'mentions' populated.
+ * @throws {CommentError}
+ */
+async function addStaffComment(issue, author, { body, visibility = 'internal' }) {
+    if (!VISIBILITIES.includes(visibility)) {
+        throw new CommentError(`A comment's visibility must be one of: ${VISIBILITIES.join(', ')}.`);
+    }
+    const text = checkBody(body);
+    const mentioned = (await findMentions(text, issue)).filter(user => String(user._id) !== String(author._id));
+
+    const comment = await Comment.create({
+        issue: issue._id,
+        visibility,
+        body: text,
+        authorType: 'staff',
+        author: author._id,
+        authorName: author.name,
+        mentions: mentioned.map(user => user._id)
+    });
+
+    await Promise.all(mentioned.map(user => notifyStaff(
+        user,
+        `${author.name} mentioned you on issue #${issue.issueId} (${issue.issueType}): "${excerpt(text)}"`,
+        { issueId: issue.issueId }
+    )));
+    if (visibility === 'public') {
+        await Promise.all(linkedCitizens(issue).map(({ contact, language }) => notifyCitizen(
+            contact,
+            language,
+            'comment.public',
+            {
+                issueId: issue.issueId,
+                department: issue.assignedDepartment,
+                message: excerpt(text),
+                link: `${PUBLIC_URL}/citizen/index.html?track=${issue.issueId}&lang=${language}`
+            },
+            { issueId: issue.issueId }
+        )));
+    }
+
+    return comment.populate('mentions', 'name');
+}
+
+/**
+ * Adds a citizen's reply from the tracking page. The caller must already have checked that the
+ * contact number belongs to the issue. The assigned staff member, if any, is notified.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {string} contact - The contact number the citizen verified with.
+ * @param {string} body
+ * @returns {Promise<object>} The saved Comment document.
+ * @throws {CommentError}
+ */
+async function addCitizenReply(issue, contact, body) {
+    const text = checkBody(body);
+    const comment = await Comment.create({
+        issue: issue._id,
+        visibility: 'public',
+        body: text,
+        authorType: 'citizen',
+        citizenContact: contact
+    });
+
+    const assignee = issue.assignedTo ? await User.findById(issue.assignedTo).select('name email') : null;
+    if (assignee) {
+        await notifyStaff(assignee, `The citizen replied on issue #${issue.issueId} (${issue.issueType}): "${excerpt(text)}"`, { issueId: issue.issueId });
+    }
+    return comment;
+}
+
+/**
+ * Lists an issue's comments, oldest first.
+ * @param {object} issue - The Issue document.
+ * @param {object} [options]
+ * @param {boolean} [options.includeInternal] - Include internal notes (for staff only).
+ * @returns {Promise<object[]>} Comment documents, with 'mentions' populated.
+ */
+function listComments(issue, { includeInternal = false } = {}) {
+    const filter = { issue: issue._id };
+    if (!includeInternal) filter.visibility = 'public';
+    return Comment.find(filter).sort({ createdAt: 1 }).populate('mentions', 'name');
+}
+
+/**
+ * Builds the version of a public comment that is safe to show on the tracking page: the citizen's
+ * contact number and any mentions are left out.
+ * @param {object} comment - The Comment document.
+ * @returns {{ from: string, authorName: string|null, body: string, at: Date }}
+ */
+function toPublicComment(comment) {
+    return {
+        from: comment.authorType,
+        authorName: comment.authorType === 'staff' ? comment.authorName : null,
+        body: comment.body,
+        at: comment.createdAt
+    };
+}
+
+module.exports = { VISIBILITIES, addStaffComment, addCitizenReply, listComments, toPublicComment, CommentError };
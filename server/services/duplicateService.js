@@ -0,0 +1,144 @@
+// server/services/duplicateService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// --- Import Services & Config ---
+const { transitionIssue, WorkflowError } = require('./workflowService');
+const { applyPriorityScore } = require('./priorityService');
+const { OPEN_STATUSES } = require('../config/workflow');
+const { RADIUS_METERS, WINDOW_HOURS, APPROXIMATE_SOURCES } = require('../config/duplicates');
+
+/**
+ * Looks for an open issue of the same type, close by and reported recently, that a new report probably duplicates.
+ * Uses the 2dsphere index on 'location'; '$near' returns the closest match first.
+ * Issues reported by SMS or USSD only have an approximate location, so they are never matched.
+ *
+ * @param {object} report
+ * @param {string} report.issueType
+ * @param {number[]} report.coordinates - [longitude, latitude].
+ * @param {string} [report.excludeIssueId] - Don't match this issue (e.g. the report itself).
+ * @returns {Promise<object|null>} The likely original Issue, or null.
+ */
+async function findLikelyDuplicate({ issueType, coordinates, excludeIssueId }) {
+    const since = new Date(Date.now() - WINDOW_HOURS * 60 * 60 * 1000);
+    const filter = {
+        issueType,
+        status: { $in: OPEN_STATUSES },
+        source: { $nin: APPROXIMATE_SOURCES },
+        createdAt: { $gte: since },
+        location: {
+            $near: {
+                $geometry: { type: 'Point', coordinates },
+                $maxDistance: RADIUS_METERS
+            }
+        }
+    };
+    if (excludeIssueId) filter.issueId = { $ne: excludeIssueId };
+
+    return Issue.findOne(filter);
+}
+
+/**
+ * Adds to an issue's report counter. It is saved as an increment, so reports added at the same time are
+ * all counted. Issues from before reports were counted have no counter stored yet, so theirs is set.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {number} count - How many reports to add.
+ */
+function addToReportCount(issue, count) {
+    if (issue.$isDefault('reportCount')) issue.reportCount = 1 + count;
+    else issue.$inc('reportCount', count);
+}
+
+/**
+ * Adds a citizen's report to an existing issue instead of creating a new one.
+ * The caller still needs to save the issue.
+ *
+ * @param {object} issue - The existing (canonical) Issue document.
+ * @param {object} report - The new report: 'citizenContact', 'citizenVerified', 'language', 'description', 'imageUrl', 'photos', 'source'.
+ */
+function attachReport(issue, { citizenContact, citizenVerified = false, language, description, imageUrl, photos = [], source }) {
+    issue.additionalReports.push({ citizenContact, citizenVerified, language, description, imageUrl, photos, source, reportedAt: new Date() });
+    const previousCount = issue.reportCount || 1;
+    addToReportCount(issue, 1);
+    issue.recordHistory({ action: 'report_attached', field: 'reportCount', from: previousCount, to: previousCount + 1, reason: `Reported again via ${source}` }, null, 'citizen');
+}
+
+/**
+ * Merges one issue into another. The source issue's citizen, photos, extra reports and history are copied
+ * onto the canonical issue, and the source issue is closed as a 'Duplicate' that points at the canonical one.
+ * Both issues are saved.
+ *
+ * @param {object} source - The Issue document being merged away.
+ * @param {object} canonical - The Issue document that will be kept.
+ * @param {object} actor - The staff member doing the merge.
+ * @param {string} [reason] - An optional note.
+ * @throws {WorkflowError} If the issues can't be merged.
+ */
+async function mergeIssues(source, canonical, actor, reason) {
+    if (source.issueId === canonical.issueId) {
+        throw new WorkflowError('An issue cannot be merged into itself.');
+    }
+    if (!OPEN_STATUSES.includes(canonical.status)) {
+        throw new WorkflowError(`Issue #${canonical.issueId} is "${canonical.status}". Reports can only be merged into an open issue.`);
+    }
+
+    // Closing the source issue first also checks that the workflow allows it to become a Duplicate.
+    await transitionIssue(source, 'Duplicate', { actor, reason: reason || `Merged into #${canonical.issueId}`, duplicateOf: canonical.issueId });
+
+    canonical.additionalReports.push({
+        issueId: source.issueId,
+        citizenContact: source.citizenContact,
+        citizenVerified: source.citizenVerified,
+        language: source.language,
+        description: source.description,
+        imageUrl: source.imageUrl,
+        photos: source.photos,
+        source: source.source,
+        reportedAt: source.createdAt
+    }, ...source.additionalReports);
+
+    for (const entry of source.history) {
+        canonical.history.push({ ...entry.toObject(), mergedFrom: source.issueId });
+    }
+
+    const previousCount = canonical.reportCount || 1;
+    addToReportCount(canonical, source.reportCount || 1);
+    canonical.recordHistory({ action: 'merged', field: 'reportCount', from: previousCount, to: previousCount + (source.reportCount || 1), reason: `Merged #${source.issueId}${reason ? `: ${reason}` : ''}` }, actor);
+    // Once merged, any "possible duplicate" flag pointing at the canonical issue has been dealt with.
+    if (canonical.possibleDuplicateOf === source.issueId) canonical.possibleDuplicateOf = undefined;
+    await applyPriorityScore(canonical);
+
+    await source.save();
+    await canonical.save();
+}
+
+/**
+ * Lists every distinct contact number linked to an issue: the original reporter plus everyone
+ * whose report was attached or merged into it.
+ *
+ * @param {object} issue - The Issue document.
+ * @returns {string[]}
+ */
+function linkedContacts(issue) {
+    const contacts = [issue.citizenContact, ...(issue.additionalReports || []).map(report => report.citizenContact)];
+    return [...new Set(contacts.filter(Boolean))];
+}
+
+/**
+ * Lists every distinct citizen linked to an issue, like linkedContacts, with the language to notify each one in.
+ * A citizen who reported the problem more than once gets the language of their first report.
+ *
+ * @param {object} issue - The Issue document.
+ * @returns {Array<{ contact: string, language: string }>}
+ */
+function linkedCitizens(issue) {
+    const reports = [issue, ...(issue.additionalReports || [])];
+    return linkedContacts(issue).map(contact => ({
+        contact,
+        language: reports.find(report => report.citizenContact === contact).language
+    }));
+}
+
+module.exports = { findLikelyDuplicate, attachReport, mergeIssues, linkedContacts, linkedCitizens };
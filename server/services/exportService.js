@@ -0,0 +1,209 @@
+// server/services/exportService.js
+
+// --- Import Core Modules ---
+const { once } = require('events');
+
+// --- Import Config ---
+const { CONTACT_VISIBLE_ROLES, MASK_VISIBLE_DIGITS } = require('../config/export');
+
+// --- Import Services ---
+const { InvalidQueryError } = require('./issueQueryService');
+const { getSlaStatus } = require('./slaService');
+
+/**
+ * Formats a date for export (ISO 8601, UTC), or '' if there is none.
+ */
+function isoDate(value) {
+    return value ? new Date(value).toISOString() : '';
+}
+
+// The columns an export can contain, in their default order. 'value' reads the column from an issue
+// (with 'assignedTo' and 'ward' populated); 'defaultColumn: false' leaves it out unless it is asked for.
+const COLUMNS = [
+    { key: 'issueId', label: 'Issue ID', value: issue => issue.issueId },
+    { key: 'issueType', label: 'Type', value: issue => issue.issueType },
+    { key: 'status', label: 'Status', value: issue => issue.status },
+    { key: 'priority', label: 'Priority', value: issue => issue.priority },
+    { key: 'priorityScore', label: 'Priority Score', value: issue => issue.priorityScore ?? '', defaultColumn: false },
+    { key: 'description', label: 'Description', value: issue => issue.description },
+    { key: 'landmark', label: 'Landmark', value: issue => issue.location.landmark || '' },
+    { key: 'latitude', label: 'Latitude', value: issue => issue.location.coordinates[1] },
+    { key: 'longitude', label: 'Longitude', value: issue => issue.location.coordinates[0] },
+    { key: 'ward', label: 'Ward', value: issue => (issue.ward ? issue.ward.name : '') },
+    { key: 'department', label: 'Department', value: issue => issue.assignedDepartment },
+    { key: 'team', label: 'Team', value: issue => issue.assignedTeam || '', defaultColumn: false },
+    { key: 'assignedTo', label: 'Assigned To', value: issue => (issue.assignedTo ? issue.assignedTo.name : '') },
+    { key: 'source', label: 'Source', value: issue => issue.source },
+    { key: 'reportCount', label: 'Reports', value: issue => issue.reportCount },
+    { key: 'citizenContact', label: 'Contact', value: issue => issue.citizenContact },
+    { key: 'citizenVerified', label: 'Verified Contact', value: issue => (issue.citizenVerified ? 'Yes' : 'No'), defaultColumn: false },
+    { key: 'reportedAt', label: 'Reported At', value: issue => isoDate(issue.createdAt) },
+    { key: 'acknowledgedAt', label: 'Acknowledged At', value: issue => isoDate(issue.acknowledgedAt), defaultColumn: false },
+    { key: 'resolvedAt', label: 'Resolved At', value: issue => isoDate(issue.resolvedAt) },
+    { key: 'resolveBy', label: 'Resolve By', value: issue => isoDate(issue.sla && issue.sla.resolveBy), defaultColumn: false },
+    { key: 'slaStatus', label: 'SLA', value: issue => getSlaStatus(issue) || '' }
+];
+
+/**
+ * Picks the columns of an export from a comma-separated '?columns=' parameter, in the order given.
+ * @param {string|string[]} [value] - Column keys. Omit for the default columns.
+ * @returns {object[]} Entries of COLUMNS.
+ * @throws {InvalidQueryError}
+ */
+function parseColumns(value) {
+    if (!value) return COLUMNS.filter(column => column.defaultColumn !== false);
+
+    const keys = [].concat(value).join(',').split(',').map(key => key.trim()).filter(Boolean);
+    const unknown = keys.find(key => !COLUMNS.some(column => column.key === key));
+    if (unknown) {
+        throw new InvalidQueryError(`Unknown column "${unknown}". Columns: ${COLUMNS.map(column => column.key).join(', ')}.`);
+    }
+    return [...new Set(keys)].map(key => COLUMNS.find(column => column.key === key));
+}
+
+/**
+ * Hides all but the last few digits of a contact number ('+919876543210' → '*********3210').
+ * @param {string} contact
+ * @returns {string}
+ */
+function maskContact(contact) {
+    if (!contact) return '';
+    const visible = contact.slice(-MASK_VISIBLE_DIGITS);
+    return '*'.repeat(Math.max(contact.length - visible.length, 0)) + visible;
+}
+
+/**
+ * Whether a staff member may see citizens' contact numbers in full (see config/export.js).
+ * @param {object} user
+ * @returns {boolean}
+ */
+function canSeeContacts(user) {
+    return CONTACT_VISIBLE_ROLES.includes(user.role);
+}
+
+/**
+ * Masks every citizen contact number in an issue for a staff member who may not see them in full: the
+ * reporter's, and those on attached or merged reports and on resolution feedback.
+ *
+ * @param {object} issue - The issue as JSON ('issue.toJSON()').
+ * @param {object} user - The staff member it is sent to.
+ * @returns {object} The issue, unchanged if they may see contact numbers.
+ */
+function maskIssueContacts(issue, user) {
+    if (canSeeContacts(user)) return issue;
+    const masked = entry => ({ ...entry, citizenContact: maskContact(entry.citizenContact) });
+    return {
+        ...masked(issue),
+        ...(issue.additionalReports && { additionalReports: issue.additionalReports.map(masked) }),
+        ...(issue.feedback && { feedback: issue.feedback.map(masked) })
+    };
+}
+
+// --- Formats ---
+
+/**
+ * Quotes a CSV field when needed. Text that a spreadsheet would run as a formula ('=...', '@...')
+ * is prefixed with an apostrophe; plain numbers such as '+919876543210' are left alone.
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s.]+$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes text for use in XML.
+ */
+function xmlText(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Each format writes a header, one chunk per issue and a footer. 'row' receives the issue and its
+// exported values, as [{ key, label, value }] in column order.
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        // The byte order mark makes Excel read the file as UTF-8 (landmarks are often not in English).
+        header: columns => '\uFEFF' + columns.map(column => csvField(column.label)).join(',') + '\r\n',
+        row: (issue, values) => values.map(field => csvField(field.value)).join(',') + '\r\n',
+        footer: () => ''
+    },
+    geojson: {
+        contentType: 'application/geo+json; charset=utf-8',
+        extension: 'geojson',
+        header: () => '{"type":"FeatureCollection","features":[\n',
+        row: (issue, values, index) => (index > 0 ? ',\n' : '') + JSON.stringify({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: issue.location.coordinates },
+            properties: Object.fromEntries(values.map(field => [field.key, field.value]))
+        }),
+        footer: () => '\n]}\n'
+    },
+    kml: {
+        contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+        extension: 'kml',
+        header: () => '<?xml version="1.0" encoding="UTF-8"?>\n'
+            + '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>CivicSense issues</name>\n',
+        row: (issue, values) => '<Placemark>\n'
+            + `<name>${xmlText(`#${issue.issueId} ${issue.issueType}`)}</name>\n`
+            + '<ExtendedData>\n'
+            + values.map(field => `<Data name="${xmlText(field.key)}"><displayName>${xmlText(field.label)}</displayName><value>${xmlText(field.value)}</value></Data>\n`).join('')
+            + '</ExtendedData>\n'
+            + `<Point><coordinates>${issue.location.coordinates.join(',')}</coordinates></Point>\n`
+            + '</Placemark>\n',
+        footer: () => '</Document>\n</kml>\n'
+    }
+};
+
+/**
+ * Looks up an export format by name.
+ * @param {string} [name] - 'csv' (the default), 'geojson' or 'kml'.
+ * @returns {object} An entry of FORMATS.
+ * @throws {InvalidQueryError}
+ */
+function getFormat(name = 'csv') {
+    const key = String(name).toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, key)) throw new InvalidQueryError(`Issues can be exported as: ${Object.keys(FORMATS).join(', ')}.`);
+    return FORMATS[key];
+}
+
+/**
+ * Streams issues to the response in an export format, one at a time, so large exports never have to
+ * fit in memory. Waits whenever the client is slower than the database, and stops if the client goes away.
+ *
+ * @param {object} res - The Express response. Its headers must already be set.
+ * @param {AsyncIterable} issues - The issues, e.g. a Mongoose query cursor.
+ * @param {object} options
+ * @param {object} options.format - From getFormat().
+ * @param {object[]} options.columns - From parseColumns().
+ * @param {boolean} options.showContacts - Whether to include contact numbers in full, or masked.
+ * @returns {Promise<number>} How many issues were written.
+ */
+async function streamExport(res, issues, { format, columns, showContacts }) {
+    const write = async chunk => {
+        if (chunk && !res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    };
+
+    await write(format.header(columns));
+    let count = 0;
+    for await (const issue of issues) {
+        if (res.destroyed) break; // Leaving the loop closes the cursor.
+        const values = columns.map(column => {
+            let value = column.value(issue);
+            if (column.key === 'citizenContact' && !showContacts) value = maskContact(value);
+            return { key: column.key, label: column.label, value };
+        });
+        await write(format.row(issue, values, count));
+        count++;
+    }
+    await write(format.footer(columns));
+    res.end();
+    return count;
+}
+
+module.exports = { COLUMNS, parseColumns, getFormat, maskContact, canSeeContacts, maskIssueContacts, streamExport };
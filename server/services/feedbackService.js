@@ -0,0 +1,171 @@
+// server/services/feedbackService.js
+
+// --- Import Core Modules ---
+const crypto = require('crypto');
+
+// --- Import Services & Config ---
+const { notifyCitizen } = require('./notificationTemplateService');
+const { translatableError } = require('./i18nService');
+const { linkedContacts, linkedCitizens } = require('./duplicateService');
+const { normalizeContact } = require('./issueService');
+const { reopenByCitizen } = require('./workflowService');
+const { PUBLIC_URL, MIN_RATING, MAX_RATING } = require('../config/feedback');
+
+/**
+ * Thrown when a citizen's feedback can't be accepted. The message is written for the citizen, and can be
+ * translated for them (see i18nService.errorMessage). 'statusCode' is the HTTP status the API should respond with.
+ */
+class FeedbackError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FeedbackError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * The secret part of a citizen's feedback link. It is signed with the server's JWT_SECRET, so links can't be
+ * guessed and nothing has to be stored; it changes with every resolution, so old links stop working.
+ *
+ * @param {object} issue - The resolved Issue document.
+ * @param {string} contact - One of the issue's linked contact numbers.
+ * @returns {string}
+ */
+function feedbackToken(issue, contact) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET)
+        .update(`${issue.issueId}:${issue.resolution.resolvedAt.getTime()}:${normalizeContact(contact)}`)
+        .digest('base64url')
+        .slice(0, 22);
+}
+
+/**
+ * Builds the page link a citizen uses to confirm or dispute a resolution. It opens the page in their language.
+ * @param {object} issue - The resolved Issue document.
+ * @param {string} contact
+ * @param {string} language
+ * @returns {string}
+ */
+function feedbackLink(issue, contact, language) {
+    return `${PUBLIC_URL}/citizen/feedback.html?issue=${issue.issueId}&token=${feedbackToken(issue, contact)}&lang=${language}`;
+}
+
+/**
+ * Works out which citizen a feedback link was sent to.
+ * @param {object} issue - The Issue document.
+ * @param {string} token - From the link.
+ * @returns {string} The contact number.
+ * @throws {FeedbackError} If the link isn't valid for the issue's latest resolution.
+ */
+function findContact(issue, token) {
+    const given = Buffer.from(String(token || ''));
+    const contact = issue.resolution && issue.resolution.resolvedAt && linkedContacts(issue).find(linked => {
+        const expected = Buffer.from(feedbackToken(issue, linked));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+    if (!contact) {
+        throw translatableError(FeedbackError, 'feedback.invalidLink', {}, 404);
+    }
+    return contact;
+}
+
+/**
+ * The feedback a citizen already gave on an issue's latest resolution, if any.
+ * @param {object} issue - The Issue document.
+ * @param {string} contact
+ * @returns {object|undefined} An entry of 'feedback'.
+ */
+function findAnswer(issue, contact) {
+    const resolvedAt = issue.resolution.resolvedAt.getTime();
+    return issue.feedback.find(entry => normalizeContact(entry.citizenContact) === normalizeContact(contact)
+        && entry.resolvedAt.getTime() === resolvedAt);
+}
+
+/**
+ * Sends every citizen linked to a just-resolved issue the resolution note and their personal feedback link,
+ * each in their own language.
+ * @param {object} issue - The resolved Issue document.
+ */
+async function requestFeedback(issue) {
+    await Promise.all(linkedCitizens(issue).map(({ contact, language }) => notifyCitizen(
+        contact,
+        language,
+        'issue.resolved',
+        { issueId: issue.issueId, issueType: issue.issueType, note: issue.resolution.note, link: feedbackLink(issue, contact, language) },
+        { issueId: issue.issueId }
+    )));
+}
+
+/**
+ * Looks up what a feedback link is for, to show the citizen the resolution before they answer.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {string} token - From the link.
+ * @returns {{ answer: object|null, canAnswer: boolean }} The citizen's earlier answer to this resolution, if any,
+ *          and whether they can still answer (the issue is still resolved and they haven't answered yet).
+ * @throws {FeedbackError}
+ */
+function getFeedbackRequest(issue, token) {
+    const contact = findContact(issue, token);
+    const answer = findAnswer(issue, contact) || null;
+    return { answer, canAnswer: !answer && issue.status === 'Resolved' };
+}
+
+/**
+ * Records a citizen's answer to a resolution. Disputing it reopens the issue, within the same window as
+ * reopening from the tracking page. The caller still needs to save the issue.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {string} token - From the link.
+ * @param {object} answer
+ * @param {string} answer.outcome - 'confirmed' or 'disputed'.
+ * @param {number} [answer.rating] - 1–5. Required to confirm.
+ * @param {string} [answer.comment] - Required to dispute: what is still wrong.
+ * @returns {Promise<object>} The new entry of 'feedback'.
+ * @throws {FeedbackError|WorkflowError}
+ */
+async function submitFeedback(issue, token, { outcome, rating, comment }) {
+    const contact = findContact(issue, token);
+    if (findAnswer(issue, contact)) {
+        throw translatableError(FeedbackError, 'feedback.alreadyAnswered', {}, 409);
+    }
+    if (!['confirmed', 'disputed'].includes(outcome)) {
+        throw translatableError(FeedbackError, 'feedback.outcomeRequired');
+    }
+
+    const hasRating = rating !== undefined && rating !== null && rating !== '';
+    const score = Number(rating);
+    if (hasRating && !(Number.isInteger(score) && score >= MIN_RATING && score <= MAX_RATING)) {
+        throw translatableError(FeedbackError, 'feedback.ratingRange', { min: MIN_RATING, max: MAX_RATING });
+    }
+    if (outcome === 'confirmed' && !hasRating) {
+        throw translatableError(FeedbackError, 'feedback.ratingRequired', { min: MIN_RATING, max: MAX_RATING });
+    }
+    const note = comment ? String(comment).trim() : '';
+
+    if (outcome === 'disputed') {
+        if (!note) throw translatableError(FeedbackError, 'feedback.noteRequired');
+        await reopenByCitizen(issue, `Resolution disputed: ${note}`);
+    } else if (issue.status !== 'Resolved') {
+        throw translatableError(FeedbackError, 'feedback.reopenedSince', {}, 409);
+    }
+
+    const entry = {
+        citizenContact: contact,
+        outcome,
+        rating: hasRating ? score : undefined,
+        comment: note || undefined,
+        resolvedAt: issue.resolution.resolvedAt,
+        resolvedBy: issue.resolution.resolvedBy,
+        at: new Date()
+    };
+    issue.feedback.push(entry);
+    issue.recordHistory({
+        action: 'feedback',
+        field: 'feedback',
+        to: outcome,
+        reason: [hasRating ? `Rated ${score}/${MAX_RATING}` : '', note].filter(Boolean).join(': ')
+    }, null, 'citizen');
+    return entry;
+}
+
+module.exports = { requestFeedback, getFeedbackRequest, submitFeedback, FeedbackError };
@@ -0,0 +1,60 @@
+// server/services/geoService.js
+
+/**
+ * The distance between two points on the Earth's surface, in metres.
+ * @param {number[]} a - [longitude, latitude].
+ * @param {number[]} b - [longitude, latitude].
+ * @returns {number}
+ */
+function distanceMeters([lng1, lat1], [lng2, lat2]) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * The shortest distance from a point to a line made of straight segments (e.g. a road), in metres.
+ * The Earth is treated as flat around the point, which is accurate enough within a few kilometres.
+ *
+ * @param {number[]} point - [longitude, latitude].
+ * @param {number[][]} path - The line's [longitude, latitude] vertices, in order.
+ * @returns {number}
+ */
+function distanceToPathMeters(point, path) {
+    if (path.length === 1) return distanceMeters(point, path[0]);
+    // Metres east and north of the point.
+    const metresPerDegree = 111320;
+    const cosLat = Math.cos(point[1] * Math.PI / 180);
+    const project = ([lng, lat]) => [(lng - point[0]) * metresPerDegree * cosLat, (lat - point[1]) * metresPerDegree];
+
+    let shortest = Infinity;
+    for (let i = 0; i < path.length - 1; i++) {
+        const [x1, y1] = project(path[i]);
+        const [x2, y2] = project(path[i + 1]);
+        const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+        // How far along the segment the closest point is, from 0 (its start) to 1 (its end).
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(x1 * (x2 - x1) + y1 * (y2 - y1)) / lengthSquared));
+        shortest = Math.min(shortest, Math.hypot(x1 + t * (x2 - x1), y1 + t * (y2 - y1)));
+    }
+    return shortest;
+}
+
+/**
+ * Checks whether a point lies inside a polygon ring.
+ * @param {number[]} point - [longitude, latitude].
+ * @param {number[][]} ring - The ring's [longitude, latitude] vertices.
+ * @returns {boolean}
+ */
+function isInsideRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+module.exports = { distanceMeters, distanceToPathMeters, isInsideRing };
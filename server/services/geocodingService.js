@@ -0,0 +1,75 @@
+// server/services/geocodingService.js
+
+// --- Import Config ---
+const IMPORT = require('../config/import');
+
+// Addresses already looked up, so a spreadsheet with the same street on many rows only asks once.
+const cache = new Map();
+const MAX_CACHED_ADDRESSES = 10000;
+let lastRequestAt = 0;
+
+/**
+ * Whether addresses can be geocoded, i.e. whether GEOCODING_URL is set.
+ * @returns {boolean}
+ */
+function isGeocodingEnabled() {
+    return Boolean(IMPORT.GEOCODING_URL);
+}
+
+/**
+ * The text sent to the geocoding service for an address.
+ * @param {string} address
+ * @returns {string}
+ */
+function toQuery(address) {
+    return [address, IMPORT.GEOCODING_REGION].filter(Boolean).join(', ');
+}
+
+/**
+ * Whether an address was looked up before, so geocoding it again needs no request.
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isCached(address) {
+    return cache.has(toQuery(address));
+}
+
+/**
+ * Looks up the coordinates of an address with a Nominatim-compatible search service (see config/import.js).
+ * Requests are spaced GEOCODING_DELAY_MS apart, as public services require.
+ *
+ * @param {string} address
+ * @returns {Promise<number[]|null>} [longitude, latitude], or null if the address wasn't found.
+ * @throws {Error} If geocoding isn't configured or the service fails.
+ */
+async function geocode(address) {
+    if (!isGeocodingEnabled()) {
+        throw new Error('Geocoding is not configured (GEOCODING_URL).');
+    }
+    const query = toQuery(address);
+    if (cache.has(query)) return cache.get(query);
+
+    const wait = lastRequestAt + IMPORT.GEOCODING_DELAY_MS - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    lastRequestAt = Date.now();
+
+    const url = new URL(IMPORT.GEOCODING_URL);
+    url.searchParams.set('q', query);
+    url.searchParams.set('format', 'json');
+    url.searchParams.set('limit', '1');
+    const response = await fetch(url, {
+        headers: { 'User-Agent': 'CivicSense issue import' },
+        signal: AbortSignal.timeout(IMPORT.GEOCODING_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`The geocoding service responded with ${response.status}.`);
+    }
+
+    const [match] = await response.json();
+    const coordinates = match ? [parseFloat(match.lon), parseFloat(match.lat)] : null;
+    if (cache.size >= MAX_CACHED_ADDRESSES) cache.clear();
+    cache.set(query, coordinates);
+    return coordinates;
+}
+
+module.exports = { geocode, isCached, isGeocodingEnabled };
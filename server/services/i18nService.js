@@ -0,0 +1,117 @@
+// server/services/i18nService.js
+
+// --- Import Config ---
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/i18n');
+
+// --- Load the Catalogues ---
+// One JSON file per language in server/locales, with the messages the API sends to citizens.
+// Keys are nested by feature, e.g. 'report.created', and values can hold '{placeholders}'.
+const CATALOGUES = {};
+Object.keys(LANGUAGES).forEach(language => {
+    CATALOGUES[language] = require(`../locales/${language}.json`);
+});
+
+/**
+ * Checks whether we have a language.
+ * @param {string} language - A language code, e.g. 'hi'.
+ * @returns {boolean}
+ */
+function isSupportedLanguage(language) {
+    return typeof language === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+/**
+ * Fills in a text's '{placeholders}'. Placeholders without a value are left as they are.
+ * @param {string} text
+ * @param {object} [params]
+ * @returns {string}
+ */
+function interpolate(text, params = {}) {
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+}
+
+/**
+ * Looks up a dotted key ('report.created') in a catalogue.
+ * @returns {string|undefined}
+ */
+function lookup(catalogue, key) {
+    const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+    return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Translates a message. Anything missing from a language's catalogue falls back to DEFAULT_LANGUAGE,
+ * and a key missing from that too is returned as it is, so a gap shows up instead of breaking the response.
+ *
+ * @param {string} language - A language code; unsupported ones get DEFAULT_LANGUAGE.
+ * @param {string} key - E.g. 'reopen.windowPassed'.
+ * @param {object} [params] - Values for the message's placeholders, e.g. '{ days: 7 }'.
+ * @returns {string}
+ */
+function translate(language, key, params) {
+    const catalogue = CATALOGUES[isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE];
+    const text = lookup(catalogue, key) || lookup(CATALOGUES[DEFAULT_LANGUAGE], key) || key;
+    return interpolate(text, params);
+}
+
+/**
+ * An issue status in a citizen's language. Statuses are stored in English (config/workflow.js).
+ * @param {string} language
+ * @param {string} status - E.g. 'In Progress'.
+ * @returns {string}
+ */
+function translateStatus(language, status) {
+    return translate(language, `status.${status}`);
+}
+
+/**
+ * Picks the language for a request: '?lang=' if it is one we have, otherwise the best match in the
+ * browser's Accept-Language header (e.g. 'ta-IN,ta;q=0.9,en;q=0.8'), otherwise DEFAULT_LANGUAGE.
+ *
+ * @param {object} req - The Express request.
+ * @returns {string} A language code.
+ */
+function negotiateLanguage(req) {
+    const requested = String(req.query.lang || '').toLowerCase();
+    if (isSupportedLanguage(requested)) return requested;
+
+    const accepted = String(req.get('Accept-Language') || '')
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...options] = part.trim().split(';');
+            const quality = options.map(option => option.trim()).find(option => option.startsWith('q='));
+            return { language: tag.trim().toLowerCase().split('-')[0], quality: quality ? parseFloat(quality.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.quality > 0 && isSupportedLanguage(entry.language))
+        // Highest quality first; the header's own order breaks ties.
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+    return accepted.length > 0 ? accepted[0].language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Builds an error whose message can be shown to citizens in their own language. Its message is the
+ * DEFAULT_LANGUAGE text (for logs and staff), and 'translation' keeps the key and values to translate it with.
+ *
+ * @param {function} ErrorClass - E.g. InvalidReportError; called as 'new ErrorClass(message, statusCode)'.
+ * @param {string} key - The catalogue key.
+ * @param {object} [params] - Values for the message's placeholders.
+ * @param {number} [statusCode] - Leave out for the error class's default.
+ * @returns {Error}
+ */
+function translatableError(ErrorClass, key, params = {}, statusCode) {
+    const error = new ErrorClass(translate(DEFAULT_LANGUAGE, key, params), statusCode);
+    error.translation = { key, params };
+    return error;
+}
+
+/**
+ * The message of an error, in a language if it was built with translatableError.
+ * @param {string} language
+ * @param {Error} error
+ * @returns {string}
+ */
+function errorMessage(language, error) {
+    return error.translation ? translate(language, error.translation.key, error.translation.params) : error.message;
+}
+
+module.exports = { isSupportedLanguage, interpolate, translate, translateStatus, negotiateLanguage, translatableError, errorMessage };
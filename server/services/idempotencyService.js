@@ -0,0 +1,70 @@
+// server/services/idempotencyService.js
+
+// --- Import Database Models ---
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key is remembered. A queued report retried later than this would be created again.
+const KEY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// A request still 'processing' after this long was cut off, so a retry may take the key over.
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Keys are chosen by the client: a UUID works, as does any other 8–100 letters, digits, '-' and '_'.
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+/**
+ * Checks the format of a client's idempotency key.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+/**
+ * Claims a key before doing the work of a request.
+ *
+ * @param {string} scope - The kind of request, e.g. 'report', so keys of different endpoints never collide.
+ * @param {string} key - The client's key.
+ * @returns {Promise<object|null>} null if this request claimed the key and should go ahead. Otherwise the
+ *          IdempotencyKey document of the earlier request: 'done' with its response, or still 'processing'.
+ */
+async function claimKey(scope, key) {
+    const scopedKey = `${scope}:${key}`;
+    const now = new Date();
+    try {
+        await IdempotencyKey.create({ key: scopedKey, claimedAt: now, expiresAt: new Date(now.getTime() + KEY_TTL_MS) });
+        return null;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    // Someone got there first. If their request was cut off, take over; only one retry can win the update.
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+        { key: scopedKey, state: 'processing', claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+        { $set: { claimedAt: now } }
+    );
+    if (takenOver) return null;
+    return IdempotencyKey.findOne({ key: scopedKey });
+}
+
+/**
+ * Stores the response of a request that claimed a key, for any repeats to get back.
+ * @param {string} scope
+ * @param {string} key
+ * @param {number} statusCode
+ * @param {object} body - The JSON response body.
+ */
+async function completeKey(scope, key, statusCode, body) {
+    await IdempotencyKey.updateOne({ key: `${scope}:${key}` }, { $set: { state: 'done', statusCode, body } });
+}
+
+/**
+ * Gives up a key after the request failed, so the client can retry it.
+ * @param {string} scope
+ * @param {string} key
+ */
+async function releaseKey(scope, key) {
+    await IdempotencyKey.deleteOne({ key: `${scope}:${key}`, state: 'processing' });
+}
+
+module.exports = { isValidKey, claimKey, completeKey, releaseKey };
@@ -0,0 +1,164 @@
+// server/services/imageService.js
+
+// --- Import Core Modules ---
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp'); // Resizes and re-encodes the photos.
+const exifr = require('exifr'); // Reads the photos' EXIF GPS position and timestamp.
+
+// --- Import Services & Config ---
+const { translatableError } = require('./i18nService');
+const { distanceMeters } = require('./geoService');
+const UPLOADS = require('../config/uploads');
+
+/**
+ * Thrown when an uploaded file isn't a photo we can use. The message is written for the citizen, and can be
+ * translated for them (see i18nService.errorMessage). 'statusCode' is the HTTP status the API should respond with.
+ */
+class ImageError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ImageError';
+        this.statusCode = statusCode;
+    }
+}
+
+// The image types we accept, recognised by the first bytes of the file rather than its name or
+// the type the browser claims.
+const IMAGE_TYPES = [
+    { type: 'image/jpeg', matches: buffer => buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF },
+    { type: 'image/png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { type: 'image/gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6)) },
+    { type: 'image/webp', matches: buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+/**
+ * Works out an image's real type from its contents.
+ * @param {Buffer} buffer
+ * @returns {string|null} The MIME type, or null if it isn't a JPEG, PNG, GIF or WebP image.
+ */
+function detectImageType(buffer) {
+    const match = IMAGE_TYPES.find(({ matches }) => buffer.length >= 12 && matches(buffer));
+    return match ? match.type : null;
+}
+
+/**
+ * Reads where and when a photo was taken from its EXIF data. Most phone photos have a timestamp;
+ * only some have a GPS position (it depends on the camera's settings).
+ * @param {Buffer} buffer
+ * @returns {Promise<{ latitude?: number, longitude?: number, takenAt?: Date }>}
+ */
+async function readPhotoMetadata(buffer) {
+    try {
+        const exif = await exifr.parse(buffer, { gps: true, pick: ['DateTimeOriginal', 'CreateDate', 'latitude', 'longitude'] });
+        if (!exif) return {};
+        const takenAt = exif.DateTimeOriginal || exif.CreateDate;
+        return {
+            latitude: Number.isFinite(exif.latitude) ? exif.latitude : undefined,
+            longitude: Number.isFinite(exif.longitude) ? exif.longitude : undefined,
+            takenAt: takenAt instanceof Date && !isNaN(takenAt) ? takenAt : undefined
+        };
+    } catch (error) {
+        // Broken or unusual EXIF data just means we can't cross-check the photo.
+        return {};
+    }
+}
+
+/**
+ * Checks, resizes and saves one uploaded photo. Two JPEGs are written: a web-sized version and a square
+ * thumbnail. Both are rotated upright and have no EXIF metadata, so a citizen's exact location and
+ * camera details are never published; the original file is not kept.
+ *
+ * @param {Buffer} buffer - The uploaded file.
+ * @param {object} report
+ * @param {number[]} report.coordinates - The reported location, [longitude, latitude], to compare with the photo's GPS position.
+ * @param {Date} [report.reportedAt] - When it was reported (default now), to compare with when the photo was taken.
+ * @returns {Promise<object>} The photo's record for Issue.photos.
+ * @throws {ImageError} If the file isn't a usable image.
+ */
+async function processPhoto(buffer, { coordinates, reportedAt = new Date() }) {
+    if (!detectImageType(buffer)) {
+        throw translatableError(ImageError, 'photos.wrongType');
+    }
+    const metadata = await readPhotoMetadata(buffer);
+
+    const name = `photo-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const webFile = `${name}.jpg`;
+    const thumbnailFile = `${name}-thumb.jpg`;
+    await fs.mkdir(UPLOADS.UPLOAD_DIR, { recursive: true });
+
+    let web;
+    try {
+        // rotate() applies the EXIF orientation before the metadata is dropped; sharp writes none by default.
+        const image = sharp(buffer).rotate().flatten({ background: '#ffffff' });
+        web = await image.clone()
+            .resize({ width: UPLOADS.WEB_SIZE, height: UPLOADS.WEB_SIZE, fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80, mozjpeg: true })
+            .toFile(path.join(UPLOADS.UPLOAD_DIR, webFile));
+        await image.clone()
+            .resize({ width: UPLOADS.THUMBNAIL_SIZE, height: UPLOADS.THUMBNAIL_SIZE, fit: 'cover' })
+            .jpeg({ quality: 70 })
+            .toFile(path.join(UPLOADS.UPLOAD_DIR, thumbnailFile));
+    } catch (error) {
+        await removeFiles([webFile, thumbnailFile]);
+        throw translatableError(ImageError, 'photos.unreadable');
+    }
+
+    const photo = {
+        url: `${UPLOADS.UPLOAD_URL}/${webFile}`,
+        thumbnailUrl: `${UPLOADS.UPLOAD_URL}/${thumbnailFile}`,
+        width: web.width,
+        height: web.height,
+        takenAt: metadata.takenAt
+    };
+    if (metadata.latitude !== undefined && metadata.longitude !== undefined) {
+        photo.gps = { latitude: metadata.latitude, longitude: metadata.longitude };
+        photo.distanceMeters = Math.round(distanceMeters(coordinates, [metadata.longitude, metadata.latitude]));
+        photo.locationMismatch = photo.distanceMeters > UPLOADS.LOCATION_TOLERANCE_METERS;
+    }
+    if (metadata.takenAt) {
+        photo.takenLongBefore = reportedAt - metadata.takenAt > UPLOADS.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    }
+    return photo;
+}
+
+/**
+ * Processes every photo of a report (see processPhoto). If one of them is rejected, the ones already
+ * saved are deleted again.
+ *
+ * @param {Array<{ buffer: Buffer }>} files - The uploaded files, e.g. from multer's memory storage.
+ * @param {object} report - As for processPhoto.
+ * @returns {Promise<object[]>}
+ * @throws {ImageError}
+ */
+async function processPhotos(files, report) {
+    const photos = [];
+    try {
+        for (const file of files) {
+            photos.push(await processPhoto(file.buffer, report));
+        }
+    } catch (error) {
+        await deletePhotos(photos);
+        throw error;
+    }
+    return photos;
+}
+
+/**
+ * Deletes files from the upload directory, ignoring any that are already gone.
+ * @param {string[]} fileNames
+ */
+async function removeFiles(fileNames) {
+    await Promise.all(fileNames.map(fileName => fs.unlink(path.join(UPLOADS.UPLOAD_DIR, fileName)).catch(() => {})));
+}
+
+/**
+ * Deletes saved photos, e.g. when the report they belong to was rejected.
+ * @param {object[]} photos - Records from processPhoto.
+ */
+async function deletePhotos(photos) {
+    await removeFiles(photos.flatMap(photo => [photo.url, photo.thumbnailUrl].map(url => path.basename(url))));
+}
+
+module.exports = { detectImageType, processPhotos, deletePhotos, ImageError };
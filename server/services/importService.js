@@ -0,0 +1,414 @@
+// server/services/importService.js
+
+// --- Import Core Modules ---
+const mongoose = require('mongoose');
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// --- Import Config ---
+const { STATUSES } = require('../config/workflow');
+const IMPORT = require('../config/import');
+const { PRIORITIES } = Issue;
+
+// --- Import Services ---
+const { generateIssueId } = require('./issueService');
+const { getCategories, getDepartments } = require('./categoryService');
+const { routeIssue } = require('./routingService');
+const { applySlaTargets, markMissedDeadlinesEscalated } = require('./slaService');
+const { geocode, isCached, isGeocodingEnabled } = require('./geocodingService');
+
+/**
+ * Thrown when an import can't be started (e.g. the column mapping is incomplete). Problems with
+ * individual rows are reported per row instead. 'statusCode' is the HTTP status the API should respond with.
+ */
+class ImportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ImportError';
+        this.statusCode = statusCode;
+    }
+}
+
+// The Issue fields a spreadsheet column can be mapped onto. 'headings' are the column headings
+// each field is recognised by when suggesting a mapping (compared in lower case, ignoring punctuation).
+const IMPORT_FIELDS = [
+    { field: 'issueType', label: 'Category', required: true, headings: ['category', 'type', 'issue type', 'complaint type', 'complaint category', 'issue'] },
+    { field: 'description', label: 'Description', required: true, headings: ['description', 'details', 'complaint', 'complaint details', 'remarks'] },
+    { field: 'latitude', label: 'Latitude', headings: ['latitude', 'lat'] },
+    { field: 'longitude', label: 'Longitude', headings: ['longitude', 'lng', 'lon', 'long'] },
+    { field: 'address', label: 'Address (to geocode)', headings: ['address', 'location', 'street', 'area', 'locality'] },
+    { field: 'landmark', label: 'Landmark', headings: ['landmark', 'near'] },
+    { field: 'citizenContact', label: 'Contact number', headings: ['contact', 'phone', 'mobile', 'phone number', 'mobile number', 'mobile no', 'contact number'] },
+    { field: 'status', label: 'Status', headings: ['status', 'state'] },
+    { field: 'priority', label: 'Priority', headings: ['priority', 'urgency'] },
+    { field: 'department', label: 'Department', headings: ['department', 'dept', 'assigned department'] },
+    { field: 'reportedAt', label: 'Reported on', headings: ['date', 'reported', 'reported on', 'reported at', 'complaint date', 'created', 'created at', 'date reported'] },
+    { field: 'resolvedAt', label: 'Resolved on', headings: ['resolved', 'resolved on', 'resolved at', 'closed', 'closed on', 'date closed', 'resolution date'] },
+    { field: 'legacyId', label: 'Old complaint number', headings: ['id', 'complaint id', 'complaint no', 'complaint number', 'ticket', 'ticket no', 'reference', 'ref no'] }
+];
+
+// Status names used in old spreadsheets, and the status each one becomes. Current status names are always accepted.
+const STATUS_ALIASES = {
+    'open': 'Pending',
+    'new': 'Pending',
+    'registered': 'Pending',
+    'received': 'Pending',
+    'assigned': 'Acknowledged',
+    'work in progress': 'In Progress',
+    'wip': 'In Progress',
+    'ongoing': 'In Progress',
+    'closed': 'Resolved',
+    'completed': 'Resolved',
+    'done': 'Resolved',
+    'fixed': 'Resolved'
+};
+
+// How many would-be issues a dry run shows.
+const PREVIEW_ROWS = 20;
+
+/**
+ * Lower-cases text and reduces punctuation to single spaces, for forgiving comparisons ("Mobile No." → "mobile no").
+ */
+function normalize(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Guesses which spreadsheet column holds each Issue field from the column headings.
+ * @param {string[]} headers
+ * @returns {object} Field name → column heading, for the fields a column was found for.
+ */
+function suggestMapping(headers) {
+    const mapping = {};
+    for (const { field, headings } of IMPORT_FIELDS) {
+        const match = headers.find(header => {
+            const name = normalize(header);
+            return name === normalize(field) || headings.includes(name);
+        });
+        if (match && !Object.values(mapping).includes(match)) mapping[field] = match;
+    }
+    return mapping;
+}
+
+/**
+ * Checks a column mapping against the spreadsheet's headings.
+ * @param {object} mapping - Field name → column heading.
+ * @param {string[]} headers
+ * @throws {ImportError}
+ */
+function checkMapping(mapping, headers) {
+    for (const [field, header] of Object.entries(mapping)) {
+        if (!IMPORT_FIELDS.some(item => item.field === field)) {
+            throw new ImportError(`"${field}" is not a field that can be imported.`);
+        }
+        if (!headers.includes(header)) {
+            throw new ImportError(`The file has no column called "${header}".`);
+        }
+    }
+    const missing = IMPORT_FIELDS.filter(item => item.required && !mapping[item.field]);
+    if (missing.length > 0) {
+        throw new ImportError(`Please choose the column for: ${missing.map(item => item.label).join(', ')}.`);
+    }
+    const hasCoordinates = mapping.latitude && mapping.longitude;
+    if (!hasCoordinates && !mapping.address) {
+        throw new ImportError('Please choose the latitude and longitude columns, or an address column to geocode.');
+    }
+    if (!hasCoordinates && !isGeocodingEnabled()) {
+        throw new ImportError('Addresses can only be geocoded when GEOCODING_URL is set. Please map latitude and longitude columns.');
+    }
+}
+
+/**
+ * Parses a date from a spreadsheet cell: an Excel date, ISO 8601 ('2021-03-31', '2021-03-31 14:05'),
+ * or day/month/year ('31/03/2021', '31-03-2021 2:05 PM'; month/day/year with dateOrder 'MDY').
+ * Dates without a time zone are read as UTC.
+ *
+ * @param {string|number|Date} value
+ * @param {string} dateOrder - 'DMY' or 'MDY'.
+ * @returns {Date|null|undefined} The date, null if the cell is empty, or undefined if it isn't a date.
+ */
+function parseDate(value, dateOrder) {
+    if (value === '' || value === null || value === undefined) return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? undefined : value;
+
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) || text.length === 10 ? text : `${text.replace(' ', 'T')}Z`);
+        return isNaN(date.getTime()) ? undefined : date;
+    }
+
+    const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([aApP][mM])?)?$/);
+    if (!match) return undefined;
+    const [, first, second, yearText, hourText = '0', minute = '0', secondText = '0', meridiem] = match;
+    const [day, month] = dateOrder === 'MDY' ? [second, first] : [first, second];
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+    let hour = Number(hourText);
+    if (meridiem) hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, secondText));
+    // Reject dates that rolled over, e.g. 31/02/2021.
+    return date.getUTCDate() === Number(day) && date.getUTCMonth() === month - 1 ? date : undefined;
+}
+
+/**
+ * Works out which current category an old category name stands for: the admin's explicit mapping first,
+ * then a category with the same name, then a category whose SMS keywords include it.
+ *
+ * @param {string} legacyName
+ * @param {object} categoryMap - Old name → current category name, chosen by the admin.
+ * @param {object[]} categories - Every category, active or not (old complaints may be in retired categories).
+ * @returns {object|undefined} The category.
+ */
+function resolveCategory(legacyName, categoryMap, categories) {
+    const name = normalize(legacyName);
+    const mappedEntry = Object.entries(categoryMap).find(([legacy]) => normalize(legacy) === name);
+    if (mappedEntry) return categories.find(category => category.name === mappedEntry[1]);
+
+    return categories.find(category => normalize(category.name) === name)
+        || categories.find(category => category.keywords.some(keyword => normalize(keyword) === name));
+}
+
+/**
+ * Turns one spreadsheet row into the data for a new Issue, or lists what is wrong with it.
+ *
+ * @param {object} values - The row's values, by column heading.
+ * @param {object} context - The mapping, category map, date order, categories and departments, and
+ *        'geocoding.remaining': how many more new addresses this import may look up.
+ * @returns {Promise<{ data?: object, errors: string[], unmappedCategory?: string }>}
+ */
+async function rowToIssueData(values, { mapping, categoryMap, dateOrder, categories, departments, geocoding }) {
+    const cell = field => (mapping[field] ? values[mapping[field]] : '');
+    const text = field => String(cell(field) === undefined || cell(field) === null ? '' : cell(field)).trim();
+    const errors = [];
+    const result = { errors };
+
+    // --- Category ---
+    const legacyType = text('issueType');
+    const category = legacyType ? resolveCategory(legacyType, categoryMap, categories) : undefined;
+    if (!legacyType) {
+        errors.push('The category is empty.');
+    } else if (!category) {
+        errors.push(`"${legacyType}" doesn't match any category. Map it to one of the current categories.`);
+        result.unmappedCategory = legacyType;
+    }
+
+    if (!text('description')) errors.push('The description is empty.');
+
+    // --- Location ---
+    let coordinates = null;
+    if (text('latitude') || text('longitude')) {
+        const lat = parseFloat(text('latitude'));
+        const lng = parseFloat(text('longitude'));
+        if (Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+            coordinates = [lng, lat];
+        } else {
+            errors.push(`"${text('latitude')}, ${text('longitude')}" are not valid coordinates.`);
+        }
+    } else if (text('address') && isGeocodingEnabled()) {
+        if (!isCached(text('address')) && geocoding.remaining <= 0) {
+            errors.push(`The address "${text('address')}" was not looked up: an import geocodes at most ${IMPORT.MAX_GEOCODED_ADDRESSES} new addresses. Import the remaining rows again to continue, or add their coordinates.`);
+        } else {
+            if (!isCached(text('address'))) geocoding.remaining--;
+            try {
+                coordinates = await geocode(text('address'));
+                if (!coordinates) errors.push(`The address "${text('address')}" could not be found on the map.`);
+            } catch (error) {
+                errors.push(`The address "${text('address')}" could not be geocoded: ${error.message}`);
+            }
+        }
+    } else {
+        errors.push('There are no coordinates or address to place the complaint on the map.');
+    }
+
+    // --- Status, priority and dates ---
+    let status = null;
+    if (text('status')) {
+        const name = normalize(text('status'));
+        status = STATUSES.find(item => normalize(item) === name) || STATUS_ALIASES[name];
+        if (!status) errors.push(`Unknown status "${text('status')}".`);
+    }
+
+    let priority = category ? category.defaultPriority : undefined;
+    if (text('priority')) {
+        priority = PRIORITIES.find(item => normalize(item) === normalize(text('priority')));
+        if (!priority) errors.push(`Unknown priority "${text('priority')}". Use one of: ${PRIORITIES.join(', ')}.`);
+    }
+
+    const reportedAt = parseDate(cell('reportedAt'), dateOrder);
+    const resolvedAt = parseDate(cell('resolvedAt'), dateOrder);
+    if (reportedAt === undefined) errors.push(`"${text('reportedAt')}" is not a date.`);
+    if (resolvedAt === undefined) errors.push(`"${text('resolvedAt')}" is not a date.`);
+    if (reportedAt && reportedAt > new Date()) errors.push('The report date is in the future.');
+    if (reportedAt && resolvedAt && resolvedAt < reportedAt) errors.push('The resolution date is before the report date.');
+    // Without a status column, complaints with a resolution date count as resolved.
+    if (!status) status = resolvedAt ? 'Resolved' : 'Pending';
+
+    // --- Department ---
+    let department = null;
+    if (text('department')) {
+        const found = departments.find(item => normalize(item.name) === normalize(text('department')));
+        if (found) department = found.name;
+        else errors.push(`Unknown department "${text('department')}".`);
+    }
+
+    if (errors.length > 0) return result;
+
+    // The ward (and the department, unless the spreadsheet has one) come from the usual routing.
+    const routing = await routeIssue({ issueType: category.name, coordinates });
+    const createdAt = reportedAt || new Date();
+    result.data = {
+        issueType: category.name,
+        description: text('description'),
+        location: { type: 'Point', coordinates, landmark: text('landmark') || undefined },
+        citizenContact: text('citizenContact') || undefined,
+        status,
+        priority,
+        source: 'import',
+        legacyId: text('legacyId') || undefined,
+        assignedDepartment: department || routing.department,
+        assignedTeam: department ? undefined : routing.team,
+        ward: routing.ward ? routing.ward._id : undefined,
+        createdAt,
+        updatedAt: resolvedAt || createdAt,
+        acknowledgedAt: status === 'Pending' ? undefined : createdAt,
+        resolvedAt: status === 'Resolved' ? (resolvedAt || undefined) : undefined
+    };
+    return result;
+}
+
+/**
+ * Builds an unsaved Issue for a row, with SLA targets counted from its report date.
+ * Deadlines that passed long ago are marked as already escalated, so the SLA scheduler doesn't
+ * flood supervisors with escalations for old complaints.
+ */
+function buildIssue(data, issueId, { user, fileName, rowNumber }) {
+    const issue = new Issue({ ...data, issueId });
+    applySlaTargets(issue);
+    markMissedDeadlinesEscalated(issue);
+    issue.recordHistory({ action: 'created', field: 'status', to: issue.status, reason: `Imported from ${fileName}, row ${rowNumber}` }, user);
+    issue.history[0].at = issue.createdAt;
+    return issue;
+}
+
+/**
+ * Picks issue IDs that aren't in use yet, for a batch of new issues.
+ * @param {number} count
+ * @returns {Promise<string[]>}
+ */
+async function reserveIssueIds(count) {
+    const ids = new Set();
+    while (ids.size < count) {
+        const candidates = [];
+        while (ids.size + candidates.length < count) {
+            const id = generateIssueId();
+            if (!ids.has(id) && !candidates.includes(id)) candidates.push(id);
+        }
+        const taken = new Set(await Issue.distinct('issueId', { issueId: { $in: candidates } }));
+        candidates.filter(id => !taken.has(id)).forEach(id => ids.add(id));
+    }
+    return [...ids];
+}
+
+/**
+ * Imports historical complaints from spreadsheet rows. Every row is checked first; in a dry run nothing
+ * is written and the result shows what would be created. Otherwise the valid rows become issues, and the
+ * invalid ones are reported so they can be fixed and imported again. Citizens are not notified.
+ *
+ * @param {Array<{ rowNumber: number, values: object }>} rows - From spreadsheetService.readSpreadsheet().
+ * @param {object} options
+ * @param {string[]} options.headers - The spreadsheet's column headings.
+ * @param {object} options.mapping - Issue field → column heading (see IMPORT_FIELDS).
+ * @param {object} [options.categoryMap] - Old category name → current category name.
+ * @param {string} [options.dateOrder] - 'DMY' (the default) or 'MDY', for dates like 03/04/2021.
+ * @param {boolean} [options.dryRun] - Only check the rows.
+ * @param {object} options.user - The admin doing the import (recorded in each issue's history).
+ * @param {string} options.fileName - The spreadsheet's name (recorded in each issue's history).
+ * @returns {Promise<{ dryRun: boolean, total: number, valid: number, created: number,
+ *          errors: Array<{ row: number, messages: string[] }>, unmappedCategories: string[], preview: object[] }>}
+ * @throws {ImportError} If the mapping is unusable.
+ */
+async function importIssues(rows, { headers, mapping, categoryMap = {}, dateOrder = 'DMY', dryRun = false, user, fileName }) {
+    checkMapping(mapping, headers);
+    if (!['DMY', 'MDY'].includes(dateOrder)) {
+        throw new ImportError('"dateOrder" must be DMY or MDY.');
+    }
+    for (const name of Object.values(categoryMap)) {
+        if (typeof name !== 'string') throw new ImportError('The category mapping must map old names to category names.');
+    }
+
+    const [categories, departments] = await Promise.all([
+        getCategories({ includeInactive: true }),
+        getDepartments({ includeInactive: true })
+    ]);
+    const unknownTarget = Object.values(categoryMap).find(name => !categories.some(category => category.name === name));
+    if (unknownTarget) {
+        throw new ImportError(`"${unknownTarget}" is not a current category.`);
+    }
+
+    // Old complaint numbers that were imported before, or appear twice in this file, are skipped.
+    const legacyIds = mapping.legacyId
+        ? rows.map(row => row.values[mapping.legacyId])
+            .filter(value => value !== undefined && value !== null)
+            .map(value => String(value).trim())
+            .filter(Boolean)
+        : [];
+    const alreadyImported = new Set(legacyIds.length > 0 ? await Issue.distinct('legacyId', { legacyId: { $in: legacyIds } }) : []);
+    const seenLegacyIds = new Set();
+
+    const context = { mapping, categoryMap, dateOrder, categories, departments, geocoding: { remaining: IMPORT.MAX_GEOCODED_ADDRESSES } };
+    const result = { dryRun, total: rows.length, valid: 0, created: 0, errors: [], unmappedCategories: [], preview: [] };
+    const valid = [];
+
+    for (const { rowNumber, values } of rows) {
+        const { data, errors, unmappedCategory } = await rowToIssueData(values, context);
+        if (unmappedCategory && !result.unmappedCategories.includes(unmappedCategory)) {
+            result.unmappedCategories.push(unmappedCategory);
+        }
+        if (data && data.legacyId) {
+            if (alreadyImported.has(data.legacyId)) errors.push(`Complaint "${data.legacyId}" has already been imported.`);
+            else if (seenLegacyIds.has(data.legacyId)) errors.push(`Complaint "${data.legacyId}" appears more than once in the file.`);
+            seenLegacyIds.add(data.legacyId);
+        }
+        if (data && errors.length === 0) {
+            // Check the row against the Issue schema too, with a placeholder ID.
+            try {
+                await buildIssue(data, '000000', { user, fileName, rowNumber }).validate();
+            } catch (error) {
+                if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+                errors.push(...Object.values(error.errors).map(item => item.message));
+            }
+        }
+
+        if (errors.length > 0) {
+            result.errors.push({ row: rowNumber, messages: errors });
+        } else {
+            valid.push({ rowNumber, data });
+        }
+    }
+    result.valid = valid.length;
+
+    const ids = dryRun ? [] : await reserveIssueIds(valid.length);
+    for (const [index, { rowNumber, data }] of valid.entries()) {
+        if (index < PREVIEW_ROWS) {
+            result.preview.push({
+                row: rowNumber,
+                issueId: dryRun ? null : ids[index],
+                issueType: data.issueType,
+                status: data.status,
+                assignedDepartment: data.assignedDepartment,
+                coordinates: data.location.coordinates,
+                reportedAt: data.createdAt,
+                legacyId: data.legacyId
+            });
+        }
+        if (dryRun) continue;
+
+        // 'timestamps: false' keeps the original report and resolution dates.
+        await buildIssue(data, ids[index], { user, fileName, rowNumber }).save({ timestamps: false });
+        result.created++;
+    }
+    return result;
+}
+
+module.exports = { IMPORT_FIELDS, suggestMapping, importIssues, parseDate, ImportError };
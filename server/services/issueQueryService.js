@@ -0,0 +1,194 @@
+// server/services/issueQueryService.js
+
+// --- Import Core Modules ---
+const mongoose = require('mongoose');
+
+// --- Import Config ---
+const { STATUSES } = require('../config/workflow');
+const { PRIORITIES } = require('../models/Issue');
+
+// Page sizes for the dashboard issue list.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// The fields the issue list can be sorted on ('?sort=status' or '?sort=-createdAt' for descending).
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'issueType', 'status', 'assignedDepartment', 'sla.resolveBy', 'priorityScore'];
+const DEFAULT_SORT = '-createdAt';
+
+/**
+ * Thrown when the issue list's query parameters are invalid. 'statusCode' is the HTTP status the API should respond with.
+ */
+class InvalidQueryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'InvalidQueryError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Splits a comma-separated query parameter into its values ("Pending,In Progress" → ['Pending', 'In Progress']).
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function listParam(value) {
+    return [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a date parameter. A bare date ('2024-05-31') used as the end of a range includes that whole day.
+ * @param {string} value
+ * @param {string} name - The parameter name, for the error message.
+ * @param {boolean} [endOfRange]
+ * @returns {Date}
+ */
+function dateParam(value, name, endOfRange = false) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new InvalidQueryError(`"${name}" must be a date, e.g. 2024-05-31.`);
+    }
+    if (endOfRange && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+/**
+ * Turns a 'minLng,minLat,maxLng,maxLat' bounding box into a GeoJSON polygon.
+ * @param {string} value
+ * @returns {object}
+ */
+function bboxPolygon(value) {
+    const numbers = String(value).split(',').map(Number);
+    const [minLng, minLat, maxLng, maxLat] = numbers;
+    const valid = numbers.length === 4 && numbers.every(Number.isFinite)
+        && minLng < maxLng && minLat < maxLat && minLat >= -90 && maxLat <= 90;
+    if (!valid) {
+        throw new InvalidQueryError('"bbox" must be minLng,minLat,maxLng,maxLat.');
+    }
+    return {
+        type: 'Polygon',
+        coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+    };
+}
+
+/**
+ * Builds the MongoDB filter for the dashboard's issue list from its query parameters.
+ * Every parameter is optional; comma-separated values match any of them.
+ *
+ *   status, issueType, priority, department - e.g. '?status=Pending,In Progress'
+ *   assignedTo - a staff _id, 'me' or 'unassigned'
+ *   ward       - a ward _id
+ *   verified   - 'true' for reports from signed-in citizens with a verified number, 'false' for the others
+ *   from, to   - a range on the date the issue was reported
+ *   bbox       - 'minLng,minLat,maxLng,maxLat': only issues inside this map area
+ *   q          - a 6-digit issue ID, or keywords to search for in the description and landmark
+ *
+ * @param {object} query - The request's query parameters.
+ * @param {object} user - The logged-in staff member (for 'assignedTo=me').
+ * @returns {object} The filter. The caller must still apply the user's department scope on top.
+ * @throws {InvalidQueryError}
+ */
+function buildIssueFilter(query, user) {
+    const filter = {};
+
+    if (query.status) {
+        const statuses = listParam(query.status);
+        const unknown = statuses.find(status => !STATUSES.includes(status));
+        if (unknown) throw new InvalidQueryError(`Unknown status "${unknown}".`);
+        filter.status = { $in: statuses };
+    }
+    if (query.priority) {
+        const priorities = listParam(query.priority);
+        const unknown = priorities.find(priority => !PRIORITIES.includes(priority));
+        if (unknown) throw new InvalidQueryError(`Unknown priority "${unknown}".`);
+        filter.priority = { $in: priorities };
+    }
+    if (query.issueType) {
+        filter.issueType = { $in: listParam(query.issueType) };
+    }
+    if (query.department) {
+        filter.assignedDepartment = { $in: listParam(query.department) };
+    }
+
+    if (query.assignedTo === 'unassigned') {
+        filter.assignedTo = null;
+    } else if (query.assignedTo === 'me') {
+        filter.assignedTo = user._id;
+    } else if (query.assignedTo) {
+        if (!mongoose.isValidObjectId(query.assignedTo)) throw new InvalidQueryError('Invalid staff ID in "assignedTo".');
+        filter.assignedTo = new mongoose.Types.ObjectId(query.assignedTo);
+    }
+
+    if (query.ward) {
+        if (!mongoose.isValidObjectId(query.ward)) throw new InvalidQueryError('Invalid ward ID.');
+        // Cast explicitly, because aggregate() pipelines don't cast strings to ObjectIds.
+        filter.ward = new mongoose.Types.ObjectId(query.ward);
+    }
+
+    if (query.verified === 'true') {
+        filter.citizenVerified = true;
+    } else if (query.verified === 'false') {
+        filter.citizenVerified = { $ne: true }; // Issues reported before verification existed have no flag.
+    } else if (query.verified) {
+        throw new InvalidQueryError('"verified" must be true or false.');
+    }
+
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = dateParam(query.from, 'from');
+        if (query.to) filter.createdAt.$lt = dateParam(query.to, 'to', true);
+    }
+
+    if (query.bbox) {
+        filter.location = { $geoWithin: { $geometry: bboxPolygon(query.bbox) } };
+    }
+
+    const search = String(query.q || '').trim();
+    if (/^#?\d{6}$/.test(search)) {
+        filter.issueId = search.replace('#', '');
+    } else if (search) {
+        filter.$text = { $search: search };
+    }
+
+    return filter;
+}
+
+/**
+ * Parses the sort and paging parameters of the issue list.
+ *
+ *   sort  - one of SORTABLE_FIELDS, with a leading '-' for descending (default '-createdAt').
+ *           Keyword searches without an explicit sort are ordered by relevance.
+ *   page  - 1-based page number (default 1)
+ *   limit - issues per page (default 50, max 200)
+ *
+ * @param {object} query - The request's query parameters.
+ * @returns {{ sort: object, page: number, limit: number, skip: number }}
+ * @throws {InvalidQueryError}
+ */
+function parseListOptions(query) {
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+    if (!(page >= 1)) throw new InvalidQueryError('"page" must be 1 or more.');
+    if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) throw new InvalidQueryError(`"limit" must be between 1 and ${MAX_PAGE_SIZE}.`);
+
+    const search = String(query.q || '').trim();
+    const isKeywordSearch = search && !/^#?\d{6}$/.test(search);
+    let sort;
+    if (!query.sort && isKeywordSearch) {
+        sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+    } else {
+        const sortParam = String(query.sort || DEFAULT_SORT);
+        const field = sortParam.replace(/^-/, '');
+        if (!SORTABLE_FIELDS.includes(field)) {
+            throw new InvalidQueryError(`Issues can be sorted by: ${SORTABLE_FIELDS.join(', ')}.`);
+        }
+        const direction = sortParam.startsWith('-') ? -1 : 1;
+        // Break ties by _id, so paging through equal values (e.g. the same status) never repeats or skips issues.
+        sort = { [field]: direction, _id: direction };
+    }
+
+    return { sort, page, limit, skip: (page - 1) * limit };
+}
+
+module.exports = { buildIssueFilter, parseListOptions, dateParam, InvalidQueryError };
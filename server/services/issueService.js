@@ -0,0 +1,241 @@
+// server/services/issueService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// --- Import Services ---
+const { notifyCitizen } = require('./notificationTemplateService');
+const { translatableError } = require('./i18nService');
+const { findLikelyDuplicate, attachReport, linkedContacts, linkedCitizens } = require('./duplicateService');
+const { applySlaTargets } = require('./slaService');
+const { routeIssue } = require('./routingService');
+const { getCategory } = require('./categoryService');
+const { publishIssueEvent } = require('./liveUpdateService');
+const { autoAssign } = require('./assignmentService');
+const { applyPriorityScore } = require('./priorityService');
+const DUPLICATES = require('../config/duplicates');
+const { DEFAULT_LANGUAGE } = require('../config/i18n');
+
+/**
+ * Thrown by createIssue when a report can't be accepted as it is (an unknown category, or a field the
+ * category requires is missing). The message is written for the citizen, and can be translated for them
+ * (see i18nService.errorMessage). 'statusCode' is the HTTP status the API should respond with.
+ */
+class InvalidReportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'InvalidReportError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Generates a random, human-readable 6-digit tracking ID.
+ * @returns {string}
+ */
+function generateIssueId() {
+    return Math.floor(100000 + Math.random() * 900000).toString();
+}
+
+/**
+ * Checks a report against its category: the category must exist and be active, and every field it
+ * requires must be filled in. Photos are only required on the web form, as USSD and SMS can't send one.
+ *
+ * @param {object} report - Same as for createIssue.
+ * @returns {Promise<object>} The category.
+ * @throws {InvalidReportError}
+ */
+async function checkReportAgainstCategory({ issueType, landmark, photos, source }) {
+    const category = await getCategory(issueType);
+    if (!category || !category.active) {
+        throw translatableError(InvalidReportError, 'report.unknownIssueType', { issueType });
+    }
+
+    const missing = category.requiredFields.filter(field => {
+        if (field === 'landmark') return !landmark || !landmark.trim();
+        if (field === 'image') return source === 'web' && photos.length === 0;
+        return false;
+    });
+    if (missing.length > 0) {
+        const key = missing.length > 1 ? 'report.needsPhotoAndLandmark' : missing[0] === 'image' ? 'report.needsPhoto' : 'report.needsLandmark';
+        throw translatableError(InvalidReportError, key, { issueType: category.name });
+    }
+    return category;
+}
+
+/**
+ * Creates and saves a new issue, routes it to a department (and to a staff member there, if the department
+ * assigns automatically) and sends the citizen a confirmation.
+ * This is shared by every reporting channel (web form, USSD, SMS) so they all behave the same way.
+ *
+ * @param {object} report - The report details.
+ * @param {string} report.issueType - The name of an active category.
+ * @param {number[]} report.coordinates - [longitude, latitude].
+ * @param {string} [report.landmark] - A user-provided landmark.
+ * @param {string} report.description - What the citizen reported.
+ * @param {string} report.citizenContact - The citizen's phone number.
+ * @param {boolean} [report.citizenVerified] - True if the citizen is signed in with that number.
+ * @param {string} [report.language] - The language the citizen reported in; their notifications are sent in it.
+ * @param {object[]} [report.photos] - Uploaded photos, from imageService.processPhotos.
+ * @param {string} [report.source] - The channel the report came in through ('web', 'ussd' or 'sms').
+ * @returns {Promise<{ issue: object, attachedToExisting: boolean }>} The saved Issue document. If the report was a
+ *          likely duplicate and DUPLICATE_MODE is 'attach', this is the existing issue it was added to.
+ * @throws {InvalidReportError} If the category is unknown or a required field is missing.
+ */
+async function createIssue({ issueType, coordinates, landmark, description, citizenContact, citizenVerified = false, language = DEFAULT_LANGUAGE, photos = [], source = 'web' }) {
+    const category = await checkReportAgainstCategory({ issueType, landmark, photos, source });
+    const imageUrl = photos.length > 0 ? photos[0].url : null;
+
+    // Is somebody else already tracking this same problem nearby? SMS and USSD reports are only placed at
+    // the centre of their area, so they can't be told apart from other problems there.
+    const original = DUPLICATES.APPROXIMATE_SOURCES.includes(source) ? null : await findLikelyDuplicate({ issueType, coordinates });
+
+    if (original && DUPLICATES.MODE === 'attach') {
+        attachReport(original, { citizenContact, citizenVerified, language, description, imageUrl, photos, source });
+        await applyPriorityScore(original);
+        await original.save();
+        publishIssueEvent('issue.updated', original);
+
+        await notifyCitizen(citizenContact, language, 'report.attached', { issueId: original.issueId, issueType }, { issueId: original.issueId });
+        return { issue: original, attachedToExisting: true };
+    }
+
+    // Find the ward the issue is in, and which department/team should handle it.
+    const routing = await routeIssue({ issueType, coordinates });
+
+    const issueData = {
+        issueType,
+        location: { type: 'Point', coordinates, landmark },
+        description,
+        citizenContact,
+        citizenVerified,
+        language,
+        imageUrl,
+        photos,
+        source,
+        priority: category.defaultPriority,
+        assignedDepartment: routing.department,
+        assignedTeam: routing.team,
+        ward: routing.ward ? routing.ward._id : undefined,
+        possibleDuplicateOf: original ? original.issueId : undefined
+    };
+
+    // The 6-digit ID space is small, so retry a few times if we happen to pick one that's taken.
+    let newIssue;
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            const issue = new Issue({ ...issueData, issueId: generateIssueId() });
+            applySlaTargets(issue);
+            await applyPriorityScore(issue);
+            issue.recordHistory({ action: 'created', field: 'status', to: issue.status, reason: `Reported via ${source}` }, null, 'citizen');
+            newIssue = await issue.save();
+            break;
+        } catch (error) {
+            const isDuplicateId = error.code === 11000 && error.keyPattern && error.keyPattern.issueId;
+            if (!isDuplicateId || attempt === 4) throw error;
+        }
+    }
+
+    publishIssueEvent('issue.created', newIssue);
+    await autoAssign(newIssue, 'created');
+
+    await notifyCitizen(citizenContact, language, 'report.received', { issueId: newIssue.issueId, issueType }, { issueId: newIssue.issueId });
+
+    return { issue: newIssue, attachedToExisting: false };
+}
+
+/**
+ * Sends a notification to every citizen linked to an issue: the original reporter and
+ * everyone whose duplicate report was attached or merged into it, each in their own language.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {string} templateKey - The notification template (config/notificationTemplates.js).
+ * @param {object} params - Values for its placeholders.
+ */
+async function notifyLinkedCitizens(issue, templateKey, params) {
+    await Promise.all(linkedCitizens(issue).map(({ contact, language }) =>
+        notifyCitizen(contact, language, templateKey, params, { issueId: issue.issueId })));
+}
+
+/**
+ * The last 10 digits of a contact number, so "+91 98765-43210" and "9876543210" are the same citizen.
+ * @param {string} contact
+ * @returns {string}
+ */
+function normalizeContact(contact) {
+    return String(contact || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Checks whether a contact number matches the one an issue was reported with.
+ * Only the last 10 digits are compared, so "+91 98765-43210" matches "9876543210".
+ *
+ * @param {object} issue - The Issue document.
+ * @param {string} contact - The contact number the citizen entered.
+ * @returns {boolean}
+ */
+function contactMatches(issue, contact) {
+    const entered = normalizeContact(contact);
+    // Anyone whose duplicate report was attached to this issue counts as one of its reporters too.
+    return entered.length > 0 && linkedContacts(issue).some(linked => normalizeContact(linked) === entered);
+}
+
+/**
+ * Builds the Issue filter for every issue a contact number is linked to, as its reporter or through an
+ * attached or merged report. Contacts are stored as they were typed, so the number's last 10 digits
+ * are matched with anything but digits allowed in between ("+91 98765-43210").
+ *
+ * @param {string} phone - 10 digits.
+ * @returns {object}
+ */
+function linkedToContactFilter(phone) {
+    const pattern = new RegExp(`${phone.split('').join('\\D*')}\\D*$`);
+    return { $or: [{ citizenContact: pattern }, { 'additionalReports.citizenContact': pattern }] };
+}
+
+/**
+ * Builds the citizen-safe version of an issue's history: just the status milestones and when they happened.
+ * Staff names, internal reasons and reassignments are left out, and so are the entries copied in from
+ * issues merged into this one, which belong to another citizen's report.
+ *
+ * @param {object} issue - The Issue document.
+ * @returns {Array<{ status: string, at: Date }>}
+ */
+function publicTimeline(issue) {
+    return issue.history
+        .filter(entry => !entry.mergedFrom && (entry.action === 'created' || entry.action === 'status_changed'))
+        .map(entry => ({ status: entry.to, at: entry.at }));
+}
+
+/**
+ * Builds the version of an issue that is safe to show to the public (e.g. on the tracking page).
+ * Contact details and the internal audit trail are never included.
+ *
+ * @param {object} issue - The Issue document (with 'assignedTo' populated, if it should be shown).
+ * @returns {object}
+ */
+function toPublicIssue(issue) {
+    return {
+        issueId: issue.issueId,
+        issueType: issue.issueType,
+        description: issue.description,
+        landmark: issue.location && issue.location.landmark,
+        status: issue.status,
+        assignedDepartment: issue.assignedDepartment,
+        assignedTo: issue.assignedTo && issue.assignedTo.name ? { name: issue.assignedTo.name } : null,
+        reportedAt: issue.createdAt,
+        resolvedAt: issue.resolvedAt,
+        reportCount: issue.reportCount,
+        statusReason: issue.statusReason,
+        duplicateOf: issue.duplicateOf,
+        // What was done to fix it, with the "after" photos.
+        resolution: issue.resolution && issue.resolution.resolvedAt ? {
+            note: issue.resolution.note,
+            photos: issue.resolution.photos.map(photo => ({ url: photo.url, thumbnailUrl: photo.thumbnailUrl })),
+            resolvedAt: issue.resolution.resolvedAt
+        } : null,
+        timeline: publicTimeline(issue)
+    };
+}
+
+module.exports = { createIssue, notifyLinkedCitizens, generateIssueId, toPublicIssue, normalizeContact, contactMatches, linkedToContactFilter, InvalidReportError };
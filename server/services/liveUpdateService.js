@@ -0,0 +1,106 @@
+// server/services/liveUpdateService.js
+
+// --- Import Core Modules ---
+const { EventEmitter } = require('events');
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// How often an idle event stream sends a comment, so proxies don't close it as inactive.
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream.
+const RETRY_MS = 5 * 1000;
+
+// The event types that are broadcast.
+const ISSUE_EVENTS = ['issue.created', 'issue.updated', 'issue.assigned', 'issue.commented'];
+
+// Every open event stream listens on this emitter. Events only reach streams on the same server
+// process; with several processes, each one broadcasts the changes it made itself.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open dashboard or tracking page.
+
+/**
+ * Broadcasts that an issue was created or changed. The issue is reloaded (with its assignee and ward)
+ * so every listener gets the saved state. Never throws, so callers don't need to wait for it.
+ *
+ * @param {string} type - One of ISSUE_EVENTS.
+ * @param {object} issue - The saved Issue document.
+ * @param {object} [actor] - The staff member who made the change. Omit for citizen and system changes.
+ * @returns {Promise<void>}
+ */
+async function publishIssueEvent(type, issue, actor) {
+    try {
+        const saved = await Issue.findById(issue._id)
+            .populate('assignedTo', 'name department')
+            .populate('ward', 'code name zone');
+        if (!saved) return;
+        emitter.emit('issue', {
+            type,
+            issue: saved,
+            actor: actor ? { id: actor._id.toString(), name: actor.name } : null,
+            at: new Date()
+        });
+    } catch (error) {
+        console.error(`❌ Could not broadcast ${type} for issue #${issue.issueId}:`, error);
+    }
+}
+
+/**
+ * Calls a function for every issue event until the returned function is called.
+ * @param {function({ type: string, issue: object, actor: object|null, at: Date })} listener
+ * @returns {function} Stops listening.
+ */
+function subscribe(listener) {
+    emitter.on('issue', listener);
+    return () => emitter.off('issue', listener);
+}
+
+/**
+ * Turns a response into a Server-Sent Events stream and keeps it open until the client disconnects.
+ *
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {function} onClose - Called once when the stream closes (e.g. to unsubscribe).
+ * @param {object} [options]
+ * @param {function(): Promise<boolean>} [options.keepOpen] - Asked with every heartbeat; the stream is closed
+ *        when it resolves false (e.g. because the session was logged out).
+ * @returns {function(string, object)} Sends one event: send(eventName, data).
+ */
+function openEventStream(req, res, onClose, { keepOpen } = {}) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stops nginx from holding events back in its buffer.
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let closed = false;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        onClose();
+    };
+    const heartbeat = setInterval(async () => {
+        res.write(': ping\n\n');
+        if (!keepOpen) return;
+        try {
+            if (!(await keepOpen())) {
+                close();
+                res.end();
+            }
+        } catch (error) {
+            console.error('❌ Could not check an event stream:', error);
+        }
+    }, HEARTBEAT_MS);
+    req.on('close', close);
+
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+module.exports = { ISSUE_EVENTS, publishIssueEvent, subscribe, openEventStream };
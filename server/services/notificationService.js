@@ -1,46 +1,169 @@
 // server/services/notificationService.js
 
+// --- Import Database Models ---
+const Notification = require('../models/Notification');
+
+// --- Import Channels ---
+const { getChannel, defaultChannelName, staffChannelName } = require('./channels');
+const { PermanentDeliveryError } = require('./channels/errors');
+
+// --- Retry Settings ---
+// A failed delivery is retried after 30s, 1m, 2m, 4m... (capped at 1 hour) until MAX_ATTEMPTS is reached.
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// How often the background worker looks for notifications that are due for a retry.
+const WORKER_INTERVAL_MS = parseInt(process.env.NOTIFICATION_WORKER_INTERVAL_MS, 10) || 15 * 1000;
+// A notification stuck in 'sending' for this long (e.g. the server crashed mid-send) is picked up again.
+const STUCK_SENDING_MS = 5 * 60 * 1000;
+
+/**
+ * Works out how long to wait before the next attempt, doubling each time.
+ * @param {number} attempts - How many attempts have been made so far.
+ * @returns {number} Delay in milliseconds.
+ */
+function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Makes one delivery attempt for a notification that has already been claimed (status 'sending'),
+ * and records the outcome on the outbox document.
+ *
+ * @param {object} notification - The Notification document.
+ * @returns {Promise<object>} The updated Notification document.
+ */
+async function attemptDelivery(notification) {
+    notification.attempts += 1;
+
+    try {
+        const channel = getChannel(notification.channel);
+        if (!channel) {
+            throw new PermanentDeliveryError(`Unknown notification channel "${notification.channel}".`);
+        }
+        await channel.send(notification);
+
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.lastError = undefined;
+    } catch (error) {
+        notification.lastError = error.message;
+        const isPermanent = error instanceof PermanentDeliveryError || notification.attempts >= MAX_ATTEMPTS;
+
+        if (isPermanent) {
+            notification.status = 'failed';
+            console.error(`❌ Notification ${notification._id} to ${notification.recipient} failed permanently: ${error.message}`);
+        } else {
+            notification.status = 'pending';
+            notification.nextAttemptAt = new Date(Date.now() + retryDelay(notification.attempts));
+        }
+    }
+
+    return notification.save();
+}
+
 /**
  * Sends a notification to a contact.
- * This is a placeholder/simulation for a real notification service.
- * In a production environment, this function would be replaced with an integration
- * to a third-party service like Twilio (for SMS) or Firebase Cloud Messaging (for push notifications).
+ * The notification is first written to the outbox, then delivered straight away through the configured channel.
+ * If delivery fails, the background worker retries it with backoff; nothing is lost if the server restarts.
  *
- * @param {string} contact - The citizen's contact information (e.g., their mobile number).
+ * This never throws: a problem with notifications must not break the request that triggered it.
+ *
+ * @param {string} contact - The recipient (e.g. the citizen's mobile number).
  * @param {string} message - The message content to be sent.
+ * @param {object} [options]
+ * @param {string} [options.channel] - Send through this channel instead of the configured default.
+ * @param {string} [options.issueId] - The issue this message is about.
+ * @returns {Promise<object|null>} The Notification document, or null if it couldn't even be queued.
  */
-const sendNotification = (contact, message) => {
-    // We log the notification to the console to simulate that it has been "sent".
-    // This provides immediate feedback during development.
-    console.log("-----------------------------------------");
-    console.log(`📧 SIMULATING NOTIFICATION 📧`);
-    console.log(`To: ${contact}`);
-    console.log(`Message: "${message}"`);
-    console.log("-----------------------------------------");
-
-    // --- EXAMPLE: How to integrate a real SMS service (like Twilio) ---
-    // 1. You would first install the Twilio library: npm install twilio
-    // 2. You would add your Twilio credentials to the .env file:
-    //    TWILIO_ACCOUNT_SID=ACxxxxxxxxxxxxxxxxxxxxxxxxxxxxx
-    //    TWILIO_AUTH_TOKEN=your_auth_token
-    //    TWILIO_PHONE_NUMBER=+1234567890
-    // 3. You would then uncomment and use the code below:
-
-    /*
-    const twilio = require('twilio');
-    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-
-    client.messages.create({
-        body: message,
-        from: process.env.TWILIO_PHONE_NUMBER,
-        to: contact // Ensure the contact number includes the country code, e.g., +919876543210
-    })
-    .then(message => console.log(`✅ Real SMS sent successfully! SID: ${message.sid}`))
-    .catch(err => console.error('❌ Failed to send real SMS:', err));
-    */
+const sendNotification = async (contact, message, options = {}) => {
+    try {
+        const notification = await Notification.create({
+            recipient: contact,
+            message,
+            channel: options.channel || defaultChannelName(),
+            issueId: options.issueId,
+            status: 'sending'
+        });
+        return await attemptDelivery(notification);
+    } catch (error) {
+        console.error(`❌ Could not queue notification to ${contact}:`, error);
+        return null;
+    }
 };
 
-// We export the function so it can be imported and used in other parts of our application,
-// specifically in our `server/routes/api.js` file.
-module.exports = { sendNotification };
+/**
+ * Sends a notification to a staff member at their email address, through the staff channel
+ * (STAFF_NOTIFICATION_CHANNEL). Like sendNotification, this never throws.
+ *
+ * @param {object} user - The User document (needs 'email').
+ * @param {string} message - The message content to be sent.
+ * @param {object} [options] - Same as sendNotification; 'channel' defaults to the staff channel.
+ * @returns {Promise<object|null>}
+ */
+const notifyStaff = (user, message, options = {}) =>
+    sendNotification(user.email, message, { channel: staffChannelName(), ...options });
+
+/**
+ * Puts a failed notification back in the queue and tries to deliver it again immediately.
+ * Used by admins to re-send messages that failed permanently.
+ *
+ * @param {string} id - The Notification's _id.
+ * @returns {Promise<object|null>} The updated Notification document, or null if it isn't in a failed state.
+ */
+async function resendNotification(id) {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: id, status: 'failed' },
+        { $set: { status: 'sending', attempts: 0, nextAttemptAt: new Date() }, $unset: { lastError: 1 } },
+        { new: true }
+    );
+    if (!notification) return null;
+    return attemptDelivery(notification);
+}
+
+/**
+ * Delivers every notification that is due for a retry.
+ * Each one is claimed atomically (pending → sending) so two workers never send the same message twice.
+ */
+async function processOutbox() {
+    const now = new Date();
+
+    // Recover notifications left in 'sending' by a crash or restart.
+    await Notification.updateMany(
+        { status: 'sending', updatedAt: { $lt: new Date(now.getTime() - STUCK_SENDING_MS) } },
+        { $set: { status: 'pending', nextAttemptAt: now } }
+    );
+
+    let notification;
+    while ((notification = await Notification.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { status: 'sending' } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    ))) {
+        await attemptDelivery(notification);
+    }
+}
+
+/**
+ * Starts the background worker that retries pending notifications.
+ * Call this once the database connection is ready.
+ */
+function startNotificationWorker() {
+    let running = false;
+    setInterval(async () => {
+        // Skip this tick if the previous run is still working through the queue.
+        if (running) return;
+        running = true;
+        try {
+            await processOutbox();
+        } catch (error) {
+            console.error('❌ Notification worker error:', error);
+        } finally {
+            running = false;
+        }
+    }, WORKER_INTERVAL_MS);
+    console.log('📬 Notification worker started.');
+}
 
+// We export these so they can be used by the API routes, the other services and server.js.
+module.exports = { sendNotification, notifyStaff, resendNotification, startNotificationWorker };
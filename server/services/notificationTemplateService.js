@@ -0,0 +1,151 @@
+// server/services/notificationTemplateService.js
+
+// --- Import Database Models ---
+const NotificationTemplate = require('../models/NotificationTemplate');
+
+// --- Import Services & Config ---
+const { sendNotification } = require('./notificationService');
+const { isSupportedLanguage, interpolate, translateStatus } = require('./i18nService');
+const { TEMPLATES } = require('../config/notificationTemplates');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/i18n');
+
+/**
+ * Thrown when an admin's template can't be saved. 'statusCode' is the HTTP status the API should respond with.
+ */
+class TemplateError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TemplateError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Admins' templates are read for every notification, so they're cached in memory. Changes made through
+// the API clear the cache straight away; other server processes pick them up within this time.
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+/**
+ * Loads the admins' templates, from the cache if it is fresh enough.
+ * @returns {Promise<Map<string, string>>} 'key:language' → text.
+ */
+async function loadCustomTemplates() {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.templates;
+
+    const templates = new Map();
+    (await NotificationTemplate.find().lean()).forEach(template => templates.set(`${template.key}:${template.language}`, template.body));
+    cache = { templates, loadedAt: Date.now() };
+    return templates;
+}
+
+/**
+ * Checks that a template and language exist.
+ * @throws {TemplateError}
+ */
+function checkTemplate(key, language) {
+    if (!TEMPLATES[key]) throw new TemplateError(`There is no notification template "${key}".`, 404);
+    if (!isSupportedLanguage(language)) throw new TemplateError(`"${language}" is not one of our languages (${Object.keys(LANGUAGES).join(', ')}).`, 404);
+}
+
+/**
+ * Lists every template with its text in each language, for the admin settings.
+ * @returns {Promise<Array<{ key, description, placeholders, languages: object }>>} 'languages' maps each language code
+ *          to '{ body, defaultBody, customized, updatedAt }'.
+ */
+async function listTemplates() {
+    const custom = await NotificationTemplate.find().lean();
+    return Object.entries(TEMPLATES).map(([key, template]) => ({
+        key,
+        description: template.description,
+        placeholders: template.placeholders,
+        languages: Object.fromEntries(Object.keys(LANGUAGES).map(language => {
+            const saved = custom.find(entry => entry.key === key && entry.language === language);
+            const defaultBody = template.text[language] || template.text[DEFAULT_LANGUAGE];
+            return [language, { body: saved ? saved.body : defaultBody, defaultBody, customized: Boolean(saved), updatedAt: saved ? saved.updatedAt : null }];
+        }))
+    }));
+}
+
+/**
+ * Saves an admin's wording of a template in one language. Only the template's own placeholders can be used.
+ *
+ * @param {string} key - E.g. 'status.changed'.
+ * @param {string} language
+ * @param {string} body
+ * @param {object} user - The admin ('req.user').
+ * @returns {Promise<object>} The saved NotificationTemplate document.
+ * @throws {TemplateError}
+ */
+async function saveTemplate(key, language, body, user) {
+    checkTemplate(key, language);
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text) throw new TemplateError('The message text is required.');
+
+    const { placeholders } = TEMPLATES[key];
+    const unknown = [...new Set([...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]))].filter(name => !placeholders.includes(name));
+    if (unknown.length > 0) {
+        throw new TemplateError(`Unknown placeholder${unknown.length === 1 ? '' : 's'} ${unknown.map(name => `{${name}}`).join(', ')}. `
+            + `This message can use: ${placeholders.map(name => `{${name}}`).join(', ')}.`);
+    }
+
+    const template = await NotificationTemplate.findOneAndUpdate(
+        { key, language },
+        { $set: { body: text, updatedBy: user._id } },
+        { upsert: true, new: true, runValidators: true }
+    );
+    cache = null;
+    return template;
+}
+
+/**
+ * Goes back to the default wording of a template in one language.
+ * @param {string} key
+ * @param {string} language
+ * @throws {TemplateError}
+ */
+async function resetTemplate(key, language) {
+    checkTemplate(key, language);
+    await NotificationTemplate.deleteOne({ key, language });
+    cache = null;
+}
+
+/**
+ * Writes a citizen notification in a language: the admins' wording if there is one, otherwise the default.
+ * A language without its own default text uses DEFAULT_LANGUAGE's. A 'status' is translated before it is filled in.
+ *
+ * @param {string} key - E.g. 'status.changed'.
+ * @param {string} language
+ * @param {object} params - A value for each of the template's placeholders.
+ * @returns {Promise<string>}
+ */
+async function renderTemplate(key, language, params = {}) {
+    const lang = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+    let custom = new Map();
+    try {
+        custom = await loadCustomTemplates();
+    } catch (error) {
+        // The notification still goes out, in the default wording.
+        console.error('❌ Could not load the notification templates:', error.message);
+    }
+
+    const template = TEMPLATES[key];
+    const text = custom.get(`${key}:${lang}`) || template.text[lang] || template.text[DEFAULT_LANGUAGE];
+    const values = params.status ? { ...params, status: translateStatus(lang, params.status) } : params;
+    return interpolate(text, values);
+}
+
+/**
+ * Sends a citizen a notification from a template, in their language. Like sendNotification, this never throws.
+ *
+ * @param {string} contact - The citizen's contact number.
+ * @param {string} language - The language they reported in.
+ * @param {string} key - The template.
+ * @param {object} params - Values for its placeholders.
+ * @param {object} [options] - Passed on to sendNotification (e.g. '{ issueId }').
+ * @returns {Promise<object|null>}
+ */
+async function notifyCitizen(contact, language, key, params, options = {}) {
+    return sendNotification(contact, await renderTemplate(key, language, params), options);
+}
+
+module.exports = { listTemplates, saveTemplate, resetTemplate, renderTemplate, notifyCitizen, TemplateError };
@@ -0,0 +1,242 @@
+// server/services/priorityService.js
+
+// --- Import Core Modules ---
+const fs = require('fs/promises');
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// --- Import Services & Config ---
+const { getCategory, getCategories } = require('./categoryService');
+const { distanceToPathMeters, isInsideRing } = require('./geoService');
+const { OPEN_STATUSES } = require('../config/workflow');
+const PRIORITY = require('../config/priorityScore');
+
+// How many issues a refresh writes at once.
+const BATCH_SIZE = 500;
+const METRES_PER_DEGREE = 111320;
+
+// The places from the points-of-interest file, and the file's modification time when they were read.
+let places = { list: [], modifiedAt: null };
+
+/**
+ * Turns a GeoJSON feature into a place we measure distances to, or null if it isn't a kind that counts.
+ * @param {object} feature
+ * @returns {{ kind, name, weight, radiusMeters, paths: number[][][], areas: number[][][], bbox: number[] }|null}
+ *          'paths' are the lines (or single points) to measure to; 'areas' the outer rings of its polygons.
+ */
+function toPlace(feature) {
+    const properties = (feature && feature.properties) || {};
+    const tag = String(properties.kind || properties.amenity || properties.highway || '').toLowerCase();
+    const kind = PRIORITY.POI_KINDS[tag] ? tag : PRIORITY.POI_KIND_ALIASES[tag];
+    if (!kind || !feature.geometry) return null;
+
+    const { type, coordinates } = feature.geometry;
+    let paths = [];
+    let areas = [];
+    if (type === 'Point') paths = [[coordinates]];
+    else if (type === 'MultiPoint') paths = coordinates.map(point => [point]);
+    else if (type === 'LineString') paths = [coordinates];
+    else if (type === 'MultiLineString') paths = coordinates;
+    else if (type === 'Polygon') [paths, areas] = [coordinates, [coordinates[0]]];
+    else if (type === 'MultiPolygon') [paths, areas] = [coordinates.flat(), coordinates.map(polygon => polygon[0])];
+    if (paths.length === 0) return null;
+
+    const vertices = paths.flat();
+    const bbox = [
+        Math.min(...vertices.map(([lng]) => lng)), Math.min(...vertices.map(([, lat]) => lat)),
+        Math.max(...vertices.map(([lng]) => lng)), Math.max(...vertices.map(([, lat]) => lat))
+    ];
+    return { kind, name: properties.name || undefined, ...PRIORITY.POI_KINDS[kind], paths, areas, bbox };
+}
+
+/**
+ * Reads the points-of-interest file, if it changed since it was last read.
+ * Without the file there are no places; if it can't be read, the places read before are kept.
+ * @returns {Promise<object[]>} Places, from toPlace.
+ */
+async function loadPlaces() {
+    let stats;
+    try {
+        stats = await fs.stat(PRIORITY.POI_FILE);
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('❌ Could not read the points-of-interest file:', error.message);
+        places = { list: [], modifiedAt: null };
+        return places.list;
+    }
+    if (stats.mtimeMs === places.modifiedAt) return places.list;
+
+    try {
+        const geojson = JSON.parse(await fs.readFile(PRIORITY.POI_FILE, 'utf8'));
+        const list = (geojson.features || []).map(toPlace).filter(Boolean);
+        places = { list, modifiedAt: stats.mtimeMs };
+        console.log(`📍 Loaded ${list.length} points of interest from ${PRIORITY.POI_FILE}.`);
+    } catch (error) {
+        console.error('❌ Could not read the points-of-interest file:', error.message);
+        places.modifiedAt = stats.mtimeMs; // Not tried again until the file changes.
+    }
+    return places.list;
+}
+
+/**
+ * Works out how close an issue is to a sensitive place, as a factor from 0 to 1.
+ * @param {number[]} point - The issue's [longitude, latitude].
+ * @param {object[]} placeList - From loadPlaces.
+ * @returns {{ value: number, nearestPlace: { kind, name, distanceMeters }|undefined }} The place that counted most.
+ */
+function proximityFactor(point, placeList) {
+    const [lng, lat] = point;
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    let best = { value: 0, nearestPlace: undefined };
+    for (const place of placeList) {
+        // Skip places whose bounding box is further away than their radius.
+        const marginLat = place.radiusMeters / METRES_PER_DEGREE;
+        const marginLng = marginLat / Math.max(cosLat, 0.01);
+        if (lng < place.bbox[0] - marginLng || lng > place.bbox[2] + marginLng || lat < place.bbox[1] - marginLat || lat > place.bbox[3] + marginLat) continue;
+
+        const distance = place.areas.some(ring => isInsideRing(point, ring))
+            ? 0
+            : Math.min(...place.paths.map(path => distanceToPathMeters(point, path)));
+        const value = distance < place.radiusMeters ? place.weight * (1 - distance / place.radiusMeters) : 0;
+        if (value > best.value) {
+            best = { value, nearestPlace: { kind: place.kind, name: place.name, distanceMeters: Math.round(distance) } };
+        }
+    }
+    return best;
+}
+
+/**
+ * Rounds a factor to two decimals, so small changes don't cause a write.
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Computes an issue's priority score (see config/priorityScore.js).
+ *
+ * @param {object} issue - An Issue document or plain object.
+ * @param {object} [category] - Its category.
+ * @param {object[]} placeList - From loadPlaces.
+ * @param {Date} [now]
+ * @returns {{ score: number, factors: object|undefined }} 'score' is 0–100. 'factors' holds each factor (0–1) and the
+ *          place that counted for proximity; closed issues have none.
+ */
+function computePriority(issue, category, placeList, now = new Date()) {
+    if (!OPEN_STATUSES.includes(issue.status)) return { score: 0, factors: undefined };
+
+    const severity = Math.max(
+        PRIORITY.SEVERITY[category && category.defaultPriority] || 0,
+        PRIORITY.SEVERITY[issue.priority] || PRIORITY.SEVERITY.Medium
+    );
+    const reports = Math.min(1, ((issue.reportCount || 1) - 1) / Math.max(PRIORITY.REPORTS_FOR_FULL_SCORE - 1, 1));
+
+    let sla = 0;
+    if (issue.sla && issue.sla.resolveBy) {
+        const startedAt = new Date(issue.sla.startedAt || issue.createdAt || now).getTime();
+        const allowed = Math.max(new Date(issue.sla.resolveBy).getTime() - startedAt, 1);
+        sla = Math.min(1, Math.max(0, (now.getTime() - startedAt) / allowed));
+    }
+
+    const proximity = proximityFactor(issue.location.coordinates, placeList);
+
+    const factors = { severity: round(severity), reports: round(reports), sla: round(sla), proximity: round(proximity.value) };
+    const totalWeight = Object.values(PRIORITY.WEIGHTS).reduce((sum, value) => sum + value, 0);
+    const weighted = Object.entries(PRIORITY.WEIGHTS).reduce((sum, [factor, value]) => sum + value * factors[factor], 0);
+    return {
+        score: totalWeight > 0 ? Math.round(100 * weighted / totalWeight) : 0,
+        factors: { ...factors, nearestPlace: proximity.nearestPlace }
+    };
+}
+
+/**
+ * Recomputes an issue's priority score. Call this whenever something it depends on changes
+ * (its status, category, priority or number of reports). The caller still needs to save the issue.
+ *
+ * @param {object} issue - The Issue document.
+ */
+async function applyPriorityScore(issue) {
+    const [category, placeList] = await Promise.all([getCategory(issue.issueType), loadPlaces()]);
+    const { score, factors } = computePriority(issue, category, placeList);
+    issue.priorityScore = score;
+    issue.priorityFactors = factors;
+}
+
+/**
+ * Checks whether a stored score is still up to date.
+ */
+function isUnchanged(issue, score, factors) {
+    if (issue.priorityScore !== score) return false;
+    const stored = issue.priorityFactors;
+    if (!factors || !stored) return !factors && !stored;
+    const place = ({ nearestPlace }) => (nearestPlace ? `${nearestPlace.kind}|${nearestPlace.name}|${nearestPlace.distanceMeters}` : '');
+    return ['severity', 'reports', 'sla', 'proximity'].every(factor => stored[factor] === factors[factor]) && place(stored) === place(factors);
+}
+
+/**
+ * Recomputes the scores of every open issue (and clears those of issues closed since), e.g. because time has
+ * passed, a category's priority changed or the points-of-interest file was replaced. 'updatedAt' isn't touched.
+ *
+ * @param {object} [filter] - Only issues matching this, e.g. '{ issueType: "Pothole" }'.
+ * @returns {Promise<number>} How many scores changed.
+ */
+async function refreshPriorityScores(filter = {}) {
+    const now = new Date();
+    const [categories, placeList] = await Promise.all([getCategories({ includeInactive: true }), loadPlaces()]);
+
+    const cursor = Issue.find({ ...filter, $or: [{ status: { $in: OPEN_STATUSES } }, { priorityScore: { $gt: 0 } }] })
+        .select('issueType status priority reportCount createdAt sla location priorityScore priorityFactors')
+        .lean()
+        .cursor();
+
+    let changed = 0;
+    let updates = [];
+    const flush = async () => {
+        if (updates.length === 0) return;
+        await Issue.bulkWrite(updates);
+        changed += updates.length;
+        updates = [];
+    };
+    for await (const issue of cursor) {
+        const category = categories.find(entry => entry.name === issue.issueType);
+        const { score, factors } = computePriority(issue, category, placeList, now);
+        if (isUnchanged(issue, score, factors)) continue;
+        updates.push({
+            updateOne: {
+                filter: { _id: issue._id },
+                update: factors
+                    ? { $set: { priorityScore: score, priorityFactors: factors } }
+                    : { $set: { priorityScore: score }, $unset: { priorityFactors: 1 } },
+                timestamps: false
+            }
+        });
+        if (updates.length === BATCH_SIZE) await flush();
+    }
+    await flush();
+    return changed;
+}
+
+/**
+ * Starts the scheduler that refreshes the priority scores every REFRESH_INTERVAL_MINUTES.
+ * Call this once the database connection is ready.
+ */
+function startPriorityScheduler() {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const changed = await refreshPriorityScores();
+            if (changed > 0) console.log(`📊 Priority scores: updated ${changed} issue(s).`);
+        } catch (error) {
+            console.error('❌ Priority score refresh error:', error);
+        } finally {
+            running = false;
+        }
+    };
+    setInterval(run, PRIORITY.REFRESH_INTERVAL_MINUTES * 60 * 1000);
+    run();
+    console.log(`📊 Priority score refresh started (every ${PRIORITY.REFRESH_INTERVAL_MINUTES} min).`);
+}
+
+module.exports = { computePriority, applyPriorityScore, refreshPriorityScores, startPriorityScheduler };
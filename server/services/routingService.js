@@ -0,0 +1,50 @@
+// server/services/routingService.js
+
+// --- Import Database Models ---
+const Ward = require('../models/Ward');
+const RoutingRule = require('../models/RoutingRule');
+
+// --- Import Services ---
+const { getDefaultDepartment } = require('./categoryService');
+
+/**
+ * Finds the ward a point falls inside, using the 2dsphere index on ward boundaries.
+ * @param {number[]} coordinates - [longitude, latitude].
+ * @returns {Promise<object|null>} The Ward document, or null if the point is outside every ward.
+ */
+function findWardForPoint(coordinates) {
+    return Ward.findOne({
+        boundary: { $geoIntersects: { $geometry: { type: 'Point', coordinates } } }
+    });
+}
+
+/**
+ * Decides where a new issue goes: which ward it is in, and which department (and team) handles it.
+ * Routing rules are checked from most to least specific; if none match, the category's default department is used.
+ *
+ * @param {object} report
+ * @param {string} report.issueType
+ * @param {number[]} report.coordinates - [longitude, latitude].
+ * @returns {Promise<{ ward: object|null, department: string, team: string|undefined }>}
+ */
+async function routeIssue({ issueType, coordinates }) {
+    const ward = await findWardForPoint(coordinates);
+    const wardId = ward ? ward._id : null;
+
+    const rules = await RoutingRule.find({
+        issueType: { $in: [issueType, null] },
+        ward: { $in: [wardId, null] }
+    });
+
+    // Score each rule by how specific it is: a ward match counts for more than a category match.
+    const specificity = rule => (rule.ward ? 2 : 0) + (rule.issueType ? 1 : 0);
+    const rule = rules.sort((a, b) => specificity(b) - specificity(a))[0];
+
+    return {
+        ward,
+        department: rule ? rule.department : await getDefaultDepartment(issueType),
+        team: rule ? rule.team : undefined
+    };
+}
+
+module.exports = { routeIssue, findWardForPoint };
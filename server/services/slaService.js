@@ -0,0 +1,207 @@
+// server/services/slaService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+
+// --- Import Services & Config ---
+const { notifyStaff } = require('./notificationService');
+const { publishIssueEvent } = require('./liveUpdateService');
+const { autoAssign } = require('./assignmentService');
+const { applyPriorityScore } = require('./priorityService');
+const { OPEN_STATUSES } = require('../config/workflow');
+const SLA = require('../config/sla');
+
+const HOUR_MS = 60 * 60 * 1000;
+const { PRIORITIES } = Issue;
+// Statuses that take an issue out of SLA tracking altogether.
+const NOT_TRACKED_STATUSES = ['Rejected', 'Duplicate'];
+
+/**
+ * Finds the SLA policy for an issue. A policy matching both type and department beats one matching
+ * only one of them; if nothing matches, the default policy is used.
+ *
+ * @param {string} issueType
+ * @param {string} department
+ * @returns {{ acknowledgeHours: number, resolveHours: number }}
+ */
+function getPolicy(issueType, department) {
+    let best = null;
+    let bestScore = 0;
+    for (const policy of SLA.POLICIES) {
+        if (policy.issueType && policy.issueType !== issueType) continue;
+        if (policy.department && policy.department !== department) continue;
+        const score = (policy.issueType ? 2 : 0) + (policy.department ? 1 : 0);
+        if (score > bestScore) {
+            best = policy;
+            bestScore = score;
+        }
+    }
+    return best || SLA.DEFAULT_POLICY;
+}
+
+/**
+ * Sets an issue's SLA deadlines from its policy, counting from when it was reported (or from 'startedAt').
+ * The caller still needs to save the issue.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {Date} [startedAt] - When the clock starts.
+ */
+function applySlaTargets(issue, startedAt = issue.createdAt || new Date()) {
+    const policy = getPolicy(issue.issueType, issue.assignedDepartment);
+    issue.sla = issue.sla || {};
+    issue.sla.startedAt = startedAt;
+    issue.sla.acknowledgeBy = new Date(startedAt.getTime() + policy.acknowledgeHours * HOUR_MS);
+    issue.sla.resolveBy = new Date(startedAt.getTime() + policy.resolveHours * HOUR_MS);
+}
+
+/**
+ * Marks the deadlines an open issue has already missed as escalated, without escalating it. Used for issues
+ * that get their deadlines late (imported complaints, issues from before SLAs existed), so the scheduler
+ * doesn't notify supervisors about the whole old backlog at once. The caller still needs to save the issue.
+ *
+ * @param {object} issue - The Issue document, with its deadlines set.
+ * @param {Date} [now]
+ */
+function markMissedDeadlinesEscalated(issue, now = new Date()) {
+    if (!OPEN_STATUSES.includes(issue.status)) return;
+    issue.sla.escalationLevel = issue.sla.resolveBy < now ? 2 : (issue.sla.acknowledgeBy < now && !issue.acknowledgedAt ? 1 : 0);
+}
+
+/**
+ * Gives a reopened issue new deadlines counting from now, and clears its escalation so it can be escalated again.
+ * The caller still needs to save the issue.
+ *
+ * @param {object} issue - The Issue document.
+ */
+function restartSla(issue) {
+    applySlaTargets(issue, new Date());
+    issue.sla.escalationLevel = 0;
+    issue.sla.escalatedAt = undefined;
+}
+
+/**
+ * Works out where an issue stands against its SLA.
+ *
+ * @param {object} issue - An Issue document or plain object.
+ * @param {Date} [now]
+ * @returns {string|null} For open issues: 'on-track', 'at-risk' or 'breached'.
+ *          For resolved issues: 'met' or 'breached'. Null if the issue isn't SLA-tracked.
+ */
+function getSlaStatus(issue, now = new Date()) {
+    if (NOT_TRACKED_STATUSES.includes(issue.status) || !issue.sla || !issue.sla.resolveBy) return null;
+
+    const startedAt = new Date(issue.sla.startedAt || issue.createdAt).getTime();
+    const acknowledgeBy = new Date(issue.sla.acknowledgeBy).getTime();
+    const resolveBy = new Date(issue.sla.resolveBy).getTime();
+    const acknowledgedAt = issue.acknowledgedAt ? new Date(issue.acknowledgedAt).getTime() : null;
+
+    if (issue.status === 'Resolved') {
+        const resolvedAt = new Date(issue.resolvedAt || now).getTime();
+        const ackLate = acknowledgedAt !== null && acknowledgedAt > acknowledgeBy;
+        return resolvedAt > resolveBy || ackLate ? 'breached' : 'met';
+    }
+
+    const current = now.getTime();
+    const ackMissed = acknowledgedAt === null ? current > acknowledgeBy : acknowledgedAt > acknowledgeBy;
+    if (ackMissed || current > resolveBy) return 'breached';
+
+    // "At risk" once most of the time allowed for the next milestone has been used.
+    const nextDeadline = acknowledgedAt === null ? acknowledgeBy : resolveBy;
+    const usedFraction = (current - startedAt) / Math.max(nextDeadline - startedAt, 1);
+    return usedFraction >= SLA.AT_RISK_FRACTION ? 'at-risk' : 'on-track';
+}
+
+/**
+ * Escalates an overdue issue: flags it, optionally raises its priority, records it in the history,
+ * reassigns it automatically if the department does that, and notifies the department's supervisors. Saves the issue.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {number} level - 1 for a missed acknowledgement, 2 for a missed resolution.
+ */
+async function escalateIssue(issue, level) {
+    const missed = level === 1 ? 'acknowledgement' : 'resolution';
+    const previousPriority = issue.priority;
+    if (SLA.RAISE_PRIORITY_ON_ESCALATION) {
+        const index = PRIORITIES.indexOf(issue.priority);
+        issue.priority = PRIORITIES[Math.min(index + 1, PRIORITIES.length - 1)];
+    }
+
+    issue.sla.escalationLevel = level;
+    issue.sla.escalatedAt = new Date();
+    await applyPriorityScore(issue);
+    issue.recordHistory({
+        action: 'escalated',
+        field: 'priority',
+        from: previousPriority,
+        to: issue.priority,
+        reason: `SLA ${missed} deadline missed`
+    });
+    await issue.save();
+    publishIssueEvent('issue.updated', issue);
+    // An overdue issue that nobody (available) has is handed to someone now.
+    await autoAssign(issue, 'escalated');
+
+    const deadline = level === 1 ? issue.sla.acknowledgeBy : issue.sla.resolveBy;
+    const message = `ESCALATION: Issue #${issue.issueId} (${issue.issueType}, ${issue.location.landmark || 'no landmark'}) ` +
+        `missed its ${missed} deadline of ${deadline.toLocaleString()}. Current status: ${issue.status}. Priority: ${issue.priority}.`;
+    const supervisors = await User.find({ role: 'supervisor', department: issue.assignedDepartment });
+    await Promise.all(supervisors.map(supervisor => notifyStaff(supervisor, message, { issueId: issue.issueId })));
+}
+
+/**
+ * Checks every open issue against its SLA and escalates the overdue ones.
+ * Each issue is escalated at most once per level, so supervisors aren't spammed.
+ */
+async function checkSlas() {
+    const now = new Date();
+
+    // Issues created before SLAs existed get their targets filled in first. Deadlines they have already
+    // missed aren't escalated, or the first check would notify supervisors about the whole backlog.
+    const untracked = await Issue.find({ status: { $in: OPEN_STATUSES }, 'sla.resolveBy': { $exists: false } });
+    for (const issue of untracked) {
+        applySlaTargets(issue);
+        markMissedDeadlinesEscalated(issue, now);
+        await issue.save();
+    }
+
+    const overdue = await Issue.find({
+        status: { $in: OPEN_STATUSES },
+        $or: [
+            { acknowledgedAt: null, 'sla.acknowledgeBy': { $lt: now }, 'sla.escalationLevel': { $lt: 1 } },
+            { 'sla.resolveBy': { $lt: now }, 'sla.escalationLevel': { $lt: 2 } }
+        ]
+    });
+
+    for (const issue of overdue) {
+        const level = issue.sla.resolveBy < now ? 2 : 1;
+        await escalateIssue(issue, level);
+    }
+    if (overdue.length > 0) {
+        console.log(`⏰ SLA check: escalated ${overdue.length} overdue issue(s).`);
+    }
+}
+
+/**
+ * Starts the scheduler that checks SLAs every SLA_CHECK_INTERVAL_MINUTES.
+ * Call this once the database connection is ready.
+ */
+function startSlaScheduler() {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkSlas();
+        } catch (error) {
+            console.error('❌ SLA scheduler error:', error);
+        } finally {
+            running = false;
+        }
+    };
+    setInterval(run, SLA.CHECK_INTERVAL_MINUTES * 60 * 1000);
+    run();
+    console.log(`⏰ SLA scheduler started (every ${SLA.CHECK_INTERVAL_MINUTES} min).`);
+}
+
+module.exports = { getPolicy, applySlaTargets, markMissedDeadlinesEscalated, restartSla, getSlaStatus, checkSlas, startSlaScheduler };
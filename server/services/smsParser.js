@@ -0,0 +1,144 @@
+// server/services/smsParser.js
+
+// The words and phrases citizens use for each issue type come from the categories' 'keywords'
+// (see models/Category.js). The category's own name always counts too.
+
+/**
+ * Describes the grammar, sent back when a message can't be understood.
+ * Each category is listed by its first keyword (or its name, if it has none).
+ *
+ * @param {object[]} categories - The active categories.
+ * @returns {string}
+ */
+function helpText(categories) {
+    const types = categories.map(category => (category.keywords[0] || category.name).toUpperCase());
+    return 'To report: REPORT <type> near <landmark>, <description>. ' +
+        `Types: ${types.join(', ')}. ` +
+        'To check a report: STATUS <6-digit ID>.';
+}
+
+/**
+ * Computes the edit distance between two strings (optimal string alignment).
+ * Insertions, deletions, substitutions and swapping two neighbouring letters each count as one edit,
+ * so common phone-keyboard slips like "reprot" or "garbge" stay close to the word they meant.
+ * @returns {number} How many edits turn 'a' into 'b'.
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * How many typos we tolerate for a word of this length. Short words must match exactly,
+ * otherwise "bin" would match "pin" and "road" would match "read".
+ */
+function allowedTypos(phrase) {
+    if (phrase.length <= 4) return 0;
+    if (phrase.length <= 7) return 1;
+    return 2;
+}
+
+/**
+ * Works out which issue type the start of a message refers to.
+ * Tries two-word phrases before single words, so "street light" wins over "light".
+ *
+ * @param {string[]} words - The lowercase words following the REPORT keyword.
+ * @param {object[]} categories - The active categories.
+ * @returns {{ issueType: string, wordsUsed: number } | null}
+ */
+function matchIssueType(words, categories) {
+    for (const length of [2, 1]) {
+        if (words.length < length) continue;
+        const phrase = words.slice(0, length).join(' ').replace(/[^a-z ]/g, '');
+
+        let best = null;
+        for (const category of categories) {
+            for (const synonym of [category.name.toLowerCase(), ...category.keywords]) {
+                if (synonym.split(' ').length !== length) continue;
+                const distance = editDistance(phrase, synonym);
+                if (distance <= allowedTypos(synonym) && (!best || distance < best.distance)) {
+                    best = { issueType: category.name, distance };
+                }
+            }
+        }
+        if (best) return { issueType: best.issueType, wordsUsed: length };
+    }
+    return null;
+}
+
+/**
+ * Splits the free text after the issue type into a landmark and a description.
+ * "near bus stand, big crater" → landmark "bus stand", description "big crater".
+ * Without a "near"/"at"/"opp" prefix, the whole text is used as the description.
+ */
+function splitLandmark(text) {
+    const match = text.match(/^(?:near|at|opp|opposite|behind|beside)\s+([^,.;]+)[,.;]\s*(.*)$/i);
+    if (match && match[2]) {
+        return { landmark: match[1].trim(), description: match[2].trim() };
+    }
+    return { landmark: undefined, description: text };
+}
+
+/**
+ * Parses an inbound SMS into a command.
+ *
+ * Supported messages:
+ *   REPORT <type> [near <landmark>,] <description>
+ *   STATUS <6-digit ID>
+ *   HELP
+ *
+ * @param {string} message - The raw SMS text.
+ * @param {object[]} categories - The active categories (see categoryService.getCategories).
+ * @returns {object} One of:
+ *   { command: 'REPORT', issueType, landmark, description }
+ *   { command: 'STATUS', issueId }
+ *   { command: 'HELP' }
+ *   { command: 'INVALID', reason }
+ */
+function parseSms(message, categories) {
+    const text = (message || '').trim().replace(/\s+/g, ' ');
+    const [firstWord = '', ...rest] = text.split(' ');
+    const keyword = firstWord.toUpperCase();
+
+    // Keywords get the same typo tolerance as issue types ("REPROT", "STAUTS").
+    if (editDistance(keyword, 'STATUS') <= 1 || keyword === 'TRACK') {
+        const issueId = rest.join('').replace(/^#/, '');
+        if (!/^\d{6}$/.test(issueId)) {
+            return { command: 'INVALID', reason: 'Please send STATUS followed by your 6-digit issue ID, e.g. STATUS 482913.' };
+        }
+        return { command: 'STATUS', issueId };
+    }
+
+    if (editDistance(keyword, 'REPORT') <= 1 || keyword === 'COMPLAINT') {
+        const match = matchIssueType(rest.map(word => word.toLowerCase()), categories);
+        if (!match) {
+            return { command: 'INVALID', reason: `Sorry, we didn't recognise that issue type. ${helpText(categories)}` };
+        }
+
+        const remainder = rest.slice(match.wordsUsed).join(' ');
+        const { landmark, description } = splitLandmark(remainder);
+        if (!description) {
+            return { command: 'INVALID', reason: `Please add a short description of the problem. ${helpText(categories)}` };
+        }
+        return { command: 'REPORT', issueType: match.issueType, landmark, description };
+    }
+
+    if (keyword === 'HELP' || keyword === '?') {
+        return { command: 'HELP' };
+    }
+
+    return { command: 'INVALID', reason: `Sorry, we couldn't understand your message. ${helpText(categories)}` };
+}
+
+module.exports = { parseSms, helpText };
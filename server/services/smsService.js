@@ -0,0 +1,72 @@
+// server/services/smsService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// --- Import Services & Config ---
+const { createIssue, InvalidReportError } = require('./issueService');
+const { sendNotification } = require('./notificationService');
+const { getCategories } = require('./categoryService');
+const { parseSms, helpText } = require('./smsParser');
+const AREAS = require('../config/ussdAreas');
+
+/**
+ * SMS reports have no GPS, so we place them at the centre of a known area.
+ * If the message mentions one of our area names (e.g. "Market"), that area is used;
+ * otherwise the report is placed at the first (central) area and staff rely on the landmark.
+ *
+ * @param {string} text - The landmark and description text.
+ * @returns {number[]} [longitude, latitude].
+ */
+function resolveLocation(text) {
+    const lower = text.toLowerCase();
+    const area = AREAS.find(a => new RegExp(`\\b${a.name.split(/[ /]/)[0].toLowerCase()}\\b`).test(lower));
+    return (area || AREAS[0]).coordinates;
+}
+
+/**
+ * Handles one inbound SMS: parses it, carries out the command and texts the citizen a reply.
+ *
+ * @param {string} from - The sender's phone number.
+ * @param {string} message - The SMS text.
+ * @returns {Promise<string>} The reply that was sent (or, for new reports, a short summary of the outcome).
+ */
+async function handleInboundSms(from, message) {
+    const categories = await getCategories();
+    const parsed = parseSms(message, categories);
+    let reply;
+
+    if (parsed.command === 'REPORT') {
+        const { issueType, landmark, description } = parsed;
+        try {
+            // createIssue sends the usual confirmation message (with the issue ID) itself.
+            const { issue: newIssue } = await createIssue({
+                issueType,
+                coordinates: resolveLocation(`${landmark || ''} ${description}`),
+                landmark,
+                description,
+                citizenContact: from,
+                source: 'sms'
+            });
+            return `Report filed under issue #${newIssue.issueId}.`;
+        } catch (error) {
+            if (!(error instanceof InvalidReportError)) throw error;
+            // e.g. the category needs a landmark: tell the citizen how to fix their message.
+            reply = `${error.message} ${helpText(categories)}`;
+        }
+    } else if (parsed.command === 'STATUS') {
+        const issue = await Issue.findOne({ issueId: parsed.issueId });
+        reply = issue
+            ? `Issue #${issue.issueId} (${issue.issueType}) is currently: ${issue.status}.`
+            : `We couldn't find issue #${parsed.issueId}. Please check the ID and try again.`;
+    } else if (parsed.command === 'HELP') {
+        reply = helpText(categories);
+    } else {
+        reply = parsed.reason;
+    }
+
+    await sendNotification(from, reply, { issueId: parsed.issueId });
+    return reply;
+}
+
+module.exports = { handleInboundSms };
@@ -0,0 +1,171 @@
+// server/services/spreadsheetService.js
+
+// --- Import Core Modules ---
+const path = require('path');
+const ExcelJS = require('exceljs'); // Reads .xlsx workbooks.
+
+/**
+ * Thrown when an uploaded file can't be read as a spreadsheet. 'statusCode' is the HTTP status the API should respond with.
+ */
+class SpreadsheetError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SpreadsheetError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Splits CSV text into rows of fields. Handles quoted fields with commas, quotes ("") and line breaks in them.
+ * @param {string} text
+ * @param {string} delimiter - ',', ';' or a tab.
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new SpreadsheetError('The CSV file has a quoted field that is never closed.');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Guesses a CSV file's delimiter from its header line: Excel saves "CSV" with semicolons in many locales.
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const count = char => headerLine.split(char).length - 1;
+    return [',', ';', '\t'].reduce((best, char) => (count(char) > count(best) ? char : best), ',');
+}
+
+/**
+ * Turns an Excel cell value into a string, number or Date. Formulas give their result, and rich text
+ * and hyperlinks give their text.
+ * @param {*} value - An ExcelJS cell value.
+ * @returns {string|number|Date}
+ */
+function excelCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date || typeof value === 'number') return value;
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return excelCellValue(value.text);
+        if (value.result !== undefined) return excelCellValue(value.result);
+        if (value.error) return '';
+    }
+    return String(value);
+}
+
+/**
+ * Reads the first worksheet of an .xlsx workbook into rows of cell values.
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<Array<string|number|Date>>>}
+ */
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new SpreadsheetError('The file could not be read as an Excel (.xlsx) workbook.');
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) throw new SpreadsheetError('The workbook has no worksheets.');
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        // 'row.values' is 1-based: index 0 is always empty.
+        rows[rowNumber - 1] = row.values.slice(1).map(excelCellValue);
+    });
+    return Array.from(rows, row => row || []);
+}
+
+/**
+ * Reads an uploaded CSV or Excel file. The first row must hold the column headings.
+ *
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} fileName - The original file name; '.xlsx' files are read as Excel, anything else as CSV.
+ * @param {object} [options]
+ * @param {number} [options.maxRows] - Reject files with more data rows than this.
+ * @returns {Promise<{ headers: string[], rows: Array<{ rowNumber: number, values: object }> }>}
+ *          'rowNumber' is the row's number in the spreadsheet (the headings are row 1), and 'values' maps
+ *          each heading to the row's value. Empty rows are skipped.
+ * @throws {SpreadsheetError}
+ */
+async function readSpreadsheet(buffer, fileName, { maxRows = Infinity } = {}) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (extension === '.xls') {
+        throw new SpreadsheetError('Old .xls files are not supported. Please save the file as .xlsx or .csv.');
+    }
+
+    let table;
+    if (extension === '.xlsx') {
+        table = await readXlsx(buffer);
+    } else {
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        table = parseCsv(text, detectDelimiter(text));
+    }
+
+    const [headerRow = [], ...dataRows] = table;
+    const headers = Array.from(headerRow, (heading, i) => String(heading === undefined ? '' : heading).trim() || `Column ${i + 1}`);
+    if (headers.length === 0) {
+        throw new SpreadsheetError('The file is empty. The first row must hold the column headings.');
+    }
+    if (new Set(headers).size !== headers.length) {
+        throw new SpreadsheetError('Every column heading must be different.');
+    }
+
+    const rows = [];
+    dataRows.forEach((cells, i) => {
+        const isEmpty = cells.every(cell => cell === '' || cell === null || cell === undefined);
+        if (isEmpty) return;
+        const values = {};
+        headers.forEach((heading, column) => {
+            const cell = cells[column];
+            values[heading] = typeof cell === 'string' ? cell.trim() : (cell === undefined ? '' : cell);
+        });
+        rows.push({ rowNumber: i + 2, values });
+    });
+
+    if (rows.length > maxRows) {
+        throw new SpreadsheetError(`The file has ${rows.length} rows; at most ${maxRows} can be imported at once. Please split it.`);
+    }
+    return { headers, rows };
+}
+
+module.exports = { readSpreadsheet, parseCsv, SpreadsheetError };
@@ -0,0 +1,173 @@
+// server/services/ussdService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+const UssdSession = require('../models/UssdSession');
+
+// --- Import Services & Config ---
+const { createIssue, InvalidReportError } = require('./issueService');
+const { getCategories } = require('./categoryService');
+const USSD_AREAS = require('../config/ussdAreas');
+
+// How long a caller can sit idle on a screen before their session is thrown away.
+const SESSION_TIMEOUT_MS = (parseInt(process.env.USSD_SESSION_TIMEOUT_SECONDS, 10) || 180) * 1000;
+
+/**
+ * Turns a list of labels into a numbered USSD menu ("1. Pothole\n2. ...").
+ * @param {string[]} items
+ * @returns {string}
+ */
+function numbered(items) {
+    return items.map((item, i) => `${i + 1}. ${item}`).join('\n');
+}
+
+/**
+ * Picks an item from a list using the caller's 1-based menu choice.
+ * @returns {*} The chosen item, or undefined if the input isn't a valid choice.
+ */
+function pick(items, input) {
+    const index = parseInt(input, 10);
+    return String(index) === input && index >= 1 ? items[index - 1] : undefined;
+}
+
+// The names of the active categories, in the order they are listed on the menu.
+const issueTypes = async () => (await getCategories()).map(category => category.name);
+
+// --- The Menu State Machine ---
+// Each screen has a 'prompt' (what the caller sees, possibly async) and a 'handle' function that takes their input
+// and returns either the name of the next screen or '{ end: message }' to finish the session.
+// 'handle' may also return '{ next, error }' to stay on a screen and show an error above the prompt.
+const SCREENS = {
+    MAIN_MENU: {
+        prompt: () => `Welcome to CivicSense\n${numbered(['Report an issue', 'Track an issue'])}`,
+        handle: (input) => {
+            if (input === '1') return 'CHOOSE_CATEGORY';
+            if (input === '2') return 'ENTER_TRACK_ID';
+            return { next: 'MAIN_MENU', error: 'Invalid choice.' };
+        }
+    },
+    CHOOSE_CATEGORY: {
+        prompt: async () => `Select issue type:\n${numbered(await issueTypes())}\n0. Back`,
+        handle: async (input, session) => {
+            if (input === '0') return 'MAIN_MENU';
+            const issueType = pick(await issueTypes(), input);
+            if (!issueType) return { next: 'CHOOSE_CATEGORY', error: 'Invalid choice.' };
+            session.data.issueType = issueType;
+            return 'CHOOSE_AREA';
+        }
+    },
+    CHOOSE_AREA: {
+        prompt: () => `Select your area:\n${numbered(USSD_AREAS.map(area => area.name))}\n0. Back`,
+        handle: (input, session) => {
+            if (input === '0') return 'CHOOSE_CATEGORY';
+            const area = pick(USSD_AREAS, input);
+            if (!area) return { next: 'CHOOSE_AREA', error: 'Invalid choice.' };
+            session.data.area = area.name;
+            return 'ENTER_LANDMARK';
+        }
+    },
+    ENTER_LANDMARK: {
+        prompt: () => 'Enter a nearby landmark:',
+        handle: (input, session) => {
+            if (!input) return { next: 'ENTER_LANDMARK', error: 'Landmark cannot be empty.' };
+            session.data.landmark = input;
+            return 'ENTER_DESCRIPTION';
+        }
+    },
+    ENTER_DESCRIPTION: {
+        prompt: () => 'Describe the issue:',
+        handle: (input, session) => {
+            if (!input) return { next: 'ENTER_DESCRIPTION', error: 'Description cannot be empty.' };
+            session.data.description = input;
+            return 'CONFIRM_REPORT';
+        }
+    },
+    CONFIRM_REPORT: {
+        prompt: (session) => `${session.data.issueType} at ${session.data.landmark}, ${session.data.area}\n${numbered(['Submit', 'Cancel'])}`,
+        handle: async (input, session) => {
+            if (input === '2') return { end: 'Report cancelled. Thank you for using CivicSense.' };
+            if (input !== '1') return { next: 'CONFIRM_REPORT', error: 'Invalid choice.' };
+
+            const { issueType, area, landmark, description } = session.data;
+            try {
+                const { issue: newIssue } = await createIssue({
+                    issueType,
+                    coordinates: USSD_AREAS.find(a => a.name === area).coordinates,
+                    landmark: `${landmark}, ${area}`,
+                    description,
+                    citizenContact: session.phoneNumber,
+                    source: 'ussd'
+                });
+                return { end: `Thank you! Your issue ID is ${newIssue.issueId}. Use it to track your report.` };
+            } catch (error) {
+                // e.g. the category was deactivated while the caller was filling in the report.
+                if (error instanceof InvalidReportError) return { end: error.message };
+                throw error;
+            }
+        }
+    },
+    ENTER_TRACK_ID: {
+        prompt: () => 'Enter your 6-digit issue ID:',
+        handle: async (input) => {
+            if (!/^\d{6}$/.test(input)) return { next: 'ENTER_TRACK_ID', error: 'Please enter a valid 6-digit ID.' };
+            const issue = await Issue.findOne({ issueId: input });
+            if (!issue) return { end: `Issue ${input} was not found. Please check the ID and try again.` };
+            return { end: `Issue ${issue.issueId} (${issue.issueType}): ${issue.status}.` };
+        }
+    }
+};
+
+/**
+ * Handles one callback from the USSD aggregator and returns the text to send back.
+ * Responses start with 'CON ' (keep the session open) or 'END ' (close it), as aggregators expect.
+ *
+ * The aggregator sends every input of the session so far, joined with '*' (e.g. "1*2*Bus stand").
+ * We remember how many inputs we've already processed and only run the new ones through the menu.
+ *
+ * @param {object} callback - The aggregator's request body.
+ * @param {string} callback.sessionId
+ * @param {string} callback.phoneNumber
+ * @param {string} [callback.text] - All inputs so far, '*'-separated. Empty on the first callback.
+ * @returns {Promise<string>} The USSD response text.
+ */
+async function handleUssdCallback({ sessionId, phoneNumber, text = '' }) {
+    const inputs = text === '' ? [] : text.split('*').map(input => input.trim());
+    const now = new Date();
+
+    let session = await UssdSession.findOne({ sessionId });
+    if (session && session.expiresAt <= now) {
+        await session.deleteOne();
+        session = null;
+    }
+
+    if (!session) {
+        // A brand-new dial-in starts at the main menu. If we receive inputs for a session we no longer
+        // know about, it timed out while the caller was idle.
+        if (inputs.length > 0) {
+            return 'END Your session has timed out. Please dial again.';
+        }
+        session = new UssdSession({ sessionId, phoneNumber, state: 'MAIN_MENU', data: {}, inputCount: 0 });
+    }
+
+    let error = null;
+    for (const input of inputs.slice(session.inputCount)) {
+        const result = await SCREENS[session.state].handle(input, session);
+        session.inputCount++;
+
+        if (result && result.end) {
+            await UssdSession.deleteOne({ sessionId });
+            return `END ${result.end}`;
+        }
+        session.state = typeof result === 'string' ? result : result.next;
+        error = typeof result === 'string' ? null : result.error;
+    }
+
+    session.expiresAt = new Date(now.getTime() + SESSION_TIMEOUT_MS);
+    session.markModified('data');
+    await session.save();
+
+    const prompt = await SCREENS[session.state].prompt(session);
+    return `CON ${error ? `${error}\n` : ''}${prompt}`;
+}
+
+module.exports = { handleUssdCallback };
@@ -0,0 +1,72 @@
+// server/services/wardService.js
+
+// --- Import Database Models ---
+const Ward = require('../models/Ward');
+
+// Property names commonly used for ward name, code and zone in municipal GeoJSON exports.
+// They are tried in order unless the caller says which property to use.
+const NAME_PROPERTIES = ['name', 'NAME', 'ward_name', 'WARD_NAME', 'Ward_Name'];
+const CODE_PROPERTIES = ['code', 'CODE', 'ward_no', 'WARD_NO', 'ward_id', 'WARD_ID', 'id'];
+const ZONE_PROPERTIES = ['zone', 'ZONE', 'zone_name', 'ZONE_NAME'];
+
+/**
+ * Reads the first property from a list that has a value.
+ * @returns {string|undefined}
+ */
+function readProperty(properties, candidates) {
+    for (const key of candidates) {
+        if (properties[key] !== undefined && properties[key] !== null && properties[key] !== '') {
+            return String(properties[key]).trim();
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Imports ward boundaries from a GeoJSON FeatureCollection. Each Polygon or MultiPolygon feature becomes
+ * a ward; a ward with the same code is updated in place, so re-importing a corrected file is safe.
+ *
+ * @param {object} geojson - A GeoJSON FeatureCollection.
+ * @param {object} [options]
+ * @param {string} [options.nameProperty] - The feature property holding the ward name.
+ * @param {string} [options.codeProperty] - The feature property holding the ward code.
+ * @param {string} [options.zoneProperty] - The feature property holding the zone.
+ * @returns {Promise<{ created: number, updated: number, errors: Array<{ feature: number, message: string }> }>}
+ */
+async function importWards(geojson, { nameProperty, codeProperty, zoneProperty } = {}) {
+    if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+        throw new Error('The file must be a GeoJSON FeatureCollection.');
+    }
+
+    const result = { created: 0, updated: 0, errors: [] };
+
+    for (const [index, feature] of geojson.features.entries()) {
+        try {
+            const properties = feature.properties || {};
+            const geometry = feature.geometry || {};
+            if (!['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+                throw new Error(`Geometry must be a Polygon or MultiPolygon, not ${geometry.type || 'missing'}.`);
+            }
+
+            const code = readProperty(properties, codeProperty ? [codeProperty] : CODE_PROPERTIES);
+            const name = readProperty(properties, nameProperty ? [nameProperty] : NAME_PROPERTIES) || (code && `Ward ${code}`);
+            const zone = readProperty(properties, zoneProperty ? [zoneProperty] : ZONE_PROPERTIES);
+            if (!code) {
+                throw new Error('No ward code found in the feature properties.');
+            }
+
+            const existing = await Ward.findOne({ code });
+            const ward = existing || new Ward({ code });
+            ward.set({ name, zone, boundary: { type: geometry.type, coordinates: geometry.coordinates } });
+            // Saving validates the polygon too: MongoDB rejects self-intersecting or unclosed rings.
+            await ward.save();
+            result[existing ? 'updated' : 'created']++;
+        } catch (error) {
+            result.errors.push({ feature: index, message: error.message });
+        }
+    }
+
+    return result;
+}
+
+module.exports = { importWards };
@@ -0,0 +1,169 @@
+// server/services/workQueueService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// --- Import Services & Config ---
+const { distanceMeters } = require('./geoService');
+const { getSlaStatus } = require('./slaService');
+const { OPEN_STATUSES } = require('../config/workflow');
+
+// The route is improved by comparing every pair of legs, so it is only done for up to this many stops;
+// a longer list is visited in plain nearest-neighbour order.
+const MAX_IMPROVED_STOPS = 200;
+// Google Maps directions links take at most this many stops between the start and the destination.
+const MAX_LINK_WAYPOINTS = 9;
+
+/**
+ * Orders issues for the worker who has to visit them, when we don't know where they are: the one whose
+ * SLA runs out first comes first, then the oldest.
+ */
+function byUrgency(a, b) {
+    const dueA = a.sla && a.sla.resolveBy ? new Date(a.sla.resolveBy).getTime() : Infinity;
+    const dueB = b.sla && b.sla.resolveBy ? new Date(b.sla.resolveBy).getTime() : Infinity;
+    if (dueA !== dueB) return dueA - dueB;
+    return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+/**
+ * Shortens a route by reversing parts of it wherever that makes it shorter (the "2-opt" heuristic),
+ * until no reversal helps. The first point (the worker's position, or the first stop) stays where it is.
+ *
+ * @param {number[][]} points - The route's [longitude, latitude] points, in visiting order. Reordered in place.
+ * @param {Array} stops - The stop for each point (or for each point after the first, when 'offset' is 1). Reordered with them.
+ * @param {number} offset - 1 if points[0] is the worker's position rather than a stop, otherwise 0.
+ */
+function improveRoute(points, stops, offset) {
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 1; i < points.length - 1; i++) {
+            for (let k = i + 1; k < points.length; k++) {
+                const [before, first, last, after] = [points[i - 1], points[i], points[k], points[k + 1]];
+                // The route is open: after the last stop there is no leg back to the start.
+                const change = distanceMeters(before, last) - distanceMeters(before, first)
+                    + (after ? distanceMeters(first, after) - distanceMeters(last, after) : 0);
+                if (change < -1) {
+                    points.splice(i, k - i + 1, ...points.slice(i, k + 1).reverse());
+                    stops.splice(i - offset, k - i + 1, ...stops.slice(i - offset, k - offset + 1).reverse());
+                    improved = true;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Puts issues into an efficient visiting order: from the worker's position (or, without one, from the most
+ * urgent issue) always on to the nearest issue not visited yet, then shortened with 2-opt.
+ * Distances are in a straight line, not along the roads.
+ *
+ * @param {Array<object>} issues - Issue documents.
+ * @param {number[]} [origin] - The worker's position, [longitude, latitude].
+ * @returns {Array<object>} The same issues, in visiting order.
+ */
+function planRoute(issues, origin) {
+    const remaining = [...issues];
+    const route = [];
+    let current = origin;
+    if (!current && remaining.length > 0) {
+        remaining.sort(byUrgency);
+        route.push(remaining.shift());
+        current = route[0].location.coordinates;
+    }
+
+    while (remaining.length > 0) {
+        let nearest = 0;
+        remaining.forEach((issue, index) => {
+            if (distanceMeters(current, issue.location.coordinates) < distanceMeters(current, remaining[nearest].location.coordinates)) {
+                nearest = index;
+            }
+        });
+        const [next] = remaining.splice(nearest, 1);
+        route.push(next);
+        current = next.location.coordinates;
+    }
+
+    if (route.length <= MAX_IMPROVED_STOPS) {
+        const points = route.map(issue => issue.location.coordinates);
+        if (origin) points.unshift(origin);
+        improveRoute(points, route, origin ? 1 : 0);
+    }
+    return route;
+}
+
+/**
+ * Formats [longitude, latitude] as the 'latitude,longitude' that map links take.
+ * @param {number[]} coordinates
+ * @returns {string}
+ */
+function latLng([lng, lat]) {
+    return `${lat},${lng}`;
+}
+
+/**
+ * A link that opens turn-by-turn directions to a point, from wherever the phone is.
+ * @param {number[]} coordinates - [longitude, latitude].
+ * @returns {string}
+ */
+function navigationUrl(coordinates) {
+    return `https://www.google.com/maps/dir/?api=1&destination=${latLng(coordinates)}`;
+}
+
+/**
+ * A link that opens directions through the first stops of the route, in order. Map apps only take a few
+ * stops, so a longer route is cut short.
+ *
+ * @param {number[][]} stops - The stops' coordinates, in visiting order.
+ * @param {number[]} [origin] - The worker's position; without it the directions start wherever the phone is.
+ * @returns {string|null}
+ */
+function routeUrl(stops, origin) {
+    if (stops.length === 0) return null;
+    const shown = stops.slice(0, MAX_LINK_WAYPOINTS + 1);
+    const params = new URLSearchParams({ api: '1' });
+    if (origin) params.set('origin', latLng(origin));
+    params.set('destination', latLng(shown[shown.length - 1]));
+    if (shown.length > 1) params.set('waypoints', shown.slice(0, -1).map(latLng).join('|'));
+    return `https://www.google.com/maps/dir/?${params}`;
+}
+
+/**
+ * A field worker's work queue: their open assignments in visiting order, each with the straight-line distance
+ * from the previous stop and a navigation link.
+ *
+ * @param {object} user - The logged-in staff member ('req.user').
+ * @param {number[]} [origin] - Their current position, [longitude, latitude].
+ * @returns {Promise<{ origin, stops: Array<object>, totalMeters: number, routeUrl: string|null }>}
+ */
+async function getWorkQueue(user, origin) {
+    const issues = await Issue.find({ assignedTo: user._id, status: { $in: OPEN_STATUSES } })
+        .select('-history')
+        .populate('ward', 'code name zone');
+
+    const route = planRoute(issues, origin);
+    let previous = origin;
+    let totalMeters = 0;
+    const stops = route.map((issue, index) => {
+        const coordinates = issue.location.coordinates;
+        const legMeters = previous ? Math.round(distanceMeters(previous, coordinates)) : null;
+        totalMeters += legMeters || 0;
+        previous = coordinates;
+        return {
+            ...issue.toJSON(),
+            slaStatus: getSlaStatus(issue),
+            stop: index + 1,
+            legMeters,
+            navigationUrl: navigationUrl(coordinates)
+        };
+    });
+
+    return {
+        origin: origin || null,
+        stops,
+        totalMeters,
+        routeUrl: routeUrl(route.map(issue => issue.location.coordinates), origin)
+    };
+}
+
+module.exports = { getWorkQueue, planRoute };
@@ -0,0 +1,136 @@
+// server/services/workflowService.js
+
+// --- Import Database Models ---
+const Issue = require('../models/Issue');
+
+// --- Import Services & Config ---
+const { translatableError } = require('./i18nService');
+const { applyPriorityScore } = require('./priorityService');
+const { restartSla } = require('./slaService');
+const { TRANSITIONS, REQUIRED_FIELDS, CITIZEN_REOPEN_WINDOW_DAYS } = require('../config/workflow');
+
+/**
+ * Thrown when a status change isn't allowed. 'statusCode' is the HTTP status the API should respond with.
+ */
+class WorkflowError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'WorkflowError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Lists the statuses an issue can move to from its current status.
+ * @param {string} status - The current status.
+ * @returns {string[]}
+ */
+function getAllowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+}
+
+/**
+ * Moves an issue to a new status, enforcing the workflow in server/config/workflow.js,
+ * records the change in the issue's history and updates its priority score. The caller still needs to save the issue.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {string} toStatus - The status to move to.
+ * @param {object} [options]
+ * @param {object} [options.actor] - The staff member making the change.
+ * @param {string} [options.actorType] - 'staff', 'citizen' or 'system'.
+ * @param {string} [options.reason] - Why the change was made. Required for some statuses.
+ * @param {string} [options.duplicateOf] - The canonical issue's ID, when marking as Duplicate.
+ * @param {object} [options.resolution] - When resolving: '{ note, photos }', the proof of what was done.
+ * @throws {WorkflowError} If the transition isn't allowed or required information is missing.
+ */
+async function transitionIssue(issue, toStatus, { actor, actorType, reason, duplicateOf, resolution = {} } = {}) {
+    const fromStatus = issue.status;
+    if (!getAllowedTransitions(fromStatus).includes(toStatus)) {
+        const allowed = getAllowedTransitions(fromStatus);
+        throw new WorkflowError(allowed.length > 0
+            ? `Cannot change status from "${fromStatus}" to "${toStatus}". Allowed next statuses: ${allowed.join(', ')}.`
+            : `Cannot change status from "${fromStatus}": it is a final status.`);
+    }
+
+    // These come straight from request bodies, so anything but text is refused here.
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        throw new WorkflowError('The reason must be text.');
+    }
+    if (duplicateOf !== undefined && duplicateOf !== null && typeof duplicateOf !== 'string') {
+        throw new WorkflowError('The ID of the original issue must be text.');
+    }
+    if (resolution.note !== undefined && resolution.note !== null && typeof resolution.note !== 'string') {
+        throw new WorkflowError('The note on what was done must be text.');
+    }
+
+    const required = REQUIRED_FIELDS[toStatus] || [];
+    if (required.includes('reason') && !(reason && reason.trim())) {
+        throw new WorkflowError(`A reason is required to mark an issue as "${toStatus}".`);
+    }
+    if (required.includes('duplicateOf')) {
+        if (!duplicateOf) {
+            throw new WorkflowError('The ID of the original issue is required to mark an issue as a duplicate.');
+        }
+        if (duplicateOf === issue.issueId) {
+            throw new WorkflowError('An issue cannot be a duplicate of itself.');
+        }
+        const canonical = await Issue.exists({ issueId: duplicateOf });
+        if (!canonical) {
+            throw new WorkflowError(`No issue found with ID ${duplicateOf} to mark this as a duplicate of.`, 404);
+        }
+        issue.duplicateOf = duplicateOf;
+    }
+    if (required.includes('resolutionNote') && !(resolution.note && resolution.note.trim())) {
+        throw new WorkflowError(`A note on what was done is required to mark an issue as "${toStatus}".`);
+    }
+    if (required.includes('afterPhotos') && !(resolution.photos && resolution.photos.length > 0)) {
+        throw new WorkflowError(`At least one "after" photo is required to mark an issue as "${toStatus}".`);
+    }
+
+    issue.recordHistory({ action: 'status_changed', field: 'status', from: fromStatus, to: toStatus, reason }, actor, actorType);
+    issue.status = toStatus;
+
+    // The first move out of 'Pending' counts as the acknowledgement for SLA purposes.
+    if (fromStatus === 'Pending' && !issue.acknowledgedAt) {
+        issue.acknowledgedAt = new Date();
+    }
+
+    if (toStatus === 'Resolved') {
+        issue.resolvedAt = new Date();
+        issue.resolution = {
+            note: resolution.note,
+            photos: resolution.photos || [],
+            resolvedBy: actor ? actor._id : undefined,
+            resolvedAt: issue.resolvedAt
+        };
+    } else if (toStatus === 'Reopened') {
+        issue.resolvedAt = undefined;
+        issue.reopenCount = (issue.reopenCount || 0) + 1;
+        restartSla(issue); // A reopened issue gets a fresh deadline to be fixed by.
+    }
+    if (toStatus === 'Rejected') {
+        issue.statusReason = reason;
+    }
+    // Closed issues drop to the bottom of the backlog; reopened ones come back.
+    await applyPriorityScore(issue);
+}
+
+/**
+ * Lets a citizen reopen their own resolved issue, if it's still within the reopen window.
+ *
+ * @param {object} issue - The Issue document.
+ * @param {string} reason - Why the citizen thinks the issue isn't fixed.
+ * @throws {WorkflowError} If the issue isn't resolved or the window has passed.
+ */
+async function reopenByCitizen(issue, reason) {
+    if (issue.status !== 'Resolved') {
+        throw translatableError(WorkflowError, 'reopen.onlyResolved');
+    }
+    const windowMs = CITIZEN_REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    if (!issue.resolvedAt || Date.now() - issue.resolvedAt.getTime() > windowMs) {
+        throw translatableError(WorkflowError, 'reopen.windowPassed', { days: CITIZEN_REOPEN_WINDOW_DAYS });
+    }
+    await transitionIssue(issue, 'Reopened', { actorType: 'citizen', reason });
+}
+
+module.exports = { WorkflowError, getAllowedTransitions, transitionIssue, reopenByCitizen };